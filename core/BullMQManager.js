@@ -2,6 +2,13 @@ const QueueManager = require('./QueueManager');
 const WorkerManager = require('./WorkerManager');
 const EventManager = require('./EventManager');
 const FlowManager = require('./FlowManager');
+const DeadLetterManager = require('./DeadLetterManager');
+const IdempotencyManager = require('./IdempotencyManager');
+const TopologyLoader = require('./TopologyLoader');
+const { SchemaValidator } = require('./SchemaValidator');
+const { resolveBackend } = require('./backends');
+const { SystemClock } = require('./Clock');
+const CronUtils = require('./CronUtils');
 
 /**
  * BullMQManager - Gestionnaire central BullMQ pur
@@ -26,12 +33,28 @@ class BullMQManager {
       ...config
     };
 
+    // Horloge partagée (VirtualClock pour piloter le temps dans les tests)
+    this.config.clock = this.config.clock || new SystemClock();
+    this.clock = this.config.clock;
+
+    // Schémas de validation des données de jobs (vérifiés à l'ajout et au traitement)
+    this.config.schemaValidator = this.config.schemaValidator || new SchemaValidator();
+    this.schemaValidator = this.config.schemaValidator;
+
+    // Backend partagé par tous les managers ('redis' par défaut, 'memory' sans Redis)
+    this.config.backend = resolveBackend(this.config);
+    this.backend = this.config.backend;
+
     // Initialisation des managers core
     this.queueManager = new QueueManager(this.config);
     this.workerManager = new WorkerManager(this.config);
     this.eventManager = new EventManager(this.config);
     this.flowManager = new FlowManager(this.config);
+    this.deadLetterManager = new DeadLetterManager(this.config);
+    this.idempotencyManager = new IdempotencyManager(this.config);
 
+    this.topologies = [];
+    this.flowTemplates = new Map();
     this.isInitialized = false;
   }
 
@@ -45,12 +68,19 @@ class BullMQManager {
     }
 
     try {
-      this.log('🚀 Initialisation du BullMQManager...');
+      this.log(`🚀 Initialisation du BullMQManager (backend: ${this.backend.name})...`);
       
       await this.queueManager.initialize();
       await this.eventManager.initialize();
+      await this.flowManager.initialize();
       
       this.isInitialized = true;
+
+      // Topologie déclarative fournie dans la configuration
+      if (this.config.topology) {
+        await this.loadTopology(this.config.topology, this.config.topologyContext);
+      }
+
       this.log('✅ BullMQManager initialisé avec succès');
     } catch (error) {
       this.logError('❌ Erreur lors de l\'initialisation du BullMQManager:', error);
@@ -62,7 +92,9 @@ class BullMQManager {
    * Crée une nouvelle queue
    */
   createQueue(queueName, options = {}) {
-    return this.queueManager.createQueue(queueName, options);
+    const queue = this.queueManager.createQueue(queueName, options);
+    this.deadLetterManager.watch(queueName, queue, this.eventManager);
+    return queue;
   }
 
   /**
@@ -72,6 +104,14 @@ class BullMQManager {
     return this.workerManager.startWorker(queueName, handlers, options);
   }
 
+  /**
+   * Enregistre un middleware de traitement : use(mw), use(queueName, mw) ou use(queueName, jobName, mw)
+   */
+  use(...args) {
+    this.workerManager.use(...args);
+    return this;
+  }
+
   /**
    * Ajoute un job simple à la queue
    */
@@ -81,8 +121,9 @@ class BullMQManager {
       throw new Error(`Queue "${queueName}" n'existe pas`);
     }
 
-    const jobOptions = { ...this.config.defaultOptions, ...options };
-    const job = await queue.add(jobName, data, jobOptions);
+    this.schemaValidator.assertValid(queueName, jobName, data);
+
+    const job = await queue.add(jobName, data, this.resolveJobOptions(queue, options));
     
     this.log(`📤 Job "${jobName}" ajouté à la queue "${queueName}" (ID: ${job.id})`);
     return job;
@@ -97,25 +138,112 @@ class BullMQManager {
       throw new Error(`Queue "${queueName}" n'existe pas`);
     }
 
+    const { tz, ...jobOptionsOverrides } = options;
+    CronUtils.assertValid(cronPattern, { tz });
+    this.schemaValidator.assertValid(queueName, jobName, data);
+
     const jobOptions = {
-      ...this.config.defaultOptions,
-      ...options,
-      repeat: { pattern: cronPattern },
-      jobId: `${jobName}-scheduled`
+      ...this.resolveJobOptions(queue, jobOptionsOverrides),
+      repeat: tz ? { pattern: cronPattern, tz } : { pattern: cronPattern },
+      jobId: jobOptionsOverrides.jobId ?? `${jobName}-scheduled`
     };
 
     const job = await queue.add(jobName, data, jobOptions);
-    this.log(`⏰ Job "${jobName}" planifié sur "${queueName}" avec le pattern: ${cronPattern}`);
+    this.log(`⏰ Job "${jobName}" planifié sur "${queueName}" avec le pattern: ${cronPattern}${tz ? ` (${tz})` : ''}`);
     return job;
   }
 
+  /**
+   * Options d'un job : défauts du manager, puis défauts de la queue (topologie), puis options du job
+   */
+  resolveJobOptions(queue, options = {}) {
+    return { ...this.config.defaultOptions, ...queue.opts?.defaultJobOptions, ...options };
+  }
+
+  /**
+   * Calcule les prochaines exécutions d'un pattern cron
+   */
+  getNextExecutions(cronPattern, options = {}) {
+    return CronUtils.getNextExecutions(cronPattern, {
+      currentDate: this.clock.date(),
+      ...options
+    });
+  }
+
+  /**
+   * Récupère les jobs récurrents d'une queue avec leurs prochaines exécutions
+   */
+  async getRepeatableJobs(queueName, options = {}) {
+    return this.queueManager.getRepeatableJobs(queueName, options);
+  }
+
+  /**
+   * Charge une topologie (fichier YAML/JSON ou objet) : queues, workers, crons et flows
+   */
+  async loadTopology(source, context = {}) {
+    const topology = typeof source === 'string'
+      ? TopologyLoader.loadFile(source)
+      : new TopologyLoader({ baseDir: context.baseDir }).normalize(source);
+
+    const summary = await new TopologyLoader({ baseDir: topology.baseDir }).apply(this, topology, context);
+
+    for (const [flowName, flowDefinition] of Object.entries(topology.flows)) {
+      this.flowTemplates.set(flowName, flowDefinition);
+    }
+    this.topologies.push({ source: topology.source, ...summary, loadedAt: this.now() });
+
+    this.log(`🗺️  Topologie "${topology.source}" chargée: ${summary.queues.length} queues, ${summary.workers.length} workers, ${summary.schedules} crons, ${summary.flows.length} flows`);
+    return summary;
+  }
+
+  /**
+   * Lance un flow déclaré dans une topologie (les données du parent peuvent être complétées)
+   */
+  async runFlow(flowName, data = {}) {
+    const flowDefinition = this.flowTemplates.get(flowName);
+    if (!flowDefinition) {
+      throw new Error(`Flow "${flowName}" non déclaré dans la topologie`);
+    }
+
+    return this.addFlow({
+      ...flowDefinition,
+      id: `${flowName}-${this.clock.now()}`,
+      data: { ...flowDefinition.data, ...data }
+    });
+  }
+
   /**
    * Crée un workflow avec dépendances
    */
   async addFlow(flowDefinition) {
+    this.validateFlowData(flowDefinition);
     return this.flowManager.addFlow(flowDefinition);
   }
 
+  /**
+   * Enregistre un schéma de validation pour un job ('*' pour tous les jobs de la queue)
+   */
+  registerSchema(queueName, jobName, schema) {
+    this.schemaValidator.register(queueName, jobName, schema);
+    this.log(`📐 Schéma enregistré pour "${jobName}" sur "${queueName}"`);
+    return this;
+  }
+
+  /**
+   * Valide les données d'un job sans l'ajouter
+   */
+  validateJobData(queueName, jobName, data) {
+    return this.schemaValidator.validate(queueName, jobName, data);
+  }
+
+  /**
+   * Valide récursivement les données de chaque job d'un flow
+   */
+  validateFlowData(node) {
+    this.schemaValidator.assertValid(node.queueName, node.name, node.data);
+    (node.children || []).forEach(child => this.validateFlowData(child));
+  }
+
   /**
    * Ajoute un listener d'événements
    */
@@ -123,6 +251,62 @@ class BullMQManager {
     return this.eventManager.addListener(queueName, eventType, callback);
   }
 
+  /**
+   * Liste les entrées dead-letter d'une queue
+   */
+  async getDeadLetters(queueName, options = {}) {
+    return this.deadLetterManager.list(queueName, options);
+  }
+
+  /**
+   * Récupère une entrée dead-letter (payload, échecs, historique des tentatives)
+   */
+  async getDeadLetter(queueName, entryId) {
+    return this.deadLetterManager.get(queueName, entryId);
+  }
+
+  /**
+   * Corrige le payload d'une entrée dead-letter avant rejeu
+   */
+  async updateDeadLetterPayload(queueName, entryId, data, options = {}) {
+    return this.deadLetterManager.updatePayload(queueName, entryId, data, options);
+  }
+
+  /**
+   * Rejoue une entrée dead-letter sur sa queue d'origine
+   */
+  async replayDeadLetter(queueName, entryId, options = {}) {
+    return this.deadLetterManager.replay(this, queueName, entryId, options);
+  }
+
+  /**
+   * Supprime définitivement une entrée dead-letter
+   */
+  async discardDeadLetter(queueName, entryId, reason = null) {
+    return this.deadLetterManager.discard(queueName, entryId, reason);
+  }
+
+  /**
+   * Exécute un effet de bord une seule fois par clé d'idempotence (options.scope : queue pour les stats)
+   */
+  async runOnce(key, fn, options = {}) {
+    return this.idempotencyManager.runOnce(key, fn, options);
+  }
+
+  /**
+   * Oublie une clé d'idempotence (autorise un nouvel envoi)
+   */
+  async forgetIdempotencyKey(key) {
+    return this.idempotencyManager.forget(key);
+  }
+
+  /**
+   * Compteurs d'idempotence (exécutés, ignorés, conflits)
+   */
+  getIdempotencyStats(scope = null) {
+    return this.idempotencyManager.getStats(scope);
+  }
+
   /**
    * Récupère les statistiques d'une queue
    */
@@ -145,7 +329,9 @@ class BullMQManager {
       completed: completed.length,
       failed: failed.length,
       delayed: delayed.length,
-      total: waiting.length + active.length + completed.length + failed.length + delayed.length
+      total: waiting.length + active.length + completed.length + failed.length + delayed.length,
+      deadLetters: this.deadLetterManager.isEnabled() ? await this.deadLetterManager.count(queueName) : 0,
+      idempotency: this.idempotencyManager.getStats(queueName)
     };
   }
 
@@ -271,9 +457,10 @@ class BullMQManager {
 
       return {
         status: 'healthy',
-        timestamp: new Date().toISOString(),
+        timestamp: this.now().toISOString(),
         environment: {
           isProduction: this.config.isProduction,
+          backend: this.backend.name,
           redisUrl: this.config.redis.url.replace(/\/\/.*@/, '//***@')
         },
         queues: globalStats,
@@ -283,7 +470,7 @@ class BullMQManager {
       return {
         status: 'unhealthy',
         error: error.message,
-        timestamp: new Date().toISOString()
+        timestamp: this.now().toISOString()
       };
     }
   }
@@ -298,11 +485,20 @@ class BullMQManager {
     await this.queueManager.shutdown();
     await this.eventManager.shutdown();
     await this.flowManager.shutdown();
+    await this.deadLetterManager.shutdown();
+    await this.idempotencyManager.shutdown();
     
     this.isInitialized = false;
     this.log('✅ BullMQManager arrêté proprement');
   }
 
+  /**
+   * Date courante selon l'horloge configurée
+   */
+  now() {
+    return this.clock.date();
+  }
+
   /**
    * Logger intelligent selon l'environnement
    */
@@ -0,0 +1,162 @@
+/**
+ * Clock - Abstraction du temps pour les jobs différés et récurrents
+ *
+ * SystemClock utilise l'heure réelle. VirtualClock permet aux tests d'avancer
+ * le temps manuellement (ex: "le 11 du mois", "10 jours avant l'échéance")
+ * et de déclencher les jobs différés/récurrents du backend mémoire.
+ *
+ * Interface : now() (ms), date() (Date), setTimeout(callback, delay), clearTimeout(handle)
+ */
+class SystemClock {
+  /**
+   * Horodatage courant en millisecondes
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Date courante
+   */
+  date() {
+    return new Date(this.now());
+  }
+
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+
+  clearTimeout(handle) {
+    clearTimeout(handle);
+  }
+}
+
+class VirtualClock {
+  constructor(startDate = Date.now()) {
+    this.current = new Date(startDate).getTime();
+    if (Number.isNaN(this.current)) {
+      throw new Error(`Date de départ invalide pour VirtualClock: ${startDate}`);
+    }
+
+    this.timers = new Map();
+    this.sequence = 0;
+    this.settlers = new Set();
+  }
+
+  now() {
+    return this.current;
+  }
+
+  date() {
+    return new Date(this.current);
+  }
+
+  /**
+   * Programme un callback à now() + delay (déclenché par advance/advanceTo)
+   */
+  setTimeout(callback, delay = 0) {
+    const handle = ++this.sequence;
+    this.timers.set(handle, { callback, at: this.current + Math.max(0, delay) });
+    return handle;
+  }
+
+  clearTimeout(handle) {
+    this.timers.delete(handle);
+  }
+
+  /**
+   * Enregistre une fonction attendue après chaque timer (ex: traitement des workers)
+   */
+  addSettler(settle) {
+    this.settlers.add(settle);
+    return () => this.settlers.delete(settle);
+  }
+
+  /**
+   * Avance le temps de ms millisecondes
+   */
+  async advance(ms) {
+    return this.advanceTo(this.current + ms);
+  }
+
+  /**
+   * Avance le temps jusqu'à une date, en déclenchant les timers dans l'ordre
+   */
+  async advanceTo(target) {
+    const targetTime = new Date(target).getTime();
+    if (Number.isNaN(targetTime)) {
+      throw new Error(`Date cible invalide: ${target}`);
+    }
+    if (targetTime < this.current) {
+      throw new Error('VirtualClock ne peut pas revenir dans le passé');
+    }
+
+    let fired = 0;
+    await this.settle();
+
+    let next = this.nextTimer(targetTime);
+    while (next) {
+      const [handle, timer] = next;
+      this.timers.delete(handle);
+      this.current = timer.at;
+      timer.callback();
+      fired++;
+
+      await this.settle();
+      next = this.nextTimer(targetTime);
+    }
+
+    this.current = targetTime;
+    await this.settle();
+    return fired;
+  }
+
+  /**
+   * Déclenche tous les timers en attente (les nouveaux compris) jusqu'au dernier
+   */
+  async runAll(maxTimers = 1000) {
+    let fired = 0;
+    while (this.timers.size > 0 && fired < maxTimers) {
+      const [, timer] = this.nextTimer(Infinity);
+      fired += await this.advanceTo(timer.at);
+    }
+    return fired;
+  }
+
+  /**
+   * Prochain timer à déclencher avant la limite (ordre chronologique puis de création)
+   */
+  nextTimer(limit) {
+    let next = null;
+    for (const entry of this.timers) {
+      const [handle, timer] = entry;
+      if (timer.at > limit) continue;
+      if (!next || timer.at < next[1].at || (timer.at === next[1].at && handle < next[0])) {
+        next = entry;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Nombre de timers en attente
+   */
+  pendingTimers() {
+    return this.timers.size;
+  }
+
+  /**
+   * Laisse s'exécuter les traitements asynchrones déclenchés par les timers
+   */
+  async settle() {
+    await new Promise(resolve => setImmediate(resolve));
+    for (const settle of this.settlers) {
+      await settle();
+    }
+  }
+}
+
+module.exports = {
+  SystemClock,
+  VirtualClock
+};
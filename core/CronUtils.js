@@ -0,0 +1,129 @@
+const cronParser = require('cron-parser');
+
+/**
+ * CronUtils - Validation et calcul des prochaines exécutions d'un pattern cron
+ *
+ * Utilise cron-parser (le même moteur que BullMQ pour les jobs récurrents)
+ * afin que les dates affichées correspondent aux déclenchements réels.
+ */
+class CronUtils {
+  /**
+   * Valide un pattern cron (et le fuseau horaire éventuel)
+   * @param {string} pattern - Pattern cron (5 ou 6 champs)
+   * @param {Object} [options] - { tz }
+   * @returns {{valid: boolean, error: (string|null)}}
+   */
+  static validate(pattern, options = {}) {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+      return { valid: false, error: 'Pattern cron requis' };
+    }
+
+    const fields = pattern.trim().split(/\s+/);
+    if (fields.length < 5 || fields.length > 6) {
+      return { valid: false, error: `Pattern cron "${pattern}" invalide : 5 ou 6 champs attendus (${fields.length} trouvés)` };
+    }
+
+    if (options.tz && !CronUtils.isValidTimezone(options.tz)) {
+      return { valid: false, error: `Fuseau horaire "${options.tz}" inconnu` };
+    }
+
+    try {
+      cronParser.parseExpression(pattern, { tz: options.tz });
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: `Pattern cron "${pattern}" invalide : ${error.message}` };
+    }
+  }
+
+  /**
+   * Valide un pattern et lève une erreur s'il est invalide
+   * @param {string} pattern - Pattern cron
+   * @param {Object} [options] - { tz }
+   */
+  static assertValid(pattern, options = {}) {
+    const { valid, error } = CronUtils.validate(pattern, options);
+    if (!valid) {
+      throw new Error(error);
+    }
+  }
+
+  /**
+   * Calcule les N prochaines exécutions d'un pattern cron
+   * @param {string} pattern - Pattern cron
+   * @param {Object} [options] - { count = 1, tz, currentDate = maintenant, endDate }
+   * @returns {Date[]} Dates des prochaines exécutions (triées)
+   */
+  static getNextExecutions(pattern, options = {}) {
+    const { count = 1, tz, currentDate = new Date(), endDate } = options;
+    CronUtils.assertValid(pattern, { tz });
+
+    const interval = cronParser.parseExpression(pattern, {
+      currentDate: new Date(currentDate),
+      endDate: endDate ? new Date(endDate) : undefined,
+      tz
+    });
+
+    const executions = [];
+    while (executions.length < count && interval.hasNext()) {
+      executions.push(interval.next().toDate());
+    }
+    return executions;
+  }
+
+  /**
+   * Calcule la prochaine exécution d'un pattern cron
+   * @param {string} pattern - Pattern cron
+   * @param {Object} [options] - { tz, currentDate }
+   * @returns {Date|null} Prochaine exécution (null si aucune)
+   */
+  static getNextExecution(pattern, options = {}) {
+    const [next] = CronUtils.getNextExecutions(pattern, { ...options, count: 1 });
+    return next || null;
+  }
+
+  /**
+   * Calcule les prochaines exécutions d'un job récurrent BullMQ (pattern ou every)
+   * @param {Object} repeatable - Entrée de queue.getRepeatableJobs()
+   * @param {Object} [options] - { count = 3, currentDate }
+   * @returns {Date[]} Dates des prochaines exécutions
+   */
+  static getRepeatableExecutions(repeatable, options = {}) {
+    const { count = 3, currentDate = new Date() } = options;
+
+    if (repeatable.pattern) {
+      return CronUtils.getNextExecutions(repeatable.pattern, {
+        count,
+        currentDate,
+        tz: repeatable.tz || undefined,
+        endDate: repeatable.endDate || undefined
+      });
+    }
+
+    const every = Number(repeatable.every);
+    if (!every) return [];
+
+    const now = new Date(currentDate).getTime();
+    const first = repeatable.next && repeatable.next > now
+      ? repeatable.next
+      : Math.floor(now / every) * every + every;
+
+    return Array.from({ length: count }, (_, index) => new Date(first + index * every))
+      .filter(date => !repeatable.endDate || date.getTime() <= repeatable.endDate);
+  }
+
+  /**
+   * Vérifie qu'un fuseau horaire IANA est reconnu
+   * @param {string} tz - Fuseau (ex: Africa/Abidjan)
+   * @returns {boolean}
+   */
+  static isValidTimezone(tz) {
+    try {
+      new Intl.DateTimeFormat('fr-FR', { timeZone: tz });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = CronUtils;
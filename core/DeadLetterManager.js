@@ -0,0 +1,300 @@
+/**
+ * DeadLetterManager - Dead-letter queues pour les jobs ayant épuisé leurs tentatives
+ *
+ * Chaque queue surveillée capture ses échecs définitifs dans "<queue>-dlq"
+ * (mode 'per-queue') ou dans une queue partagée (mode 'shared').
+ * Une entrée conserve le payload d'origine, les options, la raison de chaque
+ * échec et l'historique des tentatives. Les entrées peuvent être consultées,
+ * corrigées (payload), rejouées sur la queue d'origine ou supprimées.
+ *
+ * Les queues DLQ n'ont pas de worker : les entrées y restent en attente.
+ */
+class DeadLetterManager {
+  constructor(config) {
+    this.config = config;
+    this.backend = config.backend;
+    this.options = {
+      enabled: true,
+      mode: 'per-queue', // 'per-queue' | 'shared'
+      suffix: '-dlq',
+      sharedQueueName: 'dead-letter',
+      onDeadLetter: null, // Callback (entry) appelé à chaque capture
+      ...config.deadLetter
+    };
+
+    this.dlqQueues = new Map();
+    this.watchedQueues = new Set();
+  }
+
+  /**
+   * Indique si la capture automatique est active
+   */
+  isEnabled() {
+    return this.options.enabled !== false;
+  }
+
+  /**
+   * Nom de la DLQ associée à une queue
+   */
+  getDeadLetterQueueName(queueName) {
+    return this.options.mode === 'shared'
+      ? this.options.sharedQueueName
+      : `${queueName}${this.options.suffix}`;
+  }
+
+  /**
+   * Indique si une queue est elle-même une DLQ
+   */
+  isDeadLetterQueue(queueName) {
+    return queueName === this.options.sharedQueueName ||
+      Array.from(this.dlqQueues.keys()).includes(queueName);
+  }
+
+  /**
+   * Récupère (ou crée) la queue DLQ d'une queue
+   */
+  getDeadLetterQueue(queueName) {
+    const dlqName = this.getDeadLetterQueueName(queueName);
+
+    if (!this.dlqQueues.has(dlqName)) {
+      const queue = new this.backend.Queue(dlqName, { connection: this.backend.connection });
+      queue.on('error', (error) => {
+        console.error(`❌ Erreur DLQ "${dlqName}":`, error);
+      });
+      this.dlqQueues.set(dlqName, queue);
+    }
+
+    return this.dlqQueues.get(dlqName);
+  }
+
+  /**
+   * Surveille les échecs définitifs d'une queue (via l'événement 'failed' de QueueEvents)
+   */
+  watch(queueName, queue, eventManager) {
+    if (!this.isEnabled() || this.watchedQueues.has(queueName) || this.isDeadLetterQueue(queueName)) {
+      return;
+    }
+
+    this.getDeadLetterQueue(queueName);
+    eventManager.addListener(queueName, 'failed', ({ jobId, failedReason }) => {
+      this.capture(queueName, queue, jobId, failedReason).catch(error => {
+        console.error(`❌ Erreur capture DLQ du job ${jobId} (${queueName}):`, error);
+      });
+    });
+
+    this.watchedQueues.add(queueName);
+    console.log(`🪦 DLQ "${this.getDeadLetterQueueName(queueName)}" active pour "${queueName}"`);
+  }
+
+  /**
+   * Copie un job en échec définitif dans la DLQ
+   */
+  async capture(queueName, queue, jobId, failedReason) {
+    const job = await queue.getJob(jobId);
+    const now = this.now();
+
+    const entry = job ? {
+      originalQueue: queueName,
+      originalJobId: String(job.id),
+      jobName: job.name,
+      data: job.data,
+      opts: this.pickReplayOptions(job.opts),
+      failedReason: job.failedReason || failedReason,
+      attemptsMade: job.attemptsMade,
+      failures: this.buildFailureHistory(job, failedReason),
+      createdAt: job.timestamp ? new Date(job.timestamp) : null,
+      processedOn: job.processedOn ? new Date(job.processedOn) : null,
+      failedAt: job.finishedOn ? new Date(job.finishedOn) : now,
+      deadLetteredAt: now,
+      edits: []
+    } : {
+      // Job déjà supprimé (removeOnFail) : seule la raison de l'échec est connue
+      originalQueue: queueName,
+      originalJobId: String(jobId),
+      jobName: null,
+      data: null,
+      opts: {},
+      failedReason,
+      attemptsMade: null,
+      failures: [{ attempt: null, message: failedReason }],
+      failedAt: now,
+      deadLetteredAt: now,
+      edits: []
+    };
+
+    const dlq = this.getDeadLetterQueue(queueName);
+    const dlqJob = await dlq.add(entry.jobName || 'unknown', entry, {
+      jobId: this.entryId(queueName, jobId),
+      attempts: 1,
+      removeOnComplete: false,
+      removeOnFail: false
+    });
+
+    console.warn(`🪦 Job ${jobId} (${entry.jobName}) de "${queueName}" placé en DLQ "${dlq.name}" (entrée ${dlqJob.id})`);
+
+    if (typeof this.options.onDeadLetter === 'function') {
+      await this.options.onDeadLetter(this.toEntry(dlqJob));
+    }
+
+    return this.toEntry(dlqJob);
+  }
+
+  /**
+   * Historique des tentatives à partir des stacktraces conservées par BullMQ
+   */
+  buildFailureHistory(job, failedReason) {
+    const stacktraces = job.stacktrace || [];
+    const failures = stacktraces.map((stack, index) => ({
+      attempt: index + 1,
+      message: String(stack || '').split('\n')[0].replace(/^[A-Za-z]*Error: /, '')
+    }));
+
+    if (failures.length === 0) {
+      failures.push({ attempt: job.attemptsMade || 1, message: job.failedReason || failedReason });
+    }
+
+    return failures;
+  }
+
+  /**
+   * Options conservées pour rejouer le job à l'identique
+   */
+  pickReplayOptions(opts = {}) {
+    const { attempts, backoff, priority, lifo, removeOnComplete, removeOnFail } = opts;
+    return Object.fromEntries(
+      Object.entries({ attempts, backoff, priority, lifo, removeOnComplete, removeOnFail })
+        .filter(([, value]) => value !== undefined)
+    );
+  }
+
+  /**
+   * Liste les entrées DLQ d'une queue (les plus récentes en premier)
+   */
+  async list(queueName, { start = 0, end = -1 } = {}) {
+    const dlq = this.getDeadLetterQueue(queueName);
+    const jobs = await dlq.getJobs(['waiting', 'paused', 'delayed']);
+
+    const entries = jobs
+      .filter(job => job && job.data && job.data.originalQueue === queueName)
+      .map(job => this.toEntry(job))
+      .sort((a, b) => new Date(b.deadLetteredAt) - new Date(a.deadLetteredAt));
+
+    return end === -1 ? entries.slice(start) : entries.slice(start, end + 1);
+  }
+
+  /**
+   * Nombre d'entrées DLQ d'une queue
+   */
+  async count(queueName) {
+    return (await this.list(queueName)).length;
+  }
+
+  /**
+   * Récupère une entrée DLQ
+   */
+  async get(queueName, entryId) {
+    const job = await this.getEntryJob(queueName, entryId);
+    return this.toEntry(job);
+  }
+
+  /**
+   * Corrige le payload d'une entrée avant rejeu (historique des modifications conservé)
+   */
+  async updatePayload(queueName, entryId, data, { editedBy = null } = {}) {
+    const job = await this.getEntryJob(queueName, entryId);
+
+    const entry = {
+      ...job.data,
+      data,
+      edits: [
+        ...(job.data.edits || []),
+        { editedAt: this.now(), editedBy, previousData: job.data.data }
+      ]
+    };
+
+    await job.updateData(entry);
+    console.log(`✏️  Payload de l'entrée DLQ ${entryId} (${queueName}) modifié`);
+    return this.toEntry(job);
+  }
+
+  /**
+   * Rejoue une entrée sur sa queue d'origine puis la retire de la DLQ
+   */
+  async replay(manager, queueName, entryId, { data, options = {} } = {}) {
+    const job = await this.getEntryJob(queueName, entryId);
+    const entry = job.data;
+
+    if (!entry.jobName) {
+      throw new Error(`Entrée DLQ ${entryId} non rejouable : job d'origine inconnu`);
+    }
+
+    const replayedJob = await manager.addJob(
+      entry.originalQueue,
+      entry.jobName,
+      data !== undefined ? data : entry.data,
+      { ...entry.opts, ...options }
+    );
+
+    await job.remove();
+    console.log(`🔁 Entrée DLQ ${entryId} rejouée sur "${entry.originalQueue}" (nouveau job ${replayedJob.id})`);
+
+    return replayedJob;
+  }
+
+  /**
+   * Supprime définitivement une entrée DLQ
+   */
+  async discard(queueName, entryId, reason = null) {
+    const job = await this.getEntryJob(queueName, entryId);
+    await job.remove();
+    console.log(`🗑️  Entrée DLQ ${entryId} (${queueName}) supprimée${reason ? `: ${reason}` : ''}`);
+    return true;
+  }
+
+  /**
+   * Récupère le job DLQ d'une entrée en vérifiant sa queue d'origine
+   */
+  async getEntryJob(queueName, entryId) {
+    const dlq = this.getDeadLetterQueue(queueName);
+    const job = await dlq.getJob(entryId);
+
+    if (!job || !job.data || job.data.originalQueue !== queueName) {
+      throw new Error(`Entrée DLQ "${entryId}" introuvable pour la queue "${queueName}"`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Identifiant stable d'une entrée (une seule entrée par job d'origine)
+   */
+  entryId(queueName, jobId) {
+    return `${queueName}-${jobId}`.replace(/:/g, '_');
+  }
+
+  toEntry(job) {
+    return {
+      id: String(job.id),
+      dlq: job.queueName,
+      ...job.data
+    };
+  }
+
+  now() {
+    return this.config.clock ? this.config.clock.date() : new Date();
+  }
+
+  /**
+   * Ferme les queues DLQ
+   */
+  async shutdown() {
+    for (const [dlqName, queue] of this.dlqQueues) {
+      await queue.close();
+      console.log(`✅ DLQ "${dlqName}" fermée`);
+    }
+    this.dlqQueues.clear();
+    this.watchedQueues.clear();
+  }
+}
+
+module.exports = DeadLetterManager;
@@ -1,93 +1,632 @@
-const nodemailer = require('nodemailer');
+const path = require('path');
+const { htmlToText } = require('./htmlToText');
+const { DEFAULT_LOCALE, DEFAULT_CURRENCY, recipientLocale, translateSubject } = require('./i18n');
+const { createTemplateRegistry } = require('./templating');
+const { mergeBrand } = require('./templating/brand');
+const { resolveTransport } = require('./transports');
+const { createDeliveryTracker } = require('./tracking');
 
 /**
  * @typedef {Object} EmailConfig
- * @property {string} from - Adresse email d'envoi
- * @property {string} password - Mot de passe d'application Gmail
+ * @property {string} [from] - Expéditeur par défaut ('Flexmo <contact@flexmo.app>' ou adresse seule)
+ * @property {string} [email] - Identifiant Gmail (transport par défaut, sinon adresse de `from`)
+ * @property {string} [password] - Mot de passe d'application Gmail (transport par défaut)
+ * @property {string|Object} [transport] - Transport ('gmail', 'smtp', 'outbox', 'json', 'sendgrid',
+ *   'mailgun', 'postmark', { type, ...options } ou objet { sendMail, verify })
+ * @property {string} [templatesDir] - Dossier des templates EJS
+ * @property {string} [locale] - Locale par défaut des destinataires (défaut : 'fr-CI') ; variantes `<nom>.<langue>.ejs`
+ * @property {string} [currency] - Devise par défaut des montants (défaut : 'EUR', reimbursement.currency prioritaire)
+ * @property {Object|false} [htmlPipeline] - Post-traitement des templates rendus ({ inlineCss, sanitize, maxSize }) :
+ *   CSS inliné, constructions non supportées retirées, taille maximale (102 Ko par défaut) ; false pour le désactiver
+ * @property {boolean} [textAlternative] - Partie texte générée pour les emails HTML (défaut : true) ;
+ *   un template `<nom>.txt.ejs` remplace la conversion automatique
+ * @property {Object} [brand] - Identité des emails ({ name, logoUrl, website, address, colors, supportContact }),
+ *   fusionnée avec la marque Flexmo par défaut
+ * @property {Object} [brands] - Identités par entreprise cliente ({ [companyId | nom]: surcharges de brand })
+ * @property {Object} [supportContact] - Contact support ({ email, phone, hours }), raccourci de brand.supportContact
+ * @property {Object} [templateRegistry] - Registre des templates (TemplateRegistry ou { store: 'memory' | 'file' | 'mongo',
+ *   directory, mongo, templates, fixtures }) : versions enregistrées, aperçu, variables requises
+ * @property {number} [batchConcurrency] - Envois simultanés de sendBatch (défaut : 5)
+ * @property {Object} [tracking] - Suivi de délivrabilité (DeliveryTracker ou { baseUrl, secret, store, mongo,
+ *   openPixel, rewriteLinks, perRecipient, webhooks })
  * @property {boolean} [isProduction] - Mode production
+ * @property {Object} [loggerService] - Logger de production (info, error)
  */
 
 /**
- * Service d'envoi d'emails utilisant Nodemailer avec Gmail
+ * @typedef {Object} EmailMessage
+ * @property {string|string[]} to - Destinataire(s)
+ * @property {string} subject - Sujet de l'email
+ * @property {string} [content] - Contenu (HTML si balisé, texte sinon)
+ * @property {string} [html] - Contenu HTML
+ * @property {string} [text] - Contenu texte (généré depuis le HTML si absent)
+ * @property {string|string[]} [cc] - Copie
+ * @property {string|string[]} [bcc] - Copie cachée
+ * @property {string} [replyTo] - Adresse de réponse
+ * @property {string} [from] - Expéditeur (défaut : config.from)
+ * @property {Array} [attachments] - Pièces jointes (format Nodemailer)
+ * @property {string} [priority] - 'low', 'normal', 'high', 'urgent' ou 'critical'
+ * @property {Object} [headers] - En-têtes additionnels
+ * @property {Object|false} [context] - Contexte de suivi ({ jobId, queueName, reimbursementId, emailType }), false : non suivi
+ */
+
+/**
+ * Service d'envoi d'emails - contrat unique utilisé par les handlers
+ *
+ * sendEmail(message), sendTemplated(template, data, message), sendReminderEmail(options),
+ * sendBatch(messages) et verifyConnection(). Le transport est configurable (Gmail par défaut).
+ * Un service tiers peut implémenter une partie du contrat : voir EmailServiceAdapter.
  */
 class EmailService {
     /**
      * Crée une instance du service d'email
      * @param {EmailConfig} config - Configuration du service
      */
-    constructor(config) {
-        this.config = config;
+    constructor(config = {}) {
+        const from = config.from || config.defaultFrom || 'Flexmo <contact@flexmo.app>';
+        const brand = mergeBrand(config.brand, config.supportContact && { supportContact: config.supportContact });
+
+        this.config = {
+            isProduction: config.isProduction || process.env.NODE_ENV === 'production',
+            loggerService: config.loggerService,
+            from,
+            email: config.email || process.env.GMAIL_USER || this.extractAddress(from),
+            password: config.password || process.env.GMAIL_APP_PASSWORD,
+            transport: config.transport,
+            templatesDir: config.templatesDir || path.join(__dirname, '..', 'lite', 'templates'),
+            locale: config.locale || DEFAULT_LOCALE,
+            currency: config.currency || DEFAULT_CURRENCY,
+            htmlPipeline: config.htmlPipeline === false ? false : { ...config.htmlPipeline },
+            textAlternative: config.textAlternative !== false,
+            brand,
+            brands: config.brands || {},
+            supportContact: brand.supportContact,
+            batchConcurrency: config.batchConcurrency || 5
+        };
+
+        // Métriques en mémoire
+        this.metrics = {
+            emails: {
+                sent: 0,
+                failed: 0,
+                byTemplate: {}
+            },
+            startTime: new Date()
+        };
+
         this.transporter = null;
         this.initialize();
+
+        // Registre des templates (versions, aperçu), partagé avec MailManager
+        this.templates = createTemplateRegistry(config.templateRegistry, {
+            templatesDir: this.config.templatesDir,
+            htmlPipeline: this.config.htmlPipeline,
+            locale: this.config.locale,
+            currency: this.config.currency,
+            brand: this.config.brand,
+            brands: this.config.brands
+        });
+
+        // Suivi de délivrabilité (optionnel)
+        this.tracker = createDeliveryTracker(config.tracking);
     }
 
     /**
-     * Initialise le transporteur Nodemailer
+     * Initialise le transport d'envoi
      * @private
      */
     initialize() {
-        this.transporter = nodemailer.createTransport({
-            service: 'gmail',
+        this.transporter = resolveTransport(this.config.transport, {
             auth: {
-                user: this.config.from,
+                user: this.config.email,
                 pass: this.config.password
             }
         });
     }
 
+    /**
+     * Vérifie la connexion au transport (serveur SMTP, dossier outbox, clé d'API...)
+     * @returns {Promise<boolean>} État de la connexion
+     */
+    async verifyConnection() {
+        try {
+            await this.transporter.verify();
+            this.log(`✅ Connexion ${this.transporter.name} vérifiée`);
+            return true;
+        } catch (error) {
+            this.logError(`❌ Erreur connexion ${this.transporter.name}:`, error);
+            return false;
+        }
+    }
+
     /**
      * Envoie un email
+     * @param {EmailMessage} message - Message à envoyer
+     * @returns {Promise<Object>} Résultat ({ success, messageId, response, accepted, rejected })
+     */
+    async sendEmail(message) {
+        return this.dispatch(this.buildMailOptions(message), 'email', message.context);
+    }
+
+    /**
+     * Rend un template EJS puis envoie l'email
+     * @param {string} templateName - Nom du template (sans extension)
+     * @param {Object} data - Données du template (data.locale : variante localisée et formats)
+     * @param {EmailMessage} message - Destinataires, sujet et options d'envoi
+     * @returns {Promise<Object>} Résultat de l'envoi
+     */
+    async sendTemplated(templateName, data, message) {
+        return this.dispatchTemplate(templateName, data || {}, message, templateName,
+            message.context === false ? false : { template: templateName, ...message.context });
+    }
+
+    /**
+     * Envoie un email de rappel, dans la langue de chaque destinataire
+     * Les destinataires sont regroupés par locale (un email par langue, un par destinataire avec le
+     * suivi individuel) ; le sujet vient du catalogue i18n quand le template porte une clé (subjectKey).
      * @param {Object} options - Options d'envoi
-     * @param {string|string[]} options.to - Destinataire(s)
-     * @param {string} options.subject - Sujet de l'email
-     * @param {string} [options.text] - Contenu texte
-     * @param {string} [options.html] - Contenu HTML
-     * @param {Array} [options.attachments] - Pièces jointes
+     * @param {string} options.type - Type d'email ('payment-reminder' ou 'payment-overdue')
+     * @param {Array} options.recipients - Liste des destinataires ({ name, email, locale })
+     * @param {Object} options.reimbursement - Données du remboursement ({ currency, locale } optionnels)
+     * @param {Object} options.daysInfo - Informations sur les jours
+     * @param {Object} options.template - Configuration du template ({ template, subject, subjectKey })
+     * @param {Array} [options.attachments] - Pièces jointes (ex : relevé de paiement PDF, invitation .ics)
+     * @param {Object} [options.context] - Contexte de suivi ({ jobId, queueName })
+     * @returns {Promise<Object>} Résultat de l'envoi
+     */
+    async sendReminderEmail(options) {
+        const { type, recipients, reimbursement } = options;
+        const context = {
+            ...options.context,
+            emailType: type,
+            template: options.template.template,
+            reimbursementId: reimbursement.id
+        };
+
+        // Suivi par destinataire : un email chacun pour savoir qui a lu
+        const groups = this.tracker?.perRecipient
+            ? recipients.map(recipient => [recipient])
+            : this.groupByLocale(recipients, reimbursement);
+
+        if (groups.length > 1) {
+            return this.sendReminderGroups(options, groups, context);
+        }
+
+        try {
+            const result = await this.dispatchReminder(options, recipients, context);
+
+            return {
+                ...result,
+                type,
+                recipientCount: recipients.length
+            };
+        } catch (error) {
+            this.logError(`❌ Erreur envoi email ${type}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Envoie le rappel à chaque groupe de destinataires (langue ou suivi individuel)
+     * Un échec partiel n'entraîne pas de retry, pour ne pas renvoyer aux destinataires déjà servis.
+     * @private
+     */
+    async sendReminderGroups(options, groups, context) {
+        const { type, recipients } = options;
+        const deliveries = [];
+        const errors = [];
+
+        for (const group of groups) {
+            try {
+                const result = await this.dispatchReminder(options, group, context);
+                group.forEach(recipient => deliveries.push({
+                    recipient: recipient.email,
+                    locale: result.locale,
+                    success: true,
+                    messageId: result.messageId,
+                    trackingId: result.trackingId
+                }));
+            } catch (error) {
+                errors.push(error);
+                group.forEach(recipient => deliveries.push({ recipient: recipient.email, success: false, error: error.message }));
+            }
+        }
+
+        const sent = deliveries.filter(delivery => delivery.success);
+        if (sent.length === 0) {
+            this.logError(`❌ Erreur envoi email ${type}:`, errors[0]);
+            throw errors[0];
+        }
+        if (errors.length > 0) {
+            this.log(`⚠️ Rappel ${type} non envoyé à ${deliveries.filter(d => !d.success).map(d => d.recipient).join(', ')}`);
+        }
+
+        return {
+            success: true,
+            messageId: sent[0].messageId,
+            messageIds: [...new Set(sent.map(delivery => delivery.messageId))],
+            trackingIds: [...new Set(sent.map(delivery => delivery.trackingId).filter(Boolean))],
+            type,
+            recipientCount: recipients.length,
+            deliveries
+        };
+    }
+
+    /**
+     * Rend et envoie le rappel à des destinataires de même locale
+     * @private
+     */
+    async dispatchReminder(options, recipients, context) {
+        const { type, reimbursement, daysInfo, template } = options;
+        const locale = recipientLocale(recipients[0], reimbursement, this.config.locale);
+
+        const result = await this.dispatchTemplate(template.template, {
+            reimbursement,
+            daysInfo,
+            locale,
+            recipient: recipients[0] // Premier destinataire pour personnalisation
+        }, {
+            to: recipients.map(r => r.email),
+            subject: (template.subjectKey && translateSubject(template.subjectKey, locale, daysInfo)) || template.subject,
+            attachments: options.attachments
+        }, type, context);
+
+        return { ...result, locale };
+    }
+
+    /**
+     * Regroupe les destinataires par locale (ordre d'apparition conservé)
+     * @private
+     */
+    groupByLocale(recipients, reimbursement) {
+        const groups = new Map();
+        for (const recipient of recipients) {
+            const locale = recipientLocale(recipient, reimbursement, this.config.locale);
+            if (!groups.has(locale)) groups.set(locale, []);
+            groups.get(locale).push(recipient);
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Envoie une série d'emails (concurrence limitée, un échec n'interrompt pas le lot)
+     * @param {Array<EmailMessage>} messages - Messages ; { template, templateData } pour un rendu EJS
+     * @param {Object} [options] - { concurrency, stopOnError }
+     * @returns {Promise<Object>} { total, sent, failed, skipped, results: [{ index, success, messageId | error }] }
+     */
+    async sendBatch(messages, options = {}) {
+        const concurrency = options.concurrency || this.config.batchConcurrency;
+        const results = new Array(messages.length);
+        let next = 0;
+        let stopped = false;
+
+        const worker = async () => {
+            while (next < messages.length && !stopped) {
+                const index = next++;
+                const { template, templateData, ...message } = messages[index];
+
+                try {
+                    const result = template
+                        ? await this.sendTemplated(template, templateData, message)
+                        : await this.sendEmail(message);
+                    results[index] = { index, success: true, messageId: result.messageId };
+                } catch (error) {
+                    results[index] = { index, success: false, error: error.message };
+                    if (options.stopOnError) stopped = true;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, messages.length) }, worker));
+
+        const done = results.filter(Boolean);
+        const sent = done.filter(result => result.success).length;
+        this.log(`📬 Lot envoyé : ${sent}/${messages.length} emails`);
+
+        return {
+            total: messages.length,
+            sent,
+            failed: done.length - sent,
+            skipped: messages.length - done.length,
+            results: done
+        };
+    }
+
+    /**
+     * Envoie un email (options Nodemailer brutes)
+     * @param {Object} options - Options d'envoi Nodemailer
      * @returns {Promise<Object>} Résultat de l'envoi
      */
     async sendMail(options) {
+        return this.dispatch({ ...options, from: options.from || this.config.from }, 'mail', false);
+    }
+
+    /**
+     * Rend un template du registre (CSS inliné, HTML compatible clients mail)
+     * @param {string} templateName - Nom du template (sans extension)
+     * @param {Object} data - Données du template (data.locale : variante localisée et formats)
+     * @returns {Promise<string>} HTML rendu
+     * @throws {Error} Si le rendu échoue, si une variable requise manque ou si le HTML dépasse htmlPipeline.maxSize
+     */
+    async renderTemplate(templateName, data = {}) {
+        const rendered = await this.templates.render(templateName, data, { text: false });
+        return rendered.html;
+    }
+
+    /**
+     * Rapport de compatibilité clients mail d'un template rendu (sans lever d'erreur de compatibilité)
+     * @param {string} templateName - Nom du template (sans extension)
+     * @param {Object} data - Données du template
+     * @returns {Promise<Object>} { ok, size, errors, warnings, issues: [{ rule, severity, message }] }
+     */
+    async lintTemplate(templateName, data = {}) {
+        const preview = await this.templates.preview(templateName, data);
+        if (preview.error) {
+            throw new Error(preview.error);
+        }
+        return preview.report;
+    }
+
+    /**
+     * Aperçu d'un template avec des données d'exemple (HTML, texte, sujet, variables manquantes, rapport)
+     * @param {string} templateName - Nom du template (sans extension)
+     * @param {Object} [data] - Données complétant les données d'exemple
+     * @param {Object} [options] - { locale, version }
+     * @returns {Promise<Object>} { name, version, locale, subject, html, text, missingVariables, report, error }
+     */
+    async previewTemplate(templateName, data = {}, options = {}) {
+        return this.templates.preview(templateName, data, options);
+    }
+
+    /**
+     * Templates disponibles avec leur version courante et leurs variables requises
+     * @returns {Promise<Array<Object>>} [{ name, locale, engine, source, version, variables, ... }]
+     */
+    async listTemplates() {
+        return this.templates.list();
+    }
+
+    /**
+     * Variante localisée d'un template si elle existe (reminder-overdue.en-GB, reminder-overdue.en),
+     * sinon le template de base
+     * @param {string} templateName - Nom du template (sans extension)
+     * @param {string} locale - Locale du destinataire
+     * @returns {Promise<string>} Nom du template à rendre
+     */
+    async resolveTemplateName(templateName, locale) {
+        return this.templates.resolveName(templateName, locale);
+    }
+
+    /**
+     * Rend la partie texte d'un template : `<nom>.txt.ejs` s'il existe, sinon conversion du HTML rendu
+     * @param {string} templateName - Nom du template (sans extension)
+     * @param {Object} data - Données du template
+     * @param {string} [html] - HTML déjà rendu (évite un second rendu)
+     * @returns {Promise<string>} Texte brut
+     */
+    async renderTextTemplate(templateName, data = {}, html = null) {
+        const rendered = await this.templates.render(templateName, data, { text: html === null });
+        return rendered.text ?? htmlToText(html);
+    }
+
+    /**
+     * Rend le template (HTML et texte) puis envoie (métriques sous metricKey)
+     * La version du template rendu est enregistrée dans le suivi et retournée ({ template: { name, version } }).
+     * @private
+     */
+    async dispatchTemplate(templateName, data, message, metricKey, context = null) {
+        let rendered;
         try {
-            if (!this.config.isProduction) {
-                console.log('📧 Mode test - Email qui serait envoyé :', {
-                    from: this.config.from,
-                    to: options.to,
-                    subject: options.subject
+            rendered = await this.templates.render(templateName, data, { text: !message.text && this.config.textAlternative });
+        } catch (error) {
+            this.logError(`❌ Erreur rendu template ${templateName}:`, error);
+            this.updateMetrics(metricKey, false);
+            throw error;
+        }
+
+        const templateVersion = { name: rendered.name, version: rendered.version, checksum: rendered.checksum };
+        const result = await this.dispatch(this.buildMailOptions({
+            ...message,
+            subject: message.subject || rendered.subject,
+            html: rendered.html,
+            text: message.text || (this.config.textAlternative ? rendered.text : undefined)
+        }), metricKey, context === false ? false : { ...context, templateVersion });
+
+        return { ...result, template: { name: rendered.name, version: rendered.version } };
+    }
+
+    /**
+     * Envoie via le transport, met à jour les métriques et le suivi de délivrabilité
+     * @private
+     */
+    async dispatch(mailOptions, metricKey, context = null) {
+        const tracking = await this.prepareTracking(mailOptions, metricKey, context);
+        if (tracking) {
+            mailOptions = {
+                ...mailOptions,
+                html: tracking.html,
+                headers: { ...mailOptions.headers, 'X-Tracking-Id': tracking.trackingId }
+            };
+        }
+
+        this.log('📧 Envoi email:', { to: mailOptions.to, subject: mailOptions.subject });
+
+        try {
+            const result = await this.transporter.sendMail(mailOptions);
+            this.updateMetrics(metricKey, true);
+            this.log('✅ Email envoyé:', result.messageId);
+
+            if (tracking) {
+                await this.tracker.markSent(tracking.trackingId, result.messageId).catch(error => {
+                    this.logError(`❌ Erreur suivi email ${tracking.trackingId}:`, error);
                 });
             }
 
-            const result = await this.transporter.sendMail({
-                from: this.config.from,
-                to: Array.isArray(options.to) ? options.to.join(',') : options.to,
-                subject: options.subject,
-                text: options.text,
-                html: options.html,
-                attachments: options.attachments
-            });
-
             return {
                 success: true,
                 messageId: result.messageId,
-                response: result.response
+                response: result.response,
+                accepted: result.accepted,
+                rejected: result.rejected,
+                ...(tracking && { trackingId: tracking.trackingId })
             };
         } catch (error) {
-            console.error('❌ Erreur envoi email:', error);
+            this.updateMetrics(metricKey, false);
+            this.logError('❌ Erreur envoi email:', error);
+
+            if (tracking) {
+                await this.tracker.markFailed(tracking.trackingId, error).catch(trackingError => {
+                    this.logError(`❌ Erreur suivi email ${tracking.trackingId}:`, trackingError);
+                });
+            }
             throw error;
         }
     }
 
     /**
-     * Vérifie la connexion au serveur SMTP
-     * @returns {Promise<boolean>} État de la connexion
+     * Crée l'entrée de suivi d'un email HTML (null si non suivi ; une panne du suivi n'empêche pas l'envoi)
+     * @private
      */
-    async verifyConnection() {
+    async prepareTracking(mailOptions, metricKey, context) {
+        if (!this.tracker || context === false || !mailOptions.html) {
+            return null;
+        }
+
         try {
-            await this.transporter.verify();
-            return true;
+            return await this.tracker.prepare(mailOptions.html, {
+                emailType: metricKey,
+                subject: mailOptions.subject,
+                recipients: mailOptions.to.split(',').map(recipient => recipient.trim()),
+                ...context
+            });
         } catch (error) {
-            console.error('❌ Erreur connexion SMTP:', error);
-            return false;
+            this.logError('❌ Erreur suivi email (envoi sans suivi):', error);
+            return null;
+        }
+    }
+
+    /**
+     * Convertit un EmailMessage en options Nodemailer
+     * @private
+     */
+    buildMailOptions(message) {
+        if (!message.to || (Array.isArray(message.to) && message.to.length === 0)) {
+            throw new Error('Destinataire requis');
+        }
+        if (!message.subject) {
+            throw new Error('Sujet requis');
+        }
+
+        const isHtml = typeof message.content === 'string' && /<[a-z][\s\S]*>/i.test(message.content);
+        const html = message.html || (isHtml ? message.content : undefined);
+        const text = message.text || (!isHtml ? message.content : undefined)
+            || (html && this.config.textAlternative ? htmlToText(html) : undefined);
+        const priority = { urgent: 'high', critical: 'high' }[message.priority] || message.priority;
+
+        return {
+            from: message.from || this.config.from,
+            to: Array.isArray(message.to) ? message.to.join(', ') : message.to,
+            cc: message.cc,
+            bcc: message.bcc,
+            replyTo: message.replyTo,
+            subject: message.subject,
+            html,
+            text,
+            attachments: message.attachments,
+            headers: message.headers,
+            priority: ['low', 'normal', 'high'].includes(priority) ? priority : undefined
+        };
+    }
+
+    /**
+     * Met à jour les métriques
+     * @private
+     * @param {string} type - Type d'email ou template
+     * @param {boolean} success - Si l'envoi a réussi
+     */
+    updateMetrics(type, success) {
+        if (success) {
+            this.metrics.emails.sent++;
+        } else {
+            this.metrics.emails.failed++;
+        }
+
+        if (!this.metrics.emails.byTemplate[type]) {
+            this.metrics.emails.byTemplate[type] = { sent: 0, failed: 0 };
+        }
+
+        if (success) {
+            this.metrics.emails.byTemplate[type].sent++;
+        } else {
+            this.metrics.emails.byTemplate[type].failed++;
+        }
+    }
+
+    /**
+     * Récupère les métriques d'envoi
+     * @returns {Object} Métriques
+     */
+    getMetrics() {
+        return {
+            ...this.metrics,
+            uptime: Date.now() - this.metrics.startTime.getTime(),
+            successRate: this.calculateSuccessRate()
+        };
+    }
+
+    /**
+     * Calcule le taux de succès des envois
+     * @private
+     * @returns {number} Taux de succès en pourcentage
+     */
+    calculateSuccessRate() {
+        const total = this.metrics.emails.sent + this.metrics.emails.failed;
+        if (total === 0) return 100;
+        return (this.metrics.emails.sent / total) * 100;
+    }
+
+    /**
+     * Ferme le transport (pool SMTP)
+     */
+    async close() {
+        await this.transporter.close?.();
+        await this.tracker?.close();
+        await this.templates.close();
+    }
+
+    /**
+     * @private
+     */
+    extractAddress(from) {
+        const match = /<([^>]+)>/.exec(from);
+        return match ? match[1] : from;
+    }
+
+    /**
+     * Logger intelligent selon l'environnement
+     * @param {string} message - Message à logger
+     * @param {*} data - Données additionnelles
+     */
+    log(message, data = null) {
+        if (!this.config.isProduction) {
+            console.log(message, data || '');
+        } else if (this.config.loggerService) {
+            this.config.loggerService.info(message, data);
+        }
+    }
+
+    /**
+     * Logger d'erreurs
+     * @param {string} message - Message d'erreur
+     * @param {Error} error - Erreur
+     */
+    logError(message, error) {
+        if (!this.config.isProduction) {
+            console.error(message, error);
+        } else if (this.config.loggerService) {
+            this.config.loggerService.error(message, { error: error.message, stack: error.stack });
         }
     }
 }
 
-module.exports = EmailService;
\ No newline at end of file
+module.exports = EmailService;
@@ -0,0 +1,208 @@
+const { htmlToText } = require('./htmlToText');
+
+/**
+ * EmailServiceAdapter - Expose le contrat EmailService complet au-dessus de n'importe quel service email
+ *
+ * Contrat : sendEmail, sendTemplated, sendReminderEmail, sendBatch, verifyConnection.
+ * Les méthodes implémentées par le service sont appelées telles quelles ; les autres sont
+ * dérivées (sendEmail ← sendMail, sendTemplated ← renderTemplate + sendEmail, ...).
+ * Une méthode impossible à dériver lève une erreur explicite plutôt que
+ * "sendEmail is not a function" au milieu d'un job.
+ */
+const CONTRACT = ['sendEmail', 'sendTemplated', 'sendReminderEmail', 'sendBatch', 'verifyConnection'];
+
+class EmailServiceAdapter {
+  /**
+   * @param {Object} service - Service email (EmailService, service tiers, mock)
+   * @param {Object} [options] - { renderTemplate(name, data) } pour dériver les envois templatés
+   */
+  constructor(service, options = {}) {
+    if (!service || typeof service !== 'object') {
+      throw new Error('Service email requis');
+    }
+
+    this.service = service;
+    this.renderer = options.renderTemplate || null;
+  }
+
+  /**
+   * Adapte un service (retourne l'adaptateur tel quel s'il l'est déjà)
+   */
+  static wrap(service, options = {}) {
+    if (!service) return null;
+    if (service instanceof EmailServiceAdapter) return service;
+    return new EmailServiceAdapter(service, options);
+  }
+
+  /**
+   * Méthodes du contrat que le service n'implémente pas nativement
+   */
+  static missingMethods(service) {
+    return CONTRACT.filter(method => typeof service?.[method] !== 'function');
+  }
+
+  /**
+   * Envoie un email ({ to, subject, content | html | text, attachments, priority })
+   */
+  async sendEmail(message) {
+    if (this.implements('sendEmail')) {
+      return this.service.sendEmail(message);
+    }
+
+    if (this.implements('sendMail')) {
+      const isHtml = typeof message.content === 'string' && /<[a-z][\s\S]*>/i.test(message.content);
+      const { content, priority, context, ...options } = message;
+      const html = message.html || (isHtml ? content : undefined);
+      const result = await this.service.sendMail({
+        ...options,
+        to: Array.isArray(message.to) ? message.to.join(', ') : message.to,
+        html,
+        text: message.text || (!isHtml ? content : undefined) || (html ? htmlToText(html) : undefined)
+      });
+      return { success: true, ...result };
+    }
+
+    throw this.unsupported('sendEmail', 'sendEmail ou sendMail');
+  }
+
+  /**
+   * Rend un template puis envoie l'email
+   */
+  async sendTemplated(templateName, data, message) {
+    if (this.implements('sendTemplated')) {
+      return this.service.sendTemplated(templateName, data, message);
+    }
+
+    const html = await this.renderTemplate(templateName, data, 'sendTemplated');
+    const text = message.text || (this.implements('renderTextTemplate')
+      ? await this.service.renderTextTemplate(templateName, data, html)
+      : htmlToText(html));
+    return this.sendEmail({ ...message, html, text });
+  }
+
+  /**
+   * Envoie un email de rappel ({ type, recipients, reimbursement, daysInfo, template })
+   */
+  async sendReminderEmail(options) {
+    if (this.implements('sendReminderEmail')) {
+      return this.service.sendReminderEmail(options);
+    }
+
+    const { type, recipients, reimbursement, daysInfo, template } = options;
+    const result = await this.sendTemplated(template.template, {
+      reimbursement,
+      daysInfo,
+      recipient: recipients[0]
+    }, {
+      to: recipients.map(recipient => recipient.email),
+      subject: template.subject,
+      attachments: options.attachments
+    });
+
+    return { ...result, type, recipientCount: recipients.length };
+  }
+
+  /**
+   * Envoie une série d'emails, un par un si le service n'a pas d'envoi groupé
+   */
+  async sendBatch(messages, options = {}) {
+    if (this.implements('sendBatch')) {
+      return this.service.sendBatch(messages, options);
+    }
+
+    const results = [];
+    for (const [index, { template, templateData, ...message }] of messages.entries()) {
+      try {
+        const result = template
+          ? await this.sendTemplated(template, templateData, message)
+          : await this.sendEmail(message);
+        results.push({ index, success: true, messageId: result.messageId });
+      } catch (error) {
+        results.push({ index, success: false, error: error.message });
+        if (options.stopOnError) break;
+      }
+    }
+
+    const sent = results.filter(result => result.success).length;
+    return {
+      total: messages.length,
+      sent,
+      failed: results.length - sent,
+      skipped: messages.length - results.length,
+      results
+    };
+  }
+
+  /**
+   * Vérifie la connexion (verifyConnection, verify, ou true si le service n'expose aucune vérification)
+   */
+  async verifyConnection() {
+    if (this.implements('verifyConnection')) {
+      return this.service.verifyConnection();
+    }
+
+    if (this.implements('verify')) {
+      try {
+        await this.service.verify();
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Suivi de délivrabilité du service sous-jacent (DeliveryTracker ou null)
+   */
+  get tracker() {
+    return this.service.tracker || null;
+  }
+
+  /**
+   * Registre des templates du service sous-jacent (TemplateRegistry ou null)
+   */
+  get templates() {
+    return this.service.templates || null;
+  }
+
+  /**
+   * Métriques du service sous-jacent (si disponibles)
+   */
+  getMetrics() {
+    return this.implements('getMetrics') ? this.service.getMetrics() : null;
+  }
+
+  /**
+   * @private
+   */
+  async renderTemplate(templateName, data, method) {
+    if (this.implements('renderTemplate')) {
+      return this.service.renderTemplate(templateName, data);
+    }
+    if (this.renderer) {
+      return this.renderer(templateName, data);
+    }
+    throw this.unsupported(method, `${method} ou renderTemplate`);
+  }
+
+  /**
+   * @private
+   */
+  implements(method) {
+    return typeof this.service[method] === 'function';
+  }
+
+  /**
+   * @private
+   */
+  unsupported(method, expected) {
+    const constructor = this.service.constructor;
+    const name = constructor && constructor !== Object ? constructor.name : 'Le service email';
+    return new Error(`${name} ne supporte pas ${method} : implémentez ${expected}`);
+  }
+}
+
+module.exports = EmailServiceAdapter;
+module.exports.CONTRACT = CONTRACT;
@@ -1,4 +1,4 @@
-const { QueueEvents } = require('bullmq');
+const { resolveBackend } = require('./backends');
 
 /**
  * EventManager - Système d'événements unifié
@@ -11,7 +11,8 @@ class EventManager {
     this.config = config;
     this.queueEvents = new Map();
     this.customListeners = new Map();
-    this.connection = config.redis;
+    this.backend = resolveBackend(config);
+    this.connection = this.backend.connection;
     this.globalListeners = new Map();
   }
 
@@ -53,7 +54,7 @@ class EventManager {
       return this.queueEvents.get(queueName);
     }
 
-    const queueEvents = new QueueEvents(queueName, {
+    const queueEvents = new this.backend.QueueEvents(queueName, {
       connection: this.connection
     });
 
@@ -1,4 +1,4 @@
-const { FlowProducer } = require('bullmq');
+const { resolveBackend } = require('./backends');
 
 /**
  * FlowManager - Gestion des workflows complexes
@@ -10,7 +10,8 @@ class FlowManager {
   constructor(config) {
     this.config = config;
     this.flowProducer = null;
-    this.connection = config.redis;
+    this.backend = resolveBackend(config);
+    this.connection = this.backend.connection;
     this.flows = new Map();
   }
 
@@ -20,7 +21,7 @@ class FlowManager {
   async initialize() {
     console.log('🌊 Initialisation du FlowManager...');
     
-    this.flowProducer = new FlowProducer({
+    this.flowProducer = new this.backend.FlowProducer({
       connection: this.connection
     });
 
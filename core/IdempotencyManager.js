@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { resolveIdempotencyStore } = require('./idempotency');
+
+/**
+ * IdempotencyManager - Exécution unique des effets de bord (emails, appels externes...)
+ *
+ * runOnce(key, fn) réserve la clé, exécute fn puis enregistre son résultat.
+ * Un job rejoué (retry après un envoi réussi mais non acquitté, doublon planifié...)
+ * retrouve la clé terminée : l'effet de bord est sauté et le résultat d'origine renvoyé.
+ * Si la clé est réservée par une exécution en cours, une erreur est levée pour que
+ * BullMQ retente plus tard ; en cas d'échec de fn, la réservation est libérée.
+ */
+class IdempotencyManager {
+  constructor(config) {
+    this.config = config;
+    this.options = {
+      enabled: true,
+      store: null, // 'memory' | 'redis' | 'mongo' | objet (défaut selon le backend)
+      ttl: 7 * 24 * 60 * 60 * 1000, // Conservation des clés exécutées (7 jours)
+      lockTtl: 5 * 60 * 1000, // Durée max d'une réservation (5 minutes)
+      prefix: 'idempotency',
+      ...config.idempotency
+    };
+
+    this.store = resolveIdempotencyStore(this.options, config);
+    this.stats = new Map();
+  }
+
+  /**
+   * Construit une clé à partir de ses composants (ex: remboursement, type, date)
+   */
+  static buildKey(...parts) {
+    return parts
+      .filter(part => part !== undefined && part !== null && part !== '')
+      .map(part => String(part).replace(/:/g, '_'))
+      .join(':');
+  }
+
+  /**
+   * Exécute fn une seule fois pour une clé ; retourne { key, skipped, result }
+   */
+  async runOnce(key, fn, options = {}) {
+    const { scope = 'default', ttl = this.options.ttl, lockTtl = this.options.lockTtl } = options;
+
+    if (!key) {
+      throw new Error('Clé d\'idempotence requise');
+    }
+
+    if (this.options.enabled === false) {
+      this.increment(scope, 'executed');
+      return { key, skipped: false, result: await fn() };
+    }
+
+    const token = crypto.randomUUID();
+    const { claimed, record } = await this.store.claim(key, token, lockTtl);
+
+    if (!claimed) {
+      if (record && record.status === 'completed') {
+        this.increment(scope, 'skipped');
+        console.log(`⏭️  Effet de bord déjà exécuté pour "${key}", ignoré`);
+        return { key, skipped: true, result: record.result, completedAt: record.completedAt };
+      }
+
+      this.increment(scope, 'conflicts');
+      throw new Error(`Clé d'idempotence "${key}" en cours d'exécution par un autre worker`);
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      this.increment(scope, 'failed');
+      await this.store.release(key, token);
+      throw error;
+    }
+
+    const completed = await this.store.complete(key, token, result === undefined ? null : result, ttl);
+    if (completed === false) {
+      // L'effet de bord a eu lieu : le job réussit, mais la clé appartient désormais à un autre worker
+      this.increment(scope, 'conflicts');
+      console.warn(`⚠️  Réservation de "${key}" expirée avant la fin de l'exécution : résultat non enregistré`);
+    }
+    this.increment(scope, 'executed');
+    return { key, skipped: false, result };
+  }
+
+  /**
+   * Récupère l'entrée d'une clé (null si jamais exécutée ou expirée)
+   */
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  /**
+   * Oublie une clé pour autoriser une nouvelle exécution (renvoi manuel)
+   */
+  async forget(key) {
+    const deleted = await this.store.delete(key);
+    if (deleted) {
+      console.log(`🧹 Clé d'idempotence "${key}" supprimée`);
+    }
+    return deleted;
+  }
+
+  increment(scope, counter) {
+    if (!this.stats.has(scope)) {
+      this.stats.set(scope, { executed: 0, skipped: 0, conflicts: 0, failed: 0 });
+    }
+    this.stats.get(scope)[counter]++;
+  }
+
+  /**
+   * Compteurs d'exécutions (d'un scope, ou de tous les scopes)
+   */
+  getStats(scope = null) {
+    if (scope) {
+      return { ...(this.stats.get(scope) || { executed: 0, skipped: 0, conflicts: 0, failed: 0 }) };
+    }
+
+    const byScope = Object.fromEntries(Array.from(this.stats).map(([name, counters]) => [name, { ...counters }]));
+    const totals = Object.values(byScope).reduce((sum, counters) => {
+      Object.keys(sum).forEach(counter => { sum[counter] += counters[counter]; });
+      return sum;
+    }, { executed: 0, skipped: 0, conflicts: 0, failed: 0 });
+
+    return { store: this.store.name || 'custom', ...totals, scopes: byScope };
+  }
+
+  async shutdown() {
+    if (typeof this.store.close === 'function') {
+      await this.store.close();
+    }
+  }
+}
+
+module.exports = IdempotencyManager;
@@ -0,0 +1,185 @@
+/**
+ * MiddlewarePipeline - Chaîne de middlewares (style Koa) autour des handlers de jobs
+ *
+ * Un middleware est une fonction async (ctx, next) => {} enregistrée :
+ *   - globalement          : use(middleware)
+ *   - pour une queue       : use('emails', middleware)
+ *   - pour un job précis   : use('emails', 'send-email', middleware)
+ *
+ * Ordre d'exécution : global, puis queue, puis job (ordre d'enregistrement dans chaque niveau).
+ * Le contexte expose { queueName, jobName, job, data, state, result, error, startTime }.
+ * ctx.data peut être remplacé avant l'appel du handler ; ctx.result après.
+ */
+class MiddlewarePipeline {
+  constructor() {
+    this.globalMiddlewares = [];
+    this.queueMiddlewares = new Map();
+    this.jobMiddlewares = new Map();
+  }
+
+  /**
+   * Enregistre un middleware (global, par queue ou par nom de job)
+   */
+  use(...args) {
+    const middleware = args.pop();
+    const [queueName, jobName] = args;
+
+    if (typeof middleware !== 'function') {
+      throw new Error('Un middleware doit être une fonction (ctx, next)');
+    }
+
+    if (jobName) {
+      this.append(this.jobMiddlewares, this.jobKey(queueName, jobName), middleware);
+    } else if (queueName) {
+      this.append(this.queueMiddlewares, queueName, middleware);
+    } else {
+      this.globalMiddlewares.push(middleware);
+    }
+
+    return this;
+  }
+
+  /**
+   * Supprime un middleware, quel que soit son niveau
+   */
+  remove(middleware) {
+    this.globalMiddlewares = this.globalMiddlewares.filter(item => item !== middleware);
+    for (const scope of [this.queueMiddlewares, this.jobMiddlewares]) {
+      for (const [key, middlewares] of scope) {
+        scope.set(key, middlewares.filter(item => item !== middleware));
+      }
+    }
+  }
+
+  /**
+   * Middlewares applicables à un job, dans l'ordre d'exécution
+   */
+  resolve(queueName, jobName) {
+    return [
+      ...this.globalMiddlewares,
+      ...(this.queueMiddlewares.get(queueName) || []),
+      ...(this.jobMiddlewares.get(this.jobKey(queueName, jobName)) || [])
+    ];
+  }
+
+  /**
+   * Exécute la chaîne puis le handler final ; retourne ctx.result
+   */
+  async run(queueName, job, handler) {
+    const ctx = {
+      queueName,
+      jobName: job.name,
+      job,
+      data: job.data,
+      state: {},
+      result: undefined,
+      error: null,
+      startTime: Date.now()
+    };
+
+    const middlewares = this.resolve(queueName, job.name);
+
+    const dispatch = async (index, calledIndex) => {
+      if (index <= calledIndex.value) {
+        throw new Error('next() appelé plusieurs fois dans un middleware');
+      }
+      calledIndex.value = index;
+
+      if (index === middlewares.length) {
+        ctx.result = await handler(ctx.data, job, ctx);
+        return;
+      }
+
+      await middlewares[index](ctx, () => dispatch(index + 1, calledIndex));
+    };
+
+    await dispatch(0, { value: -1 });
+    return ctx.result;
+  }
+
+  /**
+   * Statistiques des middlewares enregistrés
+   */
+  getStats() {
+    const count = scope => Object.fromEntries(Array.from(scope).map(([key, items]) => [key, items.length]));
+    return {
+      global: this.globalMiddlewares.length,
+      queues: count(this.queueMiddlewares),
+      jobs: count(this.jobMiddlewares)
+    };
+  }
+
+  append(scope, key, middleware) {
+    if (!scope.has(key)) {
+      scope.set(key, []);
+    }
+    scope.get(key).push(middleware);
+  }
+
+  jobKey(queueName, jobName) {
+    return `${queueName}::${jobName}`;
+  }
+
+  /**
+   * Middleware de logs et de mesure de durée (comportement historique de WorkerManager)
+   */
+  static logging() {
+    return async (ctx, next) => {
+      const { job, queueName } = ctx;
+      console.log(`🔄 Traitement du job "${job.name}" (ID: ${job.id}) sur "${queueName}"`);
+
+      try {
+        const startTime = Date.now();
+        await next();
+        ctx.duration = Date.now() - startTime;
+
+        console.log(`✅ Job "${job.name}" (ID: ${job.id}) terminé en ${ctx.duration}ms`);
+      } catch (error) {
+        ctx.error = error;
+        console.error(`❌ Erreur dans le job "${job.name}" (ID: ${job.id}):`, error);
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Middleware de revalidation des données au traitement (échec définitif si invalide)
+   */
+  static validation(schemaValidator) {
+    return async (ctx, next) => {
+      schemaValidator.assertValid(ctx.queueName, ctx.jobName, ctx.data, 'process');
+      await next();
+    };
+  }
+
+  /**
+   * Middleware de métriques : appelle collector({ queueName, jobName, duration, success, error })
+   */
+  static metrics(collector) {
+    return async (ctx, next) => {
+      const startTime = Date.now();
+      try {
+        await next();
+        collector({ queueName: ctx.queueName, jobName: ctx.jobName, duration: Date.now() - startTime, success: true });
+      } catch (error) {
+        collector({ queueName: ctx.queueName, jobName: ctx.jobName, duration: Date.now() - startTime, success: false, error });
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Middleware de conversion d'erreurs : mapper(error, ctx) retourne l'erreur à propager
+   */
+  static errorMapping(mapper) {
+    return async (ctx, next) => {
+      try {
+        await next();
+      } catch (error) {
+        throw mapper(error, ctx) || error;
+      }
+    };
+  }
+}
+
+module.exports = MiddlewarePipeline;
@@ -1,4 +1,5 @@
-const { Queue } = require('bullmq');
+const { resolveBackend } = require('./backends');
+const CronUtils = require('./CronUtils');
 
 /**
  * QueueManager - Gère toutes les queues
@@ -11,7 +12,8 @@ class QueueManager {
   constructor(config) {
     this.config = config;
     this.queues = new Map();
-    this.connection = config.redis;
+    this.backend = resolveBackend(config);
+    this.connection = this.backend.connection;
   }
 
   /**
@@ -44,7 +46,7 @@ class QueueManager {
     };
 
     // Création de la queue (scheduler intégré automatiquement)
-    const queue = new Queue(queueName, queueOptions);
+    const queue = new this.backend.Queue(queueName, queueOptions);
     this.queues.set(queueName, queue);
 
     console.log(`✅ Queue "${queueName}" créée (scheduler intégré)`);
@@ -118,14 +120,30 @@ class QueueManager {
   }
 
   /**
-   * Récupère les jobs récurrents d'une queue
+   * Récupère les jobs récurrents d'une queue avec leurs prochaines exécutions
    */
-  async getRepeatableJobs(queueName) {
+  async getRepeatableJobs(queueName, options = {}) {
     const queue = this.queues.get(queueName);
-    if (queue) {
-      return await queue.getRepeatableJobs();
+    if (!queue) {
+      return [];
     }
-    return [];
+
+    const repeatableJobs = await queue.getRepeatableJobs();
+    const currentDate = this.config.clock ? this.config.clock.date() : new Date();
+
+    return repeatableJobs.map(repeatable => {
+      try {
+        return {
+          ...repeatable,
+          nextExecutions: CronUtils.getRepeatableExecutions(repeatable, {
+            count: options.count || 3,
+            currentDate
+          })
+        };
+      } catch (error) {
+        return { ...repeatable, nextExecutions: [], error: error.message };
+      }
+    });
   }
 
   /**
@@ -0,0 +1,284 @@
+const { UnrecoverableError } = require('bullmq');
+const addressparser = require('nodemailer/lib/addressparser');
+
+/**
+ * SchemaValidator - Validation des données de jobs par queue et nom de job
+ *
+ * Schémas au format JSON-Schema (sous-ensemble) : type, required, properties,
+ * additionalProperties, items, enum, const, minLength/maxLength, pattern,
+ * format (email, address, date-time, date, uri),
+ * minimum/maximum, exclusiveMinimum/exclusiveMaximum, minItems/maxItems,
+ * uniqueItems, allOf/anyOf/oneOf.
+ *
+ * Un schéma enregistré avec le nom de job '*' s'applique à tous les jobs de la queue.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  email: value => EMAIL_PATTERN.test(value),
+  // Destinataire(s) au format nodemailer : 'a@x.co', '"Nom" <a@x.co>' ou 'a@x.co, Nom <b@y.co>'
+  address: value => {
+    const addresses = addressparser(value, { flatten: true });
+    return addresses.length > 0 && addresses.every(parsed => EMAIL_PATTERN.test(parsed.address || ''));
+  },
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/.test(value) && !Number.isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  uri: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)
+};
+
+/**
+ * Erreur de validation non retentée par BullMQ (UnrecoverableError)
+ */
+class JobValidationError extends UnrecoverableError {
+  constructor(queueName, jobName, errors, stage = 'enqueue') {
+    const summary = errors.map(error => `${error.path}: ${error.message}`).join('; ');
+    super(`Données invalides pour "${jobName}" sur "${queueName}" (${stage === 'enqueue' ? 'ajout' : 'traitement'}): ${summary}`);
+
+    this.name = 'JobValidationError';
+    this.queueName = queueName;
+    this.jobName = jobName;
+    this.stage = stage;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      queueName: this.queueName,
+      jobName: this.jobName,
+      stage: this.stage,
+      errors: this.errors
+    };
+  }
+}
+
+class SchemaValidator {
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  /**
+   * Enregistre un schéma pour un job d'une queue ('*' pour tous les jobs)
+   */
+  register(queueName, jobName, schema) {
+    if (!schema || typeof schema !== 'object') {
+      throw new Error(`Schéma invalide pour "${jobName}" sur "${queueName}"`);
+    }
+
+    this.schemas.set(this.key(queueName, jobName), schema);
+    return this;
+  }
+
+  /**
+   * Supprime le schéma d'un job
+   */
+  unregister(queueName, jobName) {
+    return this.schemas.delete(this.key(queueName, jobName));
+  }
+
+  /**
+   * Récupère le schéma applicable (spécifique au job, sinon '*')
+   */
+  getSchema(queueName, jobName) {
+    return this.schemas.get(this.key(queueName, jobName)) || this.schemas.get(this.key(queueName, '*')) || null;
+  }
+
+  /**
+   * Liste les schémas enregistrés
+   */
+  listSchemas() {
+    return Array.from(this.schemas.keys()).map(key => {
+      const [queueName, jobName] = JSON.parse(key);
+      return { queueName, jobName };
+    });
+  }
+
+  /**
+   * Valide les données d'un job (valide si aucun schéma n'est enregistré)
+   */
+  validate(queueName, jobName, data) {
+    const schema = this.getSchema(queueName, jobName);
+    if (!schema) {
+      return { valid: true, errors: [] };
+    }
+
+    const errors = [];
+    this.validateValue(schema, data, '$', errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Valide et lève une JobValidationError structurée en cas d'échec
+   */
+  assertValid(queueName, jobName, data, stage = 'enqueue') {
+    const { valid, errors } = this.validate(queueName, jobName, data);
+    if (!valid) {
+      throw new JobValidationError(queueName, jobName, errors, stage);
+    }
+  }
+
+  key(queueName, jobName) {
+    return JSON.stringify([queueName, jobName]);
+  }
+
+  /**
+   * Valide récursivement une valeur contre un schéma
+   */
+  validateValue(schema, value, path, errors) {
+    const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.matchesType(type, value))) {
+        fail('type', `type attendu ${types.join(' | ')}, reçu ${this.typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.const !== undefined && !this.deepEqual(schema.const, value)) {
+      fail('const', `valeur attendue ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum !== undefined && !schema.enum.some(candidate => this.deepEqual(candidate, value))) {
+      fail('enum', `valeur non autorisée ${JSON.stringify(value)} (attendu: ${schema.enum.map(item => JSON.stringify(item)).join(', ')})`);
+    }
+
+    if (typeof value === 'string') {
+      this.validateString(schema, value, fail);
+    }
+
+    if (typeof value === 'number') {
+      this.validateNumber(schema, value, fail);
+    }
+
+    if (Array.isArray(value)) {
+      this.validateArray(schema, value, path, errors, fail);
+    } else if (value !== null && typeof value === 'object') {
+      this.validateObject(schema, value, path, errors, fail);
+    }
+
+    this.validateCombinators(schema, value, path, errors, fail);
+  }
+
+  validateString(schema, value, fail) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `au moins ${schema.minLength} caractère(s) requis`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `au plus ${schema.maxLength} caractère(s) autorisé(s)`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `ne respecte pas le pattern ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail('format', `format ${schema.format} invalide`);
+    }
+  }
+
+  validateNumber(schema, value, fail) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `doit être >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `doit être <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `doit être > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `doit être < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  validateArray(schema, value, path, errors, fail) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `au moins ${schema.minItems} élément(s) requis`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `au plus ${schema.maxItems} élément(s) autorisé(s)`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('uniqueItems', 'les éléments doivent être uniques');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => this.validateValue(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  validateObject(schema, value, path, errors, fail) {
+    for (const property of schema.required || []) {
+      if (value[property] === undefined) {
+        errors.push({ path: `${path}.${property}`, keyword: 'required', message: 'champ requis' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [property, propertySchema] of Object.entries(properties)) {
+      if (value[property] !== undefined) {
+        this.validateValue(propertySchema, value[property], `${path}.${property}`, errors);
+      }
+    }
+
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      for (const property of Object.keys(value)) {
+        if (properties[property]) continue;
+
+        if (schema.additionalProperties === false) {
+          errors.push({ path: `${path}.${property}`, keyword: 'additionalProperties', message: 'champ non autorisé' });
+        } else {
+          this.validateValue(schema.additionalProperties, value[property], `${path}.${property}`, errors);
+        }
+      }
+    }
+  }
+
+  validateCombinators(schema, value, path, errors, fail) {
+    if (schema.allOf) {
+      schema.allOf.forEach(subSchema => this.validateValue(subSchema, value, path, errors));
+    }
+
+    if (schema.anyOf || schema.oneOf) {
+      const candidates = schema.anyOf || schema.oneOf;
+      const matches = candidates.filter(subSchema => {
+        const subErrors = [];
+        this.validateValue(subSchema, value, path, subErrors);
+        return subErrors.length === 0;
+      }).length;
+
+      if (schema.anyOf && matches === 0) {
+        fail('anyOf', 'ne correspond à aucun des schémas autorisés');
+      }
+      if (schema.oneOf && matches !== 1) {
+        fail('oneOf', `doit correspondre à exactement un schéma (${matches} trouvés)`);
+      }
+    }
+  }
+
+  matchesType(type, value) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === type;
+    }
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = {
+  SchemaValidator,
+  JobValidationError
+};
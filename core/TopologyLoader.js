@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const CronUtils = require('./CronUtils');
+
+/**
+ * TopologyLoader - Topologie déclarative queues/workers/crons/flows
+ *
+ * Charge un fichier YAML ou JSON décrivant les queues, leurs options de jobs,
+ * les workers (concurrence + module de handlers), les planifications cron et
+ * les flows, le valide puis l'applique sur un BullMQManager.
+ *
+ * Format :
+ *   defaults:  { jobOptions: {...}, concurrency: 5 }
+ *   queues:
+ *     - name: corporate-reminders
+ *       defaultJobOptions: { attempts: 5 }
+ *       worker: { concurrency: 3, handlers: ./handlers/reminders.js, options: {...} }
+ *       schedules:
+ *         - { job: process-corporate-reminders, pattern: "0 9 1-10 * *", tz: Africa/Abidjan, data: {...} }
+ *       schemas: { send-reminder-email: { type: object, required: [...] } }
+ *   flows:
+ *     monthly-report: { name: ..., queueName: ..., data: {...}, children: [...] }
+ *
+ * Un module de handlers exporte un objet { jobName: handler } ou une factory (context) => handlers.
+ */
+class TopologyLoader {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || process.cwd();
+  }
+
+  /**
+   * Lit, parse et valide un fichier de topologie (.yaml, .yml ou .json)
+   */
+  static loadFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+
+    if (!fs.existsSync(absolutePath)) {
+      throw new Error(`Fichier de topologie introuvable: ${absolutePath}`);
+    }
+
+    const raw = fs.readFileSync(absolutePath, 'utf8');
+    const topology = TopologyLoader.parse(raw, path.extname(absolutePath), absolutePath);
+
+    return new TopologyLoader({ baseDir: path.dirname(absolutePath) }).normalize(topology, absolutePath);
+  }
+
+  /**
+   * Parse le contenu brut selon l'extension
+   */
+  static parse(raw, extension, source = 'topologie') {
+    try {
+      if (extension === '.json') {
+        return JSON.parse(raw);
+      }
+      if (extension === '.yaml' || extension === '.yml') {
+        return yaml.load(raw);
+      }
+    } catch (error) {
+      throw new Error(`Topologie "${source}" illisible: ${error.message}`);
+    }
+
+    throw new Error(`Format de topologie non supporté "${extension}" (attendu: .yaml, .yml, .json)`);
+  }
+
+  /**
+   * Valide une topologie et la complète avec les valeurs par défaut
+   */
+  normalize(topology, source = 'topologie') {
+    const errors = this.validate(topology);
+
+    if (errors.length > 0) {
+      const error = new Error(`Topologie "${source}" invalide (${errors.length} erreur(s)):\n  - ${errors.join('\n  - ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    const defaults = topology.defaults || {};
+
+    return {
+      source,
+      baseDir: this.baseDir,
+      defaults,
+      queues: topology.queues.map(queue => ({
+        name: queue.name,
+        defaultJobOptions: { ...defaults.jobOptions, ...queue.defaultJobOptions },
+        worker: queue.worker ? {
+          concurrency: queue.worker.concurrency || defaults.concurrency,
+          handlers: queue.worker.handlers ? this.resolvePath(queue.worker.handlers) : null,
+          options: queue.worker.options || {}
+        } : null,
+        schemas: queue.schemas || {},
+        schedules: (queue.schedules || []).map(schedule => ({
+          data: {},
+          options: {},
+          ...schedule
+        }))
+      })),
+      flows: topology.flows || {}
+    };
+  }
+
+  /**
+   * Retourne la liste des erreurs de validation (vide si la topologie est valide)
+   */
+  validate(topology) {
+    const errors = [];
+
+    if (!topology || typeof topology !== 'object' || Array.isArray(topology)) {
+      return ['la topologie doit être un objet'];
+    }
+
+    if (topology.defaults !== undefined) {
+      this.validateDefaults(topology.defaults, errors);
+    }
+
+    if (!Array.isArray(topology.queues) || topology.queues.length === 0) {
+      errors.push('queues: au moins une queue doit être déclarée');
+      return errors;
+    }
+
+    const queueNames = new Set();
+    topology.queues.forEach((queue, index) => {
+      this.validateQueue(queue, `queues[${index}]`, queueNames, errors);
+    });
+
+    if (topology.flows !== undefined) {
+      if (!this.isObject(topology.flows)) {
+        errors.push('flows: doit être un objet { nomDuFlow: définition }');
+      } else {
+        for (const [flowName, flow] of Object.entries(topology.flows)) {
+          this.validateFlowNode(flow, `flows.${flowName}`, queueNames, errors);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  validateDefaults(defaults, errors) {
+    if (!this.isObject(defaults)) {
+      errors.push('defaults: doit être un objet');
+      return;
+    }
+    if (defaults.jobOptions !== undefined && !this.isObject(defaults.jobOptions)) {
+      errors.push('defaults.jobOptions: doit être un objet');
+    }
+    if (defaults.concurrency !== undefined && !this.isPositiveInteger(defaults.concurrency)) {
+      errors.push('defaults.concurrency: doit être un entier positif');
+    }
+  }
+
+  validateQueue(queue, location, queueNames, errors) {
+    if (!this.isObject(queue)) {
+      errors.push(`${location}: doit être un objet`);
+      return;
+    }
+
+    if (typeof queue.name !== 'string' || queue.name.trim() === '') {
+      errors.push(`${location}.name: nom de queue requis`);
+    } else if (queueNames.has(queue.name)) {
+      errors.push(`${location}.name: queue "${queue.name}" déclarée plusieurs fois`);
+    } else {
+      queueNames.add(queue.name);
+    }
+
+    const label = queue.name ? `${location} (${queue.name})` : location;
+
+    if (queue.defaultJobOptions !== undefined && !this.isObject(queue.defaultJobOptions)) {
+      errors.push(`${label}.defaultJobOptions: doit être un objet`);
+    }
+
+    if (queue.worker !== undefined) {
+      this.validateWorker(queue.worker, `${label}.worker`, errors);
+    }
+
+    if (queue.schemas !== undefined) {
+      if (!this.isObject(queue.schemas)) {
+        errors.push(`${label}.schemas: doit être un objet { nomDuJob: schéma }`);
+      } else {
+        for (const [jobName, schema] of Object.entries(queue.schemas)) {
+          if (!this.isObject(schema)) {
+            errors.push(`${label}.schemas.${jobName}: le schéma doit être un objet`);
+          }
+        }
+      }
+    }
+
+    if (queue.schedules !== undefined) {
+      if (!Array.isArray(queue.schedules)) {
+        errors.push(`${label}.schedules: doit être une liste`);
+      } else {
+        if (queue.schedules.length > 0 && !queue.worker) {
+          errors.push(`${label}.schedules: aucun worker déclaré pour traiter les jobs planifiés`);
+        }
+        queue.schedules.forEach((schedule, index) => {
+          this.validateSchedule(schedule, `${label}.schedules[${index}]`, errors);
+        });
+      }
+    }
+  }
+
+  validateWorker(worker, location, errors) {
+    if (!this.isObject(worker)) {
+      errors.push(`${location}: doit être un objet`);
+      return;
+    }
+
+    if (worker.concurrency !== undefined && !this.isPositiveInteger(worker.concurrency)) {
+      errors.push(`${location}.concurrency: doit être un entier positif (reçu: ${JSON.stringify(worker.concurrency)})`);
+    }
+
+    if (typeof worker.handlers !== 'string' || worker.handlers.trim() === '') {
+      errors.push(`${location}.handlers: chemin du module de handlers requis`);
+    } else if (!this.moduleExists(this.resolvePath(worker.handlers))) {
+      errors.push(`${location}.handlers: module introuvable "${worker.handlers}" (résolu: ${this.resolvePath(worker.handlers)})`);
+    }
+
+    if (worker.options !== undefined && !this.isObject(worker.options)) {
+      errors.push(`${location}.options: doit être un objet`);
+    }
+  }
+
+  validateSchedule(schedule, location, errors) {
+    if (!this.isObject(schedule)) {
+      errors.push(`${location}: doit être un objet`);
+      return;
+    }
+
+    if (typeof schedule.job !== 'string' || schedule.job.trim() === '') {
+      errors.push(`${location}.job: nom du job requis`);
+    }
+
+    const { valid, error } = CronUtils.validate(schedule.pattern, { tz: schedule.tz });
+    if (!valid) {
+      errors.push(`${location}.pattern: ${error}`);
+    }
+
+    if (schedule.data !== undefined && !this.isObject(schedule.data)) {
+      errors.push(`${location}.data: doit être un objet`);
+    }
+    if (schedule.options !== undefined && !this.isObject(schedule.options)) {
+      errors.push(`${location}.options: doit être un objet`);
+    }
+  }
+
+  validateFlowNode(node, location, queueNames, errors) {
+    if (!this.isObject(node)) {
+      errors.push(`${location}: doit être un objet`);
+      return;
+    }
+
+    if (typeof node.name !== 'string' || node.name.trim() === '') {
+      errors.push(`${location}.name: nom du job requis`);
+    }
+
+    if (typeof node.queueName !== 'string') {
+      errors.push(`${location}.queueName: queue requise`);
+    } else if (!queueNames.has(node.queueName)) {
+      errors.push(`${location}.queueName: queue "${node.queueName}" non déclarée dans la topologie`);
+    }
+
+    if (node.children !== undefined) {
+      if (!Array.isArray(node.children)) {
+        errors.push(`${location}.children: doit être une liste`);
+      } else {
+        node.children.forEach((child, index) => {
+          this.validateFlowNode(child, `${location}.children[${index}]`, queueNames, errors);
+        });
+      }
+    }
+  }
+
+  /**
+   * Applique une topologie normalisée sur un BullMQManager
+   */
+  async apply(manager, topology, context = {}) {
+    const errors = [];
+    const handlersByQueue = new Map();
+
+    // Chargement de tous les handlers avant toute création (pas d'application partielle)
+    for (const queue of topology.queues) {
+      if (!queue.worker) continue;
+
+      try {
+        const handlers = this.loadHandlers(queue.worker.handlers, { manager, queueName: queue.name, ...context });
+        handlersByQueue.set(queue.name, handlers);
+
+        for (const schedule of queue.schedules) {
+          if (typeof handlers[schedule.job] !== 'function') {
+            errors.push(`queues (${queue.name}).schedules: aucun handler "${schedule.job}" dans ${queue.worker.handlers}`);
+          }
+        }
+      } catch (error) {
+        errors.push(`queues (${queue.name}).worker.handlers: ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Topologie "${topology.source}" inapplicable (${errors.length} erreur(s)):\n  - ${errors.join('\n  - ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    for (const queue of topology.queues) {
+      manager.createQueue(queue.name, {
+        defaultJobOptions: { ...manager.config.defaultOptions, ...queue.defaultJobOptions }
+      });
+
+      for (const [jobName, schema] of Object.entries(queue.schemas)) {
+        manager.registerSchema(queue.name, jobName, schema);
+      }
+    }
+
+    for (const queue of topology.queues) {
+      if (!queue.worker) continue;
+
+      manager.startWorker(queue.name, handlersByQueue.get(queue.name), {
+        ...queue.worker.options,
+        ...(queue.worker.concurrency ? { concurrency: queue.worker.concurrency } : {})
+      });
+    }
+
+    for (const queue of topology.queues) {
+      for (const schedule of queue.schedules) {
+        await manager.scheduleJob(queue.name, schedule.job, schedule.data, schedule.pattern, {
+          ...schedule.options,
+          ...(schedule.tz ? { tz: schedule.tz } : {})
+        });
+      }
+    }
+
+    return {
+      queues: topology.queues.map(queue => queue.name),
+      workers: Array.from(handlersByQueue.keys()),
+      schedules: topology.queues.reduce((count, queue) => count + queue.schedules.length, 0),
+      schemas: topology.queues.reduce((count, queue) => count + Object.keys(queue.schemas).length, 0),
+      flows: Object.keys(topology.flows)
+    };
+  }
+
+  /**
+   * Charge un module de handlers (objet ou factory(context))
+   */
+  loadHandlers(modulePath, context) {
+    const exported = require(modulePath);
+    const handlers = typeof exported === 'function' ? exported(context) : exported;
+
+    if (!this.isObject(handlers)) {
+      throw new Error(`le module "${modulePath}" doit exporter un objet de handlers ou une factory qui en retourne un`);
+    }
+
+    const invalid = Object.entries(handlers).filter(([, handler]) => typeof handler !== 'function');
+    if (invalid.length > 0) {
+      throw new Error(`handlers non fonctionnels dans "${modulePath}": ${invalid.map(([name]) => name).join(', ')}`);
+    }
+
+    return handlers;
+  }
+
+  resolvePath(modulePath) {
+    return path.isAbsolute(modulePath) ? modulePath : path.resolve(this.baseDir, modulePath);
+  }
+
+  moduleExists(modulePath) {
+    try {
+      require.resolve(modulePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+}
+
+module.exports = TopologyLoader;
@@ -1,4 +1,5 @@
-const { Worker } = require('bullmq');
+const { resolveBackend } = require('./backends');
+const MiddlewarePipeline = require('./MiddlewarePipeline');
 
 /**
  * WorkerManager - Gère tous les workers et leurs handlers
@@ -11,7 +12,23 @@ class WorkerManager {
     this.config = config;
     this.workers = new Map();
     this.handlers = new Map();
-    this.connection = config.redis;
+    this.backend = resolveBackend(config);
+    this.connection = this.backend.connection;
+
+    // Middlewares intégrés : logs/durée puis revalidation des données
+    this.pipeline = new MiddlewarePipeline();
+    this.pipeline.use(MiddlewarePipeline.logging());
+    if (config.schemaValidator) {
+      this.pipeline.use(MiddlewarePipeline.validation(config.schemaValidator));
+    }
+  }
+
+  /**
+   * Enregistre un middleware : use(mw), use(queueName, mw) ou use(queueName, jobName, mw)
+   */
+  use(...args) {
+    this.pipeline.use(...args);
+    return this;
   }
 
   /**
@@ -35,7 +52,7 @@ class WorkerManager {
     };
 
     // Création du worker avec le processeur principal
-    const worker = new Worker(queueName, async (job) => {
+    const worker = new this.backend.Worker(queueName, async (job) => {
       return await this.processJob(queueName, job);
     }, workerOptions);
 
@@ -49,7 +66,7 @@ class WorkerManager {
   }
 
   /**
-   * Processeur principal qui route les jobs vers les bons handlers
+   * Processeur principal qui route les jobs vers les bons handlers (via la chaîne de middlewares)
    */
   async processJob(queueName, job) {
     const handlers = this.handlers.get(queueName);
@@ -59,19 +76,7 @@ class WorkerManager {
       throw new Error(`Aucun handler trouvé pour le job "${job.name}" dans la queue "${queueName}"`);
     }
 
-    console.log(`🔄 Traitement du job "${job.name}" (ID: ${job.id}) sur "${queueName}"`);
-    
-    try {
-      const startTime = Date.now();
-      const result = await handler(job.data, job);
-      const duration = Date.now() - startTime;
-      
-      console.log(`✅ Job "${job.name}" (ID: ${job.id}) terminé en ${duration}ms`);
-      return result;
-    } catch (error) {
-      console.error(`❌ Erreur dans le job "${job.name}" (ID: ${job.id}):`, error);
-      throw error;
-    }
+    return this.pipeline.run(queueName, job, handler);
   }
 
   /**
@@ -0,0 +1,1119 @@
+const { EventEmitter } = require('events');
+const { UnrecoverableError } = require('bullmq');
+const cronParser = require('cron-parser');
+const { SystemClock } = require('../Clock');
+
+/**
+ * MemoryBackend - Backend BullMQ en mémoire (sans Redis)
+ *
+ * Réimplémente la partie de l'API BullMQ utilisée par les managers core
+ * (Queue, Worker, QueueEvents, FlowProducer) avec un état partagé en mémoire.
+ * Les délais, priorités, tentatives/backoff, jobs récurrents, flows et
+ * événements suivent la sémantique de BullMQ afin de pouvoir tester
+ * les services sans Redis.
+ */
+
+/**
+ * Calcule le délai de backoff (même logique que Backoffs de BullMQ)
+ */
+function calculateBackoff(backoff, attemptsMade, error, job, customStrategy) {
+  if (backoff === undefined || backoff === null) return 0;
+
+  const normalized = Number.isFinite(backoff) ? { type: 'fixed', delay: backoff } : backoff;
+
+  if (normalized.type === 'fixed') {
+    return normalized.delay || 0;
+  }
+  if (normalized.type === 'exponential') {
+    return Math.round(Math.pow(2, attemptsMade - 1) * (normalized.delay || 0));
+  }
+  if (customStrategy) {
+    return customStrategy(attemptsMade, normalized.type, error, job);
+  }
+
+  throw new Error(`Stratégie de backoff inconnue "${normalized.type}" (définir settings.backoffStrategy sur le worker)`);
+}
+
+/**
+ * Indique si une erreur ne doit pas être retentée
+ */
+function isUnrecoverable(error) {
+  return Boolean(error) && (error instanceof UnrecoverableError || error.name === 'UnrecoverableError');
+}
+
+/**
+ * Broker partagé - équivalent de la connexion Redis pour le backend mémoire
+ */
+class MemoryBroker {
+  constructor(options = {}) {
+    this.options = options;
+    this.clock = options.clock || new SystemClock();
+    this.queues = new Map();
+    this.timers = new Set();
+
+    // Avec une VirtualClock, chaque avancée du temps attend le traitement des jobs
+    if (typeof this.clock.addSettler === 'function') {
+      this.removeSettler = this.clock.addSettler(() => this.waitUntilIdle());
+    }
+  }
+
+  /**
+   * Horodatage courant en millisecondes (selon l'horloge injectée)
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * Programme une fonction après un délai (annulée à la fermeture du broker)
+   */
+  setTimer(callback, delay) {
+    const handle = this.clock.setTimeout(() => {
+      this.timers.delete(handle);
+      callback();
+    }, Math.max(0, delay));
+    this.timers.add(handle);
+    return handle;
+  }
+
+  /**
+   * Annule une fonction programmée
+   */
+  clearTimer(handle) {
+    if (handle) {
+      this.clock.clearTimeout(handle);
+      this.timers.delete(handle);
+    }
+  }
+
+  /**
+   * Récupère (ou crée) l'état interne d'une queue
+   */
+  getQueueState(queueName) {
+    if (!this.queues.has(queueName)) {
+      this.queues.set(queueName, new MemoryQueueState(queueName, this));
+    }
+    return this.queues.get(queueName);
+  }
+
+  /**
+   * Vérifie qu'aucun job traitable n'est en attente ou en cours
+   */
+  isIdle() {
+    for (const state of this.queues.values()) {
+      if (state.active.size > 0) return false;
+      const canProcess = !state.paused && Array.from(state.workers).some(worker => worker.running && !worker.paused);
+      if (canProcess && state.hasWaiting()) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Attend que tous les jobs traitables aient été traités
+   */
+  async waitUntilIdle() {
+    do {
+      await new Promise(resolve => setImmediate(resolve));
+    } while (!this.isIdle());
+  }
+
+  /**
+   * Vide complètement le broker (timers inclus)
+   */
+  reset() {
+    for (const handle of this.timers) {
+      this.clock.clearTimeout(handle);
+    }
+    this.timers.clear();
+    this.queues.clear();
+  }
+}
+
+/**
+ * État interne d'une queue (listes de jobs et abonnés)
+ */
+class MemoryQueueState {
+  constructor(name, broker) {
+    this.name = name;
+    this.broker = broker;
+    this.jobs = new Map();
+    this.wait = [];
+    this.prioritized = [];
+    this.delayed = new Map(); // jobId -> timer
+    this.active = new Set();
+    this.completed = [];
+    this.failed = [];
+    this.waitingChildren = new Set();
+    this.repeatables = new Map();
+    this.workers = new Set();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.paused = false;
+    this.counter = 0;
+  }
+
+  nextId() {
+    this.counter++;
+    return String(this.counter);
+  }
+
+  hasWaiting() {
+    return this.wait.length > 0 || this.prioritized.length > 0;
+  }
+
+  emit(eventType, payload) {
+    this.events.emit(eventType, payload);
+  }
+
+  /**
+   * Place un job dans la liste d'attente selon sa priorité
+   */
+  enqueue(job) {
+    job.state = 'waiting';
+    const priority = job.opts.priority || 0;
+
+    if (priority > 0) {
+      // Priorité BullMQ : valeur la plus basse traitée en premier, FIFO à priorité égale
+      const index = this.prioritized.findIndex(other => (other.opts.priority || 0) > priority);
+      if (index === -1) {
+        this.prioritized.push(job);
+      } else {
+        this.prioritized.splice(index, 0, job);
+      }
+    } else if (job.opts.lifo) {
+      this.wait.unshift(job);
+    } else {
+      this.wait.push(job);
+    }
+
+    this.emit('waiting', { jobId: job.id, prev: job.prevState });
+    this.notifyWorkers();
+  }
+
+  /**
+   * Retire le prochain job à traiter
+   */
+  takeNext() {
+    if (this.wait.length > 0) return this.wait.shift();
+    if (this.prioritized.length > 0) return this.prioritized.shift();
+    return null;
+  }
+
+  /**
+   * Place un job en différé
+   */
+  delay(job, delay) {
+    job.state = 'delayed';
+    job.delayUntil = this.broker.now() + delay;
+
+    const timer = this.broker.setTimer(() => {
+      this.delayed.delete(job.id);
+      if (this.jobs.get(job.id) === job) {
+        job.prevState = 'delayed';
+        this.promote(job);
+      }
+    }, delay);
+
+    this.delayed.set(job.id, timer);
+    this.emit('delayed', { jobId: job.id, delay: job.delayUntil });
+  }
+
+  /**
+   * Passe un job différé en attente
+   */
+  promote(job) {
+    if (job.onPromoted) {
+      const onPromoted = job.onPromoted;
+      job.onPromoted = null;
+      onPromoted();
+    }
+    this.enqueue(job);
+  }
+
+  /**
+   * Retire un job de toutes les listes
+   */
+  detach(job) {
+    this.wait = this.wait.filter(other => other !== job);
+    this.prioritized = this.prioritized.filter(other => other !== job);
+    this.completed = this.completed.filter(other => other !== job);
+    this.failed = this.failed.filter(other => other !== job);
+    this.active.delete(job);
+    this.waitingChildren.delete(job);
+
+    if (this.delayed.has(job.id)) {
+      this.broker.clearTimer(this.delayed.get(job.id));
+      this.delayed.delete(job.id);
+    }
+  }
+
+  /**
+   * Supprime définitivement un job
+   */
+  remove(job) {
+    this.detach(job);
+    this.jobs.delete(job.id);
+    this.emit('removed', { jobId: job.id, prev: job.state });
+  }
+
+  /**
+   * Applique une politique removeOnComplete / removeOnFail
+   */
+  applyKeepJobs(list, keepJobs) {
+    if (keepJobs === undefined || keepJobs === null || keepJobs === false) return;
+
+    let count = Infinity;
+    let maxAge = Infinity;
+
+    if (keepJobs === true) {
+      count = 0;
+    } else if (typeof keepJobs === 'number') {
+      count = keepJobs;
+    } else if (typeof keepJobs === 'object') {
+      if (keepJobs.count !== undefined) count = keepJobs.count;
+      if (keepJobs.age !== undefined) maxAge = keepJobs.age * 1000;
+    }
+
+    const now = this.broker.now();
+    const expired = list.filter((job, index) => {
+      const tooMany = list.length - index > count;
+      const tooOld = now - job.finishedOn > maxAge;
+      return tooMany || tooOld;
+    });
+
+    for (const job of expired) {
+      this.detach(job);
+      this.jobs.delete(job.id);
+    }
+  }
+
+  notifyWorkers() {
+    for (const worker of this.workers) {
+      worker.scheduleDrain();
+    }
+  }
+}
+
+/**
+ * Job en mémoire - expose l'API Job de BullMQ utilisée par les handlers
+ */
+class MemoryJob {
+  constructor(state, name, data, opts = {}, id) {
+    this.queueState = state;
+    this.queueName = state.name;
+    this.queueQualifiedName = `bull:${state.name}`;
+    this.name = name;
+    this.data = data;
+    this.opts = { attempts: 1, ...opts };
+    this.id = id;
+    this.progress = 0;
+    this.attemptsMade = 0;
+    this.returnvalue = null;
+    this.failedReason = undefined;
+    this.stacktrace = [];
+    this.logs = [];
+    this.timestamp = state.broker.now();
+    this.processedOn = undefined;
+    this.finishedOn = undefined;
+    this.parent = opts.parent;
+    this.parentKey = opts.parent ? `${opts.parent.queue}:${opts.parent.id}` : undefined;
+    this.pendingChildren = 0;
+    this.childrenValues = {};
+    this.state = 'unknown';
+    this.prevState = undefined;
+  }
+
+  /**
+   * Met à jour la progression du job
+   */
+  async updateProgress(progress) {
+    this.progress = progress;
+    this.queueState.emit('progress', { jobId: this.id, data: progress });
+    for (const worker of this.queueState.workers) {
+      if (worker.activeJobs.has(this)) {
+        worker.emit('progress', this, progress);
+      }
+    }
+  }
+
+  /**
+   * Ajoute une ligne de log au job
+   */
+  async log(row) {
+    this.logs.push(row);
+    return this.logs.length;
+  }
+
+  /**
+   * Remplace les données du job
+   */
+  async updateData(data) {
+    this.data = data;
+  }
+
+  /**
+   * Récupère l'état courant du job
+   */
+  async getState() {
+    return this.state;
+  }
+
+  /**
+   * Récupère les valeurs de retour des jobs enfants (flows)
+   */
+  async getChildrenValues() {
+    return { ...this.childrenValues };
+  }
+
+  /**
+   * Supprime le job de la queue
+   */
+  async remove() {
+    if (this.state === 'active') {
+      throw new Error(`Job ${this.id} est actif et ne peut pas être supprimé`);
+    }
+    this.queueState.remove(this);
+  }
+
+  async isCompleted() {
+    return this.state === 'completed';
+  }
+
+  async isFailed() {
+    return this.state === 'failed';
+  }
+
+  async isDelayed() {
+    return this.state === 'delayed';
+  }
+
+  async isActive() {
+    return this.state === 'active';
+  }
+
+  async isWaiting() {
+    return this.state === 'waiting';
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      data: this.data,
+      opts: this.opts,
+      progress: this.progress,
+      attemptsMade: this.attemptsMade,
+      returnvalue: this.returnvalue,
+      failedReason: this.failedReason,
+      stacktrace: this.stacktrace,
+      timestamp: this.timestamp,
+      processedOn: this.processedOn,
+      finishedOn: this.finishedOn,
+      parentKey: this.parentKey
+    };
+  }
+}
+
+/**
+ * Queue en mémoire
+ */
+class MemoryQueue extends EventEmitter {
+  constructor(name, opts = {}) {
+    super();
+    if (!(opts.connection instanceof MemoryBroker)) {
+      throw new Error(`Queue mémoire "${name}" : connection doit être un MemoryBroker`);
+    }
+
+    this.name = name;
+    this.opts = opts;
+    this.broker = opts.connection;
+    this.state = this.broker.getQueueState(name);
+    this.closed = false;
+  }
+
+  /**
+   * Ajoute un job à la queue
+   */
+  async add(name, data, opts = {}) {
+    const jobOpts = { ...this.opts.defaultJobOptions, ...opts };
+
+    if (jobOpts.repeat) {
+      return this.addRepeatable(name, data, jobOpts);
+    }
+
+    return this.addJob(name, data, jobOpts);
+  }
+
+  /**
+   * Ajoute plusieurs jobs
+   */
+  async addBulk(jobs) {
+    const added = [];
+    for (const { name, data, opts } of jobs) {
+      added.push(await this.add(name, data, opts));
+    }
+    return added;
+  }
+
+  /**
+   * Crée et place un job (hors logique de répétition)
+   */
+  addJob(name, data, jobOpts, { waitForChildren = 0 } = {}) {
+    const jobId = jobOpts.jobId !== undefined ? String(jobOpts.jobId) : this.state.nextId();
+
+    // Comme BullMQ : un jobId existant n'est pas dupliqué
+    if (this.state.jobs.has(jobId)) {
+      return this.state.jobs.get(jobId);
+    }
+
+    const job = new MemoryJob(this.state, name, data, jobOpts, jobId);
+    this.state.jobs.set(jobId, job);
+
+    if (waitForChildren > 0) {
+      job.state = 'waiting-children';
+      job.pendingChildren = waitForChildren;
+      this.state.waitingChildren.add(job);
+    } else if (jobOpts.delay > 0) {
+      this.state.delay(job, jobOpts.delay);
+    } else {
+      this.state.enqueue(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Enregistre un job récurrent (pattern cron ou intervalle)
+   */
+  addRepeatable(name, data, jobOpts) {
+    const { repeat, ...baseOpts } = jobOpts;
+    const key = [name, jobOpts.jobId || '', repeat.endDate || '', repeat.tz || '', repeat.pattern || repeat.every].join(':');
+
+    if (!this.state.repeatables.has(key)) {
+      this.state.repeatables.set(key, {
+        key,
+        name,
+        id: jobOpts.jobId || null,
+        endDate: repeat.endDate || null,
+        tz: repeat.tz || null,
+        pattern: repeat.pattern || null,
+        every: repeat.every || null,
+        data,
+        opts: baseOpts,
+        count: 0,
+        limit: repeat.limit,
+        next: null,
+        pendingJobId: null
+      });
+    }
+
+    return this.scheduleNextRepeat(this.state.repeatables.get(key));
+  }
+
+  /**
+   * Programme la prochaine occurrence d'un job récurrent
+   */
+  scheduleNextRepeat(repeatable) {
+    if (repeatable.limit !== undefined && repeatable.count >= repeatable.limit) {
+      return null;
+    }
+
+    const now = this.broker.now();
+    const next = this.computeNextRepeat(repeatable, now);
+    if (next === null || (repeatable.endDate && next > new Date(repeatable.endDate).getTime())) {
+      return null;
+    }
+
+    repeatable.next = next;
+    const jobId = `repeat:${repeatable.key}:${next}`;
+    repeatable.pendingJobId = jobId;
+    repeatable.count++;
+
+    const job = this.addJob(repeatable.name, repeatable.data, {
+      ...repeatable.opts,
+      jobId,
+      delay: next - now,
+      repeatJobKey: repeatable.key
+    });
+
+    // L'occurrence suivante est créée quand celle-ci sort du différé
+    job.onPromoted = () => {
+      if (this.state.repeatables.get(repeatable.key) === repeatable) {
+        this.scheduleNextRepeat(repeatable);
+      }
+    };
+
+    return job;
+  }
+
+  /**
+   * Calcule le prochain déclenchement d'une répétition
+   */
+  computeNextRepeat(repeatable, now) {
+    if (repeatable.every) {
+      return Math.floor(now / repeatable.every) * repeatable.every + repeatable.every;
+    }
+
+    const interval = cronParser.parseExpression(repeatable.pattern, {
+      currentDate: new Date(now),
+      tz: repeatable.tz || undefined
+    });
+
+    return interval.hasNext() ? interval.next().getTime() : null;
+  }
+
+  /**
+   * Récupère la liste des jobs récurrents
+   */
+  async getRepeatableJobs() {
+    return Array.from(this.state.repeatables.values()).map(repeatable => ({
+      key: repeatable.key,
+      name: repeatable.name,
+      id: repeatable.id,
+      endDate: repeatable.endDate,
+      tz: repeatable.tz,
+      pattern: repeatable.pattern,
+      every: repeatable.every,
+      next: repeatable.next
+    }));
+  }
+
+  /**
+   * Supprime un job récurrent par sa clé
+   */
+  async removeRepeatableByKey(key) {
+    const repeatable = this.state.repeatables.get(key);
+    if (!repeatable) return false;
+
+    this.state.repeatables.delete(key);
+    const pending = repeatable.pendingJobId && this.state.jobs.get(repeatable.pendingJobId);
+    if (pending && pending.state === 'delayed') {
+      this.state.remove(pending);
+    }
+    return true;
+  }
+
+  /**
+   * Récupère un job par son ID
+   */
+  async getJob(jobId) {
+    return this.state.jobs.get(String(jobId));
+  }
+
+  /**
+   * Récupère les jobs de plusieurs états
+   */
+  async getJobs(types = ['waiting', 'active', 'completed', 'failed', 'delayed'], start = 0, end = -1) {
+    const typeList = Array.isArray(types) ? types : [types];
+    const jobs = [];
+
+    for (const type of typeList) {
+      jobs.push(...this.getJobsByState(type));
+    }
+
+    return end === -1 ? jobs.slice(start) : jobs.slice(start, end + 1);
+  }
+
+  /**
+   * Liste interne des jobs d'un état
+   */
+  getJobsByState(type) {
+    switch (type) {
+      case 'wait':
+      case 'waiting':
+        return [...this.state.wait, ...this.state.prioritized];
+      case 'prioritized':
+        return [...this.state.prioritized];
+      case 'active':
+        return Array.from(this.state.active);
+      case 'delayed':
+        return Array.from(this.state.delayed.keys()).map(id => this.state.jobs.get(id)).filter(Boolean);
+      case 'completed':
+        return [...this.state.completed].reverse();
+      case 'failed':
+        return [...this.state.failed].reverse();
+      case 'waiting-children':
+        return Array.from(this.state.waitingChildren);
+      case 'paused':
+        return this.state.paused ? [...this.state.wait, ...this.state.prioritized] : [];
+      default:
+        return [];
+    }
+  }
+
+  async getWaiting(start = 0, end = -1) {
+    return this.getJobs(['waiting'], start, end);
+  }
+
+  async getActive(start = 0, end = -1) {
+    return this.getJobs(['active'], start, end);
+  }
+
+  async getCompleted(start = 0, end = -1) {
+    return this.getJobs(['completed'], start, end);
+  }
+
+  async getFailed(start = 0, end = -1) {
+    return this.getJobs(['failed'], start, end);
+  }
+
+  async getDelayed(start = 0, end = -1) {
+    return this.getJobs(['delayed'], start, end);
+  }
+
+  async getWaitingChildren(start = 0, end = -1) {
+    return this.getJobs(['waiting-children'], start, end);
+  }
+
+  /**
+   * Compte les jobs par état
+   */
+  async getJobCounts(...types) {
+    const typeList = types.length > 0
+      ? types
+      : ['active', 'completed', 'delayed', 'failed', 'paused', 'prioritized', 'waiting', 'waiting-children'];
+
+    return typeList.reduce((counts, type) => {
+      counts[type] = this.getJobsByState(type).length;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Nombre de jobs en attente ou différés
+   */
+  async count() {
+    return this.getJobsByState('waiting').length + this.getJobsByState('delayed').length;
+  }
+
+  /**
+   * Met la queue en pause
+   */
+  async pause() {
+    this.state.paused = true;
+    this.state.emit('paused', {});
+  }
+
+  /**
+   * Reprend la queue
+   */
+  async resume() {
+    this.state.paused = false;
+    this.state.emit('resumed', {});
+    this.state.notifyWorkers();
+  }
+
+  async isPaused() {
+    return this.state.paused;
+  }
+
+  /**
+   * Supprime les jobs terminés plus anciens que grace (ms)
+   */
+  async clean(grace, limit = 0, type = 'completed') {
+    const cutoff = this.broker.now() - grace;
+    const candidates = this.getJobsByState(type).filter(job => (job.finishedOn || job.timestamp) <= cutoff);
+    const toRemove = limit > 0 ? candidates.slice(0, limit) : candidates;
+
+    for (const job of toRemove) {
+      this.state.detach(job);
+      this.state.jobs.delete(job.id);
+    }
+
+    const ids = toRemove.map(job => job.id);
+    this.state.emit('cleaned', { count: ids.length });
+    return ids;
+  }
+
+  /**
+   * Supprime tous les jobs en attente et différés
+   */
+  async drain(delayed = false) {
+    const jobs = this.getJobsByState('waiting');
+    if (delayed) jobs.push(...this.getJobsByState('delayed'));
+
+    for (const job of jobs) {
+      this.state.detach(job);
+      this.state.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Vide complètement la queue
+   */
+  async obliterate() {
+    for (const job of Array.from(this.state.jobs.values())) {
+      this.state.detach(job);
+    }
+    this.state.jobs.clear();
+    this.state.repeatables.clear();
+  }
+
+  /**
+   * Ferme la queue (l'état reste dans le broker)
+   */
+  async close() {
+    this.closed = true;
+  }
+
+  async waitUntilReady() {
+    return this.broker;
+  }
+}
+
+/**
+ * Worker en mémoire
+ */
+class MemoryWorker extends EventEmitter {
+  constructor(name, processor, opts = {}) {
+    super();
+    if (!(opts.connection instanceof MemoryBroker)) {
+      throw new Error(`Worker mémoire "${name}" : connection doit être un MemoryBroker`);
+    }
+
+    this.name = name;
+    this.processor = processor;
+    this.opts = { concurrency: 1, autorun: true, ...opts };
+    this.broker = opts.connection;
+    this.state = this.broker.getQueueState(name);
+    this.activeJobs = new Set();
+    this.running = false;
+    this.paused = false;
+    this.closing = null;
+    this.drainScheduled = false;
+    this.idleWaiters = [];
+
+    this.state.workers.add(this);
+
+    if (this.opts.autorun) {
+      this.run();
+    }
+  }
+
+  /**
+   * Démarre la consommation des jobs
+   */
+  run() {
+    this.running = true;
+    this.scheduleDrain();
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Met le worker en pause (attend les jobs actifs sauf si demandé)
+   */
+  async pause(doNotWaitActive = false) {
+    this.paused = true;
+    this.emit('paused');
+    if (!doNotWaitActive) {
+      await this.waitForActiveJobs();
+    }
+  }
+
+  resume() {
+    this.paused = false;
+    this.emit('resumed');
+    this.scheduleDrain();
+  }
+
+  /**
+   * Programme un cycle de consommation asynchrone
+   */
+  scheduleDrain() {
+    if (this.drainScheduled) return;
+    this.drainScheduled = true;
+    setImmediate(() => {
+      this.drainScheduled = false;
+      this.drain();
+    });
+  }
+
+  /**
+   * Consomme les jobs disponibles dans la limite de la concurrence
+   */
+  drain() {
+    if (!this.running || this.paused || this.closing || this.state.paused) return;
+
+    while (this.activeJobs.size < this.opts.concurrency) {
+      const job = this.state.takeNext();
+      if (!job) break;
+      this.processJob(job);
+    }
+
+    if (this.activeJobs.size === 0 && !this.state.hasWaiting()) {
+      this.emit('drained');
+      this.state.emit('drained', {});
+    }
+  }
+
+  /**
+   * Traite un job et gère son issue (succès, retry, échec définitif)
+   */
+  async processJob(job) {
+    const state = this.state;
+    const previous = job.prevState || 'waiting';
+
+    job.state = 'active';
+    job.processedOn = this.broker.now();
+    state.active.add(job);
+    this.activeJobs.add(job);
+
+    this.emit('active', job, previous);
+    state.emit('active', { jobId: job.id, prev: previous });
+
+    try {
+      const result = await this.processor(job);
+      this.completeJob(job, result);
+    } catch (error) {
+      this.failJob(job, error);
+    } finally {
+      state.active.delete(job);
+      this.activeJobs.delete(job);
+      this.resolveIdleWaiters();
+      this.scheduleDrain();
+    }
+  }
+
+  completeJob(job, result) {
+    const state = this.state;
+
+    job.attemptsMade++;
+    job.returnvalue = result === undefined ? null : result;
+    job.finishedOn = this.broker.now();
+    job.state = 'completed';
+    job.prevState = 'active';
+    state.completed.push(job);
+
+    this.emit('completed', job, job.returnvalue, 'active');
+    state.emit('completed', { jobId: job.id, returnvalue: job.returnvalue, prev: 'active' });
+
+    this.notifyParent(job);
+
+    const keepJobs = job.opts.removeOnComplete !== undefined ? job.opts.removeOnComplete : this.opts.removeOnComplete;
+    state.applyKeepJobs(state.completed, keepJobs);
+  }
+
+  failJob(job, thrown) {
+    const state = this.state;
+    // Un processor peut rejeter une valeur quelconque (throw null, reject()) : on la normalise en Error
+    let error = thrown instanceof Error ? thrown : new Error(String(thrown));
+
+    job.attemptsMade++;
+    job.failedReason = error.message;
+    job.stacktrace.push(error.stack);
+    job.prevState = 'active';
+
+    const canRetry = job.attemptsMade < job.opts.attempts && !isUnrecoverable(error);
+    let delay = 0;
+
+    if (canRetry) {
+      try {
+        delay = calculateBackoff(job.opts.backoff, job.attemptsMade, error, job, this.opts.settings?.backoffStrategy);
+      } catch (backoffError) {
+        error = backoffError;
+        delay = -1;
+      }
+    }
+
+    if (canRetry && delay !== -1) {
+      this.emit('failed', job, error, 'active');
+
+      if (delay > 0) {
+        state.delay(job, delay);
+      } else {
+        state.enqueue(job);
+      }
+      return;
+    }
+
+    job.finishedOn = this.broker.now();
+    job.state = 'failed';
+    state.failed.push(job);
+
+    this.emit('failed', job, error, 'active');
+    state.emit('failed', { jobId: job.id, failedReason: job.failedReason, prev: 'active' });
+
+    const keepJobs = job.opts.removeOnFail !== undefined ? job.opts.removeOnFail : this.opts.removeOnFail;
+    state.applyKeepJobs(state.failed, keepJobs);
+  }
+
+  /**
+   * Transmet la valeur de retour au job parent d'un flow
+   */
+  notifyParent(job) {
+    if (!job.parent) return;
+
+    const parentQueueName = job.parent.queue.replace(/^bull:/, '');
+    const parentState = this.broker.getQueueState(parentQueueName);
+    const parent = parentState.jobs.get(String(job.parent.id));
+    if (!parent) return;
+
+    parent.childrenValues[`${job.queueQualifiedName}:${job.id}`] = job.returnvalue;
+    parent.pendingChildren--;
+
+    if (parent.pendingChildren <= 0 && parent.state === 'waiting-children') {
+      parentState.waitingChildren.delete(parent);
+      parent.prevState = 'waiting-children';
+      if (parent.opts.delay > 0) {
+        parentState.delay(parent, parent.opts.delay);
+      } else {
+        parentState.enqueue(parent);
+      }
+    }
+  }
+
+  waitForActiveJobs() {
+    if (this.activeJobs.size === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  resolveIdleWaiters() {
+    if (this.activeJobs.size === 0) {
+      const waiters = this.idleWaiters;
+      this.idleWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Ferme le worker après les jobs en cours (sauf si force)
+   */
+  async close(force = false) {
+    if (!this.closing) {
+      this.closing = (force ? Promise.resolve() : this.waitForActiveJobs()).then(() => {
+        this.running = false;
+        this.state.workers.delete(this);
+        this.emit('closed');
+      });
+    }
+    return this.closing;
+  }
+
+  async waitUntilReady() {
+    return this.broker;
+  }
+}
+
+/**
+ * QueueEvents en mémoire
+ */
+class MemoryQueueEvents extends EventEmitter {
+  constructor(name, opts = {}) {
+    super();
+    if (!(opts.connection instanceof MemoryBroker)) {
+      throw new Error(`QueueEvents mémoire "${name}" : connection doit être un MemoryBroker`);
+    }
+
+    this.name = name;
+    this.opts = opts;
+    this.state = opts.connection.getQueueState(name);
+    this.forwarders = new Map();
+
+    const eventTypes = [
+      'waiting', 'active', 'completed', 'failed', 'progress', 'delayed',
+      'removed', 'drained', 'paused', 'resumed', 'stalled', 'cleaned'
+    ];
+
+    eventTypes.forEach(eventType => {
+      const forward = (payload) => this.emit(eventType, payload, payload.jobId);
+      this.forwarders.set(eventType, forward);
+      this.state.events.on(eventType, forward);
+    });
+  }
+
+  async close() {
+    for (const [eventType, forward] of this.forwarders) {
+      this.state.events.off(eventType, forward);
+    }
+    this.forwarders.clear();
+  }
+
+  async waitUntilReady() {
+    return this.opts.connection;
+  }
+}
+
+/**
+ * FlowProducer en mémoire
+ */
+class MemoryFlowProducer extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    if (!(opts.connection instanceof MemoryBroker)) {
+      throw new Error('FlowProducer mémoire : connection doit être un MemoryBroker');
+    }
+
+    this.opts = opts;
+    this.broker = opts.connection;
+  }
+
+  /**
+   * Ajoute un flow (les enfants sont traités avant le parent)
+   */
+  async add(flow, opts = {}) {
+    return this.addNode(flow, opts.queuesOptions || {}, null);
+  }
+
+  async addBulk(flows) {
+    const trees = [];
+    for (const flow of flows) {
+      trees.push(await this.add(flow));
+    }
+    return trees;
+  }
+
+  addNode(node, queuesOptions, parent) {
+    const queue = new MemoryQueue(node.queueName, {
+      connection: this.broker,
+      ...queuesOptions[node.queueName]
+    });
+
+    const children = node.children || [];
+    const jobOpts = { ...queue.opts.defaultJobOptions, ...node.opts };
+    if (parent) {
+      jobOpts.parent = { id: parent.id, queue: `bull:${parent.queueName}` };
+    }
+
+    const job = queue.addJob(node.name, node.data, jobOpts, { waitForChildren: children.length });
+    const childTrees = children.map(child => this.addNode(child, queuesOptions, job));
+
+    return childTrees.length > 0 ? { job, children: childTrees } : { job };
+  }
+
+  async close() {}
+
+  async waitUntilReady() {
+    return this.broker;
+  }
+}
+
+/**
+ * Crée une définition de backend mémoire
+ */
+function createMemoryBackend(options = {}) {
+  return {
+    name: 'memory',
+    Queue: MemoryQueue,
+    Worker: MemoryWorker,
+    QueueEvents: MemoryQueueEvents,
+    FlowProducer: MemoryFlowProducer,
+    connection: options.broker || new MemoryBroker(options)
+  };
+}
+
+module.exports = {
+  createMemoryBackend,
+  MemoryBroker,
+  MemoryQueue,
+  MemoryWorker,
+  MemoryQueueEvents,
+  MemoryFlowProducer,
+  MemoryJob
+};
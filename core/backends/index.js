@@ -0,0 +1,54 @@
+const { Queue, Worker, QueueEvents, FlowProducer } = require('bullmq');
+const { createMemoryBackend } = require('./MemoryBackend');
+
+/**
+ * Backends - Sélection de l'implémentation Queue/Worker/QueueEvents/FlowProducer
+ *
+ * 'redis'  : BullMQ réel (connexion config.redis)
+ * 'memory' : implémentation en mémoire, sans Redis (tests, CI)
+ * Un objet { Queue, Worker, QueueEvents, FlowProducer, connection } peut aussi être fourni.
+ */
+
+/**
+ * Crée le backend Redis (BullMQ)
+ */
+function createRedisBackend(redis) {
+  return {
+    name: 'redis',
+    Queue,
+    Worker,
+    QueueEvents,
+    FlowProducer,
+    connection: redis
+  };
+}
+
+/**
+ * Résout le backend à partir de la configuration
+ */
+function resolveBackend(config = {}) {
+  const backend = config.backend || process.env.BULLMQ_BACKEND || 'redis';
+
+  if (typeof backend === 'object') {
+    const missing = ['Queue', 'Worker', 'QueueEvents', 'FlowProducer'].filter(key => !backend[key]);
+    if (missing.length > 0) {
+      throw new Error(`Backend invalide, éléments manquants : ${missing.join(', ')}`);
+    }
+    return { name: 'custom', connection: config.redis, ...backend };
+  }
+
+  switch (backend) {
+    case 'redis':
+      return createRedisBackend(config.redis);
+    case 'memory':
+      return createMemoryBackend({ clock: config.clock, ...config.memory });
+    default:
+      throw new Error(`Backend "${backend}" inconnu (valeurs possibles : redis, memory)`);
+  }
+}
+
+module.exports = {
+  resolveBackend,
+  createRedisBackend,
+  createMemoryBackend
+};
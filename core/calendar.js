@@ -0,0 +1,226 @@
+/**
+ * Invitations calendrier (.ics) des échéances de remboursement
+ *
+ * Un rappel payment-reminder peut joindre un fichier iCalendar (RFC 5545) : événement sur la journée
+ * d'échéance (VEVENT) ou tâche à échéance (VTODO), avec alarmes. L'UID est stable par remboursement
+ * et la SEQUENCE croît à chaque rappel : Outlook et Google Calendar mettent à jour la même entrée
+ * au lieu de la dupliquer.
+ */
+
+const { DEFAULT_LOCALE, languageOf, createFormatters } = require('./i18n');
+
+const DEFAULT_OPTIONS = {
+  type: 'event',
+  alarms: ['-P3D', '-P1D'],
+  domain: 'flexmo.app',
+  timezone: undefined,
+  productId: '-//Flexmo//Rappels de remboursement//FR'
+};
+
+const TYPES = ['event', 'task'];
+
+// Durée ISO 8601 (RFC 5545 §3.3.6) : -P3D, -PT2H, -P1DT12H, -P1W
+const DURATION_PATTERN = /^[+-]?P(\d+W|(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?)$/;
+
+const LABELS = {
+  fr: {
+    summary: (reference, amount) => `Échéance du remboursement ${reference} (${amount})`,
+    amount: 'Montant dû :',
+    company: 'Entreprise :',
+    employee: 'Bénéficiaire :',
+    reference: 'Référence :',
+    alarm: reference => `Remboursement ${reference} à régler`,
+    filename: 'echeance'
+  },
+  en: {
+    summary: (reference, amount) => `Reimbursement ${reference} due (${amount})`,
+    amount: 'Amount due:',
+    company: 'Company:',
+    employee: 'Beneficiary:',
+    reference: 'Reference:',
+    alarm: reference => `Reimbursement ${reference} payment due`,
+    filename: 'due-date'
+  }
+};
+
+/**
+ * Options des invitations (null si désactivées)
+ * @param {boolean|Object} [options] - true, { type: 'event' | 'task', alarms, domain, timezone, productId }, false ou { enabled: false }
+ * @param {Object} [defaults] - Valeurs du service propriétaire (timezone)
+ * @returns {Object|null}
+ * @throws {Error} Si le type ou une alarme est invalide
+ */
+function resolveCalendarOptions(options, defaults = {}) {
+  if (!options || options.enabled === false) return null;
+
+  const { enabled, ...overrides } = options === true ? {} : options;
+  const resolved = { ...DEFAULT_OPTIONS, ...defaults, ...overrides };
+
+  if (!TYPES.includes(resolved.type)) {
+    throw new Error(`Type d'invitation calendrier "${resolved.type}" inconnu (valeurs possibles : ${TYPES.join(', ')})`);
+  }
+  const invalid = resolved.alarms.filter(alarm => !DURATION_PATTERN.test(alarm));
+  if (invalid.length > 0) {
+    throw new Error(`Alarmes calendrier invalides (durée ISO 8601 attendue, ex : -P1D) : ${invalid.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * UID de l'entrée calendrier d'un remboursement (identique d'un rappel à l'autre)
+ */
+function calendarUid(reimbursement, domain = DEFAULT_OPTIONS.domain) {
+  return `reimbursement-${reimbursement.id}@${domain}`;
+}
+
+/**
+ * Jour d'échéance au format iCalendar (AAAAMMJJ), calculé dans le fuseau donné
+ * @private
+ */
+function dueDay(dueDate, timezone) {
+  if (typeof dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+    return dueDate.replace(/-/g, '');
+  }
+
+  const date = new Date(dueDate);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Date d'échéance invalide : ${dueDate}`);
+  }
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date).replace(/-/g, '');
+}
+
+/**
+ * @private
+ */
+function nextDay(day) {
+  const date = new Date(Date.UTC(+day.slice(0, 4), +day.slice(4, 6) - 1, +day.slice(6, 8) + 1));
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * @private
+ */
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Échappe une valeur TEXT (antislash, virgule, point-virgule, retours à la ligne)
+ * @private
+ */
+function escapeText(value) {
+  return String(value).replace(/[\\,;]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Replie une ligne à 75 octets (RFC 5545 §3.1) sans couper un caractère UTF-8
+ * @private
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const character of line) {
+    const bytes = Buffer.byteLength(character);
+    const limit = parts.length === 0 ? 75 : 74; // La ligne de continuation commence par une espace
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += character;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Fichier iCalendar de l'échéance d'un remboursement
+ * @param {Object} reimbursement - Remboursement ({ id, dueDate, amount, currency, company, employee })
+ * @param {Object} [options] - Options résolues, plus { locale, currency, now, sequence }
+ * @returns {string} Contenu .ics (lignes CRLF repliées à 75 octets)
+ * @throws {Error} Si le remboursement n'a pas d'id ou de date d'échéance valide
+ */
+function buildDueDateCalendar(reimbursement, options = {}) {
+  if (!reimbursement?.id || !reimbursement.dueDate) {
+    throw new Error('Remboursement sans id ou date d\'échéance : invitation calendrier impossible');
+  }
+
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const labels = LABELS[languageOf(settings.locale || DEFAULT_LOCALE)] || LABELS.fr;
+  const formatters = createFormatters(settings.locale || DEFAULT_LOCALE, { currency: settings.currency });
+  const now = settings.now ? new Date(settings.now) : new Date();
+  const day = dueDay(reimbursement.dueDate, settings.timezone);
+  const reference = reimbursement.id;
+  const amount = formatters.formatAmount(reimbursement.amount || 0, reimbursement.currency);
+
+  const description = [
+    `${labels.reference} ${reference}`,
+    `${labels.amount} ${amount}`,
+    reimbursement.company?.name && `${labels.company} ${reimbursement.company.name}`,
+    reimbursement.employee?.name && `${labels.employee} ${reimbursement.employee.name}`
+  ].filter(Boolean).join('\n');
+
+  const task = settings.type === 'task';
+  const component = task ? 'VTODO' : 'VEVENT';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${settings.productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `BEGIN:${component}`,
+    `UID:${calendarUid(reimbursement, settings.domain)}`,
+    // Croît à chaque rappel (minutes écoulées) : la nouvelle version remplace l'ancienne
+    `SEQUENCE:${settings.sequence ?? Math.floor(now.getTime() / 60000)}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    ...(task
+      ? [`DUE;VALUE=DATE:${day}`, 'STATUS:NEEDS-ACTION']
+      : [`DTSTART;VALUE=DATE:${day}`, `DTEND;VALUE=DATE:${nextDay(day)}`, 'TRANSP:TRANSPARENT']),
+    `SUMMARY:${escapeText(labels.summary(reference, amount))}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...settings.alarms.flatMap(alarm => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(labels.alarm(reference))}`,
+      task ? `TRIGGER;RELATED=END:${alarm}` : `TRIGGER:${alarm}`,
+      'END:VALARM'
+    ]),
+    `END:${component}`,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Pièce jointe .ics d'un rappel (format nodemailer)
+ * @param {Object} reimbursement - Remboursement
+ * @param {Object} [options] - Voir buildDueDateCalendar
+ * @returns {Object} { filename, content, contentType }
+ */
+function calendarAttachment(reimbursement, options = {}) {
+  const labels = LABELS[languageOf(options.locale || DEFAULT_LOCALE)] || LABELS.fr;
+  return {
+    filename: `${labels.filename}-${String(reimbursement.id).replace(/[^\w.-]+/g, '_')}.ics`,
+    content: buildDueDateCalendar(reimbursement, options),
+    contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  resolveCalendarOptions,
+  calendarUid,
+  buildDueDateCalendar,
+  calendarAttachment
+};
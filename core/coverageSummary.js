@@ -0,0 +1,72 @@
+/**
+ * Synthèse Coverage : un email par couverture santé pour ses managers responsables
+ *
+ * Après le traitement des rappels d'une couverture (groupByHealthCoverage), la synthèse reprend tous
+ * ses remboursements en attente : totaux et montant en retard par devise, répartition par niveau
+ * d'urgence et liste triée par échéance (retards les plus anciens d'abord).
+ */
+
+const { DatePolicy } = require('./datePolicy');
+
+const URGENCY_LEVELS = ['critical', 'urgent', 'warning', 'normal', 'future'];
+
+/**
+ * Totaux par devise ([{ currency, amount }])
+ * @private
+ */
+function totalsByCurrency(reimbursements, defaultCurrency) {
+  const totals = new Map();
+  for (const reimbursement of reimbursements) {
+    const currency = reimbursement.currency || defaultCurrency;
+    totals.set(currency, (totals.get(currency) || 0) + (reimbursement.amount || 0));
+  }
+  return [...totals].map(([currency, amount]) => ({ currency, amount }));
+}
+
+/**
+ * Synthèse des remboursements d'une couverture santé
+ * @param {string} healthCoverageId - ID de la couverture santé
+ * @param {Array<Object>} reimbursements - Remboursements de la couverture ({ id, amount, currency, dueDate })
+ * @param {Object} options - { date, urgencyLevel(daysDiff), defaultCurrency, datePolicy (jours calendaires par défaut) }
+ * @returns {Object} { healthCoverageId, date, count, overdue: { count, totals }, totals, byUrgency, reimbursements }
+ */
+function buildCoverageSummary(healthCoverageId, reimbursements, options) {
+  const { date, urgencyLevel, defaultCurrency = null, datePolicy = new DatePolicy() } = options;
+  const currentDate = new Date(date);
+
+  const items = reimbursements.map(reimbursement => {
+    const { daysDiff, isOverdue, remainingDays, overdueDays } = datePolicy.daysInfo(reimbursement.dueDate, currentDate);
+    return {
+      id: reimbursement.id,
+      amount: reimbursement.amount || 0,
+      currency: reimbursement.currency || defaultCurrency,
+      dueDate: reimbursement.dueDate,
+      status: reimbursement.status || null,
+      employee: reimbursement.employee?.name || null,
+      paymentUrl: reimbursement.paymentUrl || null,
+      daysDiff,
+      isOverdue,
+      ...(isOverdue ? { overdueDays } : { remainingDays }),
+      urgency: urgencyLevel(daysDiff)
+    };
+  }).sort((a, b) => a.daysDiff - b.daysDiff);
+
+  const overdue = items.filter(item => item.isOverdue);
+  const byUrgency = Object.fromEntries(URGENCY_LEVELS.map(level => [level, 0]));
+  items.forEach(item => { byUrgency[item.urgency] = (byUrgency[item.urgency] || 0) + 1; });
+
+  return {
+    healthCoverageId,
+    date: currentDate.toISOString(),
+    count: items.length,
+    overdue: { count: overdue.length, totals: totalsByCurrency(overdue, defaultCurrency) },
+    totals: totalsByCurrency(items, defaultCurrency),
+    byUrgency,
+    reimbursements: items
+  };
+}
+
+module.exports = {
+  URGENCY_LEVELS,
+  buildCoverageSummary
+};
@@ -0,0 +1,279 @@
+/**
+ * Politique de dates des rappels : jours calendaires ou ouvrés, week-end, jours fériés et fuseau horaire
+ *
+ * Les jours sont comptés entre dates locales du fuseau configuré (et non par écart de millisecondes
+ * sur l'heure du serveur). En jours ouvrés (businessDays: true), les week-ends et jours fériés ne
+ * comptent pas et une échéance tombant un jour non ouvré est reportée au jour ouvré suivant : un
+ * rappel "J-1" part le vendredi pour une échéance du lundi, jamais le samedi.
+ *
+ * Calendriers de jours fériés : fichier intégré (holidays/<code>.json, ex : 'ci' pour la Côte d'Ivoire),
+ * chemin d'un fichier JSON, ou liste de dates ('AAAA-MM-JJ', récurrentes 'MM-JJ', { date, name }).
+ * Format du fichier : { name, fixed: [{ date: 'MM-JJ', name }], easter: [{ offset, name }], dates: [{ date, name }] }
+ * (easter : jours fériés mobiles, décalage en jours depuis le dimanche de Pâques).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DEFAULT_WEEKEND = [0, 6]; // Dimanche et samedi (getUTCDay)
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RECURRING_PATTERN = /^\d{2}-\d{2}$/;
+const HOLIDAYS_DIR = path.join(__dirname, 'holidays');
+
+/**
+ * @private
+ */
+function parseDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date);
+}
+
+/**
+ * @private
+ */
+function addDays(day, count) {
+  return new Date(parseDay(day) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Dimanche de Pâques (calendrier grégorien, algorithme de Meeus/Jones/Butcher)
+ * @private
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const date = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+}
+
+/**
+ * Charge un calendrier de jours fériés
+ * @param {string|Array|Object} [source] - Code intégré ('ci'), chemin d'un fichier JSON, liste de dates
+ *   (les chaînes autres que des dates sont chargées comme sources) ou calendrier { fixed, easter, dates }
+ * @returns {Object} Calendrier normalisé { names, fixed: { 'MM-JJ': nom }, easter: [{ offset, name }], dates: { 'AAAA-MM-JJ': nom } }
+ * @throws {Error} Si le fichier est introuvable ou une date invalide
+ */
+function loadHolidayCalendar(source) {
+  const calendar = { names: [], fixed: {}, easter: [], dates: {} };
+  const addDate = (date, name = 'Jour férié') => {
+    if (DAY_PATTERN.test(date)) {
+      calendar.dates[date] = name;
+    } else if (RECURRING_PATTERN.test(date)) {
+      calendar.fixed[date] = name;
+    } else {
+      throw new Error(`Date de jour férié invalide : ${date} (formats acceptés : AAAA-MM-JJ, MM-JJ)`);
+    }
+  };
+  const merge = other => {
+    calendar.names.push(...other.names);
+    Object.assign(calendar.fixed, other.fixed);
+    Object.assign(calendar.dates, other.dates);
+    calendar.easter.push(...other.easter);
+  };
+
+  if (!source) return calendar;
+
+  if (Array.isArray(source)) {
+    for (const entry of source) {
+      if (entry && typeof entry === 'object') {
+        addDate(entry.date, entry.name);
+      } else if (DAY_PATTERN.test(entry) || RECURRING_PATTERN.test(entry)) {
+        addDate(entry);
+      } else {
+        merge(loadHolidayCalendar(entry));
+      }
+    }
+    return calendar;
+  }
+
+  if (typeof source === 'string') {
+    const file = /[\\/.]/.test(source) ? path.resolve(source) : path.join(HOLIDAYS_DIR, `${source}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Calendrier de jours fériés "${source}" introuvable (${file})`);
+    }
+    return loadHolidayCalendar(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  if (source.name) calendar.names.push(source.name);
+  (source.fixed || []).forEach(entry => addDate(entry.date, entry.name));
+  (source.dates || []).forEach(entry => addDate(entry.date, entry.name));
+  calendar.easter.push(...(source.easter || []));
+  return calendar;
+}
+
+class DatePolicy {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - Fuseau des limites de jour (ex : 'Africa/Abidjan', local par défaut)
+   * @param {boolean} [options.businessDays=false] - Compter en jours ouvrés
+   * @param {Array<number>} [options.weekend=[0, 6]] - Jours de week-end (0 = dimanche … 6 = samedi)
+   * @param {string|Array|Object} [options.holidays] - Calendrier de jours fériés (voir loadHolidayCalendar)
+   */
+  constructor(options = {}) {
+    const weekend = options.weekend || DEFAULT_WEEKEND;
+    const invalid = weekend.filter(day => !Number.isInteger(day) || day < 0 || day > 6);
+    if (invalid.length > 0) {
+      throw new Error(`Jours de week-end invalides (0 = dimanche … 6 = samedi) : ${invalid.join(', ')}`);
+    }
+
+    this.timezone = options.timezone;
+    this.businessDays = Boolean(options.businessDays);
+    this.weekend = weekend;
+    this.holidays = loadHolidayCalendar(options.holidays);
+    this.easterCache = new Map();
+
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone: this.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      });
+    } catch (error) {
+      throw new Error(`Fuseau horaire "${this.timezone}" inconnu`);
+    }
+  }
+
+  /**
+   * Jour local (AAAA-MM-JJ) d'une date dans le fuseau configuré ; une date sans heure est prise telle quelle
+   * @throws {Error} Si la date est invalide
+   */
+  dayOf(date) {
+    if (typeof date === 'string' && DAY_PATTERN.test(date)) return date;
+
+    const value = new Date(date);
+    if (Number.isNaN(value.getTime())) {
+      throw new Error(`Date invalide : ${date}`);
+    }
+    return this.formatter.format(value);
+  }
+
+  /**
+   * Nom du jour férié (null si le jour n'est pas férié)
+   */
+  holidayName(date) {
+    const day = this.dayOf(date);
+    const year = Number(day.slice(0, 4));
+
+    if (!this.easterCache.has(year)) {
+      const easter = easterSunday(year);
+      this.easterCache.set(year, Object.fromEntries(
+        this.holidays.easter.map(({ offset, name }) => [addDays(easter, offset), name])
+      ));
+    }
+
+    return this.holidays.dates[day] || this.holidays.fixed[day.slice(5)] || this.easterCache.get(year)[day] || null;
+  }
+
+  /**
+   * Jour ouvré : ni week-end, ni férié
+   */
+  isBusinessDay(date) {
+    const day = this.dayOf(date);
+    return !this.weekend.includes(new Date(parseDay(day)).getUTCDay()) && !this.holidayName(day);
+  }
+
+  /**
+   * Jour d'envoi des rappels : tous les jours en jours calendaires, jours ouvrés sinon
+   */
+  isReminderDay(date) {
+    return !this.businessDays || this.isBusinessDay(date);
+  }
+
+  /**
+   * Premier jour ouvré à partir de la date incluse (AAAA-MM-JJ)
+   */
+  nextBusinessDay(date) {
+    let day = this.dayOf(date);
+    for (let guard = 0; guard < 366 && !this.isBusinessDay(day); guard++) {
+      day = addDays(day, 1);
+    }
+    return day;
+  }
+
+  /**
+   * Échéance effective : reportée au jour ouvré suivant en jours ouvrés
+   */
+  effectiveDueDay(dueDate) {
+    return this.businessDays ? this.nextBusinessDay(dueDate) : this.dayOf(dueDate);
+  }
+
+  /**
+   * Jours écoulés de from à to (négatif si to est antérieur), calendaires ou ouvrés : en jours ouvrés,
+   * nombre de jours ouvrés de l'intervalle ]from, to]
+   */
+  daysBetween(from, to) {
+    const start = this.dayOf(from);
+    const end = this.dayOf(to);
+    const calendarDays = Math.round((parseDay(end) - parseDay(start)) / DAY_MS);
+    if (!this.businessDays || calendarDays === 0) return calendarDays;
+
+    const [first, last, sign] = calendarDays > 0 ? [start, end, 1] : [end, start, -1];
+    let count = 0;
+    for (let day = addDays(first, 1); day <= last; day = addDays(day, 1)) {
+      if (this.isBusinessDay(day)) count++;
+    }
+    return sign * count;
+  }
+
+  /**
+   * Jours restant avant l'échéance (≤ 0 : en retard), calendaires ou ouvrés
+   */
+  daysUntil(dueDate, currentDate) {
+    return this.daysBetween(currentDate, this.effectiveDueDay(dueDate));
+  }
+
+  /**
+   * daysInfo d'un rappel : daysDiff selon la politique (cadence, urgence, escalade), remainingDays et
+   * overdueDays en jours calendaires jusqu'à l'échéance effective (textes des emails)
+   * @returns {Object} { daysDiff, isOverdue, remainingDays | overdueDays }
+   */
+  daysInfo(dueDate, currentDate) {
+    const daysDiff = this.daysUntil(dueDate, currentDate);
+    const calendarDays = Math.round((parseDay(this.effectiveDueDay(dueDate)) - parseDay(this.dayOf(currentDate))) / DAY_MS);
+
+    return daysDiff <= 0
+      ? { daysDiff, isOverdue: true, overdueDays: Math.abs(calendarDays) }
+      : { daysDiff, isOverdue: false, remainingDays: calendarDays };
+  }
+
+  /**
+   * Rang du jour dans le mois : quantième en jours calendaires, rang du jour ouvré sinon
+   * (ex : fenêtre Corporate des 10 premiers jours du mois)
+   */
+  dayOfMonth(date) {
+    const day = this.dayOf(date);
+    if (!this.businessDays) return Number(day.slice(8));
+    return this.daysBetween(addDays(`${day.slice(0, 8)}01`, -1), day);
+  }
+}
+
+/**
+ * Politique de dates d'un service
+ * @param {Object|DatePolicy} [options] - Options (voir DatePolicy) ou instance
+ * @param {Object} [defaults] - Valeurs du service propriétaire (timezone)
+ * @returns {DatePolicy}
+ */
+function createDatePolicy(options, defaults = {}) {
+  if (options instanceof DatePolicy) return options;
+  return new DatePolicy({ ...defaults, ...options });
+}
+
+module.exports = {
+  DEFAULT_WEEKEND,
+  DatePolicy,
+  createDatePolicy,
+  loadHolidayCalendar
+};
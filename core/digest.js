@@ -0,0 +1,169 @@
+/**
+ * Mode récapitulatif (digest) des rappels de remboursement
+ *
+ * Pendant une exécution Corporate ou Coverage, les rappels destinés aux destinataires en mode digest
+ * sont collectés au lieu d'être mis en file un par un ; chaque destinataire reçoit ensuite un seul email
+ * (template reminder-digest) listant ses remboursements à traiter, par ordre de priorité.
+ *
+ * Mode d'un destinataire : recipient.reminderMode, puis preferences[email], puis defaultMode
+ * ('individual' par défaut : le récapitulatif est un choix du destinataire).
+ */
+
+const MODES = ['digest', 'individual'];
+
+const DEFAULT_OPTIONS = {
+  defaultMode: 'individual',
+  preferences: {}
+};
+
+/**
+ * @private
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * @private
+ */
+function assertMode(mode) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Mode de rappel "${mode}" inconnu (valeurs possibles : ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Options du mode récapitulatif (null si désactivé)
+ * @param {boolean|Object} [options] - true, { defaultMode: 'individual' | 'digest', preferences: { email: mode } },
+ *   false ou { enabled: false }
+ * @returns {Object|null}
+ * @throws {Error} Si un mode est inconnu
+ */
+function resolveDigestOptions(options) {
+  if (!options || options.enabled === false) return null;
+
+  const { enabled, preferences = {}, ...overrides } = options === true ? {} : options;
+  const resolved = { ...DEFAULT_OPTIONS, ...overrides, preferences: {} };
+
+  assertMode(resolved.defaultMode);
+  Object.entries(preferences).forEach(([email, mode]) => {
+    resolved.preferences[normalizeEmail(email)] = assertMode(mode);
+  });
+  return resolved;
+}
+
+/**
+ * Mode d'envoi d'un destinataire ('digest' ou 'individual')
+ * @param {Object} recipient - Destinataire ({ email, reminderMode })
+ * @param {Object} options - Options résolues (resolveDigestOptions)
+ */
+function recipientMode(recipient, options) {
+  return recipient.reminderMode || options.preferences[normalizeEmail(recipient.email)] || options.defaultMode;
+}
+
+/**
+ * Enregistre la préférence d'un destinataire (null pour revenir au mode par défaut)
+ * @param {Object} options - Options résolues (resolveDigestOptions)
+ * @param {string} email - Adresse du destinataire
+ * @param {string|null} mode - 'digest', 'individual' ou null
+ */
+function setPreference(options, email, mode) {
+  const key = normalizeEmail(email);
+  if (mode === null) {
+    delete options.preferences[key];
+  } else {
+    options.preferences[key] = assertMode(mode);
+  }
+  return options.preferences;
+}
+
+/**
+ * Synthèse d'un récapitulatif : nombre de remboursements, en retard, à venir et totaux par devise
+ * @param {Array<Object>} items - Rappels du récapitulatif ({ reimbursement, emailType, daysInfo })
+ * @param {string} [defaultCurrency] - Devise des montants sans reimbursement.currency
+ * @returns {Object} { count, overdue, upcoming, totals: [{ currency, amount }] }
+ */
+function summarizeDigest(items, defaultCurrency = null) {
+  const totals = new Map();
+  for (const { reimbursement } of items) {
+    const currency = reimbursement.currency || defaultCurrency;
+    totals.set(currency, (totals.get(currency) || 0) + (reimbursement.amount || 0));
+  }
+
+  const overdue = items.filter(item => item.emailType === 'payment-overdue').length;
+  return {
+    count: items.length,
+    overdue,
+    upcoming: items.length - overdue,
+    totals: [...totals].map(([currency, amount]) => ({ currency, amount }))
+  };
+}
+
+/**
+ * Collecte des rappels d'une exécution, par destinataire en mode digest
+ */
+class DigestCollector {
+  /**
+   * @param {string} scope - 'corporate' ou 'coverage'
+   * @param {Object} options - Options résolues (resolveDigestOptions)
+   */
+  constructor(scope, options) {
+    this.scope = scope;
+    this.options = options;
+    this.recipients = new Map();
+  }
+
+  /**
+   * Collecte le rappel pour ses destinataires en mode digest
+   * @param {Object} reminder - Données du job send-reminder-email ({ recipients, reimbursement, emailType, daysInfo, escalation, policy })
+   * @returns {Array<Object>} Destinataires restant en envoi individuel
+   */
+  collect(reminder) {
+    const individual = [];
+
+    for (const recipient of reminder.recipients) {
+      if (recipientMode(recipient, this.options) !== 'digest') {
+        individual.push(recipient);
+        continue;
+      }
+
+      const key = normalizeEmail(recipient.email);
+      if (!this.recipients.has(key)) {
+        this.recipients.set(key, { recipient, items: [] });
+      }
+      this.recipients.get(key).items.push({
+        reimbursement: reminder.reimbursement,
+        emailType: reminder.emailType,
+        daysInfo: reminder.daysInfo,
+        escalation: reminder.escalation || null,
+        policy: reminder.policy || null
+      });
+    }
+
+    return individual;
+  }
+
+  /**
+   * Nombre de destinataires en mode digest
+   */
+  get size() {
+    return this.recipients.size;
+  }
+
+  /**
+   * Récapitulatifs collectés : [{ recipient, items }]
+   */
+  digests() {
+    return [...this.recipients.values()];
+  }
+}
+
+module.exports = {
+  MODES,
+  resolveDigestOptions,
+  recipientMode,
+  setPreference,
+  summarizeDigest,
+  DigestCollector
+};
@@ -0,0 +1,424 @@
+/**
+ * Rendu HTML compatible clients mail (Outlook, applications Gmail)
+ *
+ * Étape appliquée après le rendu EJS :
+ * - inlineCss : les règles des blocs <style> sont recopiées dans l'attribut style des éléments ;
+ *   seules les règles non inlinables (media queries, pseudo-classes, @font-face) restent dans un <style>
+ * - sanitizeEmailHtml : retrait des scripts, iframes, feuilles de style externes, @import et attributs on*
+ * - lintEmailHtml : rapport (texte alternatif manquant, polices externes, CSS mal supporté, taille)
+ *
+ * prepareEmailHtml enchaîne les trois et refuse un HTML au-delà de maxSize (Gmail tronque à 102 Ko) ;
+ * auditEmailHtml produit le même rapport sans lever d'erreur (tests, lint des templates).
+ */
+
+const DEFAULT_OPTIONS = {
+  inlineCss: true,
+  sanitize: true,
+  maxSize: 102 * 1024
+};
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+
+const UNSUPPORTED_CSS = [
+  { pattern: /(^|;)\s*display\s*:\s*(flex|inline-flex|grid|inline-grid)\b/i, label: 'display flex/grid' },
+  { pattern: /(^|;)\s*position\s*:/i, label: 'position' },
+  { pattern: /(linear|radial)-gradient\(/i, label: 'dégradé CSS' }
+];
+
+// === CSS ===
+
+/**
+ * Déclarations "prop: valeur; ..." → [{ property, value, important }]
+ */
+function parseDeclarations(body) {
+  return body.split(';').map(declaration => {
+    const index = declaration.indexOf(':');
+    if (index === -1) return null;
+
+    const property = declaration.slice(0, index).trim().toLowerCase();
+    let value = declaration.slice(index + 1).trim();
+    const important = /!important$/i.test(value);
+    if (important) value = value.replace(/\s*!important$/i, '');
+
+    return property && value ? { property, value, important } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Sélecteur composé "tag.classe#id" → { tag, classes, id } (null si non inlinable)
+ */
+function parseCompound(compound) {
+  const match = /^([a-zA-Z][\w-]*|\*)?((?:[.#][\w-]+)*)$/.exec(compound);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const parts = match[2].match(/[.#][\w-]+/g) || [];
+  return {
+    tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null,
+    classes: parts.filter(part => part[0] === '.').map(part => part.slice(1)),
+    id: parts.find(part => part[0] === '#')?.slice(1) || null
+  };
+}
+
+/**
+ * Sélecteur "a .b > c" → étapes de droite à gauche (null si non inlinable)
+ */
+function parseSelector(selector) {
+  const tokens = selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+  const steps = [];
+  let combinator = null;
+
+  for (let index = tokens.length - 1; index >= 0; index--) {
+    if (tokens[index] === '>') {
+      combinator = 'child';
+      continue;
+    }
+
+    const compound = parseCompound(tokens[index]);
+    if (!compound) return null;
+
+    steps.push({ ...compound, combinator: steps.length === 0 ? null : (combinator || 'descendant') });
+    combinator = null;
+  }
+
+  if (steps.length === 0) return null;
+
+  const specificity = steps.reduce((total, step) =>
+    total + (step.id ? 10000 : 0) + step.classes.length * 100 + (step.tag ? 1 : 0), 0);
+  return { steps, specificity };
+}
+
+/**
+ * Sépare les règles inlinables des règles à conserver dans un <style>
+ */
+function parseStylesheet(css) {
+  const rules = [];
+  const residual = [];
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  let index = 0;
+  let order = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{', index);
+    const statementEnd = source.indexOf(';', index);
+    const prelude = source.slice(index, open === -1 ? source.length : open).trim();
+
+    // Instruction sans bloc (@import, @charset)
+    if (prelude.startsWith('@') && statementEnd !== -1 && (open === -1 || statementEnd < open)) {
+      const statement = source.slice(index, statementEnd + 1).trim();
+      if (!/^@import\b/i.test(statement)) residual.push(statement);
+      index = statementEnd + 1;
+      continue;
+    }
+    if (open === -1) break;
+
+    // Bloc jusqu'à l'accolade fermante correspondante (media queries imbriquées)
+    let depth = 1;
+    let close = open + 1;
+    while (close < source.length && depth > 0) {
+      if (source[close] === '{') depth++;
+      if (source[close] === '}') depth--;
+      close++;
+    }
+    const body = source.slice(open + 1, close - 1);
+    index = close;
+
+    if (!prelude) continue;
+
+    if (prelude.startsWith('@')) {
+      residual.push(`${prelude} {${body}}`);
+      continue;
+    }
+
+    const declarations = parseDeclarations(body);
+    for (const selector of prelude.split(',')) {
+      const parsed = parseSelector(selector);
+      if (parsed) {
+        rules.push({ ...parsed, declarations, order: order++ });
+      } else {
+        residual.push(`${selector.trim()} {${body.trim()}}`);
+      }
+    }
+  }
+
+  return { rules, residual };
+}
+
+// === HTML ===
+
+/**
+ * Attributs d'une balise ouvrante → Map (noms en minuscules)
+ */
+function parseAttributes(source) {
+  const attributes = new Map();
+  const pattern = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    attributes.set(match[1].toLowerCase(), match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function matchesCompound(element, step) {
+  return (!step.tag || element.tag === step.tag)
+    && (!step.id || element.id === step.id)
+    && step.classes.every(name => element.classes.includes(name));
+}
+
+/**
+ * Vérifie un sélecteur pour l'élément et ses ancêtres (du plus proche au plus lointain)
+ */
+function matchesSelector(element, ancestors, steps) {
+  if (!matchesCompound(element, steps[0])) return false;
+
+  let position = 0;
+  for (let stepIndex = 1; stepIndex < steps.length; stepIndex++) {
+    const step = steps[stepIndex];
+    const previous = steps[stepIndex - 1];
+
+    if (previous.combinator === 'child') {
+      if (position >= ancestors.length || !matchesCompound(ancestors[position], step)) return false;
+      position++;
+    } else {
+      while (position < ancestors.length && !matchesCompound(ancestors[position], step)) position++;
+      if (position >= ancestors.length) return false;
+      position++;
+    }
+  }
+  return true;
+}
+
+/**
+ * Style final d'un élément : règles par spécificité puis ordre, style inline existant en dernier
+ */
+function computeStyle(rules, inlineStyle) {
+  const sorted = [...rules].sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+  const declarations = new Map();
+
+  const apply = (declaration, fromInline) => {
+    const current = declarations.get(declaration.property);
+    if (current && current.important && !(fromInline && declaration.important)) return;
+    declarations.delete(declaration.property);
+    declarations.set(declaration.property, declaration);
+  };
+
+  sorted.forEach(rule => rule.declarations.forEach(declaration => apply(declaration, false)));
+  parseDeclarations(inlineStyle || '').forEach(declaration => apply(declaration, true));
+
+  return Array.from(declarations.values())
+    .map(({ property, value }) => `${property}: ${value.replace(/"/g, '\'')}`)
+    .join('; ');
+}
+
+/**
+ * Recopie les règles des blocs <style> dans l'attribut style des éléments
+ * @param {string} html - HTML rendu
+ * @returns {Object} { html, residualCss: string[] }
+ */
+function inlineCss(html) {
+  const styleBlocks = [];
+  let output = html.replace(/<style\b[^>]*>([\s\S]*?)<\/style>/gi, (match, css) => {
+    styleBlocks.push(css);
+    return '';
+  });
+
+  if (styleBlocks.length === 0) {
+    return { html, residualCss: [] };
+  }
+
+  const { rules, residual } = parseStylesheet(styleBlocks.join('\n'));
+  const stack = [];
+
+  output = output.replace(TAG_PATTERN, (tag, closing, name, attributeSource, selfClosing) => {
+    if (!name) return tag; // Commentaire (y compris commentaires conditionnels Outlook)
+
+    const tagName = name.toLowerCase();
+
+    if (closing) {
+      const index = stack.map(element => element.tag).lastIndexOf(tagName);
+      if (index !== -1) stack.splice(index);
+      return tag;
+    }
+
+    const attributes = parseAttributes(attributeSource || '');
+    const element = {
+      tag: tagName,
+      id: attributes.get('id') || null,
+      classes: (attributes.get('class') || '').split(/\s+/).filter(Boolean)
+    };
+    const ancestors = [...stack].reverse();
+    const inHead = stack.some(parent => parent.tag === 'head') || ['head', 'html', 'meta', 'title', 'link'].includes(tagName);
+
+    if (!selfClosing && !VOID_TAGS.includes(tagName)) {
+      stack.push(element);
+    }
+    if (inHead) return tag;
+
+    const matched = rules.filter(rule => matchesSelector(element, ancestors, rule.steps));
+    if (matched.length === 0) return tag;
+
+    const style = computeStyle(matched, attributes.get('style'));
+    const withoutStyle = (attributeSource || '').replace(/\s+style\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i, '');
+    return `<${name}${withoutStyle} style="${style}"${selfClosing ? ' /' : ''}>`;
+  });
+
+  if (residual.length > 0) {
+    const block = `<style>\n${residual.join('\n')}\n</style>`;
+    output = /<\/head>/i.test(output) ? output.replace(/<\/head>/i, `${block}\n</head>`) : `${block}\n${output}`;
+  }
+
+  return { html: output, residualCss: residual };
+}
+
+/**
+ * Retire les constructions ignorées ou bloquées par les clients mail
+ * @param {string} html - HTML rendu
+ * @param {Array} [issues] - Reçoit un avertissement par construction retirée
+ * @returns {string} HTML nettoyé
+ */
+function sanitizeEmailHtml(html, issues = []) {
+  const removed = (rule, message) => issues.push({ rule, severity: 'warning', message });
+
+  return html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, () => {
+      removed('script', 'Balise <script> retirée (bloquée par les clients mail)');
+      return '';
+    })
+    .replace(/<(iframe|object|embed)\b[^>]*>(?:[\s\S]*?<\/\1>)?/gi, (match, tag) => {
+      removed('embed', `Balise <${tag.toLowerCase()}> retirée (non supportée par les clients mail)`);
+      return '';
+    })
+    .replace(/<link\b[^>]*>/gi, (tag) => {
+      const href = /\bhref\s*=\s*["']?([^"'\s>]+)/i.exec(tag)?.[1] || '';
+      removed(/font/i.test(href) ? 'external-font' : 'external-css', `Feuille de style externe retirée : ${href}`);
+      return '';
+    })
+    .replace(/@import\s+[^;]+;/gi, (statement) => {
+      removed(/font/i.test(statement) ? 'external-font' : 'external-css', `${statement.trim()} retiré`);
+      return '';
+    })
+    .replace(/<[a-zA-Z][^>]*>/g, (tag) => tag.replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, () => {
+      removed('event-handler', 'Attribut de script on* retiré');
+      return '';
+    }))
+    .replace(/\b(href|src)\s*=\s*(["'])\s*javascript:[^"']*\2/gi, (match, attribute) => {
+      removed('javascript-url', `URL javascript: retirée (${attribute})`);
+      return `${attribute}="#"`;
+    });
+}
+
+/**
+ * Rapport de compatibilité d'un HTML d'email
+ * @param {string} html - HTML à analyser (de préférence après prepareEmailHtml)
+ * @param {Object} [options] - { maxSize }
+ * @returns {Object} { ok, size, errors, warnings, issues: [{ rule, severity, message }] }
+ */
+function lintEmailHtml(html, options = {}) {
+  const maxSize = options.maxSize === undefined ? DEFAULT_OPTIONS.maxSize : options.maxSize;
+  const issues = [...(options.issues || [])];
+  const add = (rule, severity, message) => issues.push({ rule, severity, message });
+  const size = Buffer.byteLength(html || '', 'utf8');
+
+  if (maxSize && size > maxSize) {
+    add('max-size', 'error', `HTML de ${Math.ceil(size / 1024)} Ko, au-delà de ${Math.floor(maxSize / 1024)} Ko (Gmail tronque le message)`);
+  }
+
+  for (const [tag] of html.matchAll(/<img\b[^>]*>/gi)) {
+    if (!/\balt\s*=/i.test(tag)) {
+      const src = /\bsrc\s*=\s*["']?([^"'\s>]+)/i.exec(tag)?.[1] || '?';
+      add('img-alt', 'warning', `Image sans texte alternatif : ${src}`);
+    }
+  }
+
+  if (/<script\b/i.test(html)) {
+    add('script', 'error', 'Balise <script> présente');
+  }
+
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const href = /\bhref\s*=\s*["']?([^"'\s>]+)/i.exec(tag)?.[1] || '';
+    add(/font/i.test(href) ? 'external-font' : 'external-css', 'warning', `Feuille de style externe : ${href}`);
+  }
+
+  const styleBlocks = Array.from(html.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi), match => match[1]).join('\n');
+  if (/@import\b|@font-face[^}]*url\(\s*["']?https?:/i.test(styleBlocks)) {
+    add('external-font', 'warning', 'Police externe (@import ou @font-face) : ignorée par Outlook et Gmail');
+  }
+  if (styleBlocks.trim()) {
+    add('style-block', 'warning', 'Bloc <style> présent : ses règles sont ignorées par certains clients (Outlook, applications Gmail)');
+  }
+
+  const styles = [
+    ...Array.from(html.matchAll(/\bstyle\s*=\s*"([^"]*)"/gi), match => match[1]),
+    ...Array.from(html.matchAll(/\bstyle\s*=\s*'([^']*)'/gi), match => match[1]),
+    styleBlocks
+  ];
+  for (const { pattern, label } of UNSUPPORTED_CSS) {
+    if (styles.some(style => pattern.test(style))) {
+      add('unsupported-css', 'warning', `CSS mal supporté par les clients mail : ${label}`);
+    }
+  }
+
+  for (const [, attribute, url] of html.matchAll(/\b(href|src)\s*=\s*["']([^"']*)["']/gi)) {
+    if (url && !/^(https?:|mailto:|tel:|cid:|data:|#)/i.test(url.trim())) {
+      add('relative-url', 'warning', `URL non absolue (${attribute}) : ${url}`);
+    }
+  }
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  return {
+    ok: errors === 0,
+    size,
+    errors,
+    warnings: issues.length - errors,
+    issues
+  };
+}
+
+/**
+ * Inline le CSS et nettoie le HTML sans rien refuser ; le rapport liste les problèmes détectés
+ * @param {string} html - HTML rendu
+ * @param {Object} [options] - { inlineCss, sanitize, maxSize }
+ * @returns {Object} { html, report }
+ */
+function auditEmailHtml(html, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const issues = [];
+  let output = html || '';
+
+  if (settings.sanitize) output = sanitizeEmailHtml(output, issues);
+  if (settings.inlineCss) output = inlineCss(output).html;
+
+  return { html: output, report: lintEmailHtml(output, { maxSize: settings.maxSize, issues }) };
+}
+
+/**
+ * Inline le CSS, nettoie le HTML et contrôle sa taille (étape appliquée après le rendu des templates)
+ * @param {string} html - HTML rendu
+ * @param {Object|false} [options] - { inlineCss, sanitize, maxSize } ; false : HTML inchangé
+ * @returns {Object} { html, report }
+ * @throws {Error} Si le HTML dépasse maxSize
+ */
+function prepareEmailHtml(html, options = {}) {
+  if (options === false || !html) {
+    return { html, report: null };
+  }
+
+  const result = auditEmailHtml(html, options);
+  const tooLarge = result.report.issues.find(issue => issue.rule === 'max-size');
+  if (tooLarge) {
+    throw new Error(`Email refusé : ${tooLarge.message}`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  prepareEmailHtml,
+  auditEmailHtml,
+  inlineCss,
+  sanitizeEmailHtml,
+  lintEmailHtml,
+  DEFAULT_OPTIONS
+};
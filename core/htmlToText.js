@@ -0,0 +1,99 @@
+/**
+ * Conversion HTML → texte brut (partie text/plain des emails)
+ *
+ * Conserve le contenu utile d'un template : paragraphes, titres, listes, lignes de tableau
+ * (libellé et valeur sur la même ligne) et liens sous la forme "libellé (url)".
+ * Les styles, scripts, commentaires et images sans texte alternatif sont retirés.
+ */
+
+const BLOCK_TAGS = 'address|article|aside|blockquote|div|dl|dt|dd|fieldset|figure|figcaption|footer|form|header|hr|main|nav|ol|section|table|thead|tbody|tfoot|ul';
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  euro: '€',
+  laquo: '«',
+  raquo: '»',
+  eacute: 'é',
+  egrave: 'è',
+  ecirc: 'ê',
+  agrave: 'à',
+  ccedil: 'ç',
+  ocirc: 'ô',
+  ucirc: 'û',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—',
+  copy: '©'
+};
+
+/**
+ * Décode les entités HTML courantes, décimales et hexadécimales
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Texte visible d'un fragment HTML (sans balises)
+ */
+function innerText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convertit un document HTML en texte brut lisible
+ * @param {string} html - HTML rendu
+ * @returns {string} Texte brut
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  let text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ');
+
+  // Liens : "libellé (url)", l'url seule si le libellé la reprend
+  text = text.replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attributes, inner) => {
+    const href = /\bhref=(["'])(.*?)\1/i.exec(attributes)?.[2];
+    const label = innerText(inner);
+    if (!href || href.startsWith('#')) return label;
+
+    const target = decodeEntities(href).replace(/^mailto:/i, '');
+    if (!label || label === target) return target;
+    return `${label} (${target})`;
+  });
+
+  text = text
+    .replace(/<img\b[^>]*\balt=(["'])(.*?)\1[^>]*>/gi, ' $2 ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<tr\b[^>]*>/gi, '\n')
+    .replace(/<\/?(p|h[1-6])\b[^>]*>/gi, '\n\n')
+    .replace(new RegExp(`</?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  htmlToText,
+  decodeEntities
+};
@@ -0,0 +1,160 @@
+/**
+ * Internationalisation des emails
+ *
+ * - Locale d'un destinataire : recipient.locale, recipient.language, locale du remboursement puis de
+ *   l'entreprise cliente (reimbursement.company.locale), locale par défaut ; une locale dont la langue
+ *   n'a pas de catalogue est ignorée
+ * - Variantes de templates : reminder-overdue.en-GB.ejs, reminder-overdue.en.ejs, puis reminder-overdue.ejs (français)
+ * - Catalogue des sujets par langue (paramètres : daysInfo, synthèse du récapitulatif ou de la couverture)
+ * - Formatage des montants et des dates selon la locale (fr-CI, en-GB ; XOF, EUR)
+ */
+
+const DEFAULT_LOCALE = 'fr-CI';
+const DEFAULT_CURRENCY = 'EUR';
+
+const SUBJECTS = {
+  fr: {
+    'reminder-before-due': ({ remainingDays } = {}) => remainingDays === 1
+      ? 'Rappel : Échéance de remboursement demain'
+      : `Rappel : Échéance de remboursement dans ${remainingDays} jours`,
+    'reminder-overdue': () => 'URGENT : Paiement de remboursement en retard',
+    'reminder-critical': ({ overdueDays } = {}) => `CRITIQUE : Remboursement en retard de ${overdueDays} jours - escalade direction financière`,
+    'reminder-digest': ({ count, overdue } = {}) => `Récapitulatif : ${count} remboursement${count > 1 ? 's' : ''} à traiter` +
+      (overdue ? ` dont ${overdue} en retard` : ''),
+    'coverage-summary': ({ healthCoverageId, count, overdue = {} } = {}) => `Synthèse couverture ${healthCoverageId} : ` +
+      `${count} remboursement${count > 1 ? 's' : ''} en attente` + (overdue.count ? ` dont ${overdue.count} en retard` : ''),
+    newsletter: () => 'Newsletter mensuelle'
+  },
+  en: {
+    'reminder-before-due': ({ remainingDays } = {}) => remainingDays === 1
+      ? 'Reminder: Reimbursement due tomorrow'
+      : `Reminder: Reimbursement due in ${remainingDays} days`,
+    'reminder-overdue': () => 'URGENT: Overdue reimbursement payment',
+    'reminder-critical': ({ overdueDays } = {}) => `CRITICAL: Reimbursement ${overdueDays} days overdue - escalated to finance leadership`,
+    'reminder-digest': ({ count, overdue } = {}) => `Summary: ${count} reimbursement${count > 1 ? 's' : ''} requiring action` +
+      (overdue ? `, ${overdue} overdue` : ''),
+    'coverage-summary': ({ healthCoverageId, count, overdue = {} } = {}) => `Coverage ${healthCoverageId} summary: ` +
+      `${count} pending reimbursement${count > 1 ? 's' : ''}` + (overdue.count ? `, ${overdue.count} overdue` : ''),
+    newsletter: () => 'Monthly newsletter'
+  }
+};
+
+/**
+ * Locale canonique ('en_gb' → 'en-GB'), null si invalide
+ */
+function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') return null;
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'))[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Langue d'une locale ('en-GB' → 'en')
+ */
+function languageOf(locale) {
+  const normalized = normalizeLocale(locale);
+  return normalized ? normalized.split('-')[0] : null;
+}
+
+/**
+ * Langues disposant d'un catalogue
+ */
+function supportedLanguages() {
+  return Object.keys(SUBJECTS);
+}
+
+/**
+ * Première locale candidate dont la langue est supportée, sinon fallback
+ * @param {Array<string>} candidates - Locales par ordre de préférence (valeurs vides ignorées)
+ * @param {string} [fallback] - Locale par défaut
+ * @returns {string} Locale canonique
+ */
+function resolveLocale(candidates, fallback = DEFAULT_LOCALE) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale && SUBJECTS[languageOf(locale)]) return locale;
+  }
+  return normalizeLocale(fallback) || DEFAULT_LOCALE;
+}
+
+/**
+ * Locale d'un destinataire (données ManagerService), puis de l'entreprise du remboursement
+ * @param {Object} recipient - { locale, language }
+ * @param {Object} [reimbursement] - { locale, company: { locale } }
+ * @param {string} [fallback] - Locale par défaut
+ */
+function recipientLocale(recipient, reimbursement = null, fallback = DEFAULT_LOCALE) {
+  return resolveLocale([
+    recipient?.locale,
+    recipient?.language,
+    reimbursement?.locale,
+    reimbursement?.company?.locale
+  ], fallback);
+}
+
+/**
+ * Noms de templates à essayer, du plus précis au template de base
+ * ('reminder-overdue', 'en-GB') → ['reminder-overdue.en-GB', 'reminder-overdue.en', 'reminder-overdue']
+ */
+function templateVariants(templateName, locale) {
+  const normalized = normalizeLocale(locale);
+  if (!normalized) return [templateName];
+
+  const language = languageOf(normalized);
+  const variants = normalized === language ? [normalized] : [normalized, language];
+  return [...variants.map(variant => `${templateName}.${variant}`), templateName];
+}
+
+/**
+ * Sujet traduit d'un template (langue de la locale, sinon langue par défaut), null si absent du catalogue
+ * @param {string} key - Clé du catalogue (nom du template)
+ * @param {string} locale - Locale du destinataire
+ * @param {Object} [params] - Paramètres (daysInfo, synthèse { count, overdue } pour reminder-digest,
+ *   synthèse de la couverture pour coverage-summary)
+ */
+function translateSubject(key, locale, params = {}) {
+  for (const language of [languageOf(locale), languageOf(DEFAULT_LOCALE)]) {
+    const entry = SUBJECTS[language]?.[key];
+    if (entry) return entry(params);
+  }
+  return null;
+}
+
+/**
+ * Formateurs injectés dans les templates (variable i18n)
+ * @param {string} [locale] - Locale du destinataire
+ * @param {Object} [options] - { currency } devise par défaut des montants
+ * @returns {Object} { locale, language, formatAmount(amount, currency), formatDate(date, options) }
+ */
+function createFormatters(locale, options = {}) {
+  const resolved = resolveLocale([locale]);
+  const defaultCurrency = options.currency || DEFAULT_CURRENCY;
+
+  return {
+    locale: resolved,
+    language: languageOf(resolved),
+    formatAmount(amount, currency) {
+      return new Intl.NumberFormat(resolved, { style: 'currency', currency: currency || defaultCurrency }).format(amount);
+    },
+    formatDate(date, dateOptions = { year: 'numeric', month: 'long', day: 'numeric' }) {
+      return new Date(date).toLocaleDateString(resolved, dateOptions);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DEFAULT_CURRENCY,
+  SUBJECTS,
+  normalizeLocale,
+  languageOf,
+  supportedLanguages,
+  resolveLocale,
+  recipientLocale,
+  templateVariants,
+  translateSubject,
+  createFormatters
+};
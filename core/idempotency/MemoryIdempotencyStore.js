@@ -0,0 +1,102 @@
+/**
+ * MemoryIdempotencyStore - Registre d'idempotence en mémoire (tests, mono-processus)
+ *
+ * Les entrées expirent selon l'horloge fournie (VirtualClock compatible).
+ */
+class MemoryIdempotencyStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.clock = options.clock || null;
+    this.records = new Map();
+  }
+
+  /**
+   * Récupère l'entrée d'une clé (null si absente ou expirée)
+   */
+  async get(key) {
+    return this.read(key);
+  }
+
+  /**
+   * Réserve une clé pour une exécution (échoue si déjà réservée ou terminée)
+   */
+  async claim(key, token, lockTtl) {
+    // Lecture synchrone : la vérification et la réservation sont atomiques
+    const existing = this.read(key);
+    if (existing) {
+      return { claimed: false, record: existing };
+    }
+
+    const now = this.now();
+    this.records.set(key, {
+      key,
+      status: 'pending',
+      token,
+      createdAt: new Date(now),
+      expiresAt: now + lockTtl
+    });
+    return { claimed: true };
+  }
+
+  /**
+   * Marque une clé comme exécutée et conserve le résultat
+   * (false si la réservation du jeton a expiré ou a été reprise)
+   */
+  async complete(key, token, result, ttl) {
+    const existing = this.read(key);
+    if (!existing || existing.status !== 'pending' || existing.token !== token) {
+      return false;
+    }
+
+    const now = this.now();
+    this.records.set(key, {
+      key,
+      status: 'completed',
+      token,
+      result,
+      createdAt: existing.createdAt,
+      completedAt: new Date(now),
+      expiresAt: now + ttl
+    });
+    return true;
+  }
+
+  /**
+   * Libère une réservation (échec de l'exécution)
+   */
+  async release(key, token) {
+    const record = this.records.get(key);
+    if (record && record.status === 'pending' && record.token === token) {
+      this.records.delete(key);
+    }
+  }
+
+  /**
+   * Supprime une clé, quel que soit son état
+   */
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  read(key) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (record.expiresAt <= this.now()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return { ...record };
+  }
+
+  async close() {
+    this.records.clear();
+  }
+
+  now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+}
+
+module.exports = MemoryIdempotencyStore;
@@ -0,0 +1,102 @@
+/**
+ * MongoIdempotencyStore - Registre d'idempotence persistant (MongoDB via Mongoose)
+ *
+ * L'unicité de la clé est garantie par l'index unique de IdempotencyRecord ;
+ * l'index TTL supprime les entrées expirées. Une réservation expirée (worker
+ * arrêté en cours d'exécution) peut être reprise par un autre worker.
+ */
+class MongoIdempotencyStore {
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.mongoUri = options.mongo?.uri || null;
+    this.model = options.model || null;
+    this.connected = false;
+  }
+
+  /**
+   * Modèle Mongoose (connexion établie à la première utilisation)
+   */
+  async getModel() {
+    if (!this.model) {
+      this.model = require('../models/IdempotencyRecord');
+    }
+
+    if (!this.connected) {
+      const mongoose = require('mongoose');
+      if (mongoose.connection.readyState !== 1) {
+        if (!this.mongoUri) {
+          throw new Error('URI MongoDB requise pour le registre d\'idempotence (idempotency.mongo.uri)');
+        }
+        await mongoose.connect(this.mongoUri);
+      }
+      this.connected = true;
+    }
+
+    return this.model;
+  }
+
+  async get(key) {
+    const Model = await this.getModel();
+    const record = await Model.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return record ? this.toRecord(record) : null;
+  }
+
+  async claim(key, token, lockTtl) {
+    const Model = await this.getModel();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + lockTtl);
+
+    try {
+      // Création, ou reprise d'une entrée expirée pas encore purgée par l'index TTL
+      await Model.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { $set: { status: 'pending', token, result: null, expiresAt }, $unset: { completedAt: '' } },
+        { upsert: true }
+      );
+      return { claimed: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { claimed: false, record: await this.get(key) };
+    }
+  }
+
+  async complete(key, token, result, ttl) {
+    const Model = await this.getModel();
+    const now = new Date();
+
+    // Filtre sur le jeton : une réservation reprise par un autre worker n'est pas écrasée
+    const { modifiedCount } = await Model.updateOne(
+      { key, status: 'pending', token },
+      { $set: { status: 'completed', result, completedAt: now, expiresAt: new Date(now.getTime() + ttl) } }
+    );
+    return modifiedCount > 0;
+  }
+
+  async release(key, token) {
+    const Model = await this.getModel();
+    await Model.deleteOne({ key, status: 'pending', token });
+  }
+
+  async delete(key) {
+    const Model = await this.getModel();
+    const { deletedCount } = await Model.deleteOne({ key });
+    return deletedCount > 0;
+  }
+
+  async close() {
+    // La connexion Mongoose est partagée avec le reste de l'application
+  }
+
+  toRecord(record) {
+    return {
+      key: record.key,
+      status: record.status,
+      token: record.token,
+      result: record.result,
+      createdAt: record.createdAt,
+      completedAt: record.completedAt || null
+    };
+  }
+}
+
+module.exports = MongoIdempotencyStore;
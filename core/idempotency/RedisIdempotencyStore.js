@@ -0,0 +1,116 @@
+const IORedis = require('ioredis');
+
+// Suppression conditionnelle : seule la réservation du détenteur du jeton est libérée
+const RELEASE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local record = cjson.decode(current)
+  if record.status == 'pending' and record.token == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+end
+return 0
+`;
+
+// Écriture conditionnelle : seul le détenteur de la réservation enregistre le résultat
+const COMPLETE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+  local record = cjson.decode(current)
+  if record.status == 'pending' and record.token == ARGV[1] then
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+    return 1
+  end
+end
+return 0
+`;
+
+/**
+ * RedisIdempotencyStore - Registre d'idempotence partagé entre workers (SET NX + expiration)
+ *
+ * La réservation expire après lockTtl : un worker arrêté en cours d'exécution
+ * ne bloque pas la clé indéfiniment.
+ */
+class RedisIdempotencyStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || 'idempotency';
+    this.redisUrl = options.redis?.url || 'redis://localhost:6379';
+    this.client = options.client || null;
+    this.ownsClient = !options.client;
+  }
+
+  /**
+   * Connexion Redis créée à la première utilisation
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new IORedis(this.redisUrl, { maxRetriesPerRequest: null });
+      this.client.on('error', (error) => {
+        console.error('❌ Erreur Redis (idempotence):', error);
+      });
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const raw = await this.getClient().get(this.redisKey(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async claim(key, token, lockTtl) {
+    const record = {
+      key,
+      status: 'pending',
+      token,
+      createdAt: new Date()
+    };
+
+    const reply = await this.getClient().set(this.redisKey(key), JSON.stringify(record), 'PX', lockTtl, 'NX');
+    if (reply === 'OK') {
+      return { claimed: true };
+    }
+
+    return { claimed: false, record: await this.get(key) };
+  }
+
+  /**
+   * Enregistre le résultat si le jeton détient toujours la réservation ;
+   * retourne false si elle a expiré ou a été reprise par un autre worker
+   */
+  async complete(key, token, result, ttl) {
+    const existing = await this.get(key);
+    const record = {
+      key,
+      status: 'completed',
+      token,
+      result,
+      createdAt: existing ? existing.createdAt : new Date(),
+      completedAt: new Date()
+    };
+
+    const reply = await this.getClient().eval(COMPLETE_SCRIPT, 1, this.redisKey(key), token, JSON.stringify(record), ttl);
+    return reply === 1;
+  }
+
+  async release(key, token) {
+    await this.getClient().eval(RELEASE_SCRIPT, 1, this.redisKey(key), token);
+  }
+
+  async delete(key) {
+    return (await this.getClient().del(this.redisKey(key))) > 0;
+  }
+
+  async close() {
+    if (this.client && this.ownsClient) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+
+  redisKey(key) {
+    return `${this.prefix}:${key}`;
+  }
+}
+
+module.exports = RedisIdempotencyStore;
@@ -0,0 +1,45 @@
+const MemoryIdempotencyStore = require('./MemoryIdempotencyStore');
+const RedisIdempotencyStore = require('./RedisIdempotencyStore');
+const MongoIdempotencyStore = require('./MongoIdempotencyStore');
+
+/**
+ * Registres d'idempotence - Sélection du stockage des clés déjà exécutées
+ *
+ * 'memory' : Map locale (tests, backend mémoire)
+ * 'redis'  : SET NX partagé entre workers (défaut avec le backend Redis)
+ * 'mongo'  : collection idempotency_records (persistance longue)
+ * Un objet { get, claim, complete, release, delete } peut aussi être fourni.
+ */
+
+/**
+ * Résout le registre à partir de la configuration
+ */
+function resolveIdempotencyStore(options = {}, config = {}) {
+  const store = options.store || (config.backend?.name === 'memory' ? 'memory' : 'redis');
+
+  if (typeof store === 'object') {
+    const missing = ['get', 'claim', 'complete', 'release', 'delete'].filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Registre d'idempotence invalide, méthodes manquantes : ${missing.join(', ')}`);
+    }
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryIdempotencyStore({ clock: config.clock });
+    case 'redis':
+      return new RedisIdempotencyStore({ redis: config.redis, prefix: options.prefix, client: options.client });
+    case 'mongo':
+      return new MongoIdempotencyStore({ mongo: options.mongo || config.mongo, model: options.model });
+    default:
+      throw new Error(`Registre d'idempotence "${store}" inconnu (valeurs possibles : memory, redis, mongo)`);
+  }
+}
+
+module.exports = {
+  resolveIdempotencyStore,
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore,
+  MongoIdempotencyStore
+};
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schéma du suivi de délivrabilité des emails (envoi, bounce, plainte, ouverture, clic)
+ */
+const emailDeliverySchema = new mongoose.Schema({
+  trackingId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  messageId: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'sent', 'failed', 'delivered', 'bounced', 'complained']
+  },
+  emailType: String,
+  template: String,
+  // Version du template rendu (registre des templates)
+  templateVersion: {
+    name: String,
+    version: Number,
+    checksum: String
+  },
+  subject: String,
+  recipients: [String],
+  jobId: String,
+  queueName: String,
+  reimbursementId: {
+    type: String,
+    index: true
+  },
+  sentAt: Date,
+  deliveredAt: Date,
+  failedAt: Date,
+  error: String,
+  bouncedAt: Date,
+  bounceType: String,
+  bounceReason: String,
+  complainedAt: Date,
+  openCount: {
+    type: Number,
+    default: 0
+  },
+  firstOpenedAt: Date,
+  lastOpenedAt: Date,
+  clickCount: {
+    type: Number,
+    default: 0
+  },
+  lastClickedAt: Date,
+  events: [{
+    _id: false,
+    type: { type: String },
+    at: Date,
+    recipient: String,
+    url: String,
+    reason: String,
+    source: String
+  }]
+}, {
+  timestamps: true,
+  collection: 'email_deliveries'
+});
+
+emailDeliverySchema.index({ jobId: 1 });
+emailDeliverySchema.index({ emailType: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailDelivery', emailDeliverySchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schéma de la liste de suppression (adresses à ne plus contacter)
+ */
+const emailSuppressionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['hard-bounce', 'complaint', 'unsubscribed', 'manual']
+  },
+  source: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  suppressedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'email_suppressions'
+});
+
+emailSuppressionSchema.index({ reason: 1, suppressedAt: -1 });
+
+module.exports = mongoose.model('EmailSuppression', emailSuppressionSchema);
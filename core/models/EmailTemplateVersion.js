@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schéma des versions de templates d'email (contenu conservé pour rejouer un rendu)
+ */
+const emailTemplateVersionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  checksum: {
+    type: String,
+    required: true
+  },
+  engine: {
+    type: String,
+    required: true,
+    enum: ['ejs', 'mustache']
+  },
+  source: {
+    type: String,
+    enum: ['file', 'inline']
+  },
+  locale: {
+    type: String,
+    default: null
+  },
+  subject: {
+    type: String,
+    default: null
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    default: null
+  },
+  // Layout du template inline (template du registre qui insère {{{body}}})
+  layout: {
+    type: String,
+    default: null
+  },
+  variables: [String],
+  createdAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'email_template_versions'
+});
+
+emailTemplateVersionSchema.index({ name: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('EmailTemplateVersion', emailTemplateVersionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schéma du registre d'idempotence (effets de bord déjà exécutés)
+ */
+const idempotencyRecordSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'completed']
+  },
+  token: String,
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'idempotency_records'
+});
+
+// Index TTL : suppression automatique à l'expiration (réservation ou exécution)
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schéma des relevés de paiement PDF (cache par remboursement ou couverture santé et version)
+ */
+const paymentStatementSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['reimbursement', 'coverage']
+  },
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: Buffer,
+    required: true
+  },
+  generatedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'payment_statements'
+});
+
+paymentStatementSchema.index({ key: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentStatement', paymentStatementSchema);
@@ -0,0 +1,39 @@
+/**
+ * MemoryStatementStore - Relevés PDF en mémoire (tests, mono-processus)
+ */
+class MemoryStatementStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  /**
+   * Relevé d'une clé (remboursement ou couverture) dans une version donnée
+   */
+  async get(key, version) {
+    const entry = this.entries.get(`${key}@${version}`);
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Ajoute ou remplace le relevé d'une clé et d'une version
+   */
+  async put(entry) {
+    this.entries.set(`${entry.key}@${entry.version}`, { ...entry });
+    return { ...entry };
+  }
+
+  /**
+   * Versions d'un relevé, les plus récentes d'abord (sans le contenu PDF)
+   */
+  async history(key) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.key === key)
+      .sort((a, b) => b.generatedAt - a.generatedAt)
+      .map(({ content, ...entry }) => entry);
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStatementStore;
@@ -0,0 +1,59 @@
+/**
+ * MongoStatementStore - Relevés PDF persistants (collection payment_statements)
+ */
+class MongoStatementStore {
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.mongoUri = options.mongo?.uri || null;
+    this.model = options.model || null;
+    this.connected = false;
+  }
+
+  /**
+   * Modèle Mongoose (connexion établie à la première utilisation)
+   */
+  async getModel() {
+    if (!this.model) {
+      this.model = require('../models/PaymentStatement');
+    }
+
+    if (!this.connected) {
+      const mongoose = require('mongoose');
+      if (mongoose.connection.readyState !== 1) {
+        if (!this.mongoUri) {
+          throw new Error('URI MongoDB requise pour les relevés de paiement (statements.mongo.uri)');
+        }
+        await mongoose.connect(this.mongoUri);
+      }
+      this.connected = true;
+    }
+
+    return this.model;
+  }
+
+  async get(key, version) {
+    const Model = await this.getModel();
+    const entry = await Model.findOne({ key, version }).lean();
+    return entry ? { ...entry, content: Buffer.from(entry.content.buffer || entry.content) } : null;
+  }
+
+  async put(entry) {
+    const Model = await this.getModel();
+    return Model.findOneAndUpdate(
+      { key: entry.key, version: entry.version },
+      { $set: entry },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  async history(key) {
+    const Model = await this.getModel();
+    return Model.find({ key }).select('-content').sort({ generatedAt: -1 }).lean();
+  }
+
+  async close() {
+    // La connexion Mongoose est partagée avec le reste de l'application
+  }
+}
+
+module.exports = MongoStatementStore;
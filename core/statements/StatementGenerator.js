@@ -0,0 +1,440 @@
+const crypto = require('crypto');
+const { PdfDocument } = require('./pdf');
+const { mergeBrand, resolveBrand } = require('../templating/brand');
+const { DEFAULT_LOCALE, languageOf, createFormatters } = require('../i18n');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Conditions de paiement, identiques au solde affiché par reminder-overdue.ejs
+const PENALTY_RATE = 0.05;
+const INTEREST_RATE = 0.10;
+const INTEREST_DAYS_CAP = 14;
+
+const LABELS = {
+  fr: {
+    title: 'Relevé de paiement',
+    coverageTitle: 'Relevé de paiement - Couverture santé',
+    statementDate: 'Date du relevé :',
+    reference: 'Référence :',
+    coverage: 'Couverture santé :',
+    company: 'Entreprise',
+    registration: 'Immatriculation :',
+    employee: 'Bénéficiaire',
+    type: 'Type :',
+    dueDate: 'Date d\'échéance initiale :',
+    overdueDays: 'Jours de retard :',
+    amount: 'Montant initial',
+    penalty: `Pénalité de retard (${PENALTY_RATE * 100}%)`,
+    interest: days => `Intérêts (${days} jours à ${INTEREST_RATE * 100}% par an)`,
+    total: 'Montant total dû',
+    columns: ['Référence', 'Bénéficiaire', 'Échéance', 'Retard', 'Montant', 'Total dû'],
+    days: 'j',
+    grandTotal: 'Total dû',
+    types: { SALARY: 'Salaire', TREASURY: 'Trésorerie' },
+    footer: date => `Relevé généré automatiquement le ${date}. Pénalité de ${PENALTY_RATE * 100} % et intérêts de ` +
+      `${INTEREST_RATE * 100} % par an (plafonnés à ${INTEREST_DAYS_CAP} jours) selon les conditions de paiement.`,
+    filename: 'releve',
+    coverageFilename: 'releve-couverture'
+  },
+  en: {
+    title: 'Payment statement',
+    coverageTitle: 'Payment statement - Health coverage',
+    statementDate: 'Statement date:',
+    reference: 'Reference:',
+    coverage: 'Health coverage:',
+    company: 'Company',
+    registration: 'Registration:',
+    employee: 'Beneficiary',
+    type: 'Type:',
+    dueDate: 'Original due date:',
+    overdueDays: 'Days overdue:',
+    amount: 'Original amount',
+    penalty: `Late payment penalty (${PENALTY_RATE * 100}%)`,
+    interest: days => `Interest (${days} days at ${INTEREST_RATE * 100}% per year)`,
+    total: 'Total amount due',
+    columns: ['Reference', 'Beneficiary', 'Due date', 'Overdue', 'Amount', 'Total due'],
+    days: 'd',
+    grandTotal: 'Total due',
+    types: { SALARY: 'Salary', TREASURY: 'Treasury' },
+    footer: date => `Statement generated automatically on ${date}. ${PENALTY_RATE * 100}% penalty and ` +
+      `${INTEREST_RATE * 100}% yearly interest (capped at ${INTEREST_DAYS_CAP} days) under the payment terms.`,
+    filename: 'statement',
+    coverageFilename: 'statement-coverage'
+  }
+};
+
+const MARGIN = 50;
+const LIGHT = '#f7fafc';
+const BORDER = '#e2e8f0';
+const MUTED = '#666666';
+
+/**
+ * Solde d'un remboursement en retard : montant, pénalité, intérêts plafonnés et total
+ * @param {number} amount - Montant initial
+ * @param {number} overdueDays - Jours de retard
+ * @returns {Object} { amount, interestDays, penalty, interest, total }
+ */
+function overdueBalance(amount, overdueDays) {
+  const interestDays = Math.min(overdueDays, INTEREST_DAYS_CAP);
+  const penalty = amount * PENALTY_RATE;
+  const interest = amount * INTEREST_RATE * interestDays / 365;
+  return { amount, interestDays, penalty, interest, total: amount + penalty + interest };
+}
+
+/**
+ * StatementGenerator - Relevés de paiement PDF joints aux rappels de retard
+ *
+ * Un relevé par remboursement (Corporate) ou par couverture santé (Coverage), construit à partir des
+ * mêmes données que reminder-overdue.ejs (remboursement, jours de retard, marque de l'entreprise).
+ * Les PDF sont mis en cache par remboursement (ou couverture) et version : un retry ou un second
+ * groupe de destinataires réutilise le relevé déjà généré tant que son contenu n'a pas changé.
+ */
+class StatementGenerator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Stockage des relevés (voir resolveStatementStore)
+   * @param {Object} [options.brand] - Marque par défaut (voir core/templating/brand)
+   * @param {Object} [options.brands] - Marques par entreprise cliente
+   * @param {string} [options.locale] - Locale par défaut des relevés (défaut : 'fr-CI')
+   * @param {string} [options.currency] - Devise par défaut des montants
+   * @param {Object} [options.clock] - Horloge (date())
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.brand = mergeBrand(options.brand);
+    this.brands = options.brands || {};
+    this.locale = options.locale || DEFAULT_LOCALE;
+    this.currency = options.currency;
+    this.clock = options.clock || null;
+
+    if (!this.store) {
+      throw new Error('Stockage des relevés de paiement requis');
+    }
+  }
+
+  /**
+   * Version d'un remboursement : champ version (ou __v, updatedAt), sinon empreinte de ses montants et échéance
+   */
+  static reimbursementVersion(reimbursement) {
+    const version = reimbursement.version ?? reimbursement.__v ?? reimbursement.updatedAt;
+    if (version !== undefined && version !== null) {
+      return String(version instanceof Date ? version.toISOString() : version);
+    }
+    return StatementGenerator.checksum([
+      reimbursement.amount, reimbursement.currency, reimbursement.dueDate, reimbursement.globalStatus, reimbursement.type
+    ]);
+  }
+
+  /**
+   * Jours de retard d'un remboursement à une date (null s'il n'est pas encore échu)
+   */
+  static overdueDays(reimbursement, asOf) {
+    const daysDiff = Math.ceil((new Date(reimbursement.dueDate).getTime() - new Date(asOf).getTime()) / DAY);
+    return daysDiff <= 0 ? Math.abs(daysDiff) : null;
+  }
+
+  /**
+   * @private
+   */
+  static checksum(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Relevé d'un remboursement en retard
+   * @param {Object} reimbursement - Remboursement ({ id, amount, dueDate, company, employee })
+   * @param {Object} [options] - { daysInfo, locale, asOf }
+   * @returns {Promise<Object>} { key, version, filename, contentType, content, size, locale, cached, generatedAt }
+   */
+  async generateForReimbursement(reimbursement, options = {}) {
+    if (!reimbursement?.id) {
+      throw new Error('Remboursement requis pour le relevé de paiement');
+    }
+
+    const asOf = this.asOf(options.asOf);
+    const overdueDays = options.daysInfo?.overdueDays ?? StatementGenerator.overdueDays(reimbursement, asOf) ?? 0;
+
+    return this.generate({
+      scope: 'reimbursement',
+      key: `reimbursement:${reimbursement.id}`,
+      version: StatementGenerator.reimbursementVersion(reimbursement),
+      reference: reimbursement.id,
+      lines: [this.line(reimbursement, overdueDays)],
+      asOf,
+      locale: options.locale
+    }, reimbursement);
+  }
+
+  /**
+   * Relevé des remboursements en retard d'une couverture santé
+   * @param {string} healthCoverageId - Couverture santé
+   * @param {Array<Object>} reimbursements - Remboursements de la couverture (seuls les échus figurent au relevé)
+   * @param {Object} [options] - { locale, asOf }
+   * @returns {Promise<Object>} Relevé (voir generateForReimbursement)
+   * @throws {Error} Si aucun remboursement de la couverture n'est en retard
+   */
+  async generateForCoverage(healthCoverageId, reimbursements, options = {}) {
+    const asOf = this.asOf(options.asOf);
+    const overdue = (reimbursements || [])
+      .map(reimbursement => ({ reimbursement, overdueDays: StatementGenerator.overdueDays(reimbursement, asOf) }))
+      .filter(({ overdueDays }) => overdueDays !== null)
+      .sort((a, b) => String(a.reimbursement.id).localeCompare(String(b.reimbursement.id)));
+
+    if (overdue.length === 0) {
+      throw new Error(`Aucun remboursement en retard pour la couverture santé ${healthCoverageId}`);
+    }
+
+    return this.generate({
+      scope: 'coverage',
+      key: `coverage:${healthCoverageId}`,
+      version: StatementGenerator.checksum(overdue.map(({ reimbursement }) => [
+        reimbursement.id, StatementGenerator.reimbursementVersion(reimbursement)
+      ])),
+      reference: healthCoverageId,
+      lines: overdue.map(({ reimbursement, overdueDays }) => this.line(reimbursement, overdueDays)),
+      asOf,
+      locale: options.locale
+    }, overdue[0].reimbursement);
+  }
+
+  /**
+   * Pièce jointe d'un relevé (format des attachments d'email, contenu en base64 pour les données de job)
+   */
+  toAttachment(statement) {
+    return {
+      filename: statement.filename,
+      content: statement.content.toString('base64'),
+      encoding: 'base64',
+      contentType: statement.contentType
+    };
+  }
+
+  /**
+   * Versions générées d'un relevé ('reimbursement:<id>' ou 'coverage:<id>'), sans le contenu PDF
+   */
+  async history(key) {
+    return this.store.history ? this.store.history(key) : [];
+  }
+
+  async close() {
+    await this.store.close?.();
+  }
+
+  /**
+   * Relevé en cache si son contenu est identique, sinon nouveau PDF enregistré
+   * @private
+   */
+  async generate(statement, reimbursement) {
+    const locale = statement.locale || reimbursement.company?.locale || this.locale;
+    const brand = resolveBrand(this.brand, this.brands, reimbursement);
+    const asOfDay = statement.asOf.toISOString().slice(0, 10);
+    const fingerprint = StatementGenerator.checksum([statement.lines, locale, brand, asOfDay]);
+
+    const cached = await this.store.get(statement.key, statement.version);
+    if (cached && cached.fingerprint === fingerprint) {
+      return { ...cached, contentType: 'application/pdf', cached: true };
+    }
+
+    const labels = LABELS[languageOf(locale)] || LABELS.fr;
+    const content = this.render({ ...statement, locale, brand, labels });
+    const entry = await this.store.put({
+      key: statement.key,
+      version: statement.version,
+      scope: statement.scope,
+      fingerprint,
+      filename: `${statement.scope === 'coverage' ? labels.coverageFilename : labels.filename}-${String(statement.reference).replace(/[^\w.-]+/g, '_')}.pdf`,
+      locale,
+      size: content.length,
+      content,
+      generatedAt: this.clock ? this.clock.date() : new Date()
+    });
+
+    return { ...entry, content, contentType: 'application/pdf', cached: false };
+  }
+
+  /**
+   * Ligne du relevé : remboursement et solde
+   * @private
+   */
+  line(reimbursement, overdueDays) {
+    return {
+      id: reimbursement.id,
+      type: reimbursement.type || null,
+      dueDate: reimbursement.dueDate,
+      currency: reimbursement.currency || this.currency || null,
+      company: reimbursement.company || null,
+      employee: reimbursement.employee || null,
+      overdueDays,
+      ...overdueBalance(reimbursement.amount || 0, overdueDays)
+    };
+  }
+
+  /**
+   * @private
+   */
+  asOf(value) {
+    return value ? new Date(value) : this.clock ? this.clock.date() : new Date();
+  }
+
+  /**
+   * PDF du relevé
+   * @private
+   */
+  render({ scope, reference, lines, asOf, locale, brand, labels }) {
+    const i18n = createFormatters(locale, { currency: this.currency });
+    const pdf = new PdfDocument({
+      title: `${scope === 'coverage' ? labels.coverageTitle : labels.title} ${reference}`,
+      author: brand.name,
+      creationDate: this.clock ? this.clock.date() : new Date()
+    });
+    const right = pdf.width - MARGIN;
+
+    // En-tête : marque, site et contact
+    pdf.text(brand.name, MARGIN, 60, { size: 20, bold: true, color: brand.colors.primary });
+    if (brand.website) pdf.text(brand.website, right, 52, { size: 9, color: MUTED, align: 'right' });
+    if (brand.supportContact.email) pdf.text(brand.supportContact.email, right, 64, { size: 9, color: MUTED, align: 'right' });
+    pdf.line(MARGIN, 76, right, 76, { color: brand.colors.primary, width: 2 });
+
+    pdf.text(scope === 'coverage' ? labels.coverageTitle : labels.title, MARGIN, 110, { size: 16, bold: true });
+    pdf.text(`${labels.statementDate} ${i18n.formatDate(asOf)}`, MARGIN, 130, { color: MUTED });
+    pdf.text(`${scope === 'coverage' ? labels.coverage : labels.reference} ${reference}`, MARGIN, 144, { color: MUTED });
+
+    let y = scope === 'coverage'
+      ? this.renderCoverage(pdf, lines, { i18n, labels, brand, y: 180 })
+      : this.renderReimbursement(pdf, lines[0], { i18n, labels, brand, y: 180 });
+
+    // Pied de page : conditions et coordonnées du support
+    y = Math.max(y + 30, pdf.height - 90);
+    if (y > pdf.height - 60) {
+      pdf.addPage();
+      y = pdf.height - 90;
+    }
+    pdf.line(MARGIN, y, right, y, { color: BORDER });
+    pdf.wrap(labels.footer(i18n.formatDate(asOf)), right - MARGIN, 8).forEach((text, index) => {
+      pdf.text(text, MARGIN, y + 16 + index * 11, { size: 8, color: MUTED });
+    });
+    const contact = [brand.supportContact.email, brand.supportContact.phone, brand.address].filter(Boolean).join(' · ');
+    pdf.text(`© ${asOf.getFullYear()} ${brand.name}${contact ? ` · ${contact}` : ''}`, MARGIN, y + 50, { size: 8, color: MUTED });
+
+    return pdf.toBuffer();
+  }
+
+  /**
+   * Relevé d'un remboursement : entreprise, bénéficiaire, détail et solde
+   * @private
+   */
+  renderReimbursement(pdf, line, { i18n, labels, brand, y }) {
+    const right = pdf.width - MARGIN;
+    const column = pdf.width / 2 + 10;
+
+    const block = (heading, rows, x) => {
+      pdf.text(heading, x, y, { size: 11, bold: true, color: brand.colors.primary });
+      rows.filter(Boolean).forEach((text, index) => pdf.text(text, x, y + 16 + index * 13));
+      return rows.filter(Boolean).length;
+    };
+    const companyRows = line.company
+      ? [line.company.name, line.company.registrationNumber && `${labels.registration} ${line.company.registrationNumber}`, line.company.address]
+      : [];
+    const employeeRows = line.employee
+      ? [line.employee.name, line.employee.position, line.employee.department]
+      : [];
+    const height = Math.max(
+      companyRows.length ? block(labels.company, companyRows, MARGIN) : 0,
+      employeeRows.length ? block(labels.employee, employeeRows, column) : 0
+    );
+    y += height ? 30 + height * 13 : 0;
+
+    // Détail du remboursement
+    const details = [
+      [labels.reference, line.id],
+      line.type && [labels.type, labels.types[line.type] || line.type],
+      [labels.dueDate, i18n.formatDate(line.dueDate)],
+      [labels.overdueDays, String(line.overdueDays)]
+    ].filter(Boolean);
+    pdf.rect(MARGIN, y, right - MARGIN, details.length * 20 + 12, { fill: LIGHT, stroke: BORDER });
+    details.forEach(([label, value], index) => {
+      pdf.text(label, MARGIN + 12, y + 22 + index * 20, { bold: true });
+      pdf.text(value, column, y + 22 + index * 20);
+    });
+    y += details.length * 20 + 32;
+
+    // Solde incluant les pénalités
+    const balance = [
+      [labels.amount, line.amount],
+      [labels.penalty, line.penalty],
+      [labels.interest(line.interestDays), line.interest]
+    ];
+    balance.forEach(([label, amount], index) => {
+      pdf.text(label, MARGIN + 12, y + index * 22);
+      pdf.text(i18n.formatAmount(amount, line.currency), right - 12, y + index * 22, { align: 'right' });
+      pdf.line(MARGIN, y + index * 22 + 8, right, y + index * 22 + 8, { color: BORDER, width: 0.5 });
+    });
+    y += balance.length * 22;
+    pdf.rect(MARGIN, y - 6, right - MARGIN, 26, { fill: '#fff5f5' });
+    pdf.text(labels.total, MARGIN + 12, y + 12, { size: 12, bold: true, color: brand.colors.alert });
+    pdf.text(i18n.formatAmount(line.total, line.currency), right - 12, y + 12, { size: 12, bold: true, color: brand.colors.alert, align: 'right' });
+
+    return y + 20;
+  }
+
+  /**
+   * Relevé d'une couverture : un remboursement par ligne, totaux par devise (pages ajoutées au besoin)
+   * @private
+   */
+  renderCoverage(pdf, lines, { i18n, labels, brand, y }) {
+    const right = pdf.width - MARGIN;
+    const companies = [...new Set(lines.map(line => line.company?.name).filter(Boolean))];
+    if (companies.length === 1) {
+      pdf.text(labels.company, MARGIN, y, { size: 11, bold: true, color: brand.colors.primary });
+      pdf.text(companies[0], MARGIN + pdf.widthOf(labels.company, 11, true) + 10, y);
+      y += 30;
+    }
+
+    // Colonnes : [abscisse, alignement]
+    const columns = [[MARGIN + 6, 'left'], [130, 'left'], [265, 'left'], [385, 'right'], [465, 'right'], [right - 6, 'right']];
+    const header = () => {
+      pdf.rect(MARGIN, y - 14, right - MARGIN, 22, { fill: LIGHT, stroke: BORDER });
+      labels.columns.forEach((label, index) => {
+        pdf.text(label, columns[index][0], y, { size: 9, bold: true, align: columns[index][1] });
+      });
+      y += 24;
+    };
+    header();
+
+    for (const line of lines) {
+      if (y > pdf.height - 120) {
+        pdf.addPage();
+        y = 70;
+        header();
+      }
+      const employee = line.employee?.name || '';
+      const cells = [
+        String(line.id),
+        pdf.wrap(employee, 125, 9)[0] || '',
+        i18n.formatDate(line.dueDate),
+        `${line.overdueDays} ${labels.days}`,
+        i18n.formatAmount(line.amount, line.currency),
+        i18n.formatAmount(line.total, line.currency)
+      ];
+      cells.forEach((text, index) => pdf.text(text, columns[index][0], y, { size: 9, align: columns[index][1] }));
+      pdf.line(MARGIN, y + 8, right, y + 8, { color: BORDER, width: 0.5 });
+      y += 22;
+    }
+
+    // Total dû par devise
+    const totals = new Map();
+    lines.forEach(line => totals.set(line.currency, (totals.get(line.currency) || 0) + line.total));
+    for (const [currency, total] of totals) {
+      pdf.rect(MARGIN, y - 6, right - MARGIN, 26, { fill: '#fff5f5' });
+      pdf.text(labels.grandTotal, MARGIN + 6, y + 12, { size: 12, bold: true, color: brand.colors.alert });
+      pdf.text(i18n.formatAmount(total, currency), right - 6, y + 12, { size: 12, bold: true, color: brand.colors.alert, align: 'right' });
+      y += 30;
+    }
+
+    return y;
+  }
+}
+
+StatementGenerator.overdueBalance = overdueBalance;
+
+module.exports = StatementGenerator;
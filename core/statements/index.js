@@ -0,0 +1,57 @@
+const StatementGenerator = require('./StatementGenerator');
+const MemoryStatementStore = require('./MemoryStatementStore');
+const MongoStatementStore = require('./MongoStatementStore');
+const { PdfDocument } = require('./pdf');
+
+/**
+ * Relevés de paiement PDF - Sélection du stockage (cache des relevés générés)
+ *
+ * 'memory' : Map locale (tests, développement)
+ * 'mongo'  : collection payment_statements (production)
+ * Un objet { get, put } (history optionnel) peut aussi être fourni.
+ */
+
+/**
+ * Résout le stockage à partir des options des relevés
+ */
+function resolveStatementStore(options = {}) {
+  const store = options.store || (options.mongo?.uri ? 'mongo' : 'memory');
+
+  if (typeof store === 'object') {
+    const missing = ['get', 'put'].filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Stockage des relevés de paiement invalide, méthodes manquantes : ${missing.join(', ')}`);
+    }
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryStatementStore();
+    case 'mongo':
+      return new MongoStatementStore({ mongo: options.mongo, model: options.model });
+    default:
+      throw new Error(`Stockage des relevés de paiement "${store}" inconnu (valeurs possibles : memory, mongo)`);
+  }
+}
+
+/**
+ * Crée le générateur de relevés (instance existante retournée telle quelle, null si désactivé)
+ * @param {Object|StatementGenerator|false} [options] - Options des relevés et du stockage
+ * @param {Object} [defaults] - Valeurs du service propriétaire (brand, brands, locale, clock, store, mongo)
+ */
+function createStatementGenerator(options, defaults = {}) {
+  if (options === false || options?.enabled === false) return null;
+  if (options instanceof StatementGenerator) return options;
+  const merged = { ...defaults, ...options };
+  return new StatementGenerator({ ...merged, store: resolveStatementStore(merged) });
+}
+
+module.exports = {
+  createStatementGenerator,
+  resolveStatementStore,
+  StatementGenerator,
+  MemoryStatementStore,
+  MongoStatementStore,
+  PdfDocument
+};
@@ -0,0 +1,226 @@
+/**
+ * Document PDF minimal : texte (Helvetica, Helvetica-Bold), traits et rectangles sur des pages A4
+ *
+ * Suffisant pour des relevés tabulaires, sans dépendance externe. Les textes sont encodés en WinAnsi
+ * (accents français, €) ; les caractères hors de cet encodage sont remplacés par "?".
+ * Coordonnées en points, origine en haut à gauche de la page.
+ */
+
+const PAGE_SIZES = {
+  A4: [595.28, 841.89]
+};
+
+// Largeurs des caractères ASCII 32 à 126 (métriques Adobe, millièmes de la taille de police)
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Caractères Unicode de la plage 0x80-0x9F de WinAnsi (et espaces insécables des formats Intl)
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, 'Œ': 0x8C, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, 'œ': 0x9C, '\u202F': 0xA0, '\u2009': 0x20
+};
+
+/**
+ * Octets WinAnsi d'un texte (chaîne latin1)
+ * @private
+ */
+function encodeText(value) {
+  let encoded = '';
+  for (const character of String(value)) {
+    const code = character.codePointAt(0);
+    if (WIN_ANSI[character] !== undefined) {
+      encoded += String.fromCharCode(WIN_ANSI[character]);
+    } else if ((code >= 0x20 && code < 0x7F) || (code >= 0xA0 && code <= 0xFF)) {
+      encoded += character;
+    } else {
+      encoded += '?';
+    }
+  }
+  return encoded.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * Couleur '#rrggbb' en composantes PDF ("r g b")
+ * @private
+ */
+function rgb(color) {
+  const hex = /^#?([0-9a-f]{6})$/i.exec(color || '')?.[1] || '000000';
+  return [0, 2, 4].map(offset => (parseInt(hex.slice(offset, offset + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * @private
+ */
+function number(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+class PdfDocument {
+  /**
+   * @param {Object} [options] - { size: 'A4', title, author, creationDate }
+   */
+  constructor(options = {}) {
+    const size = PAGE_SIZES[options.size || 'A4'];
+    if (!size) {
+      throw new Error(`Format de page "${options.size}" inconnu (valeurs possibles : ${Object.keys(PAGE_SIZES).join(', ')})`);
+    }
+
+    [this.width, this.height] = size;
+    this.title = options.title || null;
+    this.author = options.author || null;
+    this.creationDate = options.creationDate || new Date();
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Ajoute une page (les appels suivants dessinent sur celle-ci)
+   */
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  /**
+   * Largeur d'un texte en points
+   */
+  widthOf(value, size = 10, bold = false) {
+    const widths = WIDTHS[bold ? 'bold' : 'regular'];
+    let total = 0;
+    for (const character of String(value).normalize('NFD')) {
+      const code = character.codePointAt(0);
+      if (code >= 0x300 && code <= 0x36F) continue; // Accent combiné : largeur de la lettre de base
+      total += code >= 32 && code <= 126 ? widths[code - 32] : code === 0xA0 || code === 0x202F ? 278 : 556;
+    }
+    return total * size / 1000;
+  }
+
+  /**
+   * Découpe un texte en lignes d'au plus maxWidth points
+   */
+  wrap(value, maxWidth, size = 10, bold = false) {
+    const lines = [];
+    let line = '';
+    for (const word of String(value).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && this.widthOf(candidate, size, bold) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Écrit un texte (y : ligne de base)
+   * @param {string} value - Texte
+   * @param {number} x - Abscisse (bord droit si align: 'right')
+   * @param {number} y - Ordonnée depuis le haut de la page
+   * @param {Object} [options] - { size: 10, bold: false, color: '#000000', align: 'left' | 'right' }
+   */
+  text(value, x, y, options = {}) {
+    const size = options.size || 10;
+    const left = options.align === 'right' ? x - this.widthOf(value, size, options.bold) : x;
+    this.currentPage().push(
+      `BT /${options.bold ? 'F2' : 'F1'} ${size} Tf ${rgb(options.color)} rg ${number(left)} ${number(this.height - y)} Td (${encodeText(value)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Trace un trait
+   * @param {Object} [options] - { color: '#000000', width: 1 }
+   */
+  line(x1, y1, x2, y2, options = {}) {
+    this.currentPage().push(
+      `${rgb(options.color)} RG ${number(options.width || 1)} w ${number(x1)} ${number(this.height - y1)} m ${number(x2)} ${number(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Trace un rectangle (y : bord supérieur)
+   * @param {Object} [options] - { fill: '#rrggbb', stroke: '#rrggbb' }
+   */
+  rect(x, y, width, height, options = {}) {
+    const path = `${number(x)} ${number(this.height - y - height)} ${number(width)} ${number(height)} re`;
+    if (options.fill) this.currentPage().push(`${rgb(options.fill)} rg ${path} f`);
+    if (options.stroke) this.currentPage().push(`${rgb(options.stroke)} RG 0.5 w ${path} S`);
+    return this;
+  }
+
+  /**
+   * Contenu PDF du document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = body => objects.push(body);
+
+    const pageIds = this.pages.map((page, index) => 5 + index * 2);
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    for (const [index, ops] of this.pages.entries()) {
+      const stream = ops.join('\n');
+      add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+      add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    }
+
+    const date = this.creationDate.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const info = [
+      this.title && `/Title (${encodeText(this.title)})`,
+      this.author && `/Author (${encodeText(this.author)})`,
+      `/CreationDate (D:${date}Z)`
+    ].filter(Boolean).join(' ');
+    add(`<< ${info} >>`);
+
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+
+  /**
+   * @private
+   */
+  currentPage() {
+    return this.pages[this.pages.length - 1];
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PAGE_SIZES
+};
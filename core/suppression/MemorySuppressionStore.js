@@ -0,0 +1,47 @@
+/**
+ * MemorySuppressionStore - Liste de suppression en mémoire (tests, mono-processus)
+ */
+class MemorySuppressionStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  /**
+   * Ajoute ou remplace l'entrée d'une adresse
+   */
+  async upsert(entry) {
+    this.entries.set(entry.email, { ...entry });
+    return { ...entry };
+  }
+
+  async get(email) {
+    const entry = this.entries.get(email);
+    return entry ? { ...entry } : null;
+  }
+
+  /**
+   * Entrées existantes parmi une liste d'adresses
+   */
+  async getMany(emails) {
+    return emails.map(email => this.entries.get(email)).filter(Boolean).map(entry => ({ ...entry }));
+  }
+
+  async remove(email) {
+    return this.entries.delete(email);
+  }
+
+  /**
+   * Entrées correspondant aux champs du filtre, les plus récentes d'abord
+   */
+  async find(filter = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => Object.entries(filter).every(([field, value]) => entry[field] === value))
+      .sort((a, b) => b.suppressedAt - a.suppressedAt)
+      .map(entry => ({ ...entry }));
+  }
+
+  async close() {}
+}
+
+module.exports = MemorySuppressionStore;
@@ -0,0 +1,65 @@
+/**
+ * MongoSuppressionStore - Liste de suppression persistante (collection email_suppressions)
+ */
+class MongoSuppressionStore {
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.mongoUri = options.mongo?.uri || null;
+    this.model = options.model || null;
+    this.connected = false;
+  }
+
+  /**
+   * Modèle Mongoose (connexion établie à la première utilisation)
+   */
+  async getModel() {
+    if (!this.model) {
+      this.model = require('../models/EmailSuppression');
+    }
+
+    if (!this.connected) {
+      const mongoose = require('mongoose');
+      if (mongoose.connection.readyState !== 1) {
+        if (!this.mongoUri) {
+          throw new Error('URI MongoDB requise pour la liste de suppression (suppression.mongo.uri)');
+        }
+        await mongoose.connect(this.mongoUri);
+      }
+      this.connected = true;
+    }
+
+    return this.model;
+  }
+
+  async upsert(entry) {
+    const Model = await this.getModel();
+    return Model.findOneAndUpdate({ email: entry.email }, { $set: entry }, { upsert: true, new: true }).lean();
+  }
+
+  async get(email) {
+    const Model = await this.getModel();
+    return Model.findOne({ email }).lean();
+  }
+
+  async getMany(emails) {
+    const Model = await this.getModel();
+    return Model.find({ email: { $in: emails } }).lean();
+  }
+
+  async remove(email) {
+    const Model = await this.getModel();
+    const result = await Model.deleteOne({ email });
+    return result.deletedCount > 0;
+  }
+
+  async find(filter = {}) {
+    const Model = await this.getModel();
+    return Model.find(filter).sort({ suppressedAt: -1 }).lean();
+  }
+
+  async close() {
+    // La connexion Mongoose est partagée avec le reste de l'application
+  }
+}
+
+module.exports = MongoSuppressionStore;
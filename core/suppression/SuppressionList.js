@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const addressparser = require('nodemailer/lib/addressparser');
+
+/**
+ * Raisons de suppression reconnues
+ */
+const REASONS = ['hard-bounce', 'complaint', 'unsubscribed', 'manual'];
+
+/**
+ * SuppressionList - Adresses à ne plus contacter (bounce définitif, plainte, désabonnement)
+ *
+ * Les handlers d'envoi filtrent les destinataires avec filter() ; un envoi transactionnel
+ * peut passer outre explicitement (bypassSuppression). Les liens de désabonnement portent
+ * un jeton signé et l'en-tête List-Unsubscribe permet le désabonnement en un clic.
+ */
+class SuppressionList {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Stockage (voir resolveSuppressionStore)
+   * @param {string} [options.baseUrl] - URL publique des routes de désabonnement (ex: https://api.flexmo.app/email)
+   * @param {string} [options.secret] - Secret de signature des jetons (EMAIL_UNSUBSCRIBE_SECRET), requis avec baseUrl
+   * @param {string} [options.mailto] - Adresse de désabonnement par email (List-Unsubscribe)
+   * @param {Object} [options.clock] - Horloge (now())
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/$/, '') : null;
+    this.secret = options.secret || process.env.EMAIL_UNSUBSCRIBE_SECRET || null;
+    this.mailto = options.mailto || null;
+    this.store = options.store;
+    this.clock = options.clock || null;
+
+    if (!this.store) {
+      throw new Error('Stockage de la liste de suppression requis');
+    }
+
+    // Un secret propre à chaque processus invaliderait les liens envoyés par les autres instances ou avant un redémarrage
+    if (this.baseUrl && !this.secret) {
+      throw new Error('Secret de signature des jetons de désabonnement requis (suppression.secret ou EMAIL_UNSUBSCRIBE_SECRET)');
+    }
+  }
+
+  /**
+   * Adresse normalisée (minuscules, sans espaces ni nom affiché) ; accepte { name, address }
+   */
+  static normalize(email) {
+    if (!email) return null;
+    const value = String(typeof email === 'object' ? email.address || '' : email).trim();
+    const match = /<([^>]+)>$/.exec(value);
+    return (match ? match[1] : value).trim().toLowerCase();
+  }
+
+  /**
+   * Ajoute une adresse à la liste
+   * @param {string} email - Adresse à ne plus contacter
+   * @param {string} reason - 'hard-bounce', 'complaint', 'unsubscribed' ou 'manual'
+   * @param {Object} [meta] - { source, note }
+   */
+  async add(email, reason, meta = {}) {
+    const normalized = SuppressionList.normalize(email);
+    if (!normalized) {
+      throw new Error('Adresse email requise pour la liste de suppression');
+    }
+    if (!REASONS.includes(reason)) {
+      throw new Error(`Raison de suppression "${reason}" inconnue (valeurs possibles : ${REASONS.join(', ')})`);
+    }
+
+    const entry = await this.store.upsert({
+      email: normalized,
+      reason,
+      source: meta.source || null,
+      note: meta.note || null,
+      suppressedAt: this.date()
+    });
+
+    console.log(`🚫 ${normalized} ajouté à la liste de suppression (${reason})`);
+    return entry;
+  }
+
+  /**
+   * Retire une adresse de la liste ; retourne false si elle n'y figurait pas
+   */
+  async remove(email) {
+    const removed = await this.store.remove(SuppressionList.normalize(email));
+    if (removed) {
+      console.log(`✅ ${SuppressionList.normalize(email)} retiré de la liste de suppression`);
+    }
+    return removed;
+  }
+
+  /**
+   * Entrée de suppression d'une adresse (null si autorisée)
+   */
+  async get(email) {
+    return this.store.get(SuppressionList.normalize(email));
+  }
+
+  async isSuppressed(email) {
+    return !!(await this.get(email));
+  }
+
+  /**
+   * Entrées filtrées ({ reason, source })
+   */
+  async list(filter = {}) {
+    return this.store.find(filter);
+  }
+
+  /**
+   * Destinataires un par un : 'a@x.co, Bob <bob@x.co>' est séparé, { name, address } conservé
+   */
+  static expand(recipients) {
+    return [].concat(recipients || []).flatMap(recipient => {
+      if (!recipient || typeof recipient === 'object') return [recipient];
+
+      const parsed = addressparser(String(recipient), { flatten: true }).filter(entry => entry.address);
+      if (parsed.length <= 1) return [recipient];
+      return parsed.map(entry => (entry.name ? { name: entry.name, address: entry.address } : entry.address));
+    });
+  }
+
+  /**
+   * Sépare les destinataires autorisés des adresses bloquées
+   * @param {string|Object|Array} recipients - Adresses, listes 'a@x.co, b@y.co' ou { name, address }
+   * @returns {Promise<Object>} { allowed: Array, suppressed: [{ email, reason }] } (email normalisé)
+   */
+  async filter(recipients) {
+    const list = SuppressionList.expand(recipients);
+    const entries = await this.store.getMany(list.map(SuppressionList.normalize).filter(Boolean));
+    const reasons = new Map(entries.map(entry => [entry.email, entry.reason]));
+
+    return {
+      allowed: list.filter(recipient => !reasons.has(SuppressionList.normalize(recipient))),
+      suppressed: list
+        .filter(recipient => reasons.has(SuppressionList.normalize(recipient)))
+        .map(recipient => ({ email: SuppressionList.normalize(recipient), reason: reasons.get(SuppressionList.normalize(recipient)) }))
+    };
+  }
+
+  /**
+   * Jeton de désabonnement signé (adresse encodée + signature)
+   */
+  createUnsubscribeToken(email) {
+    if (!this.secret) {
+      throw new Error('Secret de signature des jetons de désabonnement requis (suppression.secret ou EMAIL_UNSUBSCRIBE_SECRET)');
+    }
+    const normalized = SuppressionList.normalize(email);
+    return `${Buffer.from(normalized).toString('base64url')}.${this.sign(normalized)}`;
+  }
+
+  /**
+   * Adresse portée par un jeton valide (null si le jeton est invalide)
+   */
+  verifyUnsubscribeToken(token) {
+    if (!this.secret || typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [encoded, signature] = token.split('.');
+    const email = Buffer.from(encoded, 'base64url').toString('utf-8');
+    const expected = Buffer.from(this.sign(email));
+    const received = Buffer.from(signature || '');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received) ? email : null;
+  }
+
+  /**
+   * Lien de désabonnement (null sans baseUrl)
+   */
+  unsubscribeUrl(email) {
+    return this.baseUrl ? `${this.baseUrl}/unsubscribe/${this.createUnsubscribeToken(email)}` : null;
+  }
+
+  /**
+   * En-têtes List-Unsubscribe (RFC 2369) et List-Unsubscribe-Post (RFC 8058) pour un destinataire
+   */
+  listUnsubscribeHeaders(email) {
+    const targets = [];
+    const url = this.unsubscribeUrl(email);
+
+    if (url) targets.push(`<${url}>`);
+    if (this.mailto) targets.push(`<mailto:${this.mailto}?subject=unsubscribe>`);
+    if (targets.length === 0) return {};
+
+    return {
+      'List-Unsubscribe': targets.join(', '),
+      ...(url && { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' })
+    };
+  }
+
+  /**
+   * Désabonne l'adresse portée par le jeton ; retourne l'entrée (null si jeton invalide)
+   */
+  async unsubscribe(token, meta = {}) {
+    const email = this.verifyUnsubscribeToken(token);
+    if (!email) return null;
+    return this.add(email, 'unsubscribed', { source: 'link', ...meta });
+  }
+
+  /**
+   * Enregistre un bounce définitif ou une plainte remontés par le suivi de délivrabilité
+   * @param {Object} event - Événement normalisé ({ type, recipient, bounceType, reason })
+   * @param {string} [source] - Fournisseur à l'origine de l'événement
+   */
+  async recordDeliveryEvent(event, source = null) {
+    if (!event.recipient) return null;
+
+    if (event.type === 'bounce' && event.bounceType === 'hard') {
+      return this.add(event.recipient, 'hard-bounce', { source, note: event.reason });
+    }
+    if (event.type === 'complaint') {
+      return this.add(event.recipient, 'complaint', { source, note: event.reason });
+    }
+    return null;
+  }
+
+  /**
+   * Middleware HTTP (Node http ou Express) pour le désabonnement :
+   * GET {basePath}/unsubscribe/:token (page de confirmation),
+   * POST {basePath}/unsubscribe/:token (désabonnement, y compris en un clic depuis le client mail)
+   * @param {Object} [options] - { basePath: '/email' }
+   */
+  middleware(options = {}) {
+    const basePath = (options.basePath || '').replace(/\/$/, '');
+
+    return async (req, res, next) => {
+      const url = new URL(req.originalUrl || req.url, 'http://localhost');
+      const path = url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) : null;
+      const match = path ? /^\/unsubscribe\/([\w.-]+)$/.exec(path) : null;
+
+      if (match && (req.method === 'GET' || req.method === 'POST')) {
+        const email = this.verifyUnsubscribeToken(match[1]);
+
+        if (!email) {
+          res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+          return res.end('Lien de désabonnement invalide');
+        }
+
+        // GET n'est qu'une confirmation : les antivirus et prévisualisations suivent les liens
+        if (req.method === 'GET') {
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+          return res.end(this.renderPage(
+            `<p>Ne plus recevoir nos emails à l'adresse <strong>${this.escape(email)}</strong> ?</p>` +
+            `<form method="post"><button type="submit">Me désabonner</button></form>`
+          ));
+        }
+
+        try {
+          await this.add(email, 'unsubscribed', { source: 'link' });
+        } catch (error) {
+          res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+          return res.end('Désabonnement impossible, réessayez plus tard');
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(this.renderPage(`<p>L'adresse <strong>${this.escape(email)}</strong> a bien été désabonnée.</p>`));
+      }
+
+      if (next) return next();
+      res.writeHead(404);
+      return res.end();
+    };
+  }
+
+  async close() {
+    await this.store.close?.();
+  }
+
+  /**
+   * @private
+   */
+  sign(email) {
+    return crypto.createHmac('sha256', this.secret).update(`unsubscribe:${email}`).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * @private
+   */
+  renderPage(body) {
+    return `<!DOCTYPE html><html lang="fr"><head><meta charset="utf-8"><title>Désabonnement</title></head><body>${body}</body></html>`;
+  }
+
+  /**
+   * @private
+   */
+  escape(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * @private
+   */
+  date() {
+    return new Date(this.clock ? this.clock.now() : Date.now());
+  }
+}
+
+module.exports = SuppressionList;
+module.exports.REASONS = REASONS;
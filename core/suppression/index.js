@@ -0,0 +1,52 @@
+const SuppressionList = require('./SuppressionList');
+const MemorySuppressionStore = require('./MemorySuppressionStore');
+const MongoSuppressionStore = require('./MongoSuppressionStore');
+
+/**
+ * Liste de suppression - Sélection du stockage
+ *
+ * 'memory' : Map locale (tests, développement)
+ * 'mongo'  : collection email_suppressions (production)
+ * Un objet { upsert, get, getMany, remove, find } peut aussi être fourni.
+ */
+
+/**
+ * Résout le stockage à partir des options de suppression
+ */
+function resolveSuppressionStore(options = {}) {
+  const store = options.store || (options.mongo?.uri ? 'mongo' : 'memory');
+
+  if (typeof store === 'object') {
+    const missing = ['upsert', 'get', 'getMany', 'remove', 'find'].filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Stockage de la liste de suppression invalide, méthodes manquantes : ${missing.join(', ')}`);
+    }
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemorySuppressionStore();
+    case 'mongo':
+      return new MongoSuppressionStore({ mongo: options.mongo, model: options.model });
+    default:
+      throw new Error(`Stockage de la liste de suppression "${store}" inconnu (valeurs possibles : memory, mongo)`);
+  }
+}
+
+/**
+ * Crée la liste de suppression (instance existante retournée telle quelle, null si désactivée)
+ */
+function createSuppressionList(options) {
+  if (!options || options.enabled === false) return null;
+  if (options instanceof SuppressionList) return options;
+  return new SuppressionList({ ...options, store: resolveSuppressionStore(options) });
+}
+
+module.exports = {
+  createSuppressionList,
+  resolveSuppressionStore,
+  SuppressionList,
+  MemorySuppressionStore,
+  MongoSuppressionStore
+};
@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * FileTemplateStore - Versions de templates sur disque (un fichier JSON par template)
+ *
+ * À versionner avec le projet ou à placer sur un volume partagé ; les écritures d'un
+ * même processus sont sérialisées, plusieurs processus doivent utiliser le stockage mongo.
+ */
+class FileTemplateStore {
+  /**
+   * @param {Object} options - { directory } dossier des historiques
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory;
+    this.queue = Promise.resolve();
+
+    if (!this.directory) {
+      throw new Error('Dossier requis pour le stockage des versions de templates (templateRegistry.directory)');
+    }
+  }
+
+  async commit(record) {
+    const write = this.queue.then(async () => {
+      const history = await this.read(record.name);
+      const latest = history[history.length - 1];
+      if (latest && latest.checksum === record.checksum) {
+        return latest;
+      }
+
+      const version = { ...record, version: history.length + 1 };
+      await this.write(record.name, [...history, version]);
+      return version;
+    });
+
+    this.queue = write.catch(() => {});
+    return write;
+  }
+
+  async get(name, version = null) {
+    const history = await this.read(name);
+    return (version ? history.find(entry => entry.version === Number(version)) : history[history.length - 1]) || null;
+  }
+
+  async history(name) {
+    return (await this.read(name)).reverse();
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const histories = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.read(file.slice(0, -'.json'.length))));
+    return histories.filter(history => history.length > 0).map(history => history[history.length - 1]);
+  }
+
+  async close() {
+    await this.queue;
+  }
+
+  /**
+   * @private
+   */
+  async read(name) {
+    try {
+      const history = JSON.parse(await fs.readFile(this.filePath(name), 'utf-8'));
+      return history.map(record => ({ ...record, createdAt: new Date(record.createdAt) }));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Écriture atomique (fichier temporaire puis renommage)
+   * @private
+   */
+  async write(name, history) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const target = this.filePath(name);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(history, null, 2));
+    await fs.rename(temporary, target);
+  }
+
+  /**
+   * @private
+   */
+  filePath(name) {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Nom de template "${name}" invalide`);
+    }
+    return path.join(this.directory, `${name}.json`);
+  }
+}
+
+module.exports = FileTemplateStore;
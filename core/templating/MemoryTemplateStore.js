@@ -0,0 +1,51 @@
+/**
+ * MemoryTemplateStore - Versions de templates en mémoire (tests, mono-processus)
+ */
+class MemoryTemplateStore {
+  constructor() {
+    this.name = 'memory';
+    this.versions = new Map();
+  }
+
+  /**
+   * Enregistre une nouvelle version si le contenu diffère de la dernière (retourne la version retenue)
+   */
+  async commit(record) {
+    const history = this.versions.get(record.name) || [];
+    const latest = history[history.length - 1];
+    if (latest && latest.checksum === record.checksum) {
+      return { ...latest };
+    }
+
+    const version = { ...record, version: history.length + 1 };
+    this.versions.set(record.name, [...history, version]);
+    return { ...version };
+  }
+
+  /**
+   * Version précise d'un template (la dernière si version est omise)
+   */
+  async get(name, version = null) {
+    const history = this.versions.get(name) || [];
+    const record = version ? history.find(entry => entry.version === Number(version)) : history[history.length - 1];
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Historique d'un template, la plus récente d'abord
+   */
+  async history(name) {
+    return (this.versions.get(name) || []).slice().reverse().map(record => ({ ...record }));
+  }
+
+  /**
+   * Dernière version de chaque template
+   */
+  async list() {
+    return Array.from(this.versions.values()).map(history => ({ ...history[history.length - 1] }));
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryTemplateStore;
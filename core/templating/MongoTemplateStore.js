@@ -0,0 +1,82 @@
+/**
+ * MongoTemplateStore - Versions de templates persistantes (collection email_template_versions)
+ */
+class MongoTemplateStore {
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.mongoUri = options.mongo?.uri || null;
+    this.model = options.model || null;
+    this.connected = false;
+  }
+
+  /**
+   * Modèle Mongoose (connexion établie à la première utilisation)
+   */
+  async getModel() {
+    if (!this.model) {
+      this.model = require('../models/EmailTemplateVersion');
+    }
+
+    if (!this.connected) {
+      const mongoose = require('mongoose');
+      if (mongoose.connection.readyState !== 1) {
+        if (!this.mongoUri) {
+          throw new Error('URI MongoDB requise pour les versions de templates (templateRegistry.mongo.uri)');
+        }
+        await mongoose.connect(this.mongoUri);
+      }
+      this.connected = true;
+    }
+
+    return this.model;
+  }
+
+  /**
+   * Nouvelle version si le contenu a changé ; deux processus qui enregistrent le même numéro
+   * se départagent par l'index unique (name, version)
+   */
+  async commit(record, attempt = 0) {
+    const Model = await this.getModel();
+    const latest = await Model.findOne({ name: record.name }).sort({ version: -1 }).lean();
+    if (latest && latest.checksum === record.checksum) {
+      return latest;
+    }
+
+    try {
+      const created = await Model.create({ ...record, version: latest ? latest.version + 1 : 1 });
+      return created.toObject();
+    } catch (error) {
+      if (error.code === 11000 && attempt < 3) {
+        return this.commit(record, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  async get(name, version = null) {
+    const Model = await this.getModel();
+    return version
+      ? Model.findOne({ name, version: Number(version) }).lean()
+      : Model.findOne({ name }).sort({ version: -1 }).lean();
+  }
+
+  async history(name) {
+    const Model = await this.getModel();
+    return Model.find({ name }).sort({ version: -1 }).lean();
+  }
+
+  async list() {
+    const Model = await this.getModel();
+    const latest = await Model.aggregate([
+      { $sort: { name: 1, version: -1 } },
+      { $group: { _id: '$name', record: { $first: '$$ROOT' } } }
+    ]);
+    return latest.map(entry => entry.record);
+  }
+
+  async close() {
+    // La connexion Mongoose est partagée avec le reste de l'application
+  }
+}
+
+module.exports = MongoTemplateStore;
@@ -0,0 +1,694 @@
+const fs = require('fs').promises;
+const { readFileSync } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ejs = require('ejs');
+const { htmlToText } = require('../htmlToText');
+const { prepareEmailHtml, auditEmailHtml } = require('../emailHtml');
+const { DEFAULT_LOCALE, normalizeLocale, languageOf, templateVariants, translateSubject, createFormatters } = require('../i18n');
+const mustache = require('./mustache');
+const { mergeBrand, resolveBrand } = require('./brand');
+
+// Données d'aperçu communes (preview, lint des templates)
+const DEFAULT_FIXTURES = {
+  recipient: { name: 'Alice Martin', email: 'alice.martin@company.com' },
+  reimbursement: {
+    id: 'RBT-2025-001',
+    type: 'TREASURY',
+    amount: 1500.5,
+    dueDate: '2025-02-15',
+    paymentUrl: 'https://flexmo.app/paiements/RBT-2025-001',
+    escalationContacts: [{ name: 'Jean Dupont', role: 'Directeur financier' }]
+  },
+  daysInfo: { remainingDays: 5, overdueDays: 12, daysDiff: -12 },
+  digest: {
+    scope: 'coverage',
+    date: '2025-02-15',
+    items: [
+      {
+        reimbursement: { id: 'RBT-2025-001', type: 'TREASURY', amount: 1500.5, dueDate: '2025-02-03', paymentUrl: 'https://flexmo.app/paiements/RBT-2025-001' },
+        emailType: 'payment-overdue',
+        daysInfo: { overdueDays: 12, daysDiff: -12 }
+      },
+      {
+        reimbursement: { id: 'RBT-2025-002', type: 'TREASURY', amount: 820, dueDate: '2025-02-20', company: { name: 'Tech Solutions SARL' } },
+        emailType: 'payment-reminder',
+        daysInfo: { remainingDays: 5, daysDiff: 5 }
+      }
+    ],
+    summary: { count: 2, overdue: 1, upcoming: 1, totals: [{ currency: null, amount: 2320.5 }] }
+  },
+  coverage: {
+    healthCoverageId: 'HC-2025-001',
+    date: '2025-02-15',
+    count: 2,
+    overdue: { count: 1, totals: [{ currency: null, amount: 1500.5 }] },
+    totals: [{ currency: null, amount: 2320.5 }],
+    byUrgency: { critical: 1, urgent: 0, warning: 1, normal: 0, future: 0 },
+    reimbursements: [
+      { id: 'RBT-2025-001', amount: 1500.5, currency: null, dueDate: '2025-02-03', employee: 'Awa Koné', daysDiff: -12, isOverdue: true, overdueDays: 12, urgency: 'critical' },
+      { id: 'RBT-2025-002', amount: 820, currency: null, dueDate: '2025-02-20', employee: null, daysDiff: 5, isOverdue: false, remainingDays: 5, urgency: 'warning' }
+    ]
+  },
+  month: 'janvier 2025',
+  unsubscribeUrl: 'https://flexmo.app/email/unsubscribe/exemple',
+  newsletterData: {
+    intro: 'Voici les actualités du mois.',
+    articles: [{ title: 'Nouvelle fonctionnalité', summary: 'Description...', readMoreUrl: 'https://flexmo.app/blog/nouveaute' }],
+    unsubscribeUrl: 'https://flexmo.app/email/unsubscribe/exemple',
+    webVersionUrl: 'https://flexmo.app/newsletter/janvier-2025'
+  }
+};
+
+const DECLARATION_PATTERN = /<%#\s*variables\s*:([^%]*?)-?%>/;
+const HTML_PATTERN = /<[a-z][\s\S]*>/i;
+
+// Dossiers partagés des templates EJS : layouts (<% layout('nom', options) %>) et partials (include)
+const SHARED_DIRS = ['layouts', 'partials'];
+
+/**
+ * TemplateRegistry - Source unique des templates d'email
+ *
+ * - Templates EJS du dossier templatesDir (<nom>.ejs, variantes <nom>.<langue>.ejs, partie texte <nom>.txt.ejs) ;
+ *   variables requises déclarées en tête de fichier : <%# variables: recipient, reimbursement -%> ;
+ *   layout commun : <% layout('reminder', { tone, title, notes }) -%> (layouts/reminder.ejs, corps dans body),
+ *   partials : <%- include('partials/payment-details', { rows }) %>
+ * - Templates inline en syntaxe Handlebars (emailConfig.templates du MailManager, register(), voir ./mustache) :
+ *   HTML échappé, blocs #if / #each, partials {{> nom}} et layout ({ layout: 'nom' }, corps inséré par {{{body}}}) ;
+ *   un template inline masque le fichier du même nom
+ *
+ * Chaque contenu différent devient une nouvelle version (memory, file ou mongo), y compris après modification
+ * d'un layout ou d'un partial ; render() indique la version utilisée, qui est enregistrée avec l'email envoyé.
+ * preview() rend un template avec des données d'exemple. La variable brand (./brand) porte l'identité de
+ * l'entreprise cliente du remboursement.
+ */
+class TemplateRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Stockage des versions (voir resolveTemplateStore)
+   * @param {string} [options.templatesDir] - Dossier des templates EJS
+   * @param {Object} [options.templates] - Templates inline { nom: 'contenu' | { subject, content } }
+   * @param {Object|false} [options.htmlPipeline] - Post-traitement du HTML (core/emailHtml), false pour le désactiver
+   * @param {string} [options.locale] - Locale des templates de base et des formateurs i18n (défaut : 'fr-CI')
+   * @param {string} [options.currency] - Devise par défaut des montants
+   * @param {Object} [options.globals] - Données communes à tous les rendus
+   * @param {Object} [options.brand] - Identité par défaut (nom, logo, couleurs, supportContact), voir ./brand
+   * @param {Object} [options.brands] - Identités par entreprise cliente { companyId | nom: surcharges }
+   * @param {Object} [options.fixtures] - Données d'aperçu par template, ajoutées à DEFAULT_FIXTURES
+   * @param {boolean} [options.strict] - Templates inline : erreur si une variable est absente (défaut : true)
+   * @param {Object} [options.clock] - Horloge (now())
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.templatesDir = options.templatesDir || null;
+    this.htmlPipeline = options.htmlPipeline === false ? false : { ...options.htmlPipeline };
+    this.locale = normalizeLocale(options.locale) || DEFAULT_LOCALE;
+    this.currency = options.currency || null;
+    this.globals = options.globals || {};
+    this.fixtures = options.fixtures || {};
+    this.clock = options.clock || null;
+    this.strict = options.strict !== false;
+    this.brand = mergeBrand(options.brand);
+    this.brands = options.brands || {};
+
+    this.inline = new Map();
+    this.loaded = new Map();
+    this.pending = new Map();
+    this.compiledCache = new Map();
+    this.revision = 0;
+
+    if (!this.store) {
+      throw new Error('Stockage des versions de templates requis');
+    }
+
+    Object.entries(options.templates || {}).forEach(([name, definition]) => this.define(name, definition));
+  }
+
+  /**
+   * Déclare un template inline ({{variable}}) ; la version est enregistrée au premier usage
+   * @param {string} name - Nom du template
+   * @param {string|Object} definition - Contenu ou { subject, content, text, layout, engine: 'mustache' | 'ejs', variables }
+   * @throws {Error} Si le contenu manque ou si sa syntaxe est invalide
+   */
+  define(name, definition) {
+    TemplateRegistry.assertName(name);
+    const normalized = typeof definition === 'string' ? { content: definition } : { ...definition };
+    if (typeof normalized.content !== 'string' || normalized.content.length === 0) {
+      throw new Error(`Contenu requis pour le template "${name}"`);
+    }
+    if ((normalized.engine || 'mustache') === 'mustache') {
+      [normalized.content, normalized.text, normalized.subject].filter(Boolean).forEach(source => {
+        mustache.compile(source, { name });
+      });
+    }
+
+    this.inline.set(name, {
+      engine: 'mustache',
+      ...normalized,
+      revision: ++this.revision
+    });
+  }
+
+  /**
+   * Déclare un template inline et enregistre sa version
+   * @returns {Promise<Object>} Version retenue ({ name, version, checksum, variables, ... })
+   */
+  async register(name, definition) {
+    this.define(name, definition);
+    return this.load(name);
+  }
+
+  /**
+   * Indique si un template existe (inline, fichier ou version enregistrée)
+   */
+  async has(name) {
+    return (await this.stamp(name)) !== null;
+  }
+
+  /**
+   * Variante localisée existante la plus précise (reminder-overdue.en-GB, reminder-overdue.en), sinon name
+   */
+  async resolveName(name, locale) {
+    for (const variant of templateVariants(name, locale).slice(0, -1)) {
+      if (await this.has(variant)) return variant;
+    }
+    return name;
+  }
+
+  /**
+   * Templates disponibles avec leur version courante et leurs variables requises
+   * @returns {Promise<Array<Object>>} [{ name, baseName, locale, engine, source, version, checksum, variables, subject, updatedAt }]
+   */
+  async list() {
+    const names = new Set([...this.inline.keys(), ...await this.fileNames()]);
+    (await this.store.list())
+      .filter(record => record.source === 'inline')
+      .forEach(record => names.add(record.name));
+
+    const records = await Promise.all([...names].sort().map(name => this.load(name)));
+    const dependencies = await Promise.all(records.map(record => this.dependencies(record).catch(() => new Map())));
+    return records.map((record, index) => ({
+      name: record.name,
+      baseName: TemplateRegistry.baseName(record),
+      locale: record.locale || null,
+      engine: record.engine,
+      source: record.source,
+      version: record.version,
+      checksum: record.checksum,
+      variables: this.requiredVariables(record, dependencies[index]),
+      layout: record.layout || null,
+      subject: record.subject || null,
+      updatedAt: record.createdAt
+    }));
+  }
+
+  /**
+   * Historique des versions d'un template, la plus récente d'abord
+   */
+  async history(name) {
+    await this.load(name);
+    return this.store.history(name);
+  }
+
+  /**
+   * Version précise d'un template
+   * @throws {Error} Si la version n'existe pas
+   */
+  async getVersion(name, version) {
+    const record = await this.store.get(name, version);
+    if (!record) {
+      throw new Error(`Version ${version} du template "${name}" introuvable`);
+    }
+    return record;
+  }
+
+  /**
+   * Rend un template (HTML compatible clients mail et texte brut)
+   * @param {string} name - Nom du template
+   * @param {Object} [data] - Données (data.locale : variante localisée et formats)
+   * @param {Object} [options] - { locale, version, text: false pour ne pas générer la partie texte }
+   * @returns {Promise<Object>} { name, version, checksum, locale, subject, html, text }
+   * @throws {Error} Si le template ou une variable requise manque, ou si le HTML dépasse htmlPipeline.maxSize
+   */
+  async render(name, data = {}, options = {}) {
+    const record = await this.resolveRecord(name, data, options);
+    const dependencies = await this.dependencies(record);
+    const locals = this.locals(record, data);
+
+    const missing = this.missingVariables(record, locals, dependencies);
+    if (missing.length > 0) {
+      throw new Error(`Variables manquantes pour le template "${record.name}" : ${missing.join(', ')}`);
+    }
+
+    const raw = this.renderRecord(record, locals, dependencies);
+    const html = raw.html === undefined ? undefined : prepareEmailHtml(raw.html, this.htmlPipeline).html;
+
+    return {
+      ...this.describe(record, locals),
+      html,
+      text: raw.text ?? (html !== undefined && options.text !== false ? htmlToText(html) : undefined)
+    };
+  }
+
+  /**
+   * Aperçu d'un template avec des données d'exemple (ne lève pas d'erreur de rendu)
+   * @param {string} name - Nom du template
+   * @param {Object} [data] - Données complétant DEFAULT_FIXTURES et fixtures[nom]
+   * @param {Object} [options] - { locale, version }
+   * @returns {Promise<Object>} { name, version, locale, subject, html, text, missingVariables, report, error }
+   */
+  async preview(name, data = {}, options = {}) {
+    const record = await this.resolveRecord(name, data, options);
+    const dependencies = await this.dependencies(record).catch(() => new Map());
+    const locals = this.locals(record, {
+      ...DEFAULT_FIXTURES,
+      ...this.fixtures[TemplateRegistry.baseName(record)],
+      ...this.fixtures[record.name],
+      ...data
+    });
+    const result = {
+      ...this.describe(record, locals),
+      missingVariables: this.missingVariables(record, locals, dependencies),
+      html: null,
+      text: null,
+      report: null,
+      error: null
+    };
+
+    try {
+      const raw = this.renderRecord(record, locals, await this.dependencies(record));
+      if (raw.html !== undefined) {
+        const audit = auditEmailHtml(raw.html, this.htmlPipeline || {});
+        result.html = audit.html;
+        result.report = audit.report;
+      }
+      result.text = raw.text ?? (result.html !== null ? htmlToText(result.html) : null);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Rend un contenu inline non enregistré (campagne personnalisée) ; les partials du registre sont disponibles
+   * @param {string} content - Template en syntaxe Handlebars
+   * @param {Object} [data] - Données
+   * @param {Object} [options] - { name (messages d'erreur), layout }
+   * @returns {Promise<Object>} { html, text }
+   */
+  async renderContent(content, data = {}, options = {}) {
+    const record = {
+      name: options.name || 'inline',
+      engine: 'mustache',
+      content,
+      text: null,
+      layout: options.layout || null,
+      checksum: TemplateRegistry.checksum(['mustache', content, options.layout])
+    };
+    const raw = this.renderRecord(record, this.locals(record, data), await this.dependencies(record));
+    const html = raw.html === undefined ? undefined : prepareEmailHtml(raw.html, this.htmlPipeline).html;
+
+    return { html, text: raw.text ?? (html !== undefined ? htmlToText(html) : undefined) };
+  }
+
+  async close() {
+    await this.store.close?.();
+  }
+
+  /**
+   * Variables requises : déclaration <%# variables: a, b -%> (EJS), variables hors blocs #if / #each (inline)
+   * @param {string} content - Contenu du template
+   * @param {string} engine - 'ejs' ou 'mustache'
+   * @param {Array<string>} [sources] - Sujet et partie texte inline
+   * @returns {Array<string>}
+   */
+  static extractVariables(content, engine, sources = []) {
+    if (engine === 'ejs') {
+      const declaration = DECLARATION_PATTERN.exec(content);
+      return declaration ? declaration[1].split(/[\s,]+/).filter(Boolean) : [];
+    }
+
+    return [...new Set([content, ...sources].filter(Boolean).flatMap(source => mustache.variables(source)))];
+  }
+
+  /**
+   * Empreinte courte d'un contenu
+   * @private
+   */
+  static checksum(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Nom sans suffixe de langue ('reminder-overdue.en' → 'reminder-overdue')
+   */
+  static baseName(record) {
+    return record.locale ? record.name.slice(0, -(record.locale.length + 1)) : record.name;
+  }
+
+  /**
+   * @private
+   */
+  static assertName(name) {
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+      throw new Error(`Nom de template "${name}" invalide`);
+    }
+  }
+
+  /**
+   * Version à rendre : variante de la locale, version demandée ou version courante
+   * @private
+   */
+  async resolveRecord(name, data, options) {
+    const locale = options.locale || data.locale;
+    const templateName = locale ? await this.resolveName(name, locale) : name;
+    return options.version ? this.getVersion(templateName, options.version) : this.load(templateName);
+  }
+
+  /**
+   * Version courante d'un template (nouvelle version enregistrée si le contenu a changé)
+   * @private
+   */
+  async load(name) {
+    if (this.pending.has(name)) return this.pending.get(name);
+
+    const loading = this.loadRecord(name).finally(() => this.pending.delete(name));
+    this.pending.set(name, loading);
+    return loading;
+  }
+
+  /**
+   * @private
+   */
+  async loadRecord(name) {
+    const stamp = await this.stamp(name);
+    if (stamp === null) {
+      throw new Error(`Template "${name}" non trouvé`);
+    }
+
+    const cached = this.loaded.get(name);
+    if (cached && cached.stamp === stamp) return cached.record;
+
+    const definition = await this.readDefinition(name);
+    const record = definition.version
+      ? definition
+      : await this.store.commit({
+        name,
+        checksum: TemplateRegistry.checksum(definition.layout || definition.shared
+          ? [definition.engine, definition.subject, definition.content, definition.text, definition.layout || definition.shared]
+          : [definition.engine, definition.subject, definition.content, definition.text]),
+        engine: definition.engine,
+        source: definition.source,
+        locale: definition.locale,
+        subject: definition.subject,
+        content: definition.content,
+        text: definition.text,
+        layout: definition.layout || null,
+        variables: definition.variables
+          || TemplateRegistry.extractVariables(definition.content, definition.engine, [definition.subject, definition.text]),
+        createdAt: this.date()
+      });
+
+    this.loaded.set(name, { stamp, record });
+    return record;
+  }
+
+  /**
+   * Empreinte de la source (révision inline, date et taille des fichiers), null si absent
+   * @private
+   */
+  async stamp(name) {
+    if (this.inline.has(name)) {
+      return `inline:${this.inline.get(name).revision}`;
+    }
+
+    const file = await this.statFile(`${name}.ejs`);
+    if (file) {
+      const text = await this.statFile(`${name}.txt.ejs`);
+      const shared = (await this.sharedFiles()).map(({ file: sharedFile, stats }) => `${sharedFile}:${stats.mtimeMs}:${stats.size}`);
+      return [`file:${file.mtimeMs}:${file.size}`, text ? `${text.mtimeMs}:${text.size}` : '-', ...shared].join('|');
+    }
+
+    const stored = this.loaded.get(name)?.record || await this.store.get(name);
+    return stored && stored.source === 'inline' ? `store:${stored.version}` : null;
+  }
+
+  /**
+   * @private
+   */
+  async readDefinition(name) {
+    if (this.inline.has(name)) {
+      const { revision, ...definition } = this.inline.get(name);
+      return { source: 'inline', locale: null, subject: null, text: null, ...definition };
+    }
+
+    const file = path.join(this.templatesDir || '', `${name}.ejs`);
+    if (await this.statFile(`${name}.ejs`)) {
+      const suffix = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : null;
+      const locale = suffix && /^[a-z]{2}(-[A-Z]{2})?$/.test(suffix) ? suffix : null;
+
+      const shared = await Promise.all((await this.sharedFiles()).map(async ({ file: sharedFile }) => [
+        sharedFile,
+        await fs.readFile(path.join(this.templatesDir, sharedFile), 'utf-8')
+      ]));
+
+      return {
+        engine: 'ejs',
+        source: 'file',
+        locale,
+        subject: null,
+        content: await fs.readFile(file, 'utf-8'),
+        text: await fs.readFile(path.join(this.templatesDir, `${name}.txt.ejs`), 'utf-8').catch(() => null),
+        shared: shared.length > 0 ? TemplateRegistry.checksum(shared) : null
+      };
+    }
+
+    // Template inline enregistré par un autre processus (stockage partagé)
+    return this.store.get(name);
+  }
+
+  /**
+   * @private
+   */
+  async statFile(file) {
+    if (!this.templatesDir) return null;
+    try {
+      return await fs.stat(path.join(this.templatesDir, file));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fichiers des layouts et partials ([{ file: 'partials/x.ejs', stats }]), triés
+   * @private
+   */
+  async sharedFiles() {
+    if (!this.templatesDir) return [];
+
+    const files = [];
+    for (const directory of SHARED_DIRS) {
+      const names = await fs.readdir(path.join(this.templatesDir, directory)).catch(() => []);
+      for (const name of names.filter(file => file.endsWith('.ejs')).sort()) {
+        const file = `${directory}/${name}`;
+        files.push({ file, stats: await fs.stat(path.join(this.templatesDir, file)) });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * @private
+   */
+  async fileNames() {
+    if (!this.templatesDir) return [];
+    try {
+      const files = await fs.readdir(this.templatesDir);
+      return files
+        .filter(file => file.endsWith('.ejs') && !file.endsWith('.txt.ejs'))
+        .map(file => file.slice(0, -'.ejs'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Données du rendu : globals, marque de l'entreprise cliente, formateurs i18n dans la langue du template,
+   * données fournies (data.brand et data.supportContact surchargent la marque)
+   * @private
+   */
+  locals(record, data) {
+    const templateLanguage = languageOf(record.locale || (record.engine === 'ejs' ? this.locale : null));
+    const locale = data.locale && (!templateLanguage || languageOf(data.locale) === templateLanguage)
+      ? data.locale
+      : record.locale || this.locale;
+    const { brand: brandOverride, supportContact, ...rest } = data;
+    const brand = mergeBrand(
+      resolveBrand(this.brand, this.brands, data.reimbursement),
+      supportContact && { supportContact },
+      brandOverride
+    );
+
+    return {
+      ...this.globals,
+      brand,
+      supportContact: brand.supportContact,
+      i18n: createFormatters(locale, { currency: this.currency }),
+      ...rest
+    };
+  }
+
+  /**
+   * Variables requises du template, de ses partials et de son layout (hors body)
+   * @private
+   */
+  requiredVariables(record, dependencies = new Map()) {
+    const layoutVariables = [...dependencies.values()].flatMap(dependency => dependency.variables || []);
+    return [...new Set([
+      ...(record.variables || []),
+      ...layoutVariables.filter(variable => !(record.layout && variable === 'body'))
+    ])];
+  }
+
+  /**
+   * @private
+   */
+  missingVariables(record, locals, dependencies) {
+    return this.requiredVariables(record, dependencies)
+      .filter(variable => locals[variable] === undefined || locals[variable] === null);
+  }
+
+  /**
+   * Partials ({{> nom}}) et layout utilisés par un template, dépendances comprises
+   * @private
+   */
+  async dependencies(record, found = new Map()) {
+    const names = record.engine === 'mustache'
+      ? [record.content, record.text].filter(Boolean).flatMap(source => mustache.partials(source))
+      : [];
+    if (record.layout) names.push(record.layout);
+
+    for (const name of names) {
+      if (found.has(name) || name === record.name) continue;
+      const dependency = await this.load(name);
+      found.set(name, dependency);
+      await this.dependencies(dependency, found);
+    }
+    return found;
+  }
+
+  /**
+   * Rendu brut (sans post-traitement) : { html, text }
+   * Un template inline est HTML (échappement des variables) si son contenu, ses partials ou son layout contiennent des balises.
+   * @private
+   */
+  renderRecord(record, locals, dependencies) {
+    const layout = record.layout ? dependencies.get(record.layout) : null;
+    const html = [record, ...dependencies.values()].some(template => template.engine === 'ejs' || HTML_PATTERN.test(template.content));
+
+    const partials = {};
+    dependencies.forEach((dependency, name) => {
+      if (dependency.engine === 'mustache') {
+        partials[name] = (context, options) => this.compiled(dependency, html).content(context, options);
+      }
+    });
+
+    // Layout EJS choisi par le template : <% layout('reminder', options) -%>
+    let fileLayout = null;
+    const bodyLocals = record.engine === 'ejs'
+      ? { ...locals, layout: (name, options = {}) => { fileLayout = { name, options }; } }
+      : locals;
+
+    const compiled = this.compiled(record, html);
+    const body = compiled.content(bodyLocals, { partials });
+    const text = compiled.text ? compiled.text(locals, { partials }) : undefined;
+    const content = layout
+      ? this.compiled(layout, html).content({ ...locals, body }, { partials })
+      : fileLayout ? this.renderFileLayout(fileLayout, locals, body) : body;
+
+    return html ? { html: content, text } : { html: undefined, text: text ?? content };
+  }
+
+  /**
+   * Rend layouts/<nom>.ejs autour du corps (options du template : tone, title, notes...)
+   * @private
+   */
+  renderFileLayout({ name, options }, locals, body) {
+    if (!this.templatesDir || !/^[\w.-]+$/.test(name)) {
+      throw new Error(`Layout "${name}" invalide`);
+    }
+
+    const filename = path.join(this.templatesDir, 'layouts', `${name}.ejs`);
+    let source;
+    try {
+      source = readFileSync(filename, 'utf-8');
+    } catch (error) {
+      throw new Error(`Layout "${name}" introuvable (${filename})`);
+    }
+
+    const key = `layouts/${name}@${TemplateRegistry.checksum([source])}`;
+    if (!this.compiledCache.has(key)) {
+      this.compiledCache.set(key, ejs.compile(source, { filename }));
+    }
+    return this.compiledCache.get(key)({ ...locals, ...options, body });
+  }
+
+  /**
+   * Fonctions de rendu d'une version (cache par version et mode d'échappement)
+   * @private
+   */
+  compiled(record, html) {
+    const key = `${record.name}@${record.checksum}:${html ? 'html' : 'text'}`;
+    if (!this.compiledCache.has(key)) {
+      this.compiledCache.set(key, this.compile(record, html));
+    }
+    return this.compiledCache.get(key);
+  }
+
+  /**
+   * @private
+   */
+  compile(record, html) {
+    if (record.engine === 'ejs') {
+      const filename = path.join(this.templatesDir || process.cwd(), `${record.name}.ejs`);
+      return {
+        content: ejs.compile(record.content, { filename }),
+        text: record.text ? ejs.compile(record.text, { filename }) : null
+      };
+    }
+
+    const options = { strict: this.strict, name: record.name };
+    return {
+      content: mustache.compile(record.content, { ...options, html }),
+      text: record.text ? mustache.compile(record.text, { ...options, html: false }) : null
+    };
+  }
+
+  /**
+   * Nom, version et sujet du rendu (sujet inline ou catalogue i18n du template)
+   * @private
+   */
+  describe(record, locals) {
+    return {
+      name: record.name,
+      version: record.version,
+      checksum: record.checksum,
+      locale: locals.i18n.locale,
+      subject: record.subject
+        ? mustache.compile(record.subject, { name: record.name, html: false })(locals)
+        : translateSubject(TemplateRegistry.baseName(record), locals.i18n.locale, locals.daysInfo)
+    };
+  }
+
+  /**
+   * @private
+   */
+  date() {
+    return new Date(this.clock ? this.clock.now() : Date.now());
+  }
+}
+
+module.exports = TemplateRegistry;
+module.exports.DEFAULT_FIXTURES = DEFAULT_FIXTURES;
@@ -0,0 +1,63 @@
+/**
+ * Identité visuelle des emails (variable brand des templates)
+ *
+ * Marque par défaut (Flexmo), surchargée par la configuration (brand), par entreprise cliente
+ * (brands[reimbursement.companyId | company.id | company.name]) puis par reimbursement.company.brand.
+ */
+
+const DEFAULT_BRAND = {
+  name: 'Flexmo',
+  logoUrl: null,
+  website: 'https://flexmo.app',
+  address: 'Abidjan, Côte d\'Ivoire',
+  colors: {
+    primary: '#2c5282',
+    alert: '#e53e3e',
+    critical: '#9b2c2c'
+  },
+  supportContact: {
+    email: 'contact@flexmo.app',
+    phone: '+225 07 47 51 00 00',
+    hours: { fr: '8h-18h GMT', en: '8am-6pm GMT' }
+  }
+};
+
+/**
+ * Fusionne des surcharges de marque (colors et supportContact fusionnés champ par champ)
+ * @param {...Object} layers - Marque de base puis surcharges (valeurs vides ignorées)
+ * @returns {Object} Marque complète
+ */
+function mergeBrand(...layers) {
+  return layers.filter(Boolean).reduce((brand, layer) => ({
+    ...brand,
+    ...layer,
+    colors: { ...brand.colors, ...layer.colors },
+    supportContact: { ...brand.supportContact, ...layer.supportContact }
+  }), DEFAULT_BRAND);
+}
+
+/**
+ * Clé de l'entreprise cliente d'un remboursement (companyId, company.id, company.name)
+ */
+function companyKey(reimbursement) {
+  return reimbursement?.companyId || reimbursement?.company?.id || reimbursement?.company?.name || null;
+}
+
+/**
+ * Marque d'un email de remboursement
+ * @param {Object} brand - Marque configurée
+ * @param {Object} [brands] - Surcharges par entreprise cliente { clé: { name, logoUrl, colors, supportContact } }
+ * @param {Object} [reimbursement] - Remboursement ({ companyId, company: { brand } })
+ * @returns {Object} Marque complète
+ */
+function resolveBrand(brand, brands = {}, reimbursement = null) {
+  const key = companyKey(reimbursement);
+  return mergeBrand(brand, key ? brands[key] : null, reimbursement?.company?.brand);
+}
+
+module.exports = {
+  DEFAULT_BRAND,
+  mergeBrand,
+  companyKey,
+  resolveBrand
+};
@@ -0,0 +1,59 @@
+const TemplateRegistry = require('./TemplateRegistry');
+const MemoryTemplateStore = require('./MemoryTemplateStore');
+const FileTemplateStore = require('./FileTemplateStore');
+const MongoTemplateStore = require('./MongoTemplateStore');
+
+/**
+ * Registre des templates - Sélection du stockage des versions
+ *
+ * 'memory' : Map locale (tests, développement ; versions perdues au redémarrage)
+ * 'file'   : un historique JSON par template dans options.directory
+ * 'mongo'  : collection email_template_versions (production)
+ * Un objet { commit, get, history, list } peut aussi être fourni.
+ */
+
+/**
+ * Résout le stockage à partir des options du registre
+ */
+function resolveTemplateStore(options = {}) {
+  const store = options.store || (options.mongo?.uri ? 'mongo' : options.directory ? 'file' : 'memory');
+
+  if (typeof store === 'object') {
+    const missing = ['commit', 'get', 'history', 'list'].filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Stockage des versions de templates invalide, méthodes manquantes : ${missing.join(', ')}`);
+    }
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryTemplateStore();
+    case 'file':
+      return new FileTemplateStore({ directory: options.directory });
+    case 'mongo':
+      return new MongoTemplateStore({ mongo: options.mongo, model: options.model });
+    default:
+      throw new Error(`Stockage des versions de templates "${store}" inconnu (valeurs possibles : memory, file, mongo)`);
+  }
+}
+
+/**
+ * Crée le registre des templates (instance existante retournée telle quelle)
+ * @param {Object|TemplateRegistry} [options] - Options du registre et du stockage
+ * @param {Object} [defaults] - Valeurs du service propriétaire (templatesDir, htmlPipeline, locale, globals)
+ */
+function createTemplateRegistry(options, defaults = {}) {
+  if (options instanceof TemplateRegistry) return options;
+  const merged = { ...defaults, ...options };
+  return new TemplateRegistry({ ...merged, store: resolveTemplateStore(merged) });
+}
+
+module.exports = {
+  createTemplateRegistry,
+  resolveTemplateStore,
+  TemplateRegistry,
+  MemoryTemplateStore,
+  FileTemplateStore,
+  MongoTemplateStore
+};
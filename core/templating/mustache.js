@@ -0,0 +1,319 @@
+/**
+ * Moteur des templates inline (syntaxe Handlebars)
+ *
+ * - {{chemin.vers.valeur}} échappé en HTML (templates HTML), {{{valeur}}} ou {{& valeur}} sans échappement
+ * - {{#if x}}...{{else}}...{{/if}}, {{#unless x}}...{{/unless}}, {{#with x}}...{{/with}}
+ * - {{#each liste}}...{{else}}...{{/each}} : this, @index, @key, @first, @last ; ../x pour le contexte parent
+ * - {{> partial}} : autre template du registre, rendu avec le contexte courant
+ * - {{! commentaire }} ; une balise de bloc seule sur sa ligne ne laisse pas de ligne vide
+ *
+ * Mode strict : une variable absente (hors conditions #if / #unless) lève une erreur au lieu d'être vide.
+ */
+
+const TAG_PATTERN = /\{\{(\{)?\s*([\s\S]*?)\s*\}?\}\}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each', 'with'];
+const STANDALONE = ['open', 'close', 'else', 'comment', 'partial'];
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Découpe le template en texte et balises
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > last) tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    tokens.push(parseTag(match[1] === '{', match[2]));
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) tokens.push({ type: 'text', value: source.slice(last) });
+
+  return stripStandalone(tokens);
+}
+
+/**
+ * @private
+ */
+function parseTag(triple, body) {
+  if (triple) return { type: 'var', path: body, escape: false };
+
+  switch (body[0]) {
+    case '!':
+      return { type: 'comment' };
+    case '#': {
+      const [helper, path = ''] = body.slice(1).trim().split(/\s+/);
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw new Error(`Bloc {{#${helper}}} inconnu (valeurs possibles : ${BLOCK_HELPERS.join(', ')})`);
+      }
+      if (!path) {
+        throw new Error(`Bloc {{#${helper}}} sans variable`);
+      }
+      return { type: 'open', helper, path };
+    }
+    case '/':
+      return { type: 'close', helper: body.slice(1).trim() };
+    case '>':
+      return { type: 'partial', name: body.slice(1).trim() };
+    case '&':
+      return { type: 'var', path: body.slice(1).trim(), escape: false };
+    default:
+      return body === 'else' ? { type: 'else' } : { type: 'var', path: body, escape: true };
+  }
+}
+
+/**
+ * Retire l'indentation et le retour à la ligne des balises seules sur leur ligne
+ * @private
+ */
+function stripStandalone(tokens) {
+  const textAt = index => (index < 0 || index >= tokens.length ? '' : tokens[index].type === 'text' ? tokens[index].value : null);
+  const trims = tokens.map(() => ({ head: false, tail: false }));
+
+  tokens.forEach((token, index) => {
+    if (!STANDALONE.includes(token.type)) return;
+
+    const before = textAt(index - 1);
+    const after = textAt(index + 1);
+    if (before === null || after === null) return;
+
+    const lineStart = before.lastIndexOf('\n');
+    const lineEnd = after.indexOf('\n');
+    const startsLine = lineStart !== -1 || index <= 1;
+    if (!startsLine || !/^[ \t]*$/.test(before.slice(lineStart + 1))) return;
+    if (!/^[ \t]*\r?$/.test(lineEnd === -1 ? after : after.slice(0, lineEnd))) return;
+    if (lineEnd === -1 && index + 1 < tokens.length - 1) return;
+
+    if (index > 0) trims[index - 1].tail = true;
+    if (index + 1 < tokens.length) trims[index + 1].head = true;
+  });
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'text') return;
+    if (trims[index].head) {
+      const lineEnd = token.value.indexOf('\n');
+      token.value = lineEnd === -1 ? '' : token.value.slice(lineEnd + 1);
+    }
+    if (trims[index].tail) {
+      token.value = token.value.slice(0, token.value.lastIndexOf('\n') + 1);
+    }
+  });
+
+  return tokens.filter(token => token.type !== 'comment' && !(token.type === 'text' && token.value === ''));
+}
+
+/**
+ * Arbre des nœuds (blocs imbriqués)
+ * @private
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokenize(source)) {
+    const current = stack[stack.length - 1];
+
+    if (token.type === 'open') {
+      const block = { type: 'block', helper: token.helper, path: token.path, children: [], inverse: null };
+      current.children.push(block);
+      stack.push(block);
+    } else if (token.type === 'else') {
+      if (stack.length === 1 || current.inverse) {
+        throw new Error('{{else}} hors d\'un bloc');
+      }
+      current.inverse = [];
+      current.target = 'inverse';
+    } else if (token.type === 'close') {
+      if (stack.length === 1 || current.helper !== token.helper) {
+        throw new Error(`{{/${token.helper}}} ne ferme aucun bloc ouvert`);
+      }
+      delete current.target;
+      stack.pop();
+    } else {
+      (current.target === 'inverse' ? current.inverse : current.children).push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Bloc {{#${stack[stack.length - 1].helper}}} non fermé`);
+  }
+  return root.children;
+}
+
+/**
+ * Valeur d'un chemin ('a.b', 'this', '../a', '@index') dans la pile de contextes
+ * @private
+ */
+function lookup(path, frames) {
+  let depth = frames.length - 1;
+  let rest = path;
+  while (rest.startsWith('../')) {
+    depth = Math.max(0, depth - 1);
+    rest = rest.slice(3);
+  }
+
+  const frame = frames[depth];
+  if (rest.startsWith('@')) {
+    const found = frame.data && rest.slice(1) in frame.data;
+    return { found, value: found ? frame.data[rest.slice(1)] : undefined };
+  }
+
+  const parts = rest === 'this' || rest === '.' ? [] : rest.replace(/^this\./, '').split('.');
+  let scope = frame.context;
+
+  // Premier segment cherché du contexte courant vers la racine (sauf this.x et ../x explicites)
+  if (parts.length > 0 && rest === path && !path.startsWith('this.')) {
+    for (let index = depth; index >= 0; index--) {
+      const context = frames[index].context;
+      if (context !== null && typeof context === 'object' && parts[0] in context) {
+        scope = context;
+        break;
+      }
+    }
+  }
+
+  for (const part of parts) {
+    if (scope === null || scope === undefined || typeof scope !== 'object' || !(part in scope)) {
+      return { found: false, value: undefined };
+    }
+    scope = scope[part];
+  }
+  return { found: scope !== undefined, value: scope };
+}
+
+/**
+ * Valeur "vraie" au sens des blocs (tableau vide : faux)
+ * @private
+ */
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Échappe les caractères HTML
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, character => ESCAPES[character]);
+}
+
+/**
+ * Compile un template
+ * @param {string} source - Template {{...}}
+ * @param {Object} [options] - { html: échappement HTML (défaut : true), strict: erreur si variable absente, name }
+ * @returns {Function} (data, { partials: { nom: fonction compilée } }) => chaîne rendue
+ * @throws {Error} Si la syntaxe est invalide (bloc non fermé, bloc inconnu)
+ */
+function compile(source, options = {}) {
+  const name = options.name || 'inline';
+  let nodes;
+  try {
+    nodes = parse(source);
+  } catch (error) {
+    throw new Error(`Template "${name}" invalide : ${error.message}`);
+  }
+  const html = options.html !== false;
+  const strict = Boolean(options.strict);
+
+  const required = (path, frames) => {
+    const { found, value } = lookup(path, frames);
+    if (!found && strict) {
+      throw new Error(`Variable "${path}" manquante pour le template "${name}"`);
+    }
+    return value;
+  };
+
+  const renderNodes = (list, frames, partials) => list.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var': {
+        const value = required(node.path, frames);
+        if (value === undefined || value === null) return '';
+        return node.escape && html ? escapeHtml(value) : String(value);
+      }
+      case 'partial': {
+        const partial = partials[node.name];
+        if (!partial) {
+          throw new Error(`Partial "${node.name}" introuvable pour le template "${name}"`);
+        }
+        return partial(frames[frames.length - 1].context, { partials, frames });
+      }
+      default:
+        return renderBlock(node, frames, partials);
+    }
+  }).join('');
+
+  const renderBlock = (node, frames, partials) => {
+    if (node.helper === 'if' || node.helper === 'unless') {
+      const condition = truthy(lookup(node.path, frames).value);
+      const branch = condition === (node.helper === 'if') ? node.children : node.inverse;
+      return branch ? renderNodes(branch, frames, partials) : '';
+    }
+
+    const value = required(node.path, frames);
+    if (!truthy(value) || typeof value !== 'object') {
+      if (node.helper === 'with' && truthy(value)) {
+        return renderNodes(node.children, [...frames, { context: value }], partials);
+      }
+      return node.inverse ? renderNodes(node.inverse, frames, partials) : '';
+    }
+
+    if (node.helper === 'with') {
+      return renderNodes(node.children, [...frames, { context: value }], partials);
+    }
+
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    return entries.map(([key, item], index) => renderNodes(node.children, [...frames, {
+      context: item,
+      data: { index, key, first: index === 0, last: index === entries.length - 1 }
+    }], partials)).join('');
+  };
+
+  return (data = {}, renderOptions = {}) => {
+    const frames = renderOptions.frames ? [...renderOptions.frames, { context: data }] : [{ context: data }];
+    return renderNodes(nodes, frames, renderOptions.partials || {});
+  };
+}
+
+/**
+ * Variables racines requises (hors conditions #if / #unless, blocs #each / #with et partials)
+ * @param {string} source - Template {{...}}
+ * @returns {Array<string>}
+ */
+function variables(source) {
+  const roots = new Set();
+  for (const node of parse(source)) {
+    if (node.type === 'var' || (node.type === 'block' && ['each', 'with'].includes(node.helper))) {
+      const root = node.path.split('.')[0];
+      if (!/^(this|\.|\.\.\/|@)/.test(node.path)) roots.add(root);
+    }
+  }
+  return [...roots];
+}
+
+/**
+ * Partials utilisés par un template ({{> nom}}), blocs imbriqués compris
+ * @param {string} source - Template {{...}}
+ * @returns {Array<string>}
+ */
+function partials(source) {
+  const names = new Set();
+  const walk = list => list.forEach(node => {
+    if (node.type === 'partial') names.add(node.name);
+    if (node.type === 'block') {
+      walk(node.children);
+      walk(node.inverse || []);
+    }
+  });
+  walk(parse(source));
+  return [...names];
+}
+
+module.exports = {
+  compile,
+  variables,
+  partials,
+  escapeHtml
+};
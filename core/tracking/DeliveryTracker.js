@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const { normalizeWebhook, normalizeMessageId, verifyWebhook } = require('./webhooks');
+
+/**
+ * GIF transparent 1x1 renvoyé par le pixel d'ouverture
+ */
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Statuts finaux : une délivrance ou une ouverture tardive ne les remplace pas
+ */
+const FINAL_STATUSES = ['failed', 'bounced', 'complained'];
+
+/**
+ * DeliveryTracker - Suivi de délivrabilité des emails
+ *
+ * Chaque email suivi reçoit un trackingId relié au job BullMQ et au remboursement.
+ * Le HTML rendu est instrumenté (pixel d'ouverture, liens redirigés et signés) et
+ * les notifications fournisseurs (bounce, plainte, délivrance) sont authentifiées puis ingérées via ingest().
+ */
+class DeliveryTracker {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - URL publique des routes de suivi (ex: https://api.flexmo.app/email-tracking)
+   * @param {string} [options.secret] - Secret de signature des liens (EMAIL_TRACKING_SECRET), requis avec baseUrl
+   * @param {boolean} [options.openPixel=true] - Ajoute le pixel d'ouverture
+   * @param {boolean} [options.rewriteLinks=true] - Redirige les liens http(s) via la route de clic
+   * @param {boolean} [options.perRecipient=true] - Un email (et un trackingId) par destinataire pour les rappels
+   * @param {Object} [options.webhooks] - Secrets des notifications par fournisseur : { sendgrid: { publicKey },
+   *   mailgun: { signingKey }, postmark: { username, password } | { token, header }, generic: { token, header } }
+   * @param {boolean} [options.verifyWebhooks=true] - false si les notifications sont déjà authentifiées en amont
+   * @param {number} [options.webhookTolerance=600000] - Âge maximal (ms) des notifications signées SendGrid/Mailgun
+   * @param {Object} options.store - Stockage (voir resolveDeliveryStore)
+   * @param {Object} [options.suppression] - Liste de suppression alimentée par les bounces définitifs et plaintes
+   * @param {Object} [options.clock] - Horloge (now())
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/$/, '') : null;
+    this.secret = options.secret || process.env.EMAIL_TRACKING_SECRET || null;
+    this.openPixel = options.openPixel !== false && !!this.baseUrl;
+    this.rewriteLinks = options.rewriteLinks !== false && !!this.baseUrl;
+    this.perRecipient = options.perRecipient !== false;
+    this.webhooks = options.webhooks || {};
+    this.verifyWebhooks = options.verifyWebhooks !== false;
+    this.webhookTolerance = options.webhookTolerance;
+    this.store = options.store;
+    this.suppression = options.suppression || null;
+    this.clock = options.clock || null;
+
+    if (!this.store) {
+      throw new Error('Stockage du suivi des emails requis');
+    }
+
+    // Un secret propre à chaque processus invaliderait les liens signés par les autres instances
+    if (this.rewriteLinks && !this.secret) {
+      throw new Error('Secret de signature des liens requis (tracking.secret ou EMAIL_TRACKING_SECRET)');
+    }
+  }
+
+  /**
+   * Crée l'entrée de suivi et instrumente le HTML
+   * @param {string} html - HTML rendu
+   * @param {Object} context - { emailType, template, templateVersion, subject, recipients, jobId, queueName, reimbursementId }
+   * @returns {Promise<Object>} { trackingId, html }
+   */
+  async prepare(html, context = {}) {
+    const trackingId = crypto.randomUUID();
+
+    await this.store.create({
+      trackingId,
+      messageId: null,
+      status: 'pending',
+      emailType: context.emailType || null,
+      template: context.template || null,
+      templateVersion: context.templateVersion || null,
+      subject: context.subject || null,
+      recipients: [].concat(context.recipients || []),
+      jobId: context.jobId !== undefined && context.jobId !== null ? String(context.jobId) : null,
+      queueName: context.queueName || null,
+      reimbursementId: context.reimbursementId !== undefined && context.reimbursementId !== null ? String(context.reimbursementId) : null,
+      openCount: 0,
+      clickCount: 0,
+      createdAt: this.date(),
+      events: []
+    });
+
+    return { trackingId, html: this.instrument(html, trackingId) };
+  }
+
+  /**
+   * Ajoute le pixel d'ouverture et redirige les liens (attribut data-no-track pour exclure un lien)
+   */
+  instrument(html, trackingId) {
+    if (!html || (!this.openPixel && !this.rewriteLinks)) return html;
+
+    let result = html;
+
+    if (this.rewriteLinks) {
+      result = result.replace(/<a\b[^>]*>/gi, (tag) => {
+        if (/\bdata-no-track\b/i.test(tag)) return tag;
+        return tag.replace(/\bhref=(["'])(https?:\/\/[^"']+)\1/i, (match, quote, href) => {
+          const url = href.replace(/&amp;/g, '&');
+          return `href=${quote}${this.escape(this.clickUrl(trackingId, url))}${quote}`;
+        });
+      });
+    }
+
+    if (this.openPixel) {
+      const pixel = `<img src="${this.escape(this.openUrl(trackingId))}" width="1" height="1" alt="" style="display:none;border:0" />`;
+      result = /<\/body>/i.test(result) ? result.replace(/<\/body>/i, `${pixel}</body>`) : `${result}${pixel}`;
+    }
+
+    return result;
+  }
+
+  openUrl(trackingId) {
+    return `${this.baseUrl}/o/${trackingId}.gif`;
+  }
+
+  clickUrl(trackingId, url) {
+    return `${this.baseUrl}/c/${trackingId}?u=${encodeURIComponent(url)}&s=${this.sign(trackingId, url)}`;
+  }
+
+  /**
+   * Envoi accepté par le transport
+   */
+  async markSent(trackingId, messageId) {
+    const at = this.date();
+    return this.store.update(trackingId, {
+      set: { status: 'sent', messageId: normalizeMessageId(messageId), sentAt: at },
+      event: { type: 'sent', at }
+    });
+  }
+
+  /**
+   * Envoi refusé par le transport
+   */
+  async markFailed(trackingId, error) {
+    const at = this.date();
+    return this.store.update(trackingId, {
+      set: { status: 'failed', failedAt: at, error: error?.message || String(error) },
+      event: { type: 'failed', at, reason: error?.message || String(error) }
+    });
+  }
+
+  /**
+   * Ouverture (pixel)
+   */
+  async recordOpen(trackingId, meta = {}) {
+    return this.applyEvent(trackingId, { type: 'open', at: this.date(), source: 'pixel', ...meta });
+  }
+
+  /**
+   * Clic sur un lien signé ; retourne l'URL de redirection (null si signature invalide)
+   */
+  async recordClick(trackingId, url, signature, meta = {}) {
+    if (!url || !this.verifySignature(trackingId, url, signature)) {
+      return null;
+    }
+
+    await this.applyEvent(trackingId, { type: 'click', at: this.date(), url, source: 'redirect', ...meta });
+    return url;
+  }
+
+  /**
+   * Ingère une notification fournisseur (sendgrid, mailgun, postmark, generic) après vérification de sa signature
+   * @param {string} provider
+   * @param {Object|Array} payload - Corps JSON de la notification
+   * @param {Object} [request] - { headers, rawBody } de la requête (rawBody requis pour SendGrid)
+   * @returns {Promise<Object>} { received, matched, unmatched }
+   */
+  async ingest(provider, payload, request = {}) {
+    if (this.verifyWebhooks) {
+      verifyWebhook(provider, { ...request, payload }, this.webhooks[provider], {
+        now: this.date(),
+        tolerance: this.webhookTolerance
+      });
+    }
+
+    const events = normalizeWebhook(provider, payload);
+    let matched = 0;
+
+    for (const event of events) {
+      const record = event.trackingId
+        ? await this.store.get(event.trackingId)
+        : event.messageId ? await this.store.findByMessageId(event.messageId) : null;
+
+      if (!record) continue;
+
+      await this.applyEvent(record.trackingId, { ...event, source: provider }, record);
+      matched++;
+
+      if (this.suppression) {
+        const recipient = event.recipient || (record.recipients.length === 1 ? record.recipients[0] : null);
+        await this.suppression.recordDeliveryEvent({ ...event, recipient }, provider).catch(error => {
+          console.error(`⚠️ Liste de suppression non mise à jour pour ${recipient}:`, error.message);
+        });
+      }
+    }
+
+    return { received: events.length, matched, unmatched: events.length - matched };
+  }
+
+  /**
+   * Branche une liste de suppression (bounces définitifs et plaintes ajoutés automatiquement)
+   */
+  useSuppressionList(suppression) {
+    this.suppression = suppression;
+    return this;
+  }
+
+  /**
+   * Met à jour statut et compteurs selon l'événement
+   * @private
+   */
+  async applyEvent(trackingId, event, current = null) {
+    const record = current || await this.store.get(trackingId);
+    if (!record) return null;
+
+    const at = event.at || this.date();
+    const isFinal = FINAL_STATUSES.includes(record.status);
+    const set = {};
+    const inc = {};
+
+    switch (event.type) {
+      case 'delivered':
+        if (!isFinal) set.status = 'delivered';
+        set.deliveredAt = at;
+        break;
+      case 'bounce':
+        set.status = 'bounced';
+        set.bouncedAt = at;
+        set.bounceType = event.bounceType || 'hard';
+        set.bounceReason = event.reason || null;
+        break;
+      case 'complaint':
+        set.status = 'complained';
+        set.complainedAt = at;
+        break;
+      case 'open':
+        inc.openCount = 1;
+        set.lastOpenedAt = at;
+        if (!record.firstOpenedAt) set.firstOpenedAt = at;
+        if (!isFinal && record.status !== 'delivered') set.status = 'delivered';
+        break;
+      case 'click':
+        inc.clickCount = 1;
+        set.lastClickedAt = at;
+        break;
+      default:
+        break;
+    }
+
+    return this.store.update(trackingId, {
+      set,
+      inc,
+      event: {
+        type: event.type,
+        at,
+        recipient: event.recipient || (record.recipients.length === 1 ? record.recipients[0] : null),
+        url: event.url || null,
+        reason: event.reason || null,
+        source: event.source || null
+      }
+    });
+  }
+
+  /**
+   * Entrée de suivi par trackingId
+   */
+  async getDelivery(trackingId) {
+    return this.store.get(trackingId);
+  }
+
+  /**
+   * Entrées filtrées ({ reimbursementId, jobId, emailType, status, ... })
+   */
+  async find(filter = {}) {
+    const normalized = { ...filter };
+    ['reimbursementId', 'jobId'].forEach(field => {
+      if (normalized[field] !== undefined) normalized[field] = String(normalized[field]);
+    });
+    return this.store.find(normalized);
+  }
+
+  /**
+   * Accusés de lecture par destinataire (qui a ouvert / cliqué)
+   * @param {Object} filter - Ex: { reimbursementId: 'RBT-001', emailType: 'payment-overdue' }
+   */
+  async getReadReceipts(filter = {}) {
+    const deliveries = await this.find(filter);
+
+    return deliveries.flatMap(delivery => delivery.recipients.map(recipient => ({
+      recipient,
+      trackingId: delivery.trackingId,
+      emailType: delivery.emailType,
+      reimbursementId: delivery.reimbursementId,
+      jobId: delivery.jobId,
+      status: delivery.status,
+      sentAt: delivery.sentAt || null,
+      opened: delivery.openCount > 0,
+      openCount: delivery.openCount,
+      firstOpenedAt: delivery.firstOpenedAt || null,
+      clicked: delivery.clickCount > 0,
+      // Un email partagé entre plusieurs destinataires ne permet pas de savoir lequel a lu
+      shared: delivery.recipients.length > 1
+    })));
+  }
+
+  /**
+   * Entrées au format de EmailUtils.generateEmailReport ({ status, opened, clicked, type })
+   */
+  async getReportEntries(filter = {}) {
+    const deliveries = await this.find(filter);
+
+    return deliveries.map(delivery => ({
+      status: ['sent', 'delivered', 'complained'].includes(delivery.status) ? 'sent' : delivery.status,
+      opened: delivery.openCount > 0,
+      clicked: delivery.clickCount > 0,
+      type: delivery.emailType,
+      trackingId: delivery.trackingId
+    }));
+  }
+
+  /**
+   * Rapport de délivrabilité (envoyés, bounces, plaintes, ouvertures, clics, par type)
+   */
+  async getReport(filter = {}) {
+    const deliveries = await this.find(filter);
+    const report = {
+      total: deliveries.length,
+      sent: 0,
+      delivered: 0,
+      failed: 0,
+      bounced: 0,
+      complained: 0,
+      opened: 0,
+      clicked: 0,
+      byType: {}
+    };
+
+    for (const delivery of deliveries) {
+      const accepted = ['sent', 'delivered', 'complained', 'bounced'].includes(delivery.status);
+      if (accepted) report.sent++;
+      if (delivery.status === 'delivered') report.delivered++;
+      if (delivery.status === 'failed') report.failed++;
+      if (delivery.status === 'bounced') report.bounced++;
+      if (delivery.status === 'complained') report.complained++;
+      if (delivery.openCount > 0) report.opened++;
+      if (delivery.clickCount > 0) report.clicked++;
+
+      const type = delivery.emailType || 'unknown';
+      report.byType[type] = report.byType[type] || { total: 0, bounced: 0, opened: 0, clicked: 0 };
+      report.byType[type].total++;
+      if (delivery.status === 'bounced') report.byType[type].bounced++;
+      if (delivery.openCount > 0) report.byType[type].opened++;
+      if (delivery.clickCount > 0) report.byType[type].clicked++;
+    }
+
+    report.bounceRate = report.sent > 0 ? Math.round((report.bounced / report.sent) * 100) : 0;
+    report.openRate = report.sent > 0 ? Math.round((report.opened / report.sent) * 100) : 0;
+    report.clickRate = report.sent > 0 ? Math.round((report.clicked / report.sent) * 100) : 0;
+
+    return report;
+  }
+
+  /**
+   * Middleware HTTP (Node http ou Express) pour les routes de suivi :
+   * GET {basePath}/o/:trackingId.gif, GET {basePath}/c/:trackingId?u=&s=,
+   * POST {basePath}/webhooks/:provider
+   * Avec Express, le corps brut (SendGrid) est lu depuis req.rawBody ou un Buffer (express.raw)
+   * @param {Object} [options] - { basePath: '/email-tracking' }
+   */
+  middleware(options = {}) {
+    const basePath = (options.basePath || '').replace(/\/$/, '');
+
+    return async (req, res, next) => {
+      const url = new URL(req.originalUrl || req.url, 'http://localhost');
+      const path = url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) : null;
+
+      try {
+        let match;
+
+        if (path && req.method === 'GET' && (match = /^\/o\/([\w-]+)\.gif$/.exec(path))) {
+          await this.recordOpen(match[1]).catch(() => null);
+          res.writeHead(200, {
+            'Content-Type': 'image/gif',
+            'Content-Length': PIXEL_GIF.length,
+            'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+          });
+          return res.end(PIXEL_GIF);
+        }
+
+        if (path && req.method === 'GET' && (match = /^\/c\/([\w-]+)$/.exec(path))) {
+          const target = await this.recordClick(match[1], url.searchParams.get('u'), url.searchParams.get('s'));
+          if (!target) {
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end('Lien invalide');
+          }
+          res.writeHead(302, { Location: target });
+          return res.end();
+        }
+
+        if (path && req.method === 'POST' && (match = /^\/webhooks\/([\w-]+)$/.exec(path))) {
+          const { payload, rawBody } = await this.readBody(req);
+          const result = await this.ingest(match[1], payload, { headers: req.headers, rawBody });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify(result));
+        }
+      } catch (error) {
+        res.writeHead(error.statusCode || 400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: error.message }));
+      }
+
+      if (next) return next();
+      res.writeHead(404);
+      return res.end();
+    };
+  }
+
+  async close() {
+    await this.store.close?.();
+  }
+
+  /**
+   * @private
+   */
+  sign(trackingId, url) {
+    return crypto.createHmac('sha256', this.secret).update(`${trackingId}:${url}`).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * @private
+   */
+  verifySignature(trackingId, url, signature) {
+    if (!this.secret || typeof signature !== 'string') return false;
+    const expected = Buffer.from(this.sign(trackingId, url));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * @private
+   */
+  async readBody(req) {
+    if (req.body !== undefined && !Buffer.isBuffer(req.body)) {
+      return { payload: req.body, rawBody: req.rawBody };
+    }
+
+    let rawBody = req.body;
+    if (rawBody === undefined) {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      rawBody = Buffer.concat(chunks);
+    }
+
+    const body = rawBody.toString('utf-8');
+    return { payload: body ? JSON.parse(body) : null, rawBody };
+  }
+
+  /**
+   * @private
+   */
+  escape(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * @private
+   */
+  date() {
+    return new Date(this.clock ? this.clock.now() : Date.now());
+  }
+}
+
+module.exports = DeliveryTracker;
+module.exports.PIXEL_GIF = PIXEL_GIF;
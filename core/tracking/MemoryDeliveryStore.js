@@ -0,0 +1,67 @@
+/**
+ * MemoryDeliveryStore - Suivi de délivrabilité en mémoire (tests, mono-processus)
+ */
+class MemoryDeliveryStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEvents = options.maxEvents || 100;
+    this.records = new Map();
+  }
+
+  async create(record) {
+    this.records.set(record.trackingId, { ...record, events: [...(record.events || [])] });
+  }
+
+  async get(trackingId) {
+    const record = this.records.get(trackingId);
+    return record ? this.copy(record) : null;
+  }
+
+  async findByMessageId(messageId) {
+    for (const record of this.records.values()) {
+      if (record.messageId === messageId) return this.copy(record);
+    }
+    return null;
+  }
+
+  /**
+   * Applique { set, inc, event } à une entrée
+   */
+  async update(trackingId, { set = {}, inc = {}, event = null } = {}) {
+    const record = this.records.get(trackingId);
+    if (!record) return null;
+
+    Object.assign(record, set);
+    Object.entries(inc).forEach(([field, value]) => {
+      record[field] = (record[field] || 0) + value;
+    });
+    if (event) {
+      record.events.push(event);
+      if (record.events.length > this.maxEvents) {
+        record.events.splice(0, record.events.length - this.maxEvents);
+      }
+    }
+
+    return this.copy(record);
+  }
+
+  /**
+   * Entrées correspondant aux champs du filtre (égalité stricte), triées par création
+   */
+  async find(filter = {}) {
+    return Array.from(this.records.values())
+      .filter(record => Object.entries(filter).every(([field, value]) =>
+        Array.isArray(record[field]) ? record[field].includes(value) : record[field] === value
+      ))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(record => this.copy(record));
+  }
+
+  async close() {}
+
+  copy(record) {
+    return { ...record, recipients: [...(record.recipients || [])], events: record.events.map(event => ({ ...event })) };
+  }
+}
+
+module.exports = MemoryDeliveryStore;
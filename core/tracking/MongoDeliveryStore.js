@@ -0,0 +1,74 @@
+/**
+ * MongoDeliveryStore - Suivi de délivrabilité persistant (collection email_deliveries)
+ */
+class MongoDeliveryStore {
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.mongoUri = options.mongo?.uri || null;
+    this.model = options.model || null;
+    this.maxEvents = options.maxEvents || 100;
+    this.connected = false;
+  }
+
+  /**
+   * Modèle Mongoose (connexion établie à la première utilisation)
+   */
+  async getModel() {
+    if (!this.model) {
+      this.model = require('../models/EmailDelivery');
+    }
+
+    if (!this.connected) {
+      const mongoose = require('mongoose');
+      if (mongoose.connection.readyState !== 1) {
+        if (!this.mongoUri) {
+          throw new Error('URI MongoDB requise pour le suivi des emails (tracking.mongo.uri)');
+        }
+        await mongoose.connect(this.mongoUri);
+      }
+      this.connected = true;
+    }
+
+    return this.model;
+  }
+
+  async create(record) {
+    const Model = await this.getModel();
+    await Model.create(record);
+  }
+
+  async get(trackingId) {
+    const Model = await this.getModel();
+    return Model.findOne({ trackingId }).lean();
+  }
+
+  async findByMessageId(messageId) {
+    const Model = await this.getModel();
+    return Model.findOne({ messageId }).lean();
+  }
+
+  /**
+   * Applique { set, inc, event } à une entrée
+   */
+  async update(trackingId, { set = {}, inc = {}, event = null } = {}) {
+    const Model = await this.getModel();
+    const update = {};
+
+    if (Object.keys(set).length > 0) update.$set = set;
+    if (Object.keys(inc).length > 0) update.$inc = inc;
+    if (event) update.$push = { events: { $each: [event], $slice: -this.maxEvents } };
+
+    return Model.findOneAndUpdate({ trackingId }, update, { new: true }).lean();
+  }
+
+  async find(filter = {}) {
+    const Model = await this.getModel();
+    return Model.find(filter).sort({ createdAt: 1 }).lean();
+  }
+
+  async close() {
+    // La connexion Mongoose est partagée avec le reste de l'application
+  }
+}
+
+module.exports = MongoDeliveryStore;
@@ -0,0 +1,56 @@
+const DeliveryTracker = require('./DeliveryTracker');
+const MemoryDeliveryStore = require('./MemoryDeliveryStore');
+const MongoDeliveryStore = require('./MongoDeliveryStore');
+const { normalizeWebhook, verifyWebhook, WebhookSignatureError } = require('./webhooks');
+
+/**
+ * Suivi de délivrabilité - Sélection du stockage
+ *
+ * 'memory' : Map locale (tests, développement)
+ * 'mongo'  : collection email_deliveries (production)
+ * Un objet { create, get, findByMessageId, update, find } peut aussi être fourni.
+ */
+
+/**
+ * Résout le stockage à partir des options de suivi
+ */
+function resolveDeliveryStore(options = {}) {
+  const store = options.store || (options.mongo?.uri ? 'mongo' : 'memory');
+
+  if (typeof store === 'object') {
+    const missing = ['create', 'get', 'findByMessageId', 'update', 'find'].filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Stockage du suivi des emails invalide, méthodes manquantes : ${missing.join(', ')}`);
+    }
+    return store;
+  }
+
+  switch (store) {
+    case 'memory':
+      return new MemoryDeliveryStore({ maxEvents: options.maxEvents });
+    case 'mongo':
+      return new MongoDeliveryStore({ mongo: options.mongo, model: options.model, maxEvents: options.maxEvents });
+    default:
+      throw new Error(`Stockage du suivi des emails "${store}" inconnu (valeurs possibles : memory, mongo)`);
+  }
+}
+
+/**
+ * Crée le tracker (instance existante retournée telle quelle, null si désactivé)
+ */
+function createDeliveryTracker(options) {
+  if (!options || options.enabled === false) return null;
+  if (options instanceof DeliveryTracker) return options;
+  return new DeliveryTracker({ ...options, store: resolveDeliveryStore(options) });
+}
+
+module.exports = {
+  createDeliveryTracker,
+  resolveDeliveryStore,
+  normalizeWebhook,
+  verifyWebhook,
+  WebhookSignatureError,
+  DeliveryTracker,
+  MemoryDeliveryStore,
+  MongoDeliveryStore
+};
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+
+/**
+ * Normalisation des notifications fournisseurs (bounce, plainte, délivrance, ouverture, clic)
+ *
+ * Chaque normaliseur retourne des événements :
+ * { type, trackingId?, messageId?, recipient, at, reason, bounceType, url }
+ * type : 'delivered', 'bounce', 'deferred', 'complaint', 'open' ou 'click'
+ *
+ * Les notifications sont authentifiées avant normalisation (verifyWebhook) :
+ * une notification forgée ajouterait une adresse à la liste de suppression.
+ */
+
+/**
+ * Notification fournisseur non authentifiée (signature absente, invalide ou expirée)
+ */
+class WebhookSignatureError extends Error {
+  constructor(provider, reason) {
+    super(`Notification ${provider} rejetée : ${reason}`);
+    this.name = 'WebhookSignatureError';
+    this.provider = provider;
+    this.statusCode = 401;
+  }
+}
+
+const toDate = (value) => {
+  if (value === undefined || value === null) return new Date();
+  return typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+};
+
+/**
+ * Identifiant de message sans chevrons
+ */
+function normalizeMessageId(messageId) {
+  if (!messageId) return null;
+  return String(messageId).trim().replace(/^<|>$/g, '');
+}
+
+const NORMALIZERS = {
+  /**
+   * SendGrid Event Webhook : tableau d'événements
+   */
+  sendgrid(payload) {
+    const types = { delivered: 'delivered', bounce: 'bounce', dropped: 'bounce', deferred: 'deferred', spamreport: 'complaint', open: 'open', click: 'click' };
+
+    return [].concat(payload || []).filter(event => types[event.event]).map(event => ({
+      type: types[event.event],
+      trackingId: event.tracking_id || null,
+      messageId: normalizeMessageId(event.sg_message_id && event.sg_message_id.split('.')[0]),
+      recipient: event.email,
+      at: toDate(event.timestamp),
+      reason: event.reason || event.response || null,
+      bounceType: event.event === 'bounce' ? (event.type === 'blocked' ? 'soft' : 'hard') : event.event === 'dropped' ? 'dropped' : null,
+      url: event.url || null
+    }));
+  },
+
+  /**
+   * Mailgun webhooks : { signature, 'event-data' }
+   */
+  mailgun(payload) {
+    const event = payload?.['event-data'];
+    if (!event) return [];
+
+    const types = { delivered: 'delivered', complained: 'complaint', opened: 'open', clicked: 'click' };
+    const type = event.event === 'failed'
+      ? (event.severity === 'permanent' ? 'bounce' : 'deferred')
+      : types[event.event];
+    if (!type) return [];
+
+    return [{
+      type,
+      trackingId: event['user-variables']?.trackingId || null,
+      messageId: normalizeMessageId(event.message?.headers?.['message-id']),
+      recipient: event.recipient,
+      at: toDate(event.timestamp),
+      reason: event['delivery-status']?.description || event['delivery-status']?.message || event.reason || null,
+      bounceType: type === 'bounce' ? 'hard' : null,
+      url: event.url || null
+    }];
+  },
+
+  /**
+   * Postmark webhooks : un événement par requête (RecordType)
+   */
+  postmark(payload) {
+    const types = { Delivery: 'delivered', Bounce: 'bounce', SpamComplaint: 'complaint', Open: 'open', Click: 'click' };
+
+    return [].concat(payload || []).filter(event => types[event.RecordType]).map(event => ({
+      type: types[event.RecordType],
+      trackingId: event.Metadata?.trackingId || null,
+      messageId: normalizeMessageId(event.MessageID),
+      recipient: event.Email || event.Recipient,
+      at: toDate(event.BouncedAt || event.DeliveredAt || event.ReceivedAt),
+      reason: event.Description || event.Details || null,
+      bounceType: event.RecordType === 'Bounce' ? (event.Type === 'HardBounce' ? 'hard' : 'soft') : null,
+      url: event.OriginalLink || null
+    }));
+  },
+
+  /**
+   * Format générique (DSN SMTP relayé, outil interne) : objet ou tableau
+   * { trackingId | messageId, type, recipient, reason, bounceType, url, at }
+   */
+  generic(payload) {
+    const aliases = { bounced: 'bounce', complained: 'complaint', opened: 'open', clicked: 'click' };
+
+    return [].concat(payload || []).map(event => ({
+      type: aliases[event.type] || event.type,
+      trackingId: event.trackingId || null,
+      messageId: normalizeMessageId(event.messageId),
+      recipient: event.recipient || null,
+      at: toDate(event.at),
+      reason: event.reason || null,
+      bounceType: event.bounceType || (event.type === 'bounce' || event.type === 'bounced' ? 'hard' : null),
+      url: event.url || null
+    })).filter(event => ['delivered', 'bounce', 'deferred', 'complaint', 'open', 'click'].includes(event.type));
+  }
+};
+
+/**
+ * Comparaison en temps constant (longueurs quelconques)
+ */
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof a === 'string' && typeof b === 'string' && crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Horodatage (secondes) dans la fenêtre de tolérance, contre le rejeu
+ */
+function assertFresh(provider, timestamp, { now, tolerance }) {
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || Math.abs(now.getTime() - seconds * 1000) > tolerance) {
+    throw new WebhookSignatureError(provider, 'horodatage absent ou expiré');
+  }
+}
+
+/**
+ * Secret partagé : authentification Basic ({ username, password }) ou jeton dans un en-tête ({ token, header })
+ */
+function verifySharedSecret(provider, { headers }, secret) {
+  if (secret.username !== undefined) {
+    const expected = `Basic ${Buffer.from(`${secret.username}:${secret.password || ''}`).toString('base64')}`;
+    if (!safeEqual(headers.authorization, expected)) {
+      throw new WebhookSignatureError(provider, 'authentification Basic invalide');
+    }
+    return;
+  }
+
+  if (!safeEqual(headers[(secret.header || 'x-webhook-token').toLowerCase()], secret.token)) {
+    throw new WebhookSignatureError(provider, 'jeton invalide');
+  }
+}
+
+const VERIFIERS = {
+  /**
+   * SendGrid Signed Event Webhook : ECDSA (clé publique du compte) sur horodatage + corps brut
+   * Secret : { publicKey } (base64 affiché par SendGrid ou PEM)
+   */
+  sendgrid(request, secret, options) {
+    const signature = request.headers['x-twilio-email-event-webhook-signature'];
+    const timestamp = request.headers['x-twilio-email-event-webhook-timestamp'];
+    if (!signature || !timestamp) {
+      throw new WebhookSignatureError('sendgrid', 'en-têtes de signature absents');
+    }
+    if (request.rawBody === undefined || request.rawBody === null) {
+      throw new WebhookSignatureError('sendgrid', 'corps brut de la requête requis pour vérifier la signature');
+    }
+    assertFresh('sendgrid', timestamp, options);
+
+    let valid = false;
+    try {
+      const key = String(secret.publicKey).includes('BEGIN PUBLIC KEY')
+        ? crypto.createPublicKey(secret.publicKey)
+        : crypto.createPublicKey({ key: Buffer.from(secret.publicKey, 'base64'), format: 'der', type: 'spki' });
+      valid = crypto.verify('sha256', Buffer.concat([Buffer.from(timestamp), Buffer.from(request.rawBody)]), key, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      valid = false;
+    }
+
+    if (!valid) {
+      throw new WebhookSignatureError('sendgrid', 'signature invalide');
+    }
+  },
+
+  /**
+   * Mailgun : HMAC-SHA256 (clé de signature des webhooks) sur timestamp + token
+   * Secret : { signingKey }
+   */
+  mailgun(request, secret, options) {
+    const { timestamp, token, signature } = request.payload?.signature || {};
+    if (!timestamp || !token || !signature) {
+      throw new WebhookSignatureError('mailgun', 'signature absente');
+    }
+    assertFresh('mailgun', timestamp, options);
+
+    const expected = crypto.createHmac('sha256', secret.signingKey).update(`${timestamp}${token}`).digest('hex');
+    if (!safeEqual(String(signature), expected)) {
+      throw new WebhookSignatureError('mailgun', 'signature invalide');
+    }
+  },
+
+  /**
+   * Postmark ne signe pas ses webhooks : authentification Basic dans l'URL ou en-tête personnalisé
+   * Secret : { username, password } ou { token, header }
+   */
+  postmark(request, secret) {
+    verifySharedSecret('postmark', request, secret);
+  },
+
+  /**
+   * Format générique : secret partagé
+   * Secret : { token, header } ou { username, password }
+   */
+  generic(request, secret) {
+    verifySharedSecret('generic', request, secret);
+  }
+};
+
+/**
+ * Vérifie l'authenticité d'une notification fournisseur, lève une WebhookSignatureError sinon
+ * @param {string} provider - sendgrid, mailgun, postmark ou generic
+ * @param {Object} request - { payload, headers, rawBody }
+ * @param {Object} secret - Secret du fournisseur (voir VERIFIERS)
+ * @param {Object} [options] - { now: Date, tolerance: ms (défaut : 10 minutes) }
+ */
+function verifyWebhook(provider, request, secret, options = {}) {
+  const verify = VERIFIERS[provider];
+  if (!verify) {
+    throw new Error(`Fournisseur de notifications "${provider}" inconnu (valeurs possibles : ${Object.keys(VERIFIERS).join(', ')})`);
+  }
+  if (!secret) {
+    throw new WebhookSignatureError(provider, `vérification non configurée (tracking.webhooks.${provider})`);
+  }
+
+  const headers = Object.fromEntries(Object.entries(request.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  verify({ ...request, headers }, secret, {
+    now: options.now || new Date(),
+    tolerance: options.tolerance !== undefined ? options.tolerance : 10 * 60 * 1000
+  });
+}
+
+/**
+ * Normalise la notification d'un fournisseur
+ */
+function normalizeWebhook(provider, payload) {
+  const normalize = NORMALIZERS[provider];
+  if (!normalize) {
+    throw new Error(`Fournisseur de notifications "${provider}" inconnu (valeurs possibles : ${Object.keys(NORMALIZERS).join(', ')})`);
+  }
+  return normalize(payload);
+}
+
+module.exports = {
+  normalizeWebhook,
+  normalizeMessageId,
+  verifyWebhook,
+  WebhookSignatureError,
+  NORMALIZERS,
+  VERIFIERS
+};
@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const path = require('path');
+const addressparser = require('nodemailer/lib/addressparser');
+
+/**
+ * Fournisseurs HTTP : URL de base, construction de la requête d'envoi,
+ * lecture de l'identifiant du message et requête de vérification de la clé.
+ */
+const PROVIDERS = {
+  sendgrid: {
+    baseUrl: 'https://api.sendgrid.com/v3',
+    headers: (options) => ({ Authorization: `Bearer ${options.apiKey}` }),
+    send: (message, options) => ({
+      path: '/mail/send',
+      json: {
+        personalizations: [{
+          to: message.to.map(toSendgridAddress),
+          ...(message.cc.length > 0 && { cc: message.cc.map(toSendgridAddress) }),
+          ...(message.bcc.length > 0 && { bcc: message.bcc.map(toSendgridAddress) })
+        }],
+        from: toSendgridAddress(message.from),
+        ...(message.replyTo && { reply_to: toSendgridAddress(message.replyTo) }),
+        subject: message.subject,
+        ...(Object.keys(message.headers).length > 0 && { headers: message.headers }),
+        ...(message.trackingId && { custom_args: { tracking_id: message.trackingId } }),
+        content: [
+          message.text && { type: 'text/plain', value: message.text },
+          message.html && { type: 'text/html', value: message.html }
+        ].filter(Boolean),
+        ...(message.attachments.length > 0 && {
+          attachments: message.attachments.map(attachment => ({
+            filename: attachment.filename,
+            type: attachment.contentType,
+            content: attachment.content
+          }))
+        })
+      }
+    }),
+    messageId: (body, response) => response.headers.get('x-message-id'),
+    verify: () => ({ path: '/scopes' })
+  },
+
+  mailgun: {
+    baseUrl: 'https://api.mailgun.net/v3',
+    headers: (options) => ({ Authorization: `Basic ${Buffer.from(`api:${options.apiKey}`).toString('base64')}` }),
+    send: (message, options) => {
+      if (!options.domain) {
+        throw new Error('Transport mailgun : "domain" requis');
+      }
+
+      const form = new FormData();
+      form.append('from', formatAddress(message.from));
+      message.to.forEach(address => form.append('to', formatAddress(address)));
+      message.cc.forEach(address => form.append('cc', formatAddress(address)));
+      message.bcc.forEach(address => form.append('bcc', formatAddress(address)));
+      if (message.replyTo) form.append('h:Reply-To', formatAddress(message.replyTo));
+      Object.entries(message.headers).forEach(([name, value]) => form.append(`h:${name}`, value));
+      if (message.trackingId) form.append('v:trackingId', message.trackingId);
+      form.append('subject', message.subject || '');
+      if (message.text) form.append('text', message.text);
+      if (message.html) form.append('html', message.html);
+      message.attachments.forEach(attachment => {
+        const blob = new Blob([Buffer.from(attachment.content, 'base64')], { type: attachment.contentType });
+        form.append('attachment', blob, attachment.filename);
+      });
+
+      return { path: `/${options.domain}/messages`, body: form };
+    },
+    messageId: (body) => body.id,
+    verify: (options) => ({ path: `/domains/${options.domain}` })
+  },
+
+  postmark: {
+    baseUrl: 'https://api.postmarkapp.com',
+    headers: (options) => ({ 'X-Postmark-Server-Token': options.apiKey }),
+    send: (message, options) => ({
+      path: '/email',
+      json: {
+        From: formatAddress(message.from),
+        To: message.to.map(formatAddress).join(', '),
+        ...(message.cc.length > 0 && { Cc: message.cc.map(formatAddress).join(', ') }),
+        ...(message.bcc.length > 0 && { Bcc: message.bcc.map(formatAddress).join(', ') }),
+        ...(message.replyTo && { ReplyTo: formatAddress(message.replyTo) }),
+        Subject: message.subject,
+        ...(message.html && { HtmlBody: message.html }),
+        ...(message.text && { TextBody: message.text }),
+        ...(Object.keys(message.headers).length > 0 && {
+          Headers: Object.entries(message.headers).map(([name, value]) => ({ Name: name, Value: value }))
+        }),
+        ...(message.trackingId && { Metadata: { trackingId: message.trackingId } }),
+        MessageStream: options.messageStream || 'outbound',
+        ...(message.attachments.length > 0 && {
+          Attachments: message.attachments.map(attachment => ({
+            Name: attachment.filename,
+            Content: attachment.content,
+            ContentType: attachment.contentType
+          }))
+        })
+      }
+    }),
+    messageId: (body) => body.MessageID,
+    verify: () => ({ path: '/server' })
+  }
+};
+
+/**
+ * HttpTransport - Envoi via l'API HTTP d'un fournisseur (sendgrid, mailgun, postmark)
+ *
+ * Même interface que les transports Nodemailer : sendMail(message), verify(), close().
+ */
+class HttpTransport {
+  constructor(options = {}) {
+    this.provider = PROVIDERS[options.provider];
+    if (!this.provider) {
+      throw new Error(`Fournisseur HTTP "${options.provider}" inconnu (valeurs possibles : ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!options.apiKey) {
+      throw new Error(`Transport ${options.provider} : "apiKey" requis`);
+    }
+
+    this.name = options.provider;
+    this.options = options;
+    this.baseUrl = (options.baseUrl || this.provider.baseUrl).replace(/\/$/, '');
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeout = options.timeout || 10000;
+
+    if (typeof this.fetch !== 'function') {
+      throw new Error(`Transport ${this.name} : fetch indisponible (Node 18+ requis ou option "fetch")`);
+    }
+  }
+
+  /**
+   * Envoie un message (options Nodemailer : from, to, cc, bcc, replyTo, subject, text, html, headers, attachments)
+   * L'en-tête X-Tracking-Id est aussi transmis en métadonnée, renvoyée par les notifications du fournisseur.
+   */
+  async sendMail(message) {
+    const normalized = await this.normalize(message);
+    const request = this.provider.send(normalized, this.options);
+    const { body, response } = await this.request('POST', request);
+
+    return {
+      messageId: this.provider.messageId(body, response) || null,
+      response: `${response.status} ${response.statusText || ''}`.trim(),
+      accepted: [...normalized.to, ...normalized.cc, ...normalized.bcc].map(address => address.address),
+      rejected: []
+    };
+  }
+
+  /**
+   * Vérifie la clé d'API auprès du fournisseur
+   */
+  async verify() {
+    await this.request('GET', this.provider.verify(this.options));
+    return true;
+  }
+
+  async close() {}
+
+  /**
+   * @private
+   */
+  async request(method, { path: requestPath, json, body }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await this.fetch(`${this.baseUrl}${requestPath}`, {
+        method,
+        headers: {
+          ...this.provider.headers(this.options),
+          ...(json && { 'Content-Type': 'application/json' }),
+          Accept: 'application/json'
+        },
+        body: json ? JSON.stringify(json) : body,
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      let parsed = null;
+      try {
+        parsed = text ? JSON.parse(text) : null;
+      } catch (error) {
+        parsed = text;
+      }
+
+      if (!response.ok) {
+        const detail = typeof parsed === 'string' ? parsed : JSON.stringify(parsed);
+        throw new Error(`Requête ${this.name} échouée (${response.status}) : ${detail}`);
+      }
+
+      return { body: parsed || {}, response };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Normalise adresses, en-têtes et pièces jointes (contenu en base64)
+   * @private
+   */
+  async normalize(message) {
+    const from = parseAddresses(message.from || this.options.from)[0];
+    if (!from) {
+      throw new Error(`Transport ${this.name} : expéditeur "from" requis`);
+    }
+
+    const to = parseAddresses(message.to);
+    if (to.length === 0) {
+      throw new Error(`Transport ${this.name} : au moins un destinataire requis`);
+    }
+
+    const attachments = [];
+    for (const attachment of message.attachments || []) {
+      const content = attachment.path
+        ? await fs.readFile(attachment.path)
+        : Buffer.isBuffer(attachment.content)
+          ? attachment.content
+          : Buffer.from(String(attachment.content || ''), attachment.encoding || 'utf-8');
+
+      attachments.push({
+        filename: attachment.filename || (attachment.path && path.basename(attachment.path)) || 'attachment',
+        contentType: attachment.contentType || 'application/octet-stream',
+        content: content.toString('base64')
+      });
+    }
+
+    // En-têtes Nodemailer : objet { nom: valeur } ou tableau [{ key, value }]
+    const headers = Object.fromEntries((Array.isArray(message.headers)
+      ? message.headers.map(header => [header.key, header.value])
+      : Object.entries(message.headers || {})
+    ).filter(([, value]) => value !== undefined && value !== null).map(([name, value]) => [name, String(value)]));
+    const trackingName = Object.keys(headers).find(name => name.toLowerCase() === 'x-tracking-id');
+
+    return {
+      from,
+      to,
+      cc: parseAddresses(message.cc),
+      bcc: parseAddresses(message.bcc),
+      replyTo: parseAddresses(message.replyTo)[0] || null,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      headers,
+      trackingId: trackingName ? headers[trackingName] : null,
+      attachments
+    };
+  }
+}
+
+/**
+ * Convertit 'A <a@x.co>, b@y.co', ['a@x.co'] ou [{ name, address }] en [{ name, address }]
+ */
+function parseAddresses(value) {
+  if (!value) return [];
+
+  return [].concat(value).flatMap(entry => {
+    if (typeof entry === 'object' && entry.address) {
+      return [{ name: entry.name || '', address: entry.address }];
+    }
+    return addressparser(String(entry), { flatten: true })
+      .filter(parsed => parsed.address)
+      .map(parsed => ({ name: parsed.name || '', address: parsed.address }));
+  });
+}
+
+function formatAddress(address) {
+  return address.name ? `"${address.name.replace(/"/g, '')}" <${address.address}>` : address.address;
+}
+
+function toSendgridAddress(address) {
+  return address.name ? { email: address.address, name: address.name } : { email: address.address };
+}
+
+module.exports = HttpTransport;
+module.exports.PROVIDERS = PROVIDERS;
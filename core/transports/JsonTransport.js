@@ -0,0 +1,56 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * JsonTransport - Capture les emails en mémoire au format JSON (tests)
+ *
+ * Aucun envoi réseau : les messages sont consultables via getMessages() / last().
+ */
+class JsonTransport {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.maxMessages = options.maxMessages || 1000;
+    this.messages = [];
+    this.transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  /**
+   * Compose le message et le conserve en mémoire
+   */
+  async sendMail(message) {
+    const info = await this.transporter.sendMail(message);
+    const captured = JSON.parse(info.message);
+
+    this.messages.push(captured);
+    if (this.messages.length > this.maxMessages) {
+      this.messages.shift();
+    }
+
+    return {
+      messageId: info.messageId,
+      response: 'Capturé (json)',
+      accepted: info.envelope.to,
+      rejected: [],
+      message: captured
+    };
+  }
+
+  async verify() {
+    return true;
+  }
+
+  getMessages() {
+    return this.messages.slice();
+  }
+
+  last() {
+    return this.messages.length > 0 ? this.messages[this.messages.length - 1] : null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+
+  async close() {}
+}
+
+module.exports = JsonTransport;
@@ -0,0 +1,69 @@
+const { promises: fs, constants } = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * OutboxTransport - Écrit chaque email dans un fichier .eml local au lieu de l'envoyer
+ *
+ * Utile en développement : les fichiers s'ouvrent dans n'importe quel client mail.
+ */
+class OutboxTransport {
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.dir = path.resolve(options.dir || path.join(process.cwd(), 'outbox'));
+    this.clock = options.clock || null;
+    this.transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true
+    });
+  }
+
+  /**
+   * Compose le message MIME et l'écrit dans le dossier outbox
+   */
+  async sendMail(message) {
+    const info = await this.transporter.sendMail(message);
+    const now = this.clock ? this.clock.now() : Date.now();
+    const filename = `${new Date(now).toISOString().replace(/[:.]/g, '-')}-${this.sanitize(info.messageId)}.eml`;
+    const filePath = path.join(this.dir, filename);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(filePath, info.message);
+
+    return {
+      messageId: info.messageId,
+      response: `Écrit dans ${filePath}`,
+      accepted: info.envelope.to,
+      rejected: [],
+      path: filePath
+    };
+  }
+
+  /**
+   * Vérifie que le dossier outbox existe (créé au besoin) et est accessible en écriture
+   */
+  async verify() {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.access(this.dir, constants.W_OK);
+    return true;
+  }
+
+  /**
+   * Liste les fichiers .eml écrits
+   */
+  async list() {
+    const files = await fs.readdir(this.dir).catch(() => []);
+    return files.filter(file => file.endsWith('.eml')).sort().map(file => path.join(this.dir, file));
+  }
+
+  async close() {}
+
+  /**
+   * @private
+   */
+  sanitize(messageId = '') {
+    return messageId.replace(/[<>]/g, '').replace(/[^a-zA-Z0-9._-]/g, '_');
+  }
+}
+
+module.exports = OutboxTransport;
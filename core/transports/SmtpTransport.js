@@ -0,0 +1,67 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SmtpTransport - Envoi SMTP via Nodemailer (serveur générique ou service connu comme Gmail)
+ *
+ * Options TLS : secure (TLS implicite, port 465), requireTLS (STARTTLS obligatoire)
+ * et tls (options Node : rejectUnauthorized, minVersion, servername, ca...).
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = options.service || 'smtp';
+    this.options = options;
+
+    if (!options.service && !options.host) {
+      throw new Error('Transport SMTP : "host" ou "service" requis');
+    }
+
+    const { service, host, port, secure, requireTLS, ignoreTLS, tls, auth, pool, maxConnections, connectionTimeout } = options;
+    this.transporter = nodemailer.createTransport(this.compact({
+      service,
+      host,
+      port: port !== undefined ? Number(port) : undefined,
+      secure: secure !== undefined ? secure === true || secure === 'true' : undefined,
+      requireTLS,
+      ignoreTLS,
+      tls,
+      auth: auth && (auth.user || auth.pass) ? auth : undefined,
+      pool,
+      maxConnections,
+      connectionTimeout
+    }));
+  }
+
+  /**
+   * Envoie un message (options Nodemailer)
+   */
+  async sendMail(message) {
+    const info = await this.transporter.sendMail(message);
+    return {
+      messageId: info.messageId,
+      response: info.response,
+      accepted: info.accepted || [],
+      rejected: info.rejected || []
+    };
+  }
+
+  /**
+   * Vérifie la connexion et l'authentification SMTP
+   */
+  async verify() {
+    await this.transporter.verify();
+    return true;
+  }
+
+  async close() {
+    this.transporter.close();
+  }
+
+  /**
+   * @private
+   */
+  compact(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,87 @@
+const SmtpTransport = require('./SmtpTransport');
+const OutboxTransport = require('./OutboxTransport');
+const JsonTransport = require('./JsonTransport');
+const HttpTransport = require('./HttpTransport');
+
+/**
+ * Transports email - Sélection du fournisseur d'envoi
+ *
+ * 'gmail'    : Nodemailer service Gmail (défaut historique, identifiants email/password)
+ * 'smtp'     : serveur SMTP générique (host, port, secure, requireTLS, tls, auth)
+ * 'outbox'   : fichiers .eml écrits dans un dossier local (développement)
+ * 'json'     : capture en mémoire (tests)
+ * 'sendgrid', 'mailgun', 'postmark' : API HTTP du fournisseur (apiKey, domain pour mailgun)
+ * Un objet { sendMail, verify } peut aussi être fourni.
+ */
+
+/**
+ * Options lues dans l'environnement selon le type de transport
+ */
+function fromEnv(type) {
+  const env = process.env;
+
+  switch (type) {
+    case 'smtp':
+      return {
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+      };
+    case 'outbox':
+      return { dir: env.EMAIL_OUTBOX_DIR };
+    case 'sendgrid':
+    case 'postmark':
+      return { apiKey: env.EMAIL_API_KEY };
+    case 'mailgun':
+      return { apiKey: env.EMAIL_API_KEY, domain: env.MAILGUN_DOMAIN };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Résout le transport à partir de la configuration
+ * @param {string|Object} [transport] - Nom ('smtp', 'outbox'...) ou { type, ...options } ou transport personnalisé
+ * @param {Object} [defaults] - { auth, clock } : identifiants Gmail historiques, horloge
+ */
+function resolveTransport(transport, defaults = {}) {
+  if (transport && typeof transport === 'object' && typeof transport.sendMail === 'function') {
+    if (typeof transport.verify !== 'function') {
+      throw new Error('Transport invalide, méthode manquante : verify');
+    }
+    return transport;
+  }
+
+  const { type = process.env.EMAIL_TRANSPORT || 'gmail', ...options } = typeof transport === 'string'
+    ? { type: transport }
+    : (transport || {});
+
+  const resolved = { ...fromEnv(type), ...options };
+  Object.keys(resolved).forEach(key => resolved[key] === undefined && delete resolved[key]);
+
+  switch (type) {
+    case 'gmail':
+      return new SmtpTransport({ service: 'gmail', auth: defaults.auth, ...resolved });
+    case 'smtp':
+      return new SmtpTransport(resolved);
+    case 'outbox':
+      return new OutboxTransport({ clock: defaults.clock, ...resolved });
+    case 'json':
+      return new JsonTransport(resolved);
+    case 'sendgrid':
+    case 'mailgun':
+    case 'postmark':
+      return new HttpTransport({ provider: type, ...resolved });
+    default:
+      throw new Error(`Transport email "${type}" inconnu (valeurs possibles : gmail, smtp, outbox, json, ${Object.keys(HttpTransport.PROVIDERS).join(', ')})`);
+  }
+}
+
+module.exports = {
+  resolveTransport,
+  SmtpTransport,
+  OutboxTransport,
+  JsonTransport,
+  HttpTransport
+};
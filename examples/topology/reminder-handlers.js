@@ -0,0 +1,28 @@
+/**
+ * Handlers référencés par reminders.yaml
+ *
+ * Factory appelée avec le contexte de loadTopology : { manager, queueName, ...services injectés }
+ */
+module.exports = ({ manager, queueName, reimbursementService, emailService }) => ({
+  'process-corporate-reminders': async (data, job) => {
+    const reimbursements = await reimbursementService.getReimbursements({ type: 'SALARY' });
+    await job.updateProgress(100);
+    return { queueName, type: data.type, total: reimbursements.length, executionDate: manager.now() };
+  },
+
+  'process-coverage-reminders': async (data, job) => {
+    const reimbursements = await reimbursementService.getReimbursements({ type: 'TREASURY' });
+    await job.updateProgress(100);
+    return { queueName, type: data.type, total: reimbursements.length, executionDate: manager.now() };
+  },
+
+  'send-report': async (data, job) => {
+    const results = await job.getChildrenValues();
+    await emailService.sendMail({
+      to: 'finance@flexmo.app',
+      subject: 'Rapport mensuel des rappels',
+      html: `<pre>${JSON.stringify(results, null, 2)}</pre>`
+    });
+    return { template: data.template, reports: Object.keys(results).length };
+  }
+});
@@ -10,12 +10,37 @@ const QueueManager = require('./core/QueueManager');
 const WorkerManager = require('./core/WorkerManager');
 const EventManager = require('./core/EventManager');
 const FlowManager = require('./core/FlowManager');
+const TopologyLoader = require('./core/TopologyLoader');
+const DeadLetterManager = require('./core/DeadLetterManager');
+const MiddlewarePipeline = require('./core/MiddlewarePipeline');
+const IdempotencyManager = require('./core/IdempotencyManager');
+const { SchemaValidator, JobValidationError } = require('./core/SchemaValidator');
+const { resolveBackend, createMemoryBackend } = require('./core/backends');
+const { resolveIdempotencyStore } = require('./core/idempotency');
+const { resolveTransport } = require('./core/transports');
+const EmailService = require('./core/EmailService');
+const EmailServiceAdapter = require('./core/EmailServiceAdapter');
+const { DeliveryTracker, createDeliveryTracker } = require('./core/tracking');
+const { SuppressionList, createSuppressionList } = require('./core/suppression');
+const { prepareEmailHtml, lintEmailHtml } = require('./core/emailHtml');
+const { recipientLocale, translateSubject, createFormatters } = require('./core/i18n');
+const { TemplateRegistry, createTemplateRegistry } = require('./core/templating');
+const { DEFAULT_BRAND, resolveBrand } = require('./core/templating/brand');
+const { StatementGenerator, createStatementGenerator } = require('./core/statements');
+const { buildDueDateCalendar, calendarAttachment } = require('./core/calendar');
+const { resolveDigestOptions, DigestCollector } = require('./core/digest');
+const { buildCoverageSummary } = require('./core/coverageSummary');
+const { DatePolicy, createDatePolicy } = require('./core/datePolicy');
+const { MemoryBroker } = require('./core/backends/MemoryBackend');
+const { SystemClock, VirtualClock } = require('./core/Clock');
 
 // === MANAGERS MÉTIER (Spécialisés par domaine) ===
 const MailManager = require('./managers/MailManager');
 
 // === SERVICES (Logique applicative) ===
 const RemboursementMailService = require('./services/RemboursementMailService');
+const ReminderPolicyService = require('./services/ReminderPolicyService');
+const EscalationService = require('./services/EscalationService');
 
 // === UTILS (Transversaux) ===
 const JobLogger = require('./utils/JobLogger');
@@ -27,12 +52,51 @@ module.exports = {
   WorkerManager,
   EventManager,
   FlowManager,
+  TopologyLoader,
+  DeadLetterManager,
+  MiddlewarePipeline,
+  IdempotencyManager,
+  resolveIdempotencyStore,
+  resolveTransport,
+  EmailService,
+  EmailServiceAdapter,
+  DeliveryTracker,
+  createDeliveryTracker,
+  SuppressionList,
+  createSuppressionList,
+  prepareEmailHtml,
+  lintEmailHtml,
+  recipientLocale,
+  translateSubject,
+  createFormatters,
+  TemplateRegistry,
+  createTemplateRegistry,
+  DEFAULT_BRAND,
+  resolveBrand,
+  StatementGenerator,
+  createStatementGenerator,
+  buildDueDateCalendar,
+  calendarAttachment,
+  resolveDigestOptions,
+  DigestCollector,
+  buildCoverageSummary,
+  DatePolicy,
+  createDatePolicy,
+  SchemaValidator,
+  JobValidationError,
+  resolveBackend,
+  createMemoryBackend,
+  MemoryBroker,
+  SystemClock,
+  VirtualClock,
   
   // === Managers Métier ===
   MailManager,
   
   // === Services ===
   RemboursementMailService,
+  ReminderPolicyService,
+  EscalationService,
   
   // === Utils ===
   JobLogger,
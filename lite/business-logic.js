@@ -14,6 +14,11 @@
  * @since 2025-01-29
  */
 
+const { calendarAttachment } = require('../core/calendar');
+const { DigestCollector } = require('../core/digest');
+const { buildCoverageSummary } = require('../core/coverageSummary');
+const { DEFAULT_LOCALE, recipientLocale } = require('../core/i18n');
+
 /**
  * @typedef {Object} Reimbursement
  * @property {string} id - Identifiant unique du remboursement
@@ -32,7 +37,10 @@
  * @property {string} emailType - Type d'email envoyé ('payment-reminder', 'payment-overdue')
  * @property {number} daysDiff - Différence en jours par rapport à l'échéance
  * @property {number} recipientCount - Nombre de destinataires
- * @property {string} emailJobId - ID du job d'email créé
+ * @property {string} [emailJobId] - ID du job d'email créé
+ * @property {string} [statementJobId] - ID du job generate-statement (rappel de retard avec relevé PDF)
+ * @property {number} [digestRecipients] - Destinataires servis par le récapitulatif plutôt qu'individuellement
+ * @property {string} [stage] - Étape de la cadence de relance ('J-3', 'retard-1'...)
  * @property {boolean} [skipped] - Indique si le traitement a été ignoré
  * @property {string} [reason] - Raison de l'ignorance du traitement
  */
@@ -43,6 +51,7 @@
  * @property {number} totalReimbursements - Nombre total de remboursements
  * @property {number} emailsSent - Nombre d'emails envoyés
  * @property {Array<ProcessingResult>} processedReimbursements - Détails des traitements
+ * @property {Array<string>} [summaryJobIds] - IDs des jobs send-coverage-summary-email (un par responsable de la couverture)
  */
 
 /**
@@ -124,6 +133,9 @@ class BusinessLogic {
    * @param {Function} service.logError - Fonction de logging d'erreurs
    * @param {Object} service.managerService - Service de gestion des managers
    * @param {Map} service.queues - Map des queues BullMQ
+   * @param {Object} service.clock - Horloge du service (now() et date())
+   * @param {DatePolicy} service.datePolicy - Politique de dates (jours calendaires ou ouvrés, jours fériés)
+   * @param {Object} service.reminderPolicy - Politique de cadence des rappels Coverage
    */
   constructor(service) {
     /**
@@ -151,7 +163,8 @@ class BusinessLogic {
    * 
    * @async
    * @param {Reimbursement} reimbursement - Remboursement à traiter
-   * @param {Date} [currentDate=new Date()] - Date actuelle pour les calculs
+   * @param {Date} [currentDate=clock.date()] - Date actuelle pour les calculs
+   * @param {DigestCollector|null} [digest=null] - Récapitulatif de l'exécution en cours (voir createDigestCollector)
    * @returns {Promise<ProcessingResult>} Résultat du traitement
    * @throws {Error} Si le remboursement est invalide ou si l'envoi échoue
    * 
@@ -166,41 +179,32 @@ class BusinessLogic {
    * const result = await businessLogic.processCorporateReimbursement(reimbursement);
    * console.log(`Email ${result.emailType} envoyé à ${result.recipientCount} destinataires`);
    */
-  async processCorporateReimbursement(reimbursement, currentDate = new Date()) {
-    const dueDate = new Date(reimbursement.dueDate);
-    const timeDiff = dueDate.getTime() - currentDate.getTime();
-    const daysDiff = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
-
-    let emailType;
-    let daysInfo = { daysDiff, isOverdue: false };
-
-    if (daysDiff <= 0) {
-      emailType = 'payment-overdue';
-      daysInfo.isOverdue = true;
-      daysInfo.overdueDays = Math.abs(daysDiff);
-    } else {
-      emailType = 'payment-reminder';
-      daysInfo.remainingDays = daysDiff;
-    }
-
-    // Récupération destinataires
-    const recipients = await this.getReimbursementRecipients(reimbursement, 'corporate');
-
-    // Envoi email
-    const emailQueue = this.service.queues.get(this.config.emailQueue);
-    const emailJob = await emailQueue.add('send-reminder-email', {
+  async processCorporateReimbursement(reimbursement, currentDate = this.service.clock.date(), digest = null) {
+    // Jours restants selon la politique de dates (calendaires ou ouvrés)
+    const daysInfo = this.service.datePolicy.daysInfo(reimbursement.dueDate, currentDate);
+    const { daysDiff } = daysInfo;
+    const emailType = daysInfo.isOverdue ? 'payment-overdue' : 'payment-reminder';
+
+    // Niveau d'escalade et destinataires associés
+    const escalation = this.service.escalation ? this.service.escalation.getLevel(reimbursement, currentDate) : null;
+    const recipients = await this.getReimbursementRecipients(reimbursement, 'corporate', escalation);
+
+    // Envoi email (précédé du relevé PDF si en retard)
+    const jobs = await this.enqueueReminder({
       emailType,
       recipients,
       reimbursement,
-      daysInfo
-    });
+      daysInfo,
+      escalation
+    }, { asOf: currentDate.toISOString() }, digest);
 
     return {
       id: reimbursement.id,
       emailType,
       daysDiff,
+      escalationLevel: escalation ? escalation.level : null,
       recipientCount: recipients.length,
-      emailJobId: emailJob.id
+      ...jobs
     };
   }
 
@@ -210,13 +214,15 @@ class BusinessLogic {
    * Les règles Coverage :
    * - Traitement tous les jours du mois
    * - Type TREASURY avec statuts PENDING/OVERDUE
-   * - Rappel à X jours configurables avant échéance
-   * - Email immédiat si en retard
+   * - Cadence imposée par la politique de relance (ex: J-10, J-3, J-1)
+   * - Relances espacées si en retard, dans la limite configurée
+   * - Synthèse de la couverture aux managers responsables si au moins un rappel part
    * 
    * @async
    * @param {string} healthCoverageId - ID de la couverture santé
    * @param {Array<Reimbursement>} reimbursements - Remboursements à traiter
-   * @param {Date} [currentDate=new Date()] - Date actuelle pour les calculs
+   * @param {Date} [currentDate=clock.date()] - Date actuelle pour les calculs
+   * @param {DigestCollector|null} [digest=null] - Récapitulatif de l'exécution en cours (voir createDigestCollector)
    * @returns {Promise<CoverageProcessingResult>} Résultat du traitement
    * @throws {Error} Si les remboursements sont invalides ou si l'envoi échoue
    * 
@@ -228,65 +234,239 @@ class BusinessLogic {
    * const result = await businessLogic.processCoverageReimbursements('HC-001', reimbursements);
    * console.log(`${result.emailsSent} emails envoyés sur ${result.totalReimbursements}`);
    */
-  async processCoverageReimbursements(healthCoverageId, reimbursements, currentDate = new Date()) {
+  async processCoverageReimbursements(healthCoverageId, reimbursements, currentDate = this.service.clock.date(), digest = null) {
     const processedReimbursements = [];
 
     for (const reimbursement of reimbursements) {
-      const dueDate = new Date(reimbursement.dueDate);
-      const timeDiff = dueDate.getTime() - currentDate.getTime();
-      const daysDiff = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
-
-      let shouldSendEmail = false;
-      let emailType;
-      let daysInfo = { daysDiff };
+      // Cadence : un rappel par jalon avant échéance, relances espacées en retard
+      const decision = await this.service.reminderPolicy.evaluate(reimbursement, currentDate);
 
-      // Logique Coverage
-      if (daysDiff <= 0) {
-        shouldSendEmail = true;
-        emailType = 'payment-overdue';
-        daysInfo.isOverdue = true;
-        daysInfo.overdueDays = Math.abs(daysDiff);
-      } else if (daysDiff <= this.config.warningDays) {
-        shouldSendEmail = true;
-        emailType = 'payment-reminder';
-        daysInfo.remainingDays = daysDiff;
-      }
-
-      if (shouldSendEmail) {
-        const recipients = await this.getReimbursementRecipients(reimbursement, 'coverage');
+      if (decision.shouldSend) {
+        const { emailType, daysInfo, daysDiff } = decision;
+        const escalation = this.service.escalation ? this.service.escalation.getLevel(reimbursement, currentDate) : null;
+        const recipients = await this.getReimbursementRecipients(reimbursement, 'coverage', escalation);
         
-        const emailQueue = this.service.queues.get(this.config.emailQueue);
-        const emailJob = await emailQueue.add('send-reminder-email', {
+        // Relevé de la couverture : tous ses remboursements échus
+        const jobs = await this.enqueueReminder({
           emailType,
           recipients,
           reimbursement,
-          daysInfo
-        });
+          daysInfo,
+          policy: {
+            emailType,
+            stage: decision.stage,
+            milestone: decision.milestone,
+            overdueIndex: decision.overdueIndex
+          },
+          escalation
+        }, { asOf: currentDate.toISOString(), healthCoverageId, reimbursements }, digest);
 
         processedReimbursements.push({
           id: reimbursement.id,
           emailType,
+          stage: decision.stage,
           daysDiff,
+          escalationLevel: escalation ? escalation.level : null,
           recipientCount: recipients.length,
-          emailJobId: emailJob.id
+          ...jobs
         });
       } else {
+        this.service.metrics.reminders.skipped++;
         processedReimbursements.push({
           id: reimbursement.id,
           skipped: true,
-          reason: `${daysDiff} jours restants, pas d'alerte nécessaire`
+          daysDiff: decision.daysDiff,
+          reason: decision.reason
         });
       }
     }
 
+    const emailsSent = processedReimbursements.filter(r => !r.skipped).length;
+    const summaryJobs = emailsSent > 0 ? await this.enqueueCoverageSummary(healthCoverageId, reimbursements, currentDate) : [];
+
     return {
       healthCoverageId,
       totalReimbursements: reimbursements.length,
-      emailsSent: processedReimbursements.filter(r => !r.skipped).length,
-      processedReimbursements
+      emailsSent,
+      processedReimbursements,
+      ...(summaryJobs.length > 0 && { summaryJobIds: summaryJobs.map(job => job.id) })
     };
   }
 
+  /**
+   * Met en file la synthèse d'une couverture santé pour ses managers responsables
+   * 
+   * La synthèse reprend tous les remboursements en attente de la couverture : totaux
+   * et montant en retard par devise, répartition par niveau d'urgence et liste triée
+   * par échéance. Activée par config.coverageSummary: true ; ignorée pour les
+   * remboursements sans couverture (groupe 'unknown') ou sans responsable désigné.
+   * Un job par destinataire : l'échec d'un envoi ne renvoie pas la synthèse aux autres.
+   * 
+   * @async
+   * @param {string} healthCoverageId - ID de la couverture santé
+   * @param {Array<Reimbursement>} reimbursements - Remboursements de la couverture
+   * @param {Date} [currentDate=clock.date()] - Date de la synthèse
+   * @returns {Promise<Array<BullMQJob>>} Jobs send-coverage-summary-email (vide si aucune synthèse)
+   * 
+   * @example
+   * const jobs = await businessLogic.enqueueCoverageSummary('HC-001', reimbursements);
+   * console.log(`Synthèse mise en file pour ${jobs.length} responsable(s)`);
+   */
+  async enqueueCoverageSummary(healthCoverageId, reimbursements, currentDate = this.service.clock.date()) {
+    if (!this.service.coverageSummary || healthCoverageId === 'unknown') return [];
+
+    const recipients = await this.getCoverageSummaryRecipients(healthCoverageId);
+    if (recipients.length === 0) {
+      this.service.log(`⚠️ Aucun responsable pour la couverture ${healthCoverageId} : synthèse non envoyée`);
+      return [];
+    }
+
+    const summary = buildCoverageSummary(healthCoverageId, reimbursements, {
+      date: currentDate,
+      urgencyLevel: daysDiff => this.calculateUrgencyLevel(daysDiff),
+      datePolicy: this.service.datePolicy
+    });
+    const emailQueue = this.service.queues.get(this.config.emailQueue);
+    return Promise.all(recipients.map(recipient =>
+      emailQueue.add('send-coverage-summary-email', { healthCoverageId, recipient, summary })
+    ));
+  }
+
+  /**
+   * Met en file un email de rappel
+   * 
+   * Un rappel avant échéance reçoit l'invitation calendrier (.ics) de l'échéance si
+   * config.calendar est activé. Un rappel de retard passe d'abord par le job generate-statement,
+   * qui génère le relevé de paiement PDF puis met en file send-reminder-email avec la pièce jointe.
+   * Sans générateur de relevés (statements: false), l'email est mis en file directement.
+   * Avec un récapitulatif en cours, ses destinataires en mode digest sont collectés et
+   * seuls les autres reçoivent le rappel individuel.
+   * 
+   * @async
+   * @param {Object} reminder - Données du job send-reminder-email
+   * @param {Object} statement - Périmètre du relevé
+   * @param {string} statement.asOf - Date de calcul des pénalités (ISO 8601)
+   * @param {string} [statement.healthCoverageId] - Relevé de la couverture santé (Coverage)
+   * @param {Array<Reimbursement>} [statement.reimbursements] - Remboursements de la couverture
+   * @param {DigestCollector|null} [digest=null] - Récapitulatif de l'exécution en cours
+   * @returns {Promise<{emailJobId?: string, statementJobId?: string, digestRecipients?: number}>} ID du job créé
+   * 
+   * @example
+   * const { statementJobId } = await businessLogic.enqueueReminder(
+   *   { emailType: 'payment-overdue', recipients, reimbursement, daysInfo },
+   *   { asOf: new Date().toISOString() }
+   * );
+   */
+  async enqueueReminder(reminder, statement, digest = null) {
+    if (digest) {
+      const recipients = digest.collect(reminder);
+      const digestRecipients = reminder.recipients.length - recipients.length;
+      if (recipients.length === 0) {
+        return { digestRecipients };
+      }
+      if (digestRecipients > 0) {
+        const jobs = await this.enqueueReminder({ ...reminder, recipients }, statement);
+        return { ...jobs, digestRecipients };
+      }
+    }
+
+    const emailQueue = this.service.queues.get(this.config.emailQueue);
+
+    if (reminder.emailType === 'payment-reminder' && this.service.calendar) {
+      reminder = { ...reminder, attachments: [...(reminder.attachments || []), this.buildCalendarAttachment(reminder)] };
+    }
+
+    if (reminder.emailType === 'payment-overdue' && this.service.statementGenerator) {
+      const job = await emailQueue.add('generate-statement', { ...reminder, statement });
+      return { statementJobId: job.id };
+    }
+
+    const job = await emailQueue.add('send-reminder-email', reminder);
+    return { emailJobId: job.id };
+  }
+
+  /**
+   * Crée le collecteur du récapitulatif d'une exécution
+   * 
+   * Les rappels de l'exécution destinés aux destinataires en mode digest y sont
+   * collectés ; enqueueDigests met ensuite en file un seul email par destinataire.
+   * 
+   * @param {string} scope - Périmètre de l'exécution ('corporate', 'coverage')
+   * @returns {DigestCollector|null} Collecteur, ou null si le mode récapitulatif est désactivé
+   * 
+   * @example
+   * const digest = businessLogic.createDigestCollector('corporate');
+   * for (const reimbursement of reimbursements) {
+   *   await businessLogic.processCorporateReimbursement(reimbursement, currentDate, digest);
+   * }
+   * await businessLogic.enqueueDigests(digest, currentDate);
+   */
+  createDigestCollector(scope) {
+    return this.service.digest ? new DigestCollector(scope, this.service.digest) : null;
+  }
+
+  /**
+   * Met en file un récapitulatif (job send-digest-email) par destinataire collecté
+   * 
+   * Les remboursements de chaque récapitulatif sont triés avec sortReimbursementsByPriority :
+   * retards les plus anciens d'abord, puis échéances les plus proches.
+   * 
+   * @async
+   * @param {DigestCollector|null} digest - Collecteur de l'exécution
+   * @param {Date} [currentDate=clock.date()] - Date de l'exécution
+   * @returns {Promise<Array<{recipient: string, reimbursementCount: number, emailJobId: string}>>} Jobs créés
+   * 
+   * @example
+   * const digests = await businessLogic.enqueueDigests(digest, currentDate);
+   * console.log(`${digests.length} récapitulatifs mis en file`);
+   */
+  async enqueueDigests(digest, currentDate = this.service.clock.date()) {
+    if (!digest || digest.size === 0) return [];
+
+    const emailQueue = this.service.queues.get(this.config.emailQueue);
+    const jobs = [];
+
+    for (const { recipient, items } of digest.digests()) {
+      const byReimbursement = new Map(items.map(item => [item.reimbursement, item]));
+      const sorted = this.sortReimbursementsByPriority([...byReimbursement.keys()], currentDate)
+        .map(reimbursement => byReimbursement.get(reimbursement));
+
+      const job = await emailQueue.add('send-digest-email', {
+        scope: digest.scope,
+        recipient,
+        items: sorted,
+        date: currentDate.toISOString()
+      });
+      jobs.push({ recipient: recipient.email, reimbursementCount: sorted.length, emailJobId: job.id });
+    }
+
+    this.service.log(`📬 ${jobs.length} récapitulatif(s) ${digest.scope} mis en file`);
+    return jobs;
+  }
+
+  /**
+   * Invitation calendrier (.ics) de l'échéance d'un rappel
+   * 
+   * L'UID est stable par remboursement : chaque rappel met à jour la même entrée
+   * du calendrier (Outlook, Google Calendar) au lieu de la dupliquer.
+   * 
+   * @param {Object} reminder - Données du rappel
+   * @param {Reimbursement} reminder.reimbursement - Remboursement concerné
+   * @param {Array<Recipient>} [reminder.recipients] - Destinataires (langue du premier)
+   * @returns {{filename: string, content: string, contentType: string}} Pièce jointe .ics
+   * 
+   * @example
+   * const attachment = businessLogic.buildCalendarAttachment({ reimbursement, recipients });
+   * // { filename: 'echeance-RBT-001.ics', contentType: 'text/calendar; charset=utf-8; method=PUBLISH', ... }
+   */
+  buildCalendarAttachment({ reimbursement, recipients = [] }) {
+    return calendarAttachment(reimbursement, {
+      ...this.service.calendar,
+      locale: recipientLocale(recipients[0], reimbursement, DEFAULT_LOCALE),
+      now: this.service.clock.date()
+    });
+  }
+
   /**
    * Groupe les remboursements par health-coverage
    * 
@@ -319,12 +499,14 @@ class BusinessLogic {
   /**
    * Récupère les destinataires pour un remboursement donné
    * 
-   * Récupère le propriétaire du remboursement et les 3 managers les plus anciens
-   * selon le type de traitement (corporate/coverage).
+   * Avec un niveau d'escalade, délègue aux résolveurs du niveau (owner, chef de
+   * département, direction financière). Sans niveau, récupère le propriétaire du
+   * remboursement et les 3 managers les plus anciens selon le type de traitement.
    * 
    * @async
    * @param {Reimbursement} reimbursement - Remboursement concerné
    * @param {string} type - Type de traitement ('corporate', 'coverage')
+   * @param {Object|null} [escalation=null] - Niveau d'escalade (voir Escalation.getLevel)
    * @returns {Promise<Array<Recipient>>} Liste des destinataires dédoublonnée
    * @throws {Error} Si la récupération des destinataires échoue
    * 
@@ -333,8 +515,12 @@ class BusinessLogic {
    * console.log(`Envoi à ${recipients.length} destinataires`);
    * recipients.forEach(r => console.log(`- ${r.name} (${r.email})`));
    */
-  async getReimbursementRecipients(reimbursement, type) {
+  async getReimbursementRecipients(reimbursement, type, escalation = null) {
     try {
+      if (escalation && this.service.escalation) {
+        return await this.service.escalation.resolveRecipients(escalation, reimbursement, { type });
+      }
+
       const owner = await this.service.managerService.getReimbursementOwner(reimbursement.id);
       const oldestManagers = await this.service.managerService.getOldestManagers(type, 3);
       
@@ -350,6 +536,39 @@ class BusinessLogic {
     }
   }
 
+  /**
+   * Récupère les destinataires de la synthèse d'une couverture santé
+   * 
+   * Managers responsables de la couverture (managerService.getHealthCoverageManagers).
+   * Pas de repli sur les managers Coverage les plus anciens : ils reçoivent déjà chaque rappel.
+   * 
+   * @async
+   * @param {string} healthCoverageId - ID de la couverture santé
+   * @returns {Promise<Array<Recipient>>} Liste des destinataires dédoublonnée (vide sans responsable ou en cas d'erreur)
+   * 
+   * @example
+   * const recipients = await businessLogic.getCoverageSummaryRecipients('HC-001');
+   * recipients.forEach(r => console.log(`- ${r.name} (${r.email})`));
+   */
+  async getCoverageSummaryRecipients(healthCoverageId) {
+    const { managerService } = this.service;
+    if (typeof managerService.getHealthCoverageManagers !== 'function') {
+      return [];
+    }
+
+    try {
+      const recipients = await managerService.getHealthCoverageManagers(healthCoverageId) || [];
+
+      // Dédoublonnage par email
+      return recipients.filter(Boolean).filter((recipient, index, self) =>
+        index === self.findIndex(r => r.email === recipient.email)
+      );
+    } catch (error) {
+      this.service.logError(`❌ Erreur récupération responsables de la couverture ${healthCoverageId}:`, error);
+      return [];
+    }
+  }
+
   /**
    * Analyse et classe les remboursements par niveau d'urgence
    * 
@@ -357,7 +576,7 @@ class BusinessLogic {
    * restants avant échéance ou le retard accumulé.
    * 
    * @param {Array<Reimbursement>} reimbursements - Liste des remboursements
-   * @param {Date} [currentDate=new Date()] - Date de référence pour les calculs
+   * @param {Date} [currentDate=clock.date()] - Date de référence pour les calculs
    * @returns {UrgencyAnalysis} Analyse d'urgence avec remboursements classés
    * 
    * @example
@@ -365,7 +584,7 @@ class BusinessLogic {
    * console.log(`${analysis.critical.length} remboursements critiques`);
    * console.log(`${analysis.urgent.length} remboursements urgents`);
    */
-  analyzeReimbursementUrgency(reimbursements, currentDate = new Date()) {
+  analyzeReimbursementUrgency(reimbursements, currentDate = this.service.clock.date()) {
     const analysis = {
       critical: [], // En retard de plus de 7 jours
       urgent: [],   // En retard ou échéance dans 1-2 jours
@@ -375,9 +594,7 @@ class BusinessLogic {
     };
 
     for (const reimbursement of reimbursements) {
-      const dueDate = new Date(reimbursement.dueDate);
-      const timeDiff = dueDate.getTime() - currentDate.getTime();
-      const daysDiff = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+      const daysDiff = this.service.datePolicy.daysUntil(reimbursement.dueDate, currentDate);
 
       reimbursement.daysDiff = daysDiff;
       reimbursement.urgencyLevel = this.calculateUrgencyLevel(daysDiff);
@@ -401,6 +618,9 @@ class BusinessLogic {
   /**
    * Calcule le niveau d'urgence d'un remboursement
    * 
+   * Les seuils s'appliquent aux jours de la politique de dates (ouvrés si
+   * config.datePolicy.businessDays), tels que calculés par datePolicy.daysUntil.
+   * 
    * @param {number} daysDiff - Différence en jours (négatif si en retard)
    * @returns {string} Niveau d'urgence ('critical', 'urgent', 'warning', 'normal', 'future')
    * 
@@ -424,7 +644,7 @@ class BusinessLogic {
    * 
    * @param {Reimbursement} reimbursement - Remboursement à analyser
    * @param {string} type - Type de traitement ('corporate', 'coverage')
-   * @param {Date} [currentDate=new Date()] - Date de référence
+   * @param {Date} [currentDate=clock.date()] - Date de référence
    * @returns {EmailStrategy} Stratégie d'envoi recommandée
    * 
    * @example
@@ -433,10 +653,9 @@ class BusinessLogic {
    *   console.log(`Envoyer ${strategy.emailType} avec priorité ${strategy.priority}`);
    * }
    */
-  determineEmailStrategy(reimbursement, type, currentDate = new Date()) {
-    const dueDate = new Date(reimbursement.dueDate);
-    const timeDiff = dueDate.getTime() - currentDate.getTime();
-    const daysDiff = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+  determineEmailStrategy(reimbursement, type, currentDate = this.service.clock.date()) {
+    const { datePolicy } = this.service;
+    const daysDiff = datePolicy.daysUntil(reimbursement.dueDate, currentDate);
 
     const strategy = {
       shouldSend: false,
@@ -446,9 +665,14 @@ class BusinessLogic {
       reason: ''
     };
 
+    if (!datePolicy.isReminderDay(currentDate)) {
+      strategy.reason = 'Jour non ouvré';
+      return strategy;
+    }
+
     if (type === 'corporate') {
-      // Logique Corporate : seulement pendant les 10 premiers jours du mois
-      const dayOfMonth = currentDate.getDate();
+      // Logique Corporate : seulement pendant les 10 premiers jours (ouvrés selon la politique) du mois
+      const dayOfMonth = datePolicy.dayOfMonth(currentDate);
       if (dayOfMonth > 10) {
         strategy.reason = 'Hors période Corporate (> 10 jours du mois)';
         return strategy;
@@ -487,7 +711,7 @@ class BusinessLogic {
    * par statut, type, urgence, ainsi que les statistiques de montants.
    * 
    * @param {Array<Reimbursement>} reimbursements - Liste des remboursements
-   * @param {Date} [currentDate=new Date()] - Date de référence
+   * @param {Date} [currentDate=clock.date()] - Date de référence
    * @returns {ReimbursementStats} Statistiques complètes
    * 
    * @example
@@ -496,7 +720,7 @@ class BusinessLogic {
    * console.log(`Montant moyen: ${stats.amounts.average}€`);
    * console.log(`En retard: ${stats.amounts.overdue}€`);
    */
-  calculateReimbursementStats(reimbursements, currentDate = new Date()) {
+  calculateReimbursementStats(reimbursements, currentDate = this.service.clock.date()) {
     const stats = {
       total: reimbursements.length,
       byStatus: {},
@@ -523,7 +747,7 @@ class BusinessLogic {
 
       // Calcul urgence
       const dueDate = new Date(reimbursement.dueDate);
-      const daysDiff = Math.ceil((dueDate.getTime() - currentDate.getTime()) / (1000 * 60 * 60 * 24));
+      const daysDiff = this.service.datePolicy.daysUntil(reimbursement.dueDate, currentDate);
       const urgency = this.calculateUrgencyLevel(daysDiff);
       stats.byUrgency[urgency]++;
 
@@ -674,7 +898,7 @@ class BusinessLogic {
    * (les plus anciens en premier), puis par échéance croissante.
    * 
    * @param {Array<Reimbursement>} reimbursements - Liste des remboursements
-   * @param {Date} [currentDate=new Date()] - Date de référence
+   * @param {Date} [currentDate=clock.date()] - Date de référence
    * @returns {Array<Reimbursement>} Remboursements triés par priorité
    * 
    * @example
@@ -682,13 +906,12 @@ class BusinessLogic {
    * console.log('Ordre de traitement:');
    * sorted.forEach((r, i) => console.log(`${i+1}. ${r.id} - ${r.dueDate}`));
    */
-  sortReimbursementsByPriority(reimbursements, currentDate = new Date()) {
+  sortReimbursementsByPriority(reimbursements, currentDate = this.service.clock.date()) {
+    const { datePolicy } = this.service;
+
     return reimbursements.sort((a, b) => {
-      const dueDateA = new Date(a.dueDate);
-      const dueDateB = new Date(b.dueDate);
-      
-      const daysDiffA = Math.ceil((dueDateA.getTime() - currentDate.getTime()) / (1000 * 60 * 60 * 24));
-      const daysDiffB = Math.ceil((dueDateB.getTime() - currentDate.getTime()) / (1000 * 60 * 60 * 24));
+      const daysDiffA = datePolicy.daysUntil(a.dueDate, currentDate);
+      const daysDiffB = datePolicy.daysUntil(b.dueDate, currentDate);
 
       // Priorité : en retard (plus ancien en premier), puis par échéance proche
       if (daysDiffA <= 0 && daysDiffB > 0) return -1;
@@ -710,7 +933,7 @@ class BusinessLogic {
    * informations clés et les recommandations d'actions.
    * 
    * @param {Array<Reimbursement>} reimbursements - Liste des remboursements
-   * @param {Date} [currentDate=new Date()] - Date de référence
+   * @param {Date} [currentDate=clock.date()] - Date de référence
    * @returns {ExecutiveSummary} Résumé exécutif complet
    * 
    * @example
@@ -719,7 +942,7 @@ class BusinessLogic {
    * console.log(`Actions urgentes: ${summary.urgency.totalRequiringAttention}`);
    * summary.recommendations.forEach(r => console.log(`- ${r.message}`));
    */
-  generateExecutiveSummary(reimbursements, currentDate = new Date()) {
+  generateExecutiveSummary(reimbursements, currentDate = this.service.clock.date()) {
     const stats = this.calculateReimbursementStats(reimbursements, currentDate);
     const analysis = this.analyzeReimbursementUrgency(reimbursements, currentDate);
 
@@ -2,7 +2,7 @@
  * @fileoverview Utilitaires pour les emails et templates EJS
  * 
  * Module contenant les utilitaires pour :
- * - Gestion des templates EJS
+ * - Gestion des templates EJS (variantes par langue, sujets traduits, registre versionné, aperçu)
  * - Formatage des données d'email
  * - Validation des emails
  * - Gestion des priorités
@@ -13,29 +13,46 @@
  * @since 2025-01-29
  */
 
-const ejs = require('ejs');
 const path = require('path');
-const fs = require('fs').promises;
+const { htmlToText } = require('../core/htmlToText');
+const { DEFAULT_LOCALE, translateSubject } = require('../core/i18n');
+const { createTemplateRegistry, TemplateRegistry } = require('../core/templating');
+const { mergeBrand } = require('../core/templating/brand');
 
-// Cache des templates compilés
-const templateCache = new Map();
+// Dossier des templates EJS
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
 
-// Templates disponibles
+// Données d'exemple pour l'aperçu et le lint des templates (tests)
+const SAMPLE_TEMPLATE_DATA = TemplateRegistry.DEFAULT_FIXTURES;
+
+// Templates disponibles (sujets traduits : catalogue core/i18n, clé = nom du template)
 const AVAILABLE_TEMPLATES = {
   'reminder-before-due': {
-    template: 'reminder-before-due',
-    subject: 'Rappel : Paiement à venir'
+    template: 'reminder-before-due'
   },
   'reminder-overdue': {
-    template: 'reminder-overdue',
-    subject: 'URGENT : Paiement en retard'
+    template: 'reminder-overdue'
+  },
+  'reminder-critical': {
+    template: 'reminder-critical'
+  },
+  'reminder-digest': {
+    template: 'reminder-digest'
+  },
+  'coverage-summary': {
+    template: 'coverage-summary'
   },
   'newsletter': {
-    template: 'newsletter',
-    subject: 'Newsletter mensuelle'
+    template: 'newsletter'
   }
 };
 
+// Template des types d'email de rappel
+const EMAIL_TYPE_TEMPLATES = {
+  'payment-reminder': 'reminder-before-due',
+  'payment-overdue': 'reminder-overdue'
+};
+
 /**
  * @typedef {Object} EmailData
  * @property {string|string[]} to - Destinataire(s)
@@ -89,8 +106,9 @@ const AVAILABLE_TEMPLATES = {
 /**
  * Utilitaires pour les emails et templates EJS
  * 
- * Cette classe statique fournit des méthodes utilitaires pour :
- * - La gestion des templates EJS
+ * Chaque instance possède son registre de templates, son post-traitement HTML et sa marque :
+ * deux ReminderService d'un même processus ne partagent pas leur configuration.
+ * Les méthodes sans état restent statiques :
  * - Le formatage des données d'email
  * - La validation des emails
  * - La gestion des priorités
@@ -100,23 +118,61 @@ const AVAILABLE_TEMPLATES = {
  */
 class EmailUtils {
 
+  /**
+   * @param {Object} [options]
+   * @param {Object|TemplateRegistry} [options.templateRegistry] - Instance ou { store: 'memory' | 'file' | 'mongo', directory, mongo, templates, fixtures }
+   * @param {Object|false} [options.htmlPipeline] - { inlineCss, sanitize, maxSize } ou false pour le désactiver
+   * @param {Object} [options.brand] - Marque par défaut, fusionnée avec celle de Flexmo
+   * @param {Object} [options.brands] - Surcharges par entreprise cliente
+   * 
+   * @example
+   * const emailUtils = new EmailUtils({ templateRegistry: { store: 'file', directory: './data/templates' } });
+   */
+  constructor(options = {}) {
+    /**
+     * Registre des templates (versions en mémoire par défaut, voir useTemplateRegistry)
+     * @type {TemplateRegistry}
+     */
+    this.templateRegistry = createTemplateRegistry(options.templateRegistry || {}, { templatesDir: TEMPLATES_DIR });
+
+    if (options.htmlPipeline !== undefined) {
+      this.configureHtmlPipeline(options.htmlPipeline);
+    }
+    if (options.brand || options.brands) {
+      this.configureBrand(options.brand, options.brands);
+    }
+  }
+
   /**
    * Retourne le template approprié selon le type d'email
    * 
-   * @param {string} emailType - Type d'email ('payment-reminder', 'payment-overdue', 'newsletter')
+   * Le sujet est traduit dans la locale demandée ; subjectKey permet à l'EmailService
+   * de le traduire à nouveau dans la langue de chaque destinataire.
+   * 
+   * @param {string} emailType - Type d'email ('payment-reminder', 'payment-overdue') ou nom de template
    * @param {Object} [daysInfo] - Informations sur les jours pour les rappels
-   * @returns {Object} Template et sujet
+   * @param {string} [locale='fr-CI'] - Locale du sujet
+   * @returns {Object} Template et sujet ({ template, subject, subjectKey })
+   * @throws {Error} Si le type d'email est inconnu
    * 
    * @example
    * const template = EmailUtils.getEmailTemplate('payment-reminder', { remainingDays: 5 });
    * console.log(`Template: ${template.template}, Sujet: ${template.subject}`);
+   * 
+   * @example
+   * // Sujet en anglais
+   * const { subject } = EmailUtils.getEmailTemplate('payment-overdue', { overdueDays: 3 }, 'en-GB');
    */
-  static getEmailTemplate(emailType, daysInfo) {
-    const template = AVAILABLE_TEMPLATES[emailType];
+  static getEmailTemplate(emailType, daysInfo, locale = DEFAULT_LOCALE) {
+    const template = AVAILABLE_TEMPLATES[EMAIL_TYPE_TEMPLATES[emailType] || emailType];
     if (!template) {
       throw new Error(`Template non trouvé pour le type: ${emailType}`);
     }
-    return template;
+    return {
+      ...template,
+      subject: translateSubject(template.template, locale, daysInfo || {}),
+      subjectKey: template.template
+    };
   }
 
   /**
@@ -169,11 +225,12 @@ class EmailUtils {
    */
   static prepareNewsletterData(recipients, newsletterData, options = {}) {
     return recipients.map(recipient => ({
-      to: recipient.email,
+      to: [recipient.email],
       subject: newsletterData.subject,
       template: 'newsletter',
       templateData: {
         recipient,
+        newsletterData,
         ...newsletterData,
         month: new Date().toLocaleString('fr-FR', { month: 'long', year: 'numeric' })
       },
@@ -226,41 +283,231 @@ class EmailUtils {
   /**
    * Rend un template EJS avec les données fournies
    * 
+   * Avec data.locale, la variante localisée est utilisée si elle existe
+   * (reminder-overdue.en.ejs) et les formateurs i18n suivent la locale.
+   * 
    * @async
    * @param {string} templateName - Nom du template
    * @param {Object} data - Données pour le template
    * @returns {Promise<string>} Contenu HTML rendu
-   * @throws {Error} Si le template n'existe pas ou si le rendu échoue
+   * @throws {Error} Si le template n'existe pas, si une variable requise manque ou si le rendu échoue
    * 
    * @example
-   * const html = await EmailUtils.renderTemplate('newsletter', {
+   * const html = await emailUtils.renderTemplate('newsletter', {
    *   recipient: { name: 'Alice' },
-   *   articles: [{ title: 'Article 1' }]
+   *   newsletterData: { articles: [{ title: 'Article 1' }] },
+   *   month: 'janvier 2025'
+   * });
+   * 
+   * @example
+   * // Variante anglaise, montants en francs CFA
+   * const html = await emailUtils.renderTemplate('reminder-overdue', {
+   *   locale: 'en-GB',
+   *   recipient: { name: 'John' },
+   *   reimbursement: { id: 'RBT-001', amount: 150000, currency: 'XOF', dueDate: '2025-02-15' },
+   *   daysInfo: { overdueDays: 3 }
    * });
    */
-  static async renderTemplate(templateName, data) {
+  async renderTemplate(templateName, data = {}) {
     try {
-      // Vérifier le cache
-      if (templateCache.has(templateName)) {
-        return templateCache.get(templateName)(data);
-      }
+      const rendered = await this.templateRegistry.render(templateName, data, { text: false });
+      return rendered.html;
+    } catch (error) {
+      throw new Error(`Erreur rendu template ${templateName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Variante localisée d'un template si elle existe, sinon le template de base
+   * 
+   * Ordre : locale complète, langue, template de base (français).
+   * 
+   * @async
+   * @param {string} templateName - Nom du template
+   * @param {string} [locale] - Locale du destinataire
+   * @returns {Promise<string>} Nom du template à rendre
+   * 
+   * @example
+   * await emailUtils.resolveTemplateName('reminder-overdue', 'en-GB'); // 'reminder-overdue.en'
+   * await emailUtils.resolveTemplateName('reminder-overdue', 'de-DE'); // 'reminder-overdue'
+   */
+  async resolveTemplateName(templateName, locale) {
+    return this.templateRegistry.resolveName(templateName, locale);
+  }
+
+  /**
+   * Remplace le registre des templates (stockage des versions sur disque ou dans MongoDB)
+   * 
+   * Le post-traitement (configureHtmlPipeline) et la marque (configureBrand) configurés sont conservés
+   * si les options n'en précisent pas.
+   * 
+   * @param {Object|TemplateRegistry} options - Instance ou { store: 'memory' | 'file' | 'mongo', directory, mongo, templates, fixtures }
+   * @returns {TemplateRegistry} Registre utilisé
+   * 
+   * @example
+   * emailUtils.useTemplateRegistry({ store: 'file', directory: './data/templates' });
+   * 
+   * @example
+   * emailUtils.useTemplateRegistry({ mongo: { uri: process.env.MONGODB_URI } });
+   */
+  useTemplateRegistry(options) {
+    this.templateRegistry = createTemplateRegistry(options, {
+      templatesDir: TEMPLATES_DIR,
+      htmlPipeline: this.templateRegistry.htmlPipeline,
+      brand: this.templateRegistry.brand,
+      brands: this.templateRegistry.brands
+    });
+    return this.templateRegistry;
+  }
 
-      // Charger et compiler le template
-      const templatePath = path.join(__dirname, 'templates', `${templateName}.ejs`);
-      const template = await fs.readFile(templatePath, 'utf-8');
-      const compiledTemplate = ejs.compile(template, {
-        filename: templatePath,
-        cache: true,
-        async: false
-      });
+  /**
+   * Registre des templates utilisé par renderTemplate
+   * 
+   * @returns {TemplateRegistry} Registre courant
+   */
+  getTemplateRegistry() {
+    return this.templateRegistry;
+  }
 
-      // Mettre en cache
-      templateCache.set(templateName, compiledTemplate);
+  /**
+   * Templates disponibles avec leur version courante et leurs variables requises
+   * 
+   * Les variables requises d'un template EJS sont déclarées en tête de fichier :
+   * `<%# variables: recipient, reimbursement, daysInfo -%>`.
+   * 
+   * @async
+   * @returns {Promise<Array<Object>>} [{ name, baseName, locale, engine, source, version, checksum, variables, subject, updatedAt }]
+   * 
+   * @example
+   * const templates = await emailUtils.listTemplates();
+   * templates.forEach(t => console.log(`${t.name} v${t.version} : ${t.variables.join(', ')}`));
+   */
+  async listTemplates() {
+    return this.templateRegistry.list();
+  }
 
-      // Rendre
-      return compiledTemplate(data);
+  /**
+   * Aperçu d'un template rendu avec des données d'exemple (HTML et texte)
+   * 
+   * Les données fournies complètent SAMPLE_TEMPLATE_DATA. Aucune erreur n'est levée pour
+   * un rendu en échec : voir error et missingVariables.
+   * 
+   * @async
+   * @param {string} templateName - Nom du template
+   * @param {Object} [data] - Données remplaçant les données d'exemple
+   * @param {Object} [options] - { locale, version } variante et version à rendre
+   * @returns {Promise<Object>} { name, version, locale, subject, html, text, missingVariables, report, error }
+   * @throws {Error} Si le template ou la version n'existe pas
+   * 
+   * @example
+   * const preview = await emailUtils.previewTemplate('reminder-overdue', {}, { locale: 'en-GB' });
+   * console.log(preview.subject, preview.text);
+   */
+  async previewTemplate(templateName, data = {}, options = {}) {
+    return this.templateRegistry.preview(templateName, data, options);
+  }
+
+  /**
+   * Configure le post-traitement appliqué par renderTemplate
+   * 
+   * @param {Object|false} options - { inlineCss, sanitize, maxSize } ou false pour le désactiver
+   * 
+   * @example
+   * emailUtils.configureHtmlPipeline({ maxSize: 80 * 1024 });
+   */
+  configureHtmlPipeline(options) {
+    this.templateRegistry.htmlPipeline = options === false ? false : { ...options };
+  }
+
+  /**
+   * Configure l'identité des emails (variable brand des templates : nom, logo, couleurs, contact support)
+   * 
+   * La marque d'un rappel est choisie selon l'entreprise cliente du remboursement : brands[companyId],
+   * brands[company.id] ou brands[company.name], puis reimbursement.company.brand.
+   * 
+   * @param {Object} [brand] - Marque par défaut, fusionnée avec celle de Flexmo
+   * @param {Object} [brands] - Surcharges par entreprise cliente { [companyId | nom]: { name, logoUrl, colors, supportContact } }
+   * 
+   * @example
+   * emailUtils.configureBrand(
+   *   { supportContact: { email: 'support@example.com' } },
+   *   { 'company-42': { name: 'Acme', logoUrl: 'https://cdn.example.com/acme.png', colors: { primary: '#0f766e' } } }
+   * );
+   */
+  configureBrand(brand, brands) {
+    this.templateRegistry.brand = mergeBrand(brand);
+    this.templateRegistry.brands = brands || {};
+  }
+
+  /**
+   * Rapport de compatibilité clients mail d'un template (sans lever d'erreur de compatibilité)
+   * 
+   * Signale images sans texte alternatif, polices et feuilles de style externes,
+   * CSS mal supporté (flex, position, dégradés), règles non inlinables et taille excessive.
+   * 
+   * @async
+   * @param {string} templateName - Nom du template
+   * @param {Object} [data=SAMPLE_TEMPLATE_DATA] - Données pour le template
+   * @returns {Promise<Object>} Rapport { ok, size, errors, warnings, issues: [{ rule, severity, message }] }
+   * @throws {Error} Si le rendu EJS échoue
+   * 
+   * @example
+   * const report = await emailUtils.lintTemplate('reminder-overdue');
+   * report.issues.forEach(issue => console.log(`${issue.severity} ${issue.rule}: ${issue.message}`));
+   */
+  async lintTemplate(templateName, data = SAMPLE_TEMPLATE_DATA) {
+    const preview = await this.templateRegistry.preview(templateName, data);
+    if (preview.error) {
+      throw new Error(`Erreur rendu template ${templateName}: ${preview.error}`);
+    }
+    return preview.report;
+  }
+
+  /**
+   * Rapports de compatibilité de tous les templates du registre
+   * 
+   * @async
+   * @param {Object} [data=SAMPLE_TEMPLATE_DATA] - Données communes aux templates
+   * @returns {Promise<Object<string, Object>>} Rapport par nom de template
+   * 
+   * @example
+   * const reports = await emailUtils.lintTemplates();
+   * const failing = Object.entries(reports).filter(([, report]) => !report.ok);
+   */
+  async lintTemplates(data = SAMPLE_TEMPLATE_DATA) {
+    const reports = {};
+
+    for (const template of await this.templateRegistry.list()) {
+      if (template.engine !== 'ejs') continue;
+      reports[template.name] = await this.lintTemplate(template.name, data);
+    }
+
+    return reports;
+  }
+
+  /**
+   * Rend la partie texte brut d'un template
+   * 
+   * Utilise le template `<nom>.txt.ejs` s'il existe, sinon convertit le HTML rendu
+   * (montants, dates d'échéance et références conservés, liens sous la forme "libellé (url)").
+   * 
+   * @async
+   * @param {string} templateName - Nom du template
+   * @param {Object} data - Données pour le template
+   * @param {string} [html] - HTML déjà rendu (évite un second rendu)
+   * @returns {Promise<string>} Contenu texte
+   * @throws {Error} Si le rendu échoue
+   * 
+   * @example
+   * const html = await emailUtils.renderTemplate('reminder-overdue', data);
+   * const text = await emailUtils.renderTextTemplate('reminder-overdue', data, html);
+   */
+  async renderTextTemplate(templateName, data = {}, html = null) {
+    try {
+      const rendered = await this.templateRegistry.render(templateName, data, { text: html === null });
+      return rendered.text ?? htmlToText(html);
     } catch (error) {
-      throw new Error(`Erreur rendu template ${templateName}: ${error.message}`);
+      throw new Error(`Erreur rendu texte ${templateName}: ${error.message}`);
     }
   }
 
@@ -0,0 +1,430 @@
+/**
+ * @fileoverview Escalation - Échelle d'escalade des remboursements en retard
+ *
+ * Module contenant :
+ * - Niveaux d'escalade pilotés par l'ancienneté du retard et le niveau d'urgence
+ * - Template et résolveur de destinataires propres à chaque niveau
+ * - Historique des escalades pour audit (MongoDB, mémoire en secours)
+ *
+ * @author Flexmo Team
+ * @version 1.0.0
+ * @since 2025-01-29
+ */
+
+const mongoose = require('mongoose');
+const { DEFAULT_LOCALE, translateSubject } = require('../core/i18n');
+
+/**
+ * @typedef {Object} EscalationLevelDefinition
+ * @property {number} level - Rang du niveau (plus élevé = plus grave)
+ * @property {string} name - Nom du niveau ('owner', 'department-head', 'finance-leadership')
+ * @property {string} [label] - Libellé lisible
+ * @property {Array<string>} [urgency] - Niveaux d'urgence couverts (voir BusinessLogic.calculateUrgencyLevel)
+ * @property {boolean} [overdue] - true : seulement en retard, false : seulement avant échéance
+ * @property {number} [minOverdueDays] - Nombre minimum de jours de retard
+ * @property {string} template - Template EJS du niveau
+ * @property {Function|string} [subject] - Sujet propre au niveau, non traduit (daysInfo) => string
+ * @property {string} [subjectKey] - Clé du catalogue de sujets traduits (core/i18n), à la place de subject
+ * @property {Array<string|Function>} recipients - Résolveurs de destinataires
+ */
+
+/**
+ * @typedef {Object} EscalationLevel
+ * @property {number} level - Rang du niveau
+ * @property {string} name - Nom du niveau
+ * @property {string} label - Libellé lisible
+ * @property {string} template - Template EJS du niveau
+ * @property {string} urgency - Niveau d'urgence calculé
+ * @property {number} daysDiff - Différence en jours par rapport à l'échéance
+ */
+
+/**
+ * @typedef {Object} EscalationHistoryEntry
+ * @property {string} reimbursementId - ID du remboursement
+ * @property {number} level - Niveau utilisé
+ * @property {string} name - Nom du niveau
+ * @property {number|null} previousLevel - Niveau du précédent envoi
+ * @property {boolean} escalated - true si le niveau a augmenté
+ * @property {string} urgency - Niveau d'urgence
+ * @property {number} daysDiff - Différence en jours
+ * @property {string} template - Template utilisé
+ * @property {string} emailType - Type d'email envoyé
+ * @property {Array<string>} recipients - Emails des destinataires
+ * @property {string|null} jobId - ID du job d'envoi
+ * @property {Date} escalatedAt - Date de l'envoi
+ */
+
+/**
+ * Escalation - Échelle d'escalade des rappels
+ *
+ * Par défaut : l'owner seul avant échéance, puis l'owner et son chef de département
+ * une fois en retard, puis la direction financière lorsque le retard devient
+ * critique (plus de 7 jours). Chaque envoi est ajouté à l'historique d'escalade.
+ *
+ * @class Escalation
+ */
+class Escalation {
+
+  /**
+   * Crée une instance d'Escalation
+   *
+   * @param {Object} service - Instance du ReminderService principal
+   * @param {Object} [options={}] - Options d'escalade
+   * @param {Array<EscalationLevelDefinition>} [options.levels] - Niveaux (défaut : createDefaultLevels())
+   * @param {Object<string, Function>} [options.resolvers] - Résolveurs de destinataires additionnels
+   * @throws {Error} Si un niveau est invalide
+   *
+   * @example
+   * const escalation = new Escalation(service, {
+   *   resolvers: { 'legal-team': async () => [{ name: 'Juridique', email: 'legal@company.com' }] }
+   * });
+   */
+  constructor(service, options = {}) {
+    /**
+     * Instance du service principal
+     * @type {Object}
+     * @private
+     */
+    this.service = service;
+
+    /**
+     * Niveaux triés du plus grave au moins grave
+     * @type {Array<EscalationLevelDefinition>}
+     * @private
+     */
+    this.levels = (options.levels || Escalation.createDefaultLevels())
+      .slice()
+      .sort((a, b) => b.level - a.level);
+
+    /**
+     * Résolveurs de destinataires par nom
+     * @type {Object<string, Function>}
+     * @private
+     */
+    this.resolvers = {
+      owner: (reimbursement) => this.service.managerService.getReimbursementOwner(reimbursement.id),
+      'department-head': (reimbursement, context) => this.resolveDepartmentHead(reimbursement, context),
+      'finance-leadership': (reimbursement, context) => this.resolveFinanceLeadership(reimbursement, context),
+      'oldest-managers': (reimbursement, context) => this.service.managerService.getOldestManagers(context.type, 3),
+      ...options.resolvers
+    };
+
+    /**
+     * Historique en mémoire (secours sans MongoDB)
+     * @type {Array<EscalationHistoryEntry>}
+     * @private
+     */
+    this.memoryHistory = [];
+
+    /**
+     * Modèle Mongoose de l'historique (créé à la première utilisation)
+     * @type {mongoose.Model|null}
+     * @private
+     */
+    this.model = null;
+
+    this.validateLevels();
+  }
+
+  /**
+   * Niveaux par défaut de l'échelle d'escalade
+   *
+   * @static
+   * @returns {Array<EscalationLevelDefinition>} Niveaux owner, chef de département, direction financière
+   */
+  static createDefaultLevels() {
+    return [
+      {
+        level: 1,
+        name: 'owner',
+        label: 'Responsable du remboursement',
+        urgency: ['future', 'normal', 'warning', 'urgent'],
+        overdue: false,
+        template: 'reminder-before-due',
+        recipients: ['owner']
+      },
+      {
+        level: 2,
+        name: 'department-head',
+        label: 'Chef de département',
+        urgency: ['urgent'],
+        overdue: true,
+        template: 'reminder-overdue',
+        recipients: ['owner', 'department-head']
+      },
+      {
+        level: 3,
+        name: 'finance-leadership',
+        label: 'Direction financière',
+        urgency: ['critical'],
+        template: 'reminder-critical',
+        subjectKey: 'reminder-critical',
+        recipients: ['owner', 'department-head', 'finance-leadership']
+      }
+    ];
+  }
+
+  /**
+   * Vérifie la configuration des niveaux
+   *
+   * @private
+   * @throws {Error} Liste des erreurs de configuration
+   */
+  validateLevels() {
+    const errors = [];
+
+    this.levels.forEach((level, index) => {
+      const label = level.name || `#${index}`;
+      if (!Number.isInteger(level.level)) errors.push(`${label}: "level" entier requis`);
+      if (!level.name) errors.push(`${label}: "name" requis`);
+      if (!level.template) errors.push(`${label}: "template" requis`);
+      if (!Array.isArray(level.recipients) || level.recipients.length === 0) {
+        errors.push(`${label}: au moins un résolveur de destinataires requis`);
+      } else {
+        level.recipients
+          .filter(resolver => typeof resolver !== 'function' && !this.resolvers[resolver])
+          .forEach(resolver => errors.push(`${label}: résolveur "${resolver}" inconnu`));
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Niveaux d'escalade invalides : ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Détermine le niveau d'escalade d'un remboursement
+   *
+   * @param {Object} reimbursement - Remboursement (dueDate)
+   * @param {Date} [currentDate=clock.date()] - Date de référence
+   * @returns {EscalationLevel|null} Niveau applicable ou null
+   *
+   * @example
+   * const level = escalation.getLevel(reimbursement);
+   * console.log(`Niveau ${level.level} (${level.label})`);
+   */
+  getLevel(reimbursement, currentDate = this.service.clock.date()) {
+    const daysDiff = this.service.datePolicy.daysUntil(reimbursement.dueDate, currentDate);
+    const urgency = this.service.businessLogic.calculateUrgencyLevel(daysDiff);
+    const isOverdue = daysDiff <= 0;
+
+    const match = this.levels.find(level =>
+      (!level.urgency || level.urgency.includes(urgency)) &&
+      (level.overdue === undefined || level.overdue === isOverdue) &&
+      (level.minOverdueDays === undefined || -daysDiff >= level.minOverdueDays)
+    );
+
+    if (!match) return null;
+
+    return {
+      level: match.level,
+      name: match.name,
+      label: match.label || match.name,
+      template: match.template,
+      urgency,
+      daysDiff
+    };
+  }
+
+  /**
+   * Résout les destinataires d'un niveau (dédoublonnés par email)
+   *
+   * @async
+   * @param {EscalationLevel} escalation - Niveau retourné par getLevel
+   * @param {Object} reimbursement - Remboursement concerné
+   * @param {Object} [context={}] - Contexte ({ type: 'corporate' | 'coverage' })
+   * @returns {Promise<Array<Object>>} Destinataires
+   */
+  async resolveRecipients(escalation, reimbursement, context = {}) {
+    const level = this.getLevelDefinition(escalation.name);
+    const recipients = [];
+
+    for (const resolver of level.recipients) {
+      const resolve = typeof resolver === 'function' ? resolver : this.resolvers[resolver];
+      const resolved = await resolve(reimbursement, { ...context, escalation });
+      recipients.push(...[].concat(resolved || []));
+    }
+
+    return recipients
+      .filter(Boolean)
+      .filter((recipient, index, self) => index === self.findIndex(r => r.email === recipient.email));
+  }
+
+  /**
+   * Template et sujet d'un niveau d'escalade
+   *
+   * @param {EscalationLevel} escalation - Niveau retourné par getLevel
+   * @param {Object} daysInfo - Informations de jours
+   * @returns {Object} Template et sujet ({ template, subject, subjectKey })
+   */
+  getEmailTemplate(escalation, daysInfo) {
+    const level = this.getLevelDefinition(escalation.name);
+    const template = this.service.getEmailTemplate(level.template, daysInfo);
+
+    if (level.subject) {
+      return {
+        ...template,
+        subject: typeof level.subject === 'function' ? level.subject(daysInfo) : level.subject,
+        subjectKey: null
+      };
+    }
+    if (level.subjectKey) {
+      return {
+        ...template,
+        subject: translateSubject(level.subjectKey, DEFAULT_LOCALE, daysInfo),
+        subjectKey: level.subjectKey
+      };
+    }
+    return template;
+  }
+
+  /**
+   * Définition d'un niveau par son nom
+   *
+   * @private
+   * @param {string} name - Nom du niveau
+   * @returns {EscalationLevelDefinition} Définition
+   * @throws {Error} Si le niveau est inconnu
+   */
+  getLevelDefinition(name) {
+    const level = this.levels.find(candidate => candidate.name === name);
+    if (!level) {
+      throw new Error(`Niveau d'escalade "${name}" inconnu`);
+    }
+    return level;
+  }
+
+  /**
+   * Enregistre un envoi dans l'historique d'escalade (audit)
+   *
+   * @async
+   * @param {Object} reimbursement - Remboursement concerné
+   * @param {EscalationLevel} escalation - Niveau utilisé
+   * @param {Object} [details={}] - Détails ({ emailType, recipients, jobId })
+   * @returns {Promise<EscalationHistoryEntry>} Entrée ajoutée
+   */
+  async recordEscalation(reimbursement, escalation, details = {}) {
+    const reimbursementId = String(reimbursement.id);
+    const history = await this.getHistory(reimbursementId);
+    const previous = history.length > 0 ? history[history.length - 1] : null;
+
+    const entry = {
+      reimbursementId,
+      level: escalation.level,
+      name: escalation.name,
+      previousLevel: previous ? previous.level : null,
+      escalated: !previous || escalation.level > previous.level,
+      urgency: escalation.urgency,
+      daysDiff: escalation.daysDiff,
+      template: escalation.template,
+      emailType: details.emailType || null,
+      recipients: (details.recipients || []).map(recipient => recipient.email),
+      jobId: details.jobId ? String(details.jobId) : null,
+      escalatedAt: this.service.clock.date()
+    };
+
+    if (this.service.mongoConnected) {
+      await this.getModel().create(entry);
+    } else {
+      this.memoryHistory.push(entry);
+    }
+
+    if (previous && escalation.level > previous.level) {
+      this.service.log(`⬆️ Remboursement ${reimbursementId} escaladé : niveau ${previous.level} → ${escalation.level} (${escalation.name})`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Historique d'escalade d'un remboursement (ou de tous)
+   *
+   * @async
+   * @param {string} [reimbursementId] - ID du remboursement
+   * @returns {Promise<Array<EscalationHistoryEntry>>} Entrées triées chronologiquement
+   *
+   * @example
+   * const history = await escalation.getHistory('RBT-001');
+   * history.forEach(e => console.log(`${e.escalatedAt}: niveau ${e.level} → ${e.recipients.join(', ')}`));
+   */
+  async getHistory(reimbursementId = null) {
+    if (this.service.mongoConnected) {
+      return this.getModel()
+        .find(reimbursementId ? { reimbursementId: String(reimbursementId) } : {})
+        .sort({ escalatedAt: 1 })
+        .lean();
+    }
+
+    return this.memoryHistory
+      .filter(entry => !reimbursementId || entry.reimbursementId === String(reimbursementId))
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Chef du département de l'owner (repli : manager le plus ancien)
+   *
+   * @async
+   * @private
+   * @param {Object} reimbursement - Remboursement concerné
+   * @param {Object} context - Contexte ({ type })
+   * @returns {Promise<Object|Array>} Chef de département
+   */
+  async resolveDepartmentHead(reimbursement, context) {
+    const managerService = this.service.managerService;
+    const owner = await managerService.getReimbursementOwner(reimbursement.id).catch(() => null);
+    const department = owner?.department || reimbursement.department;
+
+    if (typeof managerService.getDepartmentHead === 'function' && department) {
+      return managerService.getDepartmentHead(department);
+    }
+
+    return managerService.getOldestManagers(context.type, 1);
+  }
+
+  /**
+   * Direction financière (repli : les 3 managers les plus anciens)
+   *
+   * @async
+   * @private
+   * @param {Object} reimbursement - Remboursement concerné
+   * @param {Object} context - Contexte ({ type })
+   * @returns {Promise<Array>} Membres de la direction financière
+   */
+  async resolveFinanceLeadership(reimbursement, context) {
+    const managerService = this.service.managerService;
+
+    if (typeof managerService.getFinanceLeadership === 'function') {
+      return managerService.getFinanceLeadership();
+    }
+
+    return managerService.getOldestManagers(context.type, 3);
+  }
+
+  /**
+   * Modèle Mongoose de l'historique d'escalade
+   *
+   * @private
+   * @returns {mongoose.Model} Modèle EscalationLog
+   */
+  getModel() {
+    if (!this.model) {
+      this.model = mongoose.models.EscalationLog || mongoose.model('EscalationLog', new mongoose.Schema({
+        reimbursementId: { type: String, required: true, index: true },
+        level: Number,
+        name: String,
+        previousLevel: Number,
+        escalated: Boolean,
+        urgency: String,
+        daysDiff: Number,
+        template: String,
+        emailType: String,
+        recipients: [String],
+        jobId: String,
+        escalatedAt: Date
+      }, { timestamps: true }), 'escalation_logs');
+    }
+    return this.model;
+  }
+}
+
+module.exports = Escalation;
@@ -12,6 +12,9 @@
  * @since 2025-01-29
  */
 
+const { DEFAULT_LOCALE, recipientLocale } = require('../core/i18n');
+const { summarizeDigest } = require('../core/digest');
+
 /**
  * @typedef {Object} JobData
  * @property {string} type - Type de job ('scheduled', 'manual-execution', etc.)
@@ -26,6 +29,7 @@
  * @property {number} totalProcessed - Nombre de remboursements traités
  * @property {number} totalReimbursements - Nombre total de remboursements
  * @property {Array} results - Résultats détaillés par remboursement
+ * @property {Array} digests - Récapitulatifs mis en file ({ recipient, reimbursementCount, emailJobId })
  * @property {Date} executionDate - Date d'exécution
  * @property {boolean} [skipped] - Indique si le traitement a été ignoré
  * @property {string} [reason] - Raison de l'ignorance du traitement
@@ -40,13 +44,23 @@
  * @property {Date} timestamp - Timestamp de l'envoi
  */
 
+/**
+ * @typedef {Object} StatementJobResult
+ * @property {string} reimbursementId - ID du remboursement concerné
+ * @property {string|null} healthCoverageId - ID de la couverture santé (relevé Coverage)
+ * @property {Object|null} statement - Relevé joint ({ key, version, filename, size, cached }), null si non généré
+ * @property {string} emailJobId - ID du job send-reminder-email créé
+ */
+
 /**
  * @typedef {Object} GenericEmailResult
  * @property {boolean} success - Succès de l'envoi
  * @property {string} [messageId] - ID du message envoyé
+ * @property {boolean} [skipped] - Envoi ignoré (tous les destinataires sur la liste de suppression)
  * @property {string[]} recipients - Liste des destinataires
+ * @property {Array<Object>} [suppressed] - Destinataires écartés ({ email, reason })
  * @property {string} subject - Sujet de l'email
- * @property {Date} sentAt - Date d'envoi
+ * @property {Date} [sentAt] - Date d'envoi
  */
 
 /**
@@ -83,6 +97,7 @@ class JobHandlers {
    * @param {Function} service.groupByHealthCoverage - Groupement par health coverage
    * @param {Function} service.getEmailTemplate - Récupération template email
    * @param {Function} service.renderTemplate - Rendu de template
+   * @param {Function} service.renderTextTemplate - Rendu texte brut de template
    * @param {Object} service.reimbursementService - Service des remboursements
    * @param {Object} service.emailService - Service d'envoi d'emails
    * @param {Object} service.alertService - Service d'alertes
@@ -90,6 +105,10 @@ class JobHandlers {
    * @param {boolean} service.mongoConnected - État connexion MongoDB
    * @param {Function} service.saveExecutionLog - Sauvegarde logs d'exécution
    * @param {Function} service.saveEmailLog - Sauvegarde logs d'emails
+   * @param {Object} service.clock - Horloge du service (now() et date())
+   * @param {DatePolicy} service.datePolicy - Politique de dates (jours calendaires ou ouvrés, jours fériés)
+   * @param {Object} [service.statementGenerator] - Générateur des relevés de paiement PDF
+   * @param {Object} service.businessLogic - Logique métier (collecte et mise en file des récapitulatifs)
    */
   constructor(service) {
     /**
@@ -114,6 +133,82 @@ class JobHandlers {
     this.metrics = service.metrics;
   }
 
+  /**
+   * Enregistre les middlewares communs aux handlers
+   * 
+   * Le code transverse (jobs actifs, exécutions réussies/échouées, emails en cours,
+   * envoyés ou en échec, journalisation des erreurs) vit dans ces middlewares
+   * plutôt que dans chaque handler. Les exécutions et envois ignorés (result.skipped)
+   * ne sont pas comptés.
+   * 
+   * @param {MiddlewarePipeline} pipeline - Chaîne de middlewares du service
+   * @param {Array<string>} queueNames - Queues traitées par les handlers
+   * @returns {MiddlewarePipeline} La chaîne complétée
+   * 
+   * @example
+   * const pipeline = new MiddlewarePipeline();
+   * jobHandlers.registerMiddlewares(pipeline, ['corporate-reminders', 'coverage-reminders', 'email-reminders']);
+   */
+  registerMiddlewares(pipeline, queueNames) {
+    const runJobs = ['process-corporate-reminders', 'process-coverage-reminders'];
+    const emailJobs = [
+      'send-reminder-email',
+      'send-digest-email',
+      'send-coverage-summary-email',
+      'generate-statement',
+      'send-email',
+      'send-notification'
+    ];
+
+    // Jobs en cours de traitement
+    pipeline.use(async (ctx, next) => {
+      this.metrics.jobs.active++;
+      try {
+        await next();
+      } finally {
+        this.metrics.jobs.active--;
+      }
+    });
+
+    // Exécutions des rappels Corporate et Coverage
+    const trackRun = async (ctx, next) => {
+      try {
+        await next();
+        if (!ctx.result?.skipped) {
+          this.metrics.jobs.completed++;
+        }
+      } catch (error) {
+        this.metrics.jobs.failed++;
+        this.service.logError(`❌ Erreur traitement "${ctx.jobName}" (ID: ${ctx.job.id}):`, error);
+        throw error;
+      }
+    };
+
+    // Envois d'emails (generate-statement délègue l'envoi à un job send-reminder-email, compté à son tour)
+    const trackDelivery = async (ctx, next) => {
+      this.metrics.emails.processing++;
+      try {
+        await next();
+        if (!ctx.result?.skipped && !ctx.result?.emailJobId) {
+          this.metrics.emails.sent++;
+        }
+      } catch (error) {
+        this.metrics.emails.failed++;
+        this.service.logError(`❌ Erreur envoi "${ctx.jobName}" (ID: ${ctx.job.id}):`, error);
+        throw error;
+      } finally {
+        this.metrics.emails.processing--;
+      }
+    };
+
+    for (const queueName of queueNames) {
+      runJobs.forEach(jobName => pipeline.use(queueName, jobName, trackRun));
+      emailJobs.forEach(jobName => pipeline.use(queueName, jobName, trackDelivery));
+    }
+
+    return pipeline;
+  }
+
   /**
    * Crée tous les handlers de jobs BullMQ
    * 
@@ -154,78 +249,86 @@ class JobHandlers {
       'process-corporate-reminders': async (data, job) => {
         this.service.log('🏢 Traitement des rappels Corporate...');
         
-        try {
-          const currentDate = new Date();
-          const dayOfMonth = currentDate.getDate();
-          
-          // Vérification période (10 premiers jours)
-          if (dayOfMonth > 10) {
-            this.service.log(`⏭️ Jour ${dayOfMonth} > 10, pas de traitement Corporate`);
-            this.metrics.reminders.skipped++;
-            return { 
-              skipped: true, 
-              reason: 'Hors période (> 10 jours)',
-              type: 'corporate',
-              executionDate: currentDate
-            };
-          }
-
-          await job.updateProgress(10);
-
-          // Récupération remboursements SALARY
-          const reimbursements = await this.service.reimbursementService.getReimbursements({
-            type: 'SALARY',
-            statuses: this.config.corporateTypes
-          });
+        const currentDate = this.service.clock.date();
+        const { datePolicy } = this.service;
 
-          this.service.log(`📋 ${reimbursements.length} remboursements Corporate trouvés`);
-          await job.updateProgress(30);
-
-          let processedCount = 0;
-          const results = [];
-
-          for (const reimbursement of reimbursements) {
-            try {
-              const result = await this.service.processCorporateReimbursement(reimbursement, currentDate);
-              results.push(result);
-              processedCount++;
-              
-              await job.updateProgress(30 + (processedCount / reimbursements.length) * 60);
-            } catch (error) {
-              this.service.logError(`❌ Erreur remboursement ${reimbursement.id}:`, error);
-              results.push({ id: reimbursement.id, error: error.message });
-              this.metrics.reminders.failed++;
-            }
-          }
-
-          await job.updateProgress(100);
-          this.metrics.jobs.completed++;
+        // Pas de rappel un jour non ouvré (politique en jours ouvrés)
+        if (!datePolicy.isReminderDay(currentDate)) {
+          this.service.log(`⏭️ ${datePolicy.dayOf(currentDate)} non ouvré, pas de traitement Corporate`);
+          this.metrics.reminders.skipped++;
+          return {
+            skipped: true,
+            reason: 'Jour non ouvré',
+            type: 'corporate',
+            executionDate: currentDate
+          };
+        }
 
-          const finalResult = {
+        // Vérification période (10 premiers jours, ouvrés si la politique l'indique)
+        const dayOfMonth = datePolicy.dayOfMonth(currentDate);
+        if (dayOfMonth > 10) {
+          this.service.log(`⏭️ Jour ${dayOfMonth} > 10, pas de traitement Corporate`);
+          this.metrics.reminders.skipped++;
+          return { 
+            skipped: true, 
+            reason: 'Hors période (> 10 jours)',
             type: 'corporate',
-            totalProcessed: processedCount,
-            totalReimbursements: reimbursements.length,
-            results,
             executionDate: currentDate
           };
+        }
 
-          // Sauvegarde en MongoDB si activé
-          if (this.service.mongoConnected) {
-            await this.service.saveExecutionLog(finalResult);
+        await job.updateProgress(10);
+
+        // Récupération remboursements SALARY
+        const reimbursements = await this.service.reimbursementService.getReimbursements({
+          type: 'SALARY',
+          statuses: this.config.corporateTypes
+        });
+
+        this.service.log(`📋 ${reimbursements.length} remboursements Corporate trouvés`);
+        await job.updateProgress(30);
+
+        let processedCount = 0;
+        const results = [];
+        const digest = this.service.businessLogic.createDigestCollector('corporate');
+
+        for (const reimbursement of reimbursements) {
+          try {
+            const result = await this.service.processCorporateReimbursement(reimbursement, currentDate, digest);
+            results.push(result);
+            processedCount++;
+            
+            await job.updateProgress(30 + (processedCount / reimbursements.length) * 60);
+          } catch (error) {
+            this.service.logError(`❌ Erreur remboursement ${reimbursement.id}:`, error);
+            results.push({ id: reimbursement.id, error: error.message });
+            this.metrics.reminders.failed++;
           }
+        }
 
-          // Alerte système si configurée
-          if (this.service.alertService) {
-            await this.service.alertService.notifyExecution(finalResult);
-          }
+        const digests = await this.service.businessLogic.enqueueDigests(digest, currentDate);
+        await job.updateProgress(100);
 
-          return finalResult;
+        const finalResult = {
+          type: 'corporate',
+          totalProcessed: processedCount,
+          totalReimbursements: reimbursements.length,
+          results,
+          digests,
+          executionDate: currentDate
+        };
+
+        // Sauvegarde en MongoDB si activé
+        if (this.service.mongoConnected) {
+          await this.service.saveExecutionLog(finalResult);
+        }
 
-        } catch (error) {
-          this.metrics.jobs.failed++;
-          this.service.logError('❌ Erreur traitement Corporate:', error);
-          throw error;
+        // Alerte système si configurée
+        if (this.service.alertService) {
+          await this.service.alertService.notifyExecution(finalResult);
         }
+
+        return finalResult;
       },
 
       /**
@@ -247,75 +350,292 @@ class JobHandlers {
       'process-coverage-reminders': async (data, job) => {
         this.service.log('🏥 Traitement des rappels Coverage...');
         
-        try {
-          const currentDate = new Date();
-          await job.updateProgress(10);
+        const currentDate = this.service.clock.date();
 
-          // Récupération remboursements TREASURY
-          const reimbursements = await this.service.reimbursementService.getReimbursements({
-            type: 'TREASURY',
-            statuses: this.config.coverageTypes
-          });
+        // Pas de rappel un jour non ouvré : les jalons sont comptés en jours ouvrés
+        if (!this.service.datePolicy.isReminderDay(currentDate)) {
+          this.service.log(`⏭️ ${this.service.datePolicy.dayOf(currentDate)} non ouvré, pas de traitement Coverage`);
+          this.metrics.reminders.skipped++;
+          return {
+            skipped: true,
+            reason: 'Jour non ouvré',
+            type: 'coverage',
+            executionDate: currentDate
+          };
+        }
+
+        await job.updateProgress(10);
+
+        // Récupération remboursements TREASURY
+        const reimbursements = await this.service.reimbursementService.getReimbursements({
+          type: 'TREASURY',
+          statuses: this.config.coverageTypes
+        });
+
+        this.service.log(`📋 ${reimbursements.length} remboursements Coverage trouvés`);
+        await job.updateProgress(30);
 
-          this.service.log(`📋 ${reimbursements.length} remboursements Coverage trouvés`);
-          await job.updateProgress(30);
-
-          // Groupement par health-coverage
-          const reimbursementsByHealthCoverage = this.service.groupByHealthCoverage(reimbursements);
-          
-          let processedCount = 0;
-          const results = [];
-          const totalItems = Object.keys(reimbursementsByHealthCoverage).length;
-
-          for (const [healthCoverageId, coverageReimbursements] of Object.entries(reimbursementsByHealthCoverage)) {
-            try {
-              const result = await this.service.processCoverageReimbursements(
-                healthCoverageId, 
-                coverageReimbursements, 
-                currentDate
-              );
-              results.push(result);
-              processedCount++;
-              
-              await job.updateProgress(30 + (processedCount / totalItems) * 60);
-            } catch (error) {
-              this.service.logError(`❌ Erreur health-coverage ${healthCoverageId}:`, error);
-              results.push({ healthCoverageId, error: error.message });
-              this.metrics.reminders.failed++;
-            }
+        // Groupement par health-coverage
+        const reimbursementsByHealthCoverage = this.service.groupByHealthCoverage(reimbursements);
+        
+        let processedCount = 0;
+        const results = [];
+        const totalItems = Object.keys(reimbursementsByHealthCoverage).length;
+        const digest = this.service.businessLogic.createDigestCollector('coverage');
+
+        for (const [healthCoverageId, coverageReimbursements] of Object.entries(reimbursementsByHealthCoverage)) {
+          try {
+            const result = await this.service.processCoverageReimbursements(
+              healthCoverageId, 
+              coverageReimbursements, 
+              currentDate,
+              digest
+            );
+            results.push(result);
+            processedCount++;
+            
+            await job.updateProgress(30 + (processedCount / totalItems) * 60);
+          } catch (error) {
+            this.service.logError(`❌ Erreur health-coverage ${healthCoverageId}:`, error);
+            results.push({ healthCoverageId, error: error.message });
+            this.metrics.reminders.failed++;
           }
+        }
 
-          await job.updateProgress(100);
-          this.metrics.jobs.completed++;
+        const digests = await this.service.businessLogic.enqueueDigests(digest, currentDate);
+        await job.updateProgress(100);
 
-          const finalResult = {
-            type: 'coverage',
-            totalHealthCoverages: totalItems,
-            totalReimbursements: reimbursements.length,
-            results,
-            executionDate: currentDate
+        const finalResult = {
+          type: 'coverage',
+          totalHealthCoverages: totalItems,
+          totalReimbursements: reimbursements.length,
+          results,
+          digests,
+          executionDate: currentDate
+        };
+
+        // Sauvegarde en MongoDB
+        if (this.service.mongoConnected) {
+          await this.service.saveExecutionLog(finalResult);
+        }
+
+        // Alerte système
+        if (this.service.alertService) {
+          await this.service.alertService.notifyExecution(finalResult);
+        }
+
+        return finalResult;
+      },
+
+      // === HANDLERS EMAILS ===
+
+      /**
+       * Handler de génération du relevé de paiement PDF d'un rappel de retard
+       * 
+       * Génère (ou reprend du cache) le relevé du remboursement, ou de la couverture
+       * santé si data.statement.healthCoverageId est fourni, puis met en file
+       * send-reminder-email avec le relevé en pièce jointe. Une erreur de génération
+       * relance le job ; après la dernière tentative, le rappel part sans relevé.
+       * 
+       * @async
+       * @param {Object} data - Données du job send-reminder-email, plus le périmètre du relevé
+       * @param {Object} [data.statement] - Périmètre du relevé
+       * @param {string} [data.statement.asOf] - Date de calcul des pénalités (ISO 8601)
+       * @param {string} [data.statement.healthCoverageId] - ID de la couverture santé
+       * @param {Array} [data.statement.reimbursements] - Remboursements de la couverture
+       * @param {BullMQJob} job - Instance du job BullMQ
+       * @returns {Promise<StatementJobResult>} Relevé généré et job d'email créé
+       * 
+       * @example
+       * await handler({
+       *   emailType: 'payment-overdue',
+       *   recipients: [{ name: 'Alice', email: 'alice@company.com' }],
+       *   reimbursement: { id: 'RBT-001', amount: 1500, dueDate: '2025-02-01' },
+       *   daysInfo: { overdueDays: 5 },
+       *   statement: { asOf: '2025-02-06T09:00:00.000Z' }
+       * }, jobInstance);
+       */
+      'generate-statement': async (data, job) => {
+        const { statement: scope = {}, ...reminder } = data;
+        const { reimbursement, recipients } = reminder;
+        const generator = this.service.statementGenerator;
+        let statement = null;
+
+        try {
+          const options = {
+            asOf: scope.asOf,
+            locale: recipientLocale(recipients[0], reimbursement, DEFAULT_LOCALE),
+            daysInfo: reminder.daysInfo
           };
+          statement = scope.healthCoverageId
+            ? await generator.generateForCoverage(scope.healthCoverageId, scope.reimbursements, options)
+            : await generator.generateForReimbursement(reimbursement, options);
 
-          // Sauvegarde en MongoDB
-          if (this.service.mongoConnected) {
-            await this.service.saveExecutionLog(finalResult);
+          this.service.log(`📄 Relevé ${statement.filename} ${statement.cached ? 'repris du cache' : 'généré'} (${statement.size} octets)`);
+        } catch (error) {
+          // Le rappel part sans relevé après la dernière tentative
+          if (job.attemptsMade + 1 < (job.opts?.attempts || 1)) {
+            throw error;
           }
+          this.service.logError(`❌ Relevé de ${reimbursement.id} non généré, rappel envoyé sans pièce jointe:`, error);
+        }
 
-          // Alerte système
-          if (this.service.alertService) {
-            await this.service.alertService.notifyExecution(finalResult);
-          }
+        const emailQueue = this.service.queues.get(this.config.emailQueue);
+        const emailJob = await emailQueue.add('send-reminder-email', {
+          ...reminder,
+          attachments: [
+            ...(reminder.attachments || []),
+            ...(statement ? [generator.toAttachment(statement)] : [])
+          ]
+        });
+
+        return {
+          reimbursementId: reimbursement.id,
+          healthCoverageId: scope.healthCoverageId || null,
+          statement: statement && {
+            key: statement.key,
+            version: statement.version,
+            filename: statement.filename,
+            size: statement.size,
+            cached: statement.cached
+          },
+          emailJobId: emailJob.id
+        };
+      },
 
-          return finalResult;
+      /**
+       * Handler du récapitulatif d'un destinataire
+       * 
+       * Envoie un seul email (template reminder-digest) listant les remboursements
+       * à traiter du destinataire, déjà triés par priorité, puis enregistre chaque
+       * rappel listé (cadence Coverage, historique d'escalade) comme un envoi individuel.
+       * 
+       * @async
+       * @param {Object} data - Données du récapitulatif
+       * @param {string} data.scope - Périmètre ('corporate', 'coverage')
+       * @param {Object} data.recipient - Destinataire ({ name, email, locale })
+       * @param {Array<Object>} data.items - Rappels ({ reimbursement, emailType, daysInfo, escalation, policy })
+       * @param {string} data.date - Date de l'exécution (ISO 8601)
+       * @param {BullMQJob} job - Instance du job BullMQ
+       * @returns {Promise<Object>} Résultat ({ emailType: 'reminder-digest', recipient, reimbursementIds, emailResult })
+       * 
+       * @example
+       * await handler({
+       *   scope: 'corporate',
+       *   recipient: { name: 'Alice', email: 'alice@company.com' },
+       *   items: [{ reimbursement, emailType: 'payment-overdue', daysInfo: { overdueDays: 4 } }],
+       *   date: '2025-02-06T09:00:00.000Z'
+       * }, jobInstance);
+       */
+      'send-digest-email': async (data, job) => {
+        const { scope, recipient, items } = data;
+        const locale = recipientLocale(recipient, null, DEFAULT_LOCALE);
+        const summary = summarizeDigest(items);
+
+        this.service.log(`📬 Envoi du récapitulatif ${scope} à ${recipient.email} (${items.length} remboursements)`);
+
+        const template = this.service.getEmailTemplate('reminder-digest', summary, locale);
+        const emailResult = await this.service.emailService.sendTemplated(template.template, {
+          recipient,
+          locale,
+          digest: { scope, date: data.date, items, summary }
+        }, {
+          to: recipient.email,
+          subject: template.subject,
+          context: { jobId: job.id, queueName: job.queueName, emailType: 'reminder-digest' }
+        });
+
+        this.metrics.reminders.sent += items.length;
+
+        // Rappels listés : enregistrés comme des envois individuels ; l'email est déjà parti, pas de retry
+        for (const item of items) {
+          if (item.policy) {
+            await this.service.reminderPolicy.recordSent(item.reimbursement, item.policy).catch(error => {
+              this.service.logError(`❌ Erreur enregistrement rappel ${item.reimbursement.id}:`, error);
+            });
+          }
+          if (item.escalation && this.service.escalation) {
+            await this.service.escalation.recordEscalation(item.reimbursement, item.escalation, {
+              emailType: item.emailType,
+              recipients: [recipient],
+              jobId: job.id
+            }).catch(error => {
+              this.service.logError(`❌ Erreur historique d'escalade ${item.reimbursement.id}:`, error);
+            });
+          }
+        }
 
-        } catch (error) {
-          this.metrics.jobs.failed++;
-          this.service.logError('❌ Erreur traitement Coverage:', error);
-          throw error;
+        const result = {
+          emailType: 'reminder-digest',
+          scope,
+          recipient: recipient.email,
+          reimbursementIds: items.map(item => item.reimbursement.id),
+          emailResult,
+          timestamp: new Date()
+        };
+
+        if (this.service.mongoConnected) {
+          await this.service.saveEmailLog(result);
         }
+
+        return result;
       },
 
-      // === HANDLERS EMAILS ===
+      /**
+       * Handler de la synthèse d'une couverture santé
+       * 
+       * Envoie à un manager responsable, dans sa langue, un email (template
+       * coverage-summary) reprenant les totaux, le montant en retard, la répartition
+       * par niveau d'urgence et la liste des remboursements de la couverture.
+       * Un job par destinataire : une nouvelle tentative ne concerne que lui.
+       * 
+       * @async
+       * @param {Object} data - Données de la synthèse
+       * @param {string} data.healthCoverageId - ID de la couverture santé
+       * @param {Object} data.recipient - Manager responsable ({ name, email, locale })
+       * @param {Object} data.summary - Synthèse ({ date, count, overdue, totals, byUrgency, reimbursements })
+       * @param {BullMQJob} job - Instance du job BullMQ
+       * @returns {Promise<Object>} Résultat ({ emailType: 'coverage-summary', healthCoverageId, reimbursementIds, recipient })
+       * 
+       * @example
+       * await handler({
+       *   healthCoverageId: 'HC-001',
+       *   recipient: { name: 'Alice', email: 'alice@company.com' },
+       *   summary: buildCoverageSummary('HC-001', reimbursements, { date, urgencyLevel })
+       * }, jobInstance);
+       */
+      'send-coverage-summary-email': async (data, job) => {
+        const { healthCoverageId, recipient, summary } = data;
+        const locale = recipientLocale(recipient, null, DEFAULT_LOCALE);
+
+        this.service.log(`🏥 Envoi de la synthèse de la couverture ${healthCoverageId} à ${recipient.email}`);
+
+        const template = this.service.getEmailTemplate('coverage-summary', summary, locale);
+        const emailResult = await this.service.emailService.sendTemplated(template.template, {
+          recipient,
+          locale,
+          coverage: summary
+        }, {
+          to: recipient.email,
+          subject: template.subject,
+          context: { jobId: job.id, queueName: job.queueName, emailType: 'coverage-summary' }
+        });
+
+        const result = {
+          emailType: 'coverage-summary',
+          healthCoverageId,
+          reimbursementIds: summary.reimbursements.map(item => item.id),
+          recipient: recipient.email,
+          emailResult,
+          timestamp: new Date()
+        };
+
+        if (this.service.mongoConnected) {
+          await this.service.saveEmailLog(result);
+        }
+
+        return result;
+      },
 
       /**
        * Handler pour l'envoi d'emails de rappel spécialisés
@@ -329,6 +649,9 @@ class JobHandlers {
        * @param {Array} data.recipients - Liste des destinataires
        * @param {Object} data.reimbursement - Données du remboursement
        * @param {Object} data.daysInfo - Informations sur les jours (remainingDays, overdueDays)
+       * @param {Object} [data.policy] - Étape de la cadence de relance à enregistrer après envoi
+       * @param {Object} [data.escalation] - Niveau d'escalade (template, destinataires, historique)
+       * @param {Array} [data.attachments] - Pièces jointes (relevé PDF ajouté par generate-statement)
        * @param {BullMQJob} job - Instance du job BullMQ
        * @returns {Promise<EmailJobResult>} Résultat de l'envoi
        * 
@@ -342,10 +665,9 @@ class JobHandlers {
        * await handler(emailData, jobInstance);
        */
       'send-reminder-email': async (data, job) => {
-        const { emailType, recipients, reimbursement, daysInfo } = data;
+        const { emailType, recipients, reimbursement, daysInfo, escalation } = data;
         
         this.service.log(`📧 Envoi email ${emailType} à ${recipients.length} destinataires`);
-        this.metrics.emails.processing++;
         
         try {
           const emailResult = await this.service.emailService.sendReminderEmail({
@@ -353,21 +675,42 @@ class JobHandlers {
             recipients,
             reimbursement,
             daysInfo,
-            template: this.service.getEmailTemplate(emailType, daysInfo)
+            template: escalation && this.service.escalation
+              ? this.service.escalation.getEmailTemplate(escalation, daysInfo)
+              : this.service.getEmailTemplate(emailType, daysInfo),
+            attachments: data.attachments,
+            context: { jobId: job.id, queueName: job.queueName }
           });
 
           const result = {
             emailType,
+            escalationLevel: escalation ? escalation.level : null,
             recipientCount: recipients.length,
             reimbursementId: reimbursement.id,
             emailResult,
             timestamp: new Date()
           };
 
-          this.metrics.emails.sent++;
-          this.metrics.emails.processing--;
           this.metrics.reminders.sent++;
 
+          // Dernier rappel envoyé (cadence Coverage) ; l'email est déjà parti, pas de retry
+          if (data.policy) {
+            await this.service.reminderPolicy.recordSent(reimbursement, data.policy).catch(error => {
+              this.service.logError(`❌ Erreur enregistrement rappel ${reimbursement.id}:`, error);
+            });
+          }
+
+          // Historique d'escalade (audit)
+          if (escalation && this.service.escalation) {
+            await this.service.escalation.recordEscalation(reimbursement, escalation, {
+              emailType,
+              recipients,
+              jobId: job.id
+            }).catch(error => {
+              this.service.logError(`❌ Erreur historique d'escalade ${reimbursement.id}:`, error);
+            });
+          }
+
           // Sauvegarde email log
           if (this.service.mongoConnected) {
             await this.service.saveEmailLog(result);
@@ -376,10 +719,7 @@ class JobHandlers {
           return result;
 
         } catch (error) {
-          this.metrics.emails.failed++;
-          this.metrics.emails.processing--;
           this.metrics.reminders.failed++;
-          this.service.logError('❌ Erreur envoi email:', error);
           throw error;
         }
       },
@@ -399,8 +739,9 @@ class JobHandlers {
        * @param {Object} [data.templateData] - Données pour le template
        * @param {Array} [data.attachments] - Pièces jointes
        * @param {string} [data.priority] - Priorité de l'email
+       * @param {boolean} [data.bypassSuppression] - Envoi transactionnel : ignore la liste de suppression
        * @param {BullMQJob} job - Instance du job BullMQ
-       * @returns {Promise<GenericEmailResult>} Résultat de l'envoi
+       * @returns {Promise<GenericEmailResult>} Résultat de l'envoi (skipped si tous les destinataires sont sur la liste de suppression)
        * 
        * @example
        * // Email simple
@@ -420,58 +761,68 @@ class JobHandlers {
        * };
        */
       'send-email': async (data, job) => {
-        this.service.log(`📧 Envoi email générique à ${data.to.join(', ')}: ${data.subject}`);
+        this.service.log(`📧 Envoi email générique à ${[].concat(data.to).map(to => to?.address || to).join(', ')}: ${data.subject}`);
         
-        try {
-          await job.updateProgress(10);
+        await job.updateProgress(10);
 
-          // Validation
-          if (!data.to || data.to.length === 0) {
-            throw new Error('Destinataire requis');
-          }
-          if (!data.subject) {
-            throw new Error('Sujet requis');
-          }
+        // Validation
+        if (!data.to || data.to.length === 0) {
+          throw new Error('Destinataire requis');
+        }
+        if (!data.subject) {
+          throw new Error('Sujet requis');
+        }
 
-          await job.updateProgress(30);
+        // Liste de suppression (bounces définitifs, plaintes, désabonnements)
+        const { allowed, suppressed } = await this.service.filterSuppressed(data.to, data);
+        if (allowed.length === 0) {
+          this.service.log(`⏭️  Email "${data.subject}" non envoyé : tous les destinataires sont sur la liste de suppression`);
+          return { success: true, skipped: true, reason: 'suppressed', recipients: [], suppressed, subject: data.subject };
+        }
 
-          // Préparation contenu
-          let emailContent = data.content;
-          if (data.template) {
-            emailContent = await this.service.renderTemplate(data.template, data.templateData);
-          }
+        await job.updateProgress(30);
 
-          await job.updateProgress(60);
+        // Lien et en-têtes de désabonnement (un seul destinataire, hors envoi transactionnel)
+        const unsubscribe = this.service.getUnsubscribeInfo(allowed, data);
 
-          // Envoi via service email
-          if (!this.service.emailService) {
-            throw new Error('Service email non configuré');
-          }
+        // Préparation contenu (HTML et texte brut pour les templates)
+        let emailContent = data.content;
+        let emailText;
+        if (data.template) {
+          const templateData = { ...data.templateData, ...unsubscribe.templateData };
+          emailContent = await this.service.renderTemplate(data.template, templateData);
+          emailText = await this.service.renderTextTemplate(data.template, templateData, emailContent);
+        }
 
-          const result = await this.service.emailService.sendEmail({
-            to: data.to,
-            subject: data.subject,
-            content: emailContent,
-            attachments: data.attachments,
-            priority: data.priority
-          });
+        await job.updateProgress(60);
 
-          await job.updateProgress(100);
-          this.metrics.emails.sent++;
+        // Envoi via service email
+        if (!this.service.emailService) {
+          throw new Error('Service email non configuré');
+        }
 
-          return {
-            success: true,
-            messageId: result.messageId,
-            recipients: data.to,
-            subject: data.subject,
-            sentAt: new Date()
-          };
+        const result = await this.service.emailService.sendEmail({
+          to: allowed,
+          subject: data.subject,
+          content: emailContent,
+          text: emailText,
+          attachments: data.attachments,
+          priority: data.priority,
+          headers: unsubscribe.headers,
+          context: { jobId: job.id, queueName: job.queueName }
+        });
 
-        } catch (error) {
-          this.metrics.emails.failed++;
-          this.service.logError('❌ Erreur envoi email générique:', error);
-          throw error;
-        }
+        await job.updateProgress(100);
+
+        return {
+          success: true,
+          messageId: result.messageId,
+          trackingId: result.trackingId || null,
+          recipients: allowed,
+          suppressed,
+          subject: data.subject,
+          sentAt: new Date()
+        };
       },
 
       // === HANDLERS UTILITAIRES ===
@@ -504,7 +855,6 @@ class JobHandlers {
         this.service.log(`🔔 Notification à ${data.to}: ${data.subject}`);
         await new Promise(resolve => setTimeout(resolve, 400));
         await job.updateProgress(100);
-        this.metrics.emails.sent++;
         return { success: true, type: 'notification', sentTo: data.to };
       }
     };
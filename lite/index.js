@@ -6,7 +6,16 @@ const mongoose = require('mongoose');
 const JobHandlers = require('./handlers');
 const EmailUtils = require('./email-utils');
 const BusinessLogic = require('./business-logic');
+const ReminderPolicy = require('./reminder-policy');
+const Escalation = require('./escalation');
+const EmailServiceAdapter = require('../core/EmailServiceAdapter');
+const { createSuppressionList } = require('../core/suppression');
+const { createStatementGenerator } = require('../core/statements');
+const { resolveCalendarOptions } = require('../core/calendar');
+const { resolveDigestOptions, setPreference } = require('../core/digest');
+const { createDatePolicy } = require('../core/datePolicy');
 const Monitoring = require('./monitoring');
+const MiddlewarePipeline = require('../core/MiddlewarePipeline');
 
 /**
  * @fileoverview ReminderService - Version Lite Modulaire du système de rappels
@@ -18,6 +27,7 @@ const Monitoring = require('./monitoring');
  * - JobHandlers : Gestionnaires de tâches BullMQ spécialisés
  * - EmailUtils : Utilitaires emails et templates EJS
  * - BusinessLogic : Logique métier remboursements
+ * - Escalation : Échelle d'escalade des retards et historique d'audit
  * - Monitoring : Surveillance et métriques avec persistance MongoDB
  * 
  * Fonctionnalités principales :
@@ -45,16 +55,33 @@ const Monitoring = require('./monitoring');
  * @property {string} [emailQueue] - Nom de la queue email
  * @property {string} [corporateCron] - Pattern cron pour les rappels corporate
  * @property {string} [coverageCron] - Pattern cron pour les rappels coverage
+ * @property {string} [timezone] - Fuseau horaire IANA des crons (local par défaut)
  * @property {Array<string>} [corporateTypes] - Types de remboursements corporate
  * @property {Array<string>} [coverageTypes] - Types de remboursements coverage
  * @property {number} [warningDays] - Jours d'avertissement avant échéance
+ * @property {Object} [reminderCadence] - Cadence des rappels Coverage ({ beforeDue, overdueEvery, maxOverdue, cooldownHours })
+ * @property {Object} [reminderPolicy] - Politique de relance injectée (evaluate, recordSent, getStats)
+ * @property {Object|false} [escalation] - Échelle d'escalade ({ levels, resolvers }), instance injectée, false ou { enabled: false } pour la désactiver
  * @property {number} [maxAttempts] - Nombre maximum de tentatives
  * @property {number} [concurrency] - Niveau de concurrence des workers
  * @property {Array<number>} [retryDelays] - Délais de retry en millisecondes
  * @property {Object} [reimbursementService] - Service des remboursements injecté
  * @property {Object} [managerService] - Service des managers injecté
  * @property {Object} [emailService] - Service d'envoi d'emails injecté
+ * @property {Object} [deliveryTracker] - Suivi de délivrabilité (défaut : celui du service email)
+ * @property {Object|false} [htmlPipeline] - Post-traitement des templates EJS ({ inlineCss, sanitize, maxSize }), false pour le désactiver
+ * @property {Object} [templateRegistry] - Registre des templates ({ store: 'memory' | 'file' | 'mongo', directory, mongo }) ou instance TemplateRegistry
+ * @property {Object} [brand] - Identité des emails ({ name, logoUrl, website, address, colors, supportContact })
+ * @property {Object} [brands] - Identités par entreprise cliente ({ [companyId | nom]: surcharges de brand })
+ * @property {Object} [suppression] - Liste de suppression ({ store, mongo, baseUrl, secret, mailto }) ou instance SuppressionList
+ * @property {Object|false} [statements] - Relevés PDF des rappels de retard ({ store, mongo, locale, currency }), instance StatementGenerator ou false pour les désactiver
+ * @property {boolean|Object} [calendar] - Invitation .ics de l'échéance jointe aux rappels avant échéance (true ou { type: 'event' | 'task', alarms, domain }), désactivée par défaut
+ * @property {boolean|Object} [digest] - Récapitulatif par destinataire (true ou { defaultMode: 'individual' | 'digest', preferences: { email: mode } }), désactivé par défaut
+ * @property {boolean|Object} [coverageSummary] - Synthèse de chaque couverture santé à ses managers responsables (désactivée par défaut : true ou { enabled: true })
+ * @property {Object} [datePolicy] - Décompte des jours ({ businessDays, weekend, holidays: 'ci' | chemin | dates, timezone }) ou instance DatePolicy, jours calendaires par défaut
  * @property {Object} [alertService] - Service d'alertes injecté
+ * @property {Object} [backend] - Backend injecté ({ Queue, Worker, QueueEvents, connection }), BullMQ/Redis par défaut
+ * @property {Object} [clock] - Horloge injectée ({ now(), date() }), heure système par défaut
  */
 
 /**
@@ -160,8 +187,10 @@ class ReminderService {
       emailQueue: config.emailQueue || 'email-reminders',
       
       // Configuration des cron patterns
-      corporateCron: config.corporateCron || '0 9 1-10 * *', // 10 premiers jours du mois à 9h
+      // 10 premiers jours du mois à 9h ; en jours ouvrés, tous les jours (le handler filtre les 10 premiers jours ouvrés)
+      corporateCron: config.corporateCron || (config.datePolicy?.businessDays ? '0 9 * * *' : '0 9 1-10 * *'),
       coverageCron: config.coverageCron || '0 10 * * *',     // Tous les jours à 10h
+      timezone: config.timezone || process.env.REMINDER_TZ || undefined,
       
       // Configuration métier
       corporateTypes: config.corporateTypes || ['PENDING', 'OVERDUE'],
@@ -192,11 +221,14 @@ class ReminderService {
     this.managerService = config.managerService;
     
     /**
-     * Service d'envoi d'emails
-     * @type {Object}
+     * Service d'envoi d'emails, adapté au contrat EmailService
+     * (sendEmail, sendTemplated, sendReminderEmail, sendBatch, verifyConnection)
+     * @type {EmailServiceAdapter|null}
      * @private
      */
-    this.emailService = config.emailService;
+    this.emailService = EmailServiceAdapter.wrap(config.emailService, {
+      renderTemplate: (templateName, data) => this.renderTemplate(templateName, data)
+    });
     
     /**
      * Service d'alertes (optionnel)
@@ -205,6 +237,81 @@ class ReminderService {
      */
     this.alertService = config.alertService;
 
+    /**
+     * Liste de suppression (bounces définitifs, plaintes, désabonnements), alimentée par le suivi de délivrabilité
+     * @type {SuppressionList|null}
+     * @private
+     */
+    this.suppressionList = createSuppressionList(config.suppression);
+    const tracker = config.deliveryTracker || this.emailService?.tracker;
+    if (this.suppressionList && tracker && !tracker.suppression) {
+      tracker.useSuppressionList(this.suppressionList);
+    }
+
+    /**
+     * Horloge utilisée pour les calculs de dates (VirtualClock en test)
+     * @type {{now: Function, date: Function}}
+     * @private
+     */
+    this.clock = config.clock || {
+      now: () => Date.now(),
+      date: () => new Date()
+    };
+
+    /**
+     * Générateur des relevés de paiement PDF joints aux rappels de retard (null si désactivé)
+     * @type {StatementGenerator|null}
+     * @private
+     */
+    this.statementGenerator = createStatementGenerator(config.statements, {
+      brand: config.brand,
+      brands: config.brands,
+      store: this.config.isProduction && this.config.mongo.uri ? 'mongo' : 'memory',
+      mongo: this.config.mongo,
+      clock: this.clock
+    });
+
+    /**
+     * Options des invitations calendrier (.ics) des rappels avant échéance (null si désactivées)
+     * @type {Object|null}
+     * @private
+     */
+    this.calendar = resolveCalendarOptions(config.calendar, { timezone: this.config.timezone });
+
+    /**
+     * Politique de dates : jours calendaires ou ouvrés (week-ends, jours fériés), limites de jour du fuseau
+     * @type {DatePolicy}
+     * @private
+     */
+    this.datePolicy = createDatePolicy(config.datePolicy, { timezone: this.config.timezone });
+
+    /**
+     * Options du récapitulatif : un email par destinataire et par exécution (null si désactivé)
+     * @type {Object|null}
+     * @private
+     */
+    this.digest = resolveDigestOptions(config.digest);
+
+    /**
+     * Synthèse Coverage : un email par couverture santé à ses managers responsables
+     * @type {boolean}
+     * @private
+     */
+    this.coverageSummary = config.coverageSummary === true || config.coverageSummary?.enabled === true;
+
+    /**
+     * Classes Queue/Worker/QueueEvents et connexion utilisées (BullMQ/Redis par défaut)
+     * @type {Object}
+     * @private
+     */
+    this.backend = {
+      Queue,
+      Worker,
+      QueueEvents,
+      connection: this.config.redis,
+      ...config.backend
+    };
+
     // Maps pour les queues, workers et events
     /**
      * Map des queues BullMQ par nom
@@ -255,13 +362,30 @@ class ReminderService {
      * @private
      */
     this.jobHandlers = new JobHandlers(this);
+
+    /**
+     * Chaîne de middlewares autour des handlers (métriques et erreurs intégrées, puis middlewares applicatifs)
+     * @type {MiddlewarePipeline}
+     * @private
+     */
+    this.pipeline = new MiddlewarePipeline();
+    this.jobHandlers.registerMiddlewares(this.pipeline, [
+      this.config.corporateQueue,
+      this.config.coverageQueue,
+      this.config.emailQueue
+    ]);
     
     /**
-     * Utilitaires email et templates EJS
+     * Utilitaires email et templates EJS (registre, post-traitement HTML et marque propres au service)
      * @type {EmailUtils}
      * @private
      */
-    this.emailUtils = EmailUtils; // Classe statique
+    this.emailUtils = new EmailUtils({
+      templateRegistry: config.templateRegistry,
+      htmlPipeline: config.htmlPipeline,
+      brand: config.brand,
+      brands: config.brands
+    });
     
     /**
      * Logique métier des remboursements
@@ -269,6 +393,25 @@ class ReminderService {
      * @private
      */
     this.businessLogic = new BusinessLogic(this);
+
+    /**
+     * Politique de cadence des rappels (J-10, J-3, J-1 puis relances espacées en retard)
+     * @type {ReminderPolicy}
+     * @private
+     */
+    this.reminderPolicy = config.reminderPolicy || new ReminderPolicy(this, {
+      beforeDue: [this.config.warningDays, 3, 1].filter((day, index, days) => days.indexOf(day) === index),
+      ...this.config.reminderCadence
+    });
+
+    /**
+     * Échelle d'escalade des retards (owner → chef de département → direction financière)
+     * @type {Escalation|null}
+     * @private
+     */
+    this.escalation = config.escalation === false || config.escalation?.enabled === false
+      ? null
+      : (config.escalation instanceof Escalation ? config.escalation : new Escalation(this, config.escalation));
     
     /**
      * Module de monitoring et métriques
@@ -383,7 +526,7 @@ class ReminderService {
     ];
 
     const queueOptions = {
-      connection: this.config.redis,
+      connection: this.backend.connection,
       defaultJobOptions: {
         attempts: this.config.maxAttempts,
         backoff: {
@@ -396,11 +539,11 @@ class ReminderService {
     };
 
     for (const queueName of queueNames) {
-      const queue = new Queue(queueName, queueOptions);
+      const queue = new this.backend.Queue(queueName, queueOptions);
       this.queues.set(queueName, queue);
       
       // Events pour monitoring
-      const queueEvents = new QueueEvents(queueName, { connection: this.config.redis });
+      const queueEvents = new this.backend.QueueEvents(queueName, { connection: this.backend.connection });
       this.queueEvents.set(queueName, queueEvents);
       
       this.log(`✅ Queue "${queueName}" créée`);
@@ -410,6 +553,8 @@ class ReminderService {
   /**
    * Démarre tous les workers avec les handlers configurés
    * 
+   * Chaque job traverse la chaîne de middlewares (voir use) avant son handler.
+   * 
    * @private
    * @async
    * @param {Object<string, Function>} handlers - Map des handlers par nom de job
@@ -417,24 +562,15 @@ class ReminderService {
    * @throws {Error} Si le démarrage des workers échoue
    */
   async startWorkers(handlers) {
-    for (const [queueName, queue] of this.queues) {
-      const worker = new Worker(queueName, async (job) => {
+    for (const [queueName] of this.queues) {
+      const worker = new this.backend.Worker(queueName, async (job) => {
         const handler = handlers[job.name];
-        if (handler) {
-          this.metrics.jobs.active++;
-          try {
-            const result = await handler(job.data, job);
-            this.metrics.jobs.active--;
-            return result;
-          } catch (error) {
-            this.metrics.jobs.active--;
-            throw error;
-          }
-        } else {
+        if (!handler) {
           throw new Error(`Handler non trouvé pour le job: ${job.name}`);
         }
+        return this.pipeline.run(queueName, job, handler);
       }, {
-        connection: this.config.redis,
+        connection: this.backend.connection,
         concurrency: this.config.concurrency
       });
 
@@ -460,7 +596,7 @@ class ReminderService {
       'process-corporate-reminders',
       { type: 'scheduled', source: 'cron' },
       {
-        repeat: { pattern: this.config.corporateCron },
+        repeat: { pattern: this.config.corporateCron, tz: this.config.timezone },
         jobId: 'corporate-reminders-cron'
       }
     );
@@ -470,14 +606,15 @@ class ReminderService {
       'process-coverage-reminders',
       { type: 'scheduled', source: 'cron' },
       {
-        repeat: { pattern: this.config.coverageCron },
+        repeat: { pattern: this.config.coverageCron, tz: this.config.timezone },
         jobId: 'coverage-reminders-cron'
       }
     );
 
+    const schedule = this.monitoring.getSchedule(1);
     this.log('📅 Rappels automatiques planifiés:');
-    this.log(`  - Corporate: ${this.config.corporateCron}`);
-    this.log(`  - Coverage: ${this.config.coverageCron}`);
+    this.log(`  - Corporate: ${this.config.corporateCron} (prochaine: ${schedule.corporate.nextExecutions[0]?.toISOString()})`);
+    this.log(`  - Coverage: ${this.config.coverageCron} (prochaine: ${schedule.coverage.nextExecutions[0]?.toISOString()})`);
   }
 
   // === MÉTHODES MÉTIER (DÉLÉGATION AUX MODULES) ===
@@ -488,14 +625,15 @@ class ReminderService {
    * @async
    * @param {Object} reimbursement - Remboursement à traiter
    * @param {Date} currentDate - Date actuelle pour les calculs
+   * @param {DigestCollector|null} [digest=null] - Récapitulatif de l'exécution en cours
    * @returns {Promise<Object>} Résultat du traitement
    * 
    * @example
    * const result = await service.processCorporateReimbursement(reimbursement);
    * console.log(`Email ${result.emailType} envoyé à ${result.recipientCount} destinataires`);
    */
-  async processCorporateReimbursement(reimbursement, currentDate) {
-    return await this.businessLogic.processCorporateReimbursement(reimbursement, currentDate);
+  async processCorporateReimbursement(reimbursement, currentDate, digest = null) {
+    return await this.businessLogic.processCorporateReimbursement(reimbursement, currentDate, digest);
   }
 
   /**
@@ -505,14 +643,68 @@ class ReminderService {
    * @param {string} healthCoverageId - ID de la couverture santé
    * @param {Array} reimbursements - Remboursements à traiter
    * @param {Date} currentDate - Date actuelle pour les calculs
+   * @param {DigestCollector|null} [digest=null] - Récapitulatif de l'exécution en cours
    * @returns {Promise<Object>} Résultat du traitement
    * 
    * @example
    * const result = await service.processCoverageReimbursements('HC-001', reimbursements);
    * console.log(`${result.emailsSent} emails envoyés sur ${result.totalReimbursements}`);
    */
-  async processCoverageReimbursements(healthCoverageId, reimbursements, currentDate) {
-    return await this.businessLogic.processCoverageReimbursements(healthCoverageId, reimbursements, currentDate);
+  async processCoverageReimbursements(healthCoverageId, reimbursements, currentDate, digest = null) {
+    return await this.businessLogic.processCoverageReimbursements(healthCoverageId, reimbursements, currentDate, digest);
+  }
+
+  /**
+   * Préférence de réception d'un destinataire (récapitulatif ou rappels individuels)
+   * 
+   * La préférence s'applique aux exécutions suivantes ; un destinataire peut aussi
+   * porter reminderMode ('digest' | 'individual'), prioritaire sur cette préférence.
+   * 
+   * @param {string} email - Adresse du destinataire
+   * @param {string|null} mode - 'digest', 'individual' ou null pour revenir au mode par défaut
+   * @returns {Object<string, string>} Préférences enregistrées (email → mode)
+   * @throws {Error} Si le mode récapitulatif est désactivé ou si le mode est inconnu
+   * 
+   * @example
+   * const service = new ReminderService({ digest: true, ... });
+   * service.setDigestPreference('manager@company.com', 'digest');
+   */
+  setDigestPreference(email, mode) {
+    if (!this.digest) {
+      throw new Error('Mode récapitulatif désactivé (digest: false)');
+    }
+    return setPreference(this.digest, email, mode);
+  }
+
+  /**
+   * Enregistre un middleware autour des handlers de jobs (style Koa)
+   * 
+   * Ordre d'exécution : global, puis queue, puis job. Le contexte expose
+   * { queueName, jobName, job, data, state, result, error } ; ctx.data peut être
+   * remplacé avant le handler et ctx.result après.
+   * 
+   * @param {...(string|Function)} args - use(mw), use(queueName, mw) ou use(queueName, jobName, mw)
+   * @returns {ReminderService} L'instance (chaînable)
+   * @throws {Error} Si le middleware n'est pas une fonction
+   * 
+   * @example
+   * // Traçage de tous les jobs
+   * service.use(async (ctx, next) => {
+   *   const start = Date.now();
+   *   await next();
+   *   console.log(`${ctx.jobName} traité en ${Date.now() - start}ms`);
+   * });
+   * 
+   * @example
+   * // Contexte locataire pour les emails de rappel Coverage
+   * service.use('coverage-reminders', 'send-reminder-email', async (ctx, next) => {
+   *   ctx.data = { ...ctx.data, tenant: 'flexmo' };
+   *   await next();
+   * });
+   */
+  use(...args) {
+    this.pipeline.use(...args);
+    return this;
   }
 
   /**
@@ -535,14 +727,15 @@ class ReminderService {
    * @async
    * @param {Object} reimbursement - Remboursement concerné
    * @param {string} type - Type de traitement ('corporate', 'coverage')
+   * @param {Object|null} [escalation=null] - Niveau d'escalade (voir Escalation.getLevel)
    * @returns {Promise<Array>} Liste des destinataires
    * 
    * @example
    * const recipients = await service.getReimbursementRecipients(reimbursement, 'corporate');
    * console.log(`Envoi à ${recipients.length} destinataires`);
    */
-  async getReimbursementRecipients(reimbursement, type) {
-    return await this.businessLogic.getReimbursementRecipients(reimbursement, type);
+  async getReimbursementRecipients(reimbursement, type, escalation = null) {
+    return await this.businessLogic.getReimbursementRecipients(reimbursement, type, escalation);
   }
 
   /**
@@ -550,14 +743,228 @@ class ReminderService {
    * 
    * @param {string} emailType - Type d'email
    * @param {Object} daysInfo - Informations sur les jours
-   * @returns {Object} Template d'email avec sujet et nom de template
+   * @param {string} [locale] - Locale du sujet (défaut : 'fr-CI')
+   * @returns {Object} Template d'email avec sujet, clé de traduction du sujet et nom de template
    * 
    * @example
    * const template = service.getEmailTemplate('payment-reminder', { remainingDays: 5 });
    * console.log(`Template: ${template.template}, Sujet: ${template.subject}`);
    */
-  getEmailTemplate(emailType, daysInfo) {
-    return this.emailUtils.getEmailTemplate(emailType, daysInfo);
+  getEmailTemplate(emailType, daysInfo, locale) {
+    return EmailUtils.getEmailTemplate(emailType, daysInfo, locale);
+  }
+
+  /**
+   * Historique d'escalade d'un remboursement (délégation vers Escalation)
+   * 
+   * @async
+   * @param {string} [reimbursementId] - ID du remboursement (tous si omis)
+   * @returns {Promise<Array>} Envois avec niveau, destinataires et date, triés chronologiquement
+   * 
+   * @example
+   * const history = await service.getEscalationHistory('RBT-001');
+   * history.forEach(e => console.log(`Niveau ${e.level} → ${e.recipients.join(', ')}`));
+   */
+  async getEscalationHistory(reimbursementId = null) {
+    return this.escalation ? await this.escalation.getHistory(reimbursementId) : [];
+  }
+
+  /**
+   * Relevé de paiement PDF d'un remboursement en retard (délégation vers StatementGenerator)
+   * 
+   * Le relevé est mis en cache par remboursement et version : un second appel sans
+   * changement du remboursement renvoie le même document (cached: true).
+   * 
+   * @async
+   * @param {Reimbursement} reimbursement - Remboursement en retard
+   * @param {Object} [options={}] - Options du relevé
+   * @param {string} [options.locale] - Langue du relevé ('fr-FR', 'en-GB'...)
+   * @param {Date|string} [options.asOf] - Date de calcul des pénalités (horloge du service par défaut)
+   * @param {string} [options.healthCoverageId] - Relevé de toute la couverture santé
+   * @param {Array<Reimbursement>} [options.reimbursements] - Remboursements de la couverture
+   * @returns {Promise<Object>} Relevé ({ key, version, filename, content, size, cached })
+   * @throws {Error} Si les relevés sont désactivés ou si aucun remboursement n'est en retard
+   * 
+   * @example
+   * const statement = await service.generateStatement(reimbursement, { locale: 'en-GB' });
+   * fs.writeFileSync(statement.filename, statement.content);
+   */
+  async generateStatement(reimbursement, options = {}) {
+    if (!this.statementGenerator) {
+      throw new Error('Relevés de paiement désactivés (statements: false)');
+    }
+    return options.healthCoverageId
+      ? await this.statementGenerator.generateForCoverage(options.healthCoverageId, options.reimbursements || [reimbursement], options)
+      : await this.statementGenerator.generateForReimbursement(reimbursement, options);
+  }
+
+  /**
+   * Suivi de délivrabilité (injecté via config.deliveryTracker ou celui du service email)
+   * 
+   * @returns {Object|null} DeliveryTracker ou null si le suivi n'est pas configuré
+   */
+  getDeliveryTracker() {
+    return this.config.deliveryTracker || this.emailService?.tracker || null;
+  }
+
+  /**
+   * Accusés de lecture des rappels d'un remboursement
+   * 
+   * Indique, par manager destinataire, si l'email a été ouvert ou cliqué.
+   * 
+   * @async
+   * @param {string} reimbursementId - ID du remboursement
+   * @param {string} [emailType=null] - Type d'email ('payment-overdue' pour les avis de retard)
+   * @returns {Promise<Array>} Destinataires avec opened, firstOpenedAt, clicked, status
+   * 
+   * @example
+   * const receipts = await service.getReadReceipts('RBT-001', 'payment-overdue');
+   * receipts.filter(r => !r.opened).forEach(r => console.log(`Non lu : ${r.recipient}`));
+   */
+  async getReadReceipts(reimbursementId, emailType = null) {
+    const tracker = this.getDeliveryTracker();
+    if (!tracker) return [];
+    return await tracker.getReadReceipts({ reimbursementId, ...(emailType && { emailType }) });
+  }
+
+  /**
+   * Rapport de délivrabilité (délégation vers EmailUtils.generateEmailReport)
+   * 
+   * @async
+   * @param {Object} [filter={}] - Filtre ({ emailType, reimbursementId, status })
+   * @returns {Promise<EmailReport|null>} Rapport (bounced, opened, clicked, byType) ou null sans suivi
+   * 
+   * @example
+   * const report = await service.getDeliveryReport({ emailType: 'payment-overdue' });
+   * console.log(`${report.opened}/${report.total} avis de retard ouverts`);
+   */
+  async getDeliveryReport(filter = {}) {
+    const tracker = this.getDeliveryTracker();
+    if (!tracker) return null;
+    return EmailUtils.generateEmailReport(await tracker.getReportEntries(filter));
+  }
+
+  // === LISTE DE SUPPRESSION ===
+
+  /**
+   * Ajoute une adresse à la liste de suppression
+   * 
+   * @async
+   * @param {string} email - Adresse à ne plus contacter
+   * @param {string} [reason='manual'] - 'hard-bounce', 'complaint', 'unsubscribed' ou 'manual'
+   * @param {Object} [meta={}] - Métadonnées ({ source, note })
+   * @returns {Promise<Object>} Entrée de suppression
+   * @throws {Error} Si la liste de suppression n'est pas configurée ou la raison inconnue
+   * 
+   * @example
+   * await service.suppressEmail('ancien.manager@company.com', 'manual', { note: 'A quitté l\'entreprise' });
+   */
+  async suppressEmail(email, reason = 'manual', meta = {}) {
+    return await this.requireSuppressionList().add(email, reason, { source: 'api', ...meta });
+  }
+
+  /**
+   * Retire une adresse de la liste de suppression
+   * 
+   * @async
+   * @param {string} email - Adresse à réautoriser
+   * @returns {Promise<boolean>} false si l'adresse n'était pas sur la liste
+   * @throws {Error} Si la liste de suppression n'est pas configurée
+   */
+  async unsuppressEmail(email) {
+    return await this.requireSuppressionList().remove(email);
+  }
+
+  /**
+   * Indique si une adresse est sur la liste de suppression
+   * 
+   * @async
+   * @param {string} email - Adresse à vérifier
+   * @returns {Promise<boolean>} true si l'adresse est bloquée
+   */
+  async isEmailSuppressed(email) {
+    return this.suppressionList ? await this.suppressionList.isSuppressed(email) : false;
+  }
+
+  /**
+   * Entrées de la liste de suppression
+   * 
+   * @async
+   * @param {Object} [filter={}] - Filtre ({ reason, source })
+   * @returns {Promise<Array>} Entrées (email, reason, source, suppressedAt), les plus récentes d'abord
+   * 
+   * @example
+   * const bounces = await service.getSuppressionList({ reason: 'hard-bounce' });
+   */
+  async getSuppressionList(filter = {}) {
+    return this.suppressionList ? await this.suppressionList.list(filter) : [];
+  }
+
+  /**
+   * Lien de désabonnement signé d'une adresse
+   * 
+   * @param {string} email - Adresse du destinataire
+   * @returns {string|null} URL (null sans suppression.baseUrl)
+   * @throws {Error} Si la liste de suppression n'est pas configurée
+   */
+  getUnsubscribeUrl(email) {
+    return this.requireSuppressionList().unsubscribeUrl(email);
+  }
+
+  /**
+   * Filtre les destinataires par la liste de suppression (sauf bypassSuppression : envoi transactionnel)
+   * 
+   * @private
+   * @async
+   * @param {string[]} recipients - Destinataires
+   * @param {Object} [data={}] - Données du job
+   * @returns {Promise<Object>} { allowed, suppressed }
+   */
+  async filterSuppressed(recipients, data = {}) {
+    if (!this.suppressionList || data.bypassSuppression) {
+      return { allowed: recipients, suppressed: [] };
+    }
+
+    const result = await this.suppressionList.filter(recipients);
+    result.suppressed.forEach(({ email, reason }) => {
+      this.log(`🚫 ${email} ignoré (liste de suppression : ${reason})`);
+    });
+    return result;
+  }
+
+  /**
+   * Lien de désabonnement (templateData.unsubscribeUrl) et en-têtes List-Unsubscribe
+   * pour un envoi à un seul destinataire, hors envoi transactionnel
+   * 
+   * @private
+   * @param {string[]} recipients - Destinataires autorisés
+   * @param {Object} [data={}] - Données du job
+   * @returns {Object} { templateData, headers }
+   */
+  getUnsubscribeInfo(recipients, data = {}) {
+    if (!this.suppressionList || data.bypassSuppression || recipients.length !== 1) {
+      return { templateData: {}, headers: undefined };
+    }
+
+    const unsubscribeUrl = this.suppressionList.unsubscribeUrl(recipients[0]);
+    const headers = this.suppressionList.listUnsubscribeHeaders(recipients[0]);
+
+    return {
+      templateData: unsubscribeUrl ? { unsubscribeUrl } : {},
+      headers: Object.keys(headers).length > 0 ? headers : undefined
+    };
+  }
+
+  /**
+   * @private
+   * @returns {SuppressionList}
+   * @throws {Error} Si la liste de suppression n'est pas configurée
+   */
+  requireSuppressionList() {
+    if (!this.suppressionList) {
+      throw new Error('Liste de suppression non configurée (config.suppression)');
+    }
+    return this.suppressionList;
   }
 
   // === MÉTHODES EMAILS GÉNÉRIQUES ===
@@ -587,8 +994,8 @@ class ReminderService {
    */
   async sendEmail(to, subject, content, options = {}) {
     const emailQueue = this.queues.get(this.config.emailQueue);
-    const emailData = this.emailUtils.formatEmailData(to, subject, content, options);
-    const jobOptions = this.emailUtils.createJobOptions(options);
+    const emailData = EmailUtils.formatEmailData(to, subject, content, options);
+    const jobOptions = EmailUtils.createJobOptions(options);
 
     return emailQueue.add('send-email', emailData, jobOptions);
   }
@@ -629,12 +1036,12 @@ class ReminderService {
    */
   async sendNewsletter(recipients, newsletterData, options = {}) {
     const emailQueue = this.queues.get(this.config.emailQueue);
-    const newsletterEmails = this.emailUtils.prepareNewsletterData(recipients, newsletterData, options);
+    const newsletterEmails = EmailUtils.prepareNewsletterData(recipients, newsletterData, options);
     const jobs = [];
     
     for (const emailData of newsletterEmails) {
-      const jobOptions = this.emailUtils.createJobOptions({ priority: 'low', ...options });
-      const job = await emailQueue.add('send-newsletter', emailData, jobOptions);
+      const jobOptions = EmailUtils.createJobOptions({ priority: 'low', ...options });
+      const job = await emailQueue.add('send-email', emailData, jobOptions);
       jobs.push(job);
     }
 
@@ -665,8 +1072,8 @@ class ReminderService {
    */
   async scheduleRecurringEmail(to, subject, content, cronPattern, options = {}) {
     const emailQueue = this.queues.get(this.config.emailQueue);
-    const emailData = this.emailUtils.formatEmailData(to, subject, content, options);
-    const jobId = this.emailUtils.generateRecurringEmailId(to, subject);
+    const emailData = EmailUtils.formatEmailData(to, subject, content, options);
+    const jobId = EmailUtils.generateRecurringEmailId(to, subject);
 
     return emailQueue.add('send-email', emailData, {
       repeat: { pattern: cronPattern },
@@ -694,6 +1101,51 @@ class ReminderService {
     return await this.emailUtils.renderTemplate(templateName, data);
   }
 
+  /**
+   * Templates disponibles avec leur version courante et leurs variables requises (délégation vers EmailUtils)
+   * 
+   * @async
+   * @returns {Promise<Array<Object>>} [{ name, locale, engine, version, variables, ... }]
+   * 
+   * @example
+   * const templates = await service.listTemplates();
+   * console.log(templates.map(t => `${t.name} v${t.version}`));
+   */
+  async listTemplates() {
+    return await this.emailUtils.listTemplates();
+  }
+
+  /**
+   * Aperçu d'un template avec des données d'exemple (délégation vers EmailUtils)
+   * 
+   * @async
+   * @param {string} templateName - Nom du template
+   * @param {Object} [data] - Données remplaçant les données d'exemple
+   * @param {Object} [options] - { locale, version }
+   * @returns {Promise<Object>} { name, version, subject, html, text, missingVariables, report, error }
+   * 
+   * @example
+   * const preview = await service.previewTemplate('reminder-before-due', { daysInfo: { remainingDays: 1 } });
+   * console.log(preview.subject);
+   */
+  async previewTemplate(templateName, data = {}, options = {}) {
+    return await this.emailUtils.previewTemplate(templateName, data, options);
+  }
+
+  /**
+   * Rend la partie texte brut d'un template (délégation vers EmailUtils)
+   * 
+   * @async
+   * @param {string} templateName - Nom du template
+   * @param {Object} data - Données pour le template
+   * @param {string} [html] - HTML déjà rendu
+   * @returns {Promise<string>} Texte brut (`<nom>.txt.ejs` ou conversion du HTML)
+   * @throws {Error} Si le rendu échoue
+   */
+  async renderTextTemplate(templateName, data, html = null) {
+    return await this.emailUtils.renderTextTemplate(templateName, data, html);
+  }
+
   /**
    * Convertit la priorité en valeur numérique (délégation vers EmailUtils)
    * 
@@ -704,7 +1156,7 @@ class ReminderService {
    * const priorityValue = service.getPriorityValue('high'); // Retourne 10
    */
   getPriorityValue(priority) {
-    return this.emailUtils.getPriorityValue(priority);
+    return EmailUtils.getPriorityValue(priority);
   }
 
   // === MÉTHODES CONTRÔLE ===
@@ -981,6 +1433,11 @@ class ReminderService {
       this.log(`✅ Events "${queueName}" fermés`);
     }
 
+    // Cache des relevés de paiement
+    if (this.statementGenerator) {
+      await this.statementGenerator.close();
+    }
+
     // Fermeture MongoDB
     if (this.mongoConnected) {
       await mongoose.connection.close();
@@ -1098,7 +1555,7 @@ class ReminderService {
    * if (errors.length === 0) console.log('Email valide');
    */
   validateEmailData(emailData) {
-    return this.emailUtils.validateEmailData(emailData);
+    return EmailUtils.validateEmailData(emailData);
   }
 
   /**
@@ -1112,7 +1569,7 @@ class ReminderService {
    * console.log('Emails valides:', clean);
    */
   sanitizeEmails(emails) {
-    return this.emailUtils.sanitizeEmails(emails);
+    return EmailUtils.sanitizeEmails(emails);
   }
 
   /**
@@ -1126,7 +1583,7 @@ class ReminderService {
    * console.log(`Taux de succès: ${report.successRate}%`);
    */
   generateEmailReport(emailResults) {
-    return this.emailUtils.generateEmailReport(emailResults);
+    return EmailUtils.generateEmailReport(emailResults);
   }
 
   /**
@@ -1141,7 +1598,7 @@ class ReminderService {
    * console.log(`Délai optimal: ${delay}ms`);
    */
   calculateOptimalSendTime(priority, timezone) {
-    return this.emailUtils.calculateOptimalSendTime(priority, timezone);
+    return EmailUtils.calculateOptimalSendTime(priority, timezone);
   }
 }
 
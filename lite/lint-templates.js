@@ -0,0 +1,37 @@
+const EmailUtils = require('./email-utils');
+
+/**
+ * Lint des templates EJS : compatibilité clients mail (Outlook, applications Gmail)
+ *
+ * Rend chaque template avec des données d'exemple, applique le post-traitement
+ * (CSS inliné, nettoyage) et affiche le rapport. Code de sortie 1 si un template a une erreur.
+ *
+ * Usage : npm run lint:templates
+ */
+async function lintTemplates() {
+    const reports = await new EmailUtils().lintTemplates();
+    let failed = 0;
+
+    for (const [templateName, report] of Object.entries(reports)) {
+        const status = report.ok ? '✅' : '❌';
+        console.log(`${status} ${templateName} (${Math.ceil(report.size / 1024)} Ko, ${report.errors} erreur(s), ${report.warnings} avertissement(s))`);
+
+        report.issues.forEach(issue => {
+            console.log(`   ${issue.severity === 'error' ? '❌' : '⚠️ '} [${issue.rule}] ${issue.message}`);
+        });
+
+        if (!report.ok) failed++;
+    }
+
+    if (failed > 0) {
+        console.error(`\n❌ ${failed} template(s) en erreur`);
+        process.exit(1);
+    }
+
+    console.log(`\n✅ ${Object.keys(reports).length} templates vérifiés`);
+}
+
+lintTemplates().catch(error => {
+    console.error('❌ Erreur lint des templates:', error);
+    process.exit(1);
+});
@@ -16,6 +16,7 @@
  */
 
 const mongoose = require('mongoose');
+const cronParser = require('cron-parser');
 
 /**
  * @typedef {Object} ServiceStats
@@ -25,9 +26,19 @@ const mongoose = require('mongoose');
  * @property {string} service.environment - Environnement ('production', 'development')
  * @property {Object} metrics - Métriques en temps réel
  * @property {Object<string, QueueStats>} queues - Statistiques par queue
+ * @property {Object<string, CronSchedule>} schedule - Prochaines exécutions des rappels
+ * @property {Object} reminderPolicy - Cadence des rappels et rappels supprimés par raison
  * @property {Object} mongodb - État de la connexion MongoDB
  */
 
+/**
+ * @typedef {Object} CronSchedule
+ * @property {string} pattern - Pattern cron configuré
+ * @property {string|null} timezone - Fuseau horaire du cron (null = local)
+ * @property {Array<Date>} nextExecutions - Prochaines exécutions
+ * @property {string} [error] - Erreur si le pattern est invalide
+ */
+
 /**
  * @typedef {Object} QueueStats
  * @property {number} waiting - Nombre de jobs en attente
@@ -214,6 +225,8 @@ class Monitoring {
       },
       metrics: { ...this.metrics },
       queues: {},
+      schedule: this.getSchedule(),
+      reminderPolicy: this.service.reminderPolicy.getStats(),
       mongodb: {
         connected: this.service.mongoConnected,
         uri: this.config.mongo.uri ? '[CONFIGURED]' : null
@@ -240,6 +253,46 @@ class Monitoring {
     return stats;
   }
 
+  /**
+   * Calcule les prochaines exécutions des rappels Corporate et Coverage
+   * 
+   * @param {number} [count=3] - Nombre d'exécutions à calculer par cron
+   * @returns {Object<string, CronSchedule>} Planification par type de rappel
+   * 
+   * @example
+   * const schedule = monitoring.getSchedule(5);
+   * console.log(`Prochain rappel Corporate: ${schedule.corporate.nextExecutions[0]}`);
+   */
+  getSchedule(count = 3) {
+    const crons = {
+      corporate: this.config.corporateCron,
+      coverage: this.config.coverageCron
+    };
+    const schedule = {};
+
+    for (const [type, pattern] of Object.entries(crons)) {
+      schedule[type] = {
+        pattern,
+        timezone: this.config.timezone || null,
+        nextExecutions: []
+      };
+
+      try {
+        const interval = cronParser.parseExpression(pattern, {
+          currentDate: this.service.clock.date(),
+          tz: this.config.timezone || undefined
+        });
+        while (schedule[type].nextExecutions.length < count && interval.hasNext()) {
+          schedule[type].nextExecutions.push(interval.next().toDate());
+        }
+      } catch (error) {
+        schedule[type].error = `Pattern cron invalide: ${error.message}`;
+      }
+    }
+
+    return schedule;
+  }
+
   /**
    * Vérifie l'état de santé complet du service
    * 
@@ -858,6 +911,13 @@ class Monitoring {
             </div>
         </div>
 
+        <div class="card">
+            <h2>Planification</h2>
+            ${Object.entries(this.getSchedule()).map(([type, cron]) => `
+            <p><strong>${type === 'corporate' ? 'Corporate' : 'Coverage'}</strong> (<code>${cron.pattern}</code>${cron.timezone ? `, ${cron.timezone}` : ''}) :
+               ${cron.error ? `<span class="status-error">${cron.error}</span>` : cron.nextExecutions.map(date => date.toLocaleString('fr-FR', { timeZone: cron.timezone || undefined })).join(' · ')}</p>`).join('')}
+        </div>
+
         <div class="card">
             <h2>Environnement</h2>
             <p><strong>Mode:</strong> ${this.config.isProduction ? 'Production' : 'Développement'}</p>
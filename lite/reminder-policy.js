@@ -0,0 +1,417 @@
+/**
+ * @fileoverview Reminder Policy - Cadence des rappels de remboursements
+ *
+ * Module contenant :
+ * - Règles de cadence configurables (jalons avant échéance, relances en retard)
+ * - Délai minimum entre deux rappels d'un même remboursement
+ * - Registre persistant du dernier rappel envoyé (MongoDB, mémoire en secours)
+ * - Métriques des rappels autorisés et supprimés
+ *
+ * @author Flexmo Team
+ * @version 1.0.0
+ * @since 2025-01-29
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} ReminderCadence
+ * @property {Array<number>} [beforeDue=[10, 3, 1]] - Jalons avant échéance (en jours, ouvrés si service.datePolicy l'indique)
+ * @property {number} [overdueEvery=3] - Intervalle entre deux relances en retard (jours)
+ * @property {number} [maxOverdue=5] - Nombre maximum de relances en retard
+ * @property {number} [cooldownHours=20] - Délai minimum entre deux rappels (heures)
+ */
+
+/**
+ * @typedef {Object} ReminderState
+ * @property {string} reimbursementId - ID du remboursement
+ * @property {string} dueDate - Échéance au moment des rappels (ISO 8601)
+ * @property {Array<number>} beforeDueSent - Jalons avant échéance déjà envoyés
+ * @property {number} overdueCount - Nombre de relances en retard envoyées
+ * @property {Date|null} lastOverdueSentAt - Date de la dernière relance en retard
+ * @property {Date|null} lastSentAt - Date du dernier rappel envoyé
+ * @property {string|null} lastEmailType - Type du dernier email envoyé
+ * @property {string|null} lastStage - Étape du dernier rappel ('J-3', 'retard-2'...)
+ * @property {number} sentCount - Nombre total de rappels envoyés
+ */
+
+/**
+ * @typedef {Object} ReminderDecision
+ * @property {boolean} shouldSend - Indique si un rappel doit être envoyé
+ * @property {number} daysDiff - Différence en jours par rapport à l'échéance
+ * @property {string} [emailType] - Type d'email ('payment-reminder', 'payment-overdue')
+ * @property {string} [stage] - Étape de la cadence ('J-10', 'retard-1'...)
+ * @property {number} [milestone] - Jalon avant échéance concerné
+ * @property {number} [overdueIndex] - Numéro de la relance en retard
+ * @property {Object} [daysInfo] - Informations de jours pour le template
+ * @property {string} [code] - Code de suppression ('not-due', 'milestone-sent', 'cooldown', 'overdue-interval', 'max-overdue')
+ * @property {string} [reason] - Raison de la suppression
+ */
+
+/**
+ * ReminderPolicy - Politique de cadence des rappels
+ *
+ * Évite l'envoi quotidien de rappels : un email par jalon avant échéance
+ * (J-10, J-3, J-1 par défaut), puis une relance tous les N jours après
+ * l'échéance, dans la limite d'un nombre maximum de relances.
+ * Le dernier rappel envoyé est conservé en MongoDB lorsque le service
+ * y est connecté (collection reminder_states), en mémoire sinon.
+ *
+ * @class ReminderPolicy
+ */
+class ReminderPolicy {
+
+  /**
+   * Crée une instance de ReminderPolicy
+   *
+   * @param {Object} service - Instance du ReminderService principal
+   * @param {ReminderCadence} [cadence={}] - Cadence des rappels
+   * @throws {Error} Si la cadence est invalide
+   *
+   * @example
+   * const policy = new ReminderPolicy(service, { beforeDue: [7, 2], overdueEvery: 2, maxOverdue: 3 });
+   */
+  constructor(service, cadence = {}) {
+    /**
+     * Instance du service principal
+     * @type {Object}
+     * @private
+     */
+    this.service = service;
+
+    /**
+     * Cadence configurée
+     * @type {ReminderCadence}
+     * @private
+     */
+    this.cadence = {
+      beforeDue: [10, 3, 1],
+      overdueEvery: 3,
+      maxOverdue: 5,
+      cooldownHours: 20,
+      ...cadence
+    };
+
+    this.validateCadence();
+    this.cadence.beforeDue = [...this.cadence.beforeDue].sort((a, b) => b - a);
+
+    /**
+     * Registre en mémoire (secours sans MongoDB)
+     * @type {Map<string, ReminderState>}
+     * @private
+     */
+    this.memoryStates = new Map();
+
+    /**
+     * Modèle Mongoose du registre (créé à la première utilisation)
+     * @type {mongoose.Model|null}
+     * @private
+     */
+    this.model = null;
+
+    /**
+     * Métriques de la politique
+     * @type {Object}
+     * @private
+     */
+    this.metrics = {
+      evaluated: 0,
+      allowed: 0,
+      suppressed: 0,
+      bySuppressionReason: {
+        'not-due': 0,
+        'milestone-sent': 0,
+        cooldown: 0,
+        'overdue-interval': 0,
+        'max-overdue': 0
+      }
+    };
+  }
+
+  /**
+   * Vérifie la cohérence de la cadence
+   *
+   * @private
+   * @throws {Error} Si un paramètre est invalide
+   */
+  validateCadence() {
+    const { beforeDue, overdueEvery, maxOverdue, cooldownHours } = this.cadence;
+
+    if (!Array.isArray(beforeDue) || beforeDue.some(day => !Number.isInteger(day) || day < 1)) {
+      throw new Error('beforeDue doit être une liste de jours entiers >= 1 (ex: [10, 3, 1])');
+    }
+    if (!Number.isInteger(overdueEvery) || overdueEvery < 1) {
+      throw new Error('overdueEvery doit être un nombre entier de jours >= 1');
+    }
+    if (!Number.isInteger(maxOverdue) || maxOverdue < 0) {
+      throw new Error('maxOverdue doit être un entier >= 0');
+    }
+    if (typeof cooldownHours !== 'number' || cooldownHours < 0) {
+      throw new Error('cooldownHours doit être un nombre >= 0');
+    }
+  }
+
+  /**
+   * Détermine si un rappel doit être envoyé pour un remboursement
+   *
+   * @async
+   * @param {Object} reimbursement - Remboursement (id, dueDate)
+   * @param {Date} [currentDate=clock.date()] - Date de référence
+   * @returns {Promise<ReminderDecision>} Décision d'envoi
+   *
+   * @example
+   * const decision = await policy.evaluate(reimbursement);
+   * if (!decision.shouldSend) {
+   *   console.log(`Rappel ignoré : ${decision.reason}`);
+   * }
+   */
+  async evaluate(reimbursement, currentDate = this.service.clock.date()) {
+    const daysInfo = this.service.datePolicy.daysInfo(reimbursement.dueDate, currentDate);
+    const state = await this.getState(reimbursement);
+    const decision = this.decide(daysInfo, state, currentDate);
+
+    this.metrics.evaluated++;
+    if (decision.shouldSend) {
+      this.metrics.allowed++;
+    } else {
+      this.metrics.suppressed++;
+      this.metrics.bySuppressionReason[decision.code]++;
+    }
+
+    return decision;
+  }
+
+  /**
+   * Applique la cadence à partir du dernier état connu
+   *
+   * @private
+   * @param {Object} daysInfo - Jours restants selon la politique de dates ({ daysDiff, isOverdue, remainingDays | overdueDays })
+   * @param {ReminderState|null} state - Dernier état connu
+   * @param {Date} currentDate - Date de référence
+   * @returns {ReminderDecision} Décision d'envoi
+   */
+  decide(daysInfo, state, currentDate) {
+    const { daysDiff } = daysInfo;
+    const skip = (code, reason) => ({ shouldSend: false, code, reason, daysDiff });
+
+    if (daysDiff > 0) {
+      const milestone = this.cadence.beforeDue.filter(day => daysDiff <= day).pop();
+
+      if (milestone === undefined) {
+        return skip('not-due', `${daysDiff} jours restants, pas d'alerte nécessaire`);
+      }
+      if (state && state.beforeDueSent.includes(milestone)) {
+        return skip('milestone-sent', `Rappel J-${milestone} déjà envoyé`);
+      }
+
+      const cooldown = this.checkCooldown(state, currentDate);
+      if (cooldown) return skip('cooldown', cooldown);
+
+      return {
+        shouldSend: true,
+        emailType: 'payment-reminder',
+        stage: `J-${milestone}`,
+        milestone,
+        daysDiff,
+        daysInfo
+      };
+    }
+
+    const overdueCount = state ? state.overdueCount : 0;
+
+    if (overdueCount >= this.cadence.maxOverdue) {
+      return skip('max-overdue', `Nombre max de relances en retard atteint (${this.cadence.maxOverdue})`);
+    }
+
+    if (state && state.lastOverdueSentAt) {
+      const daysSince = this.service.datePolicy.daysBetween(state.lastOverdueSentAt, currentDate);
+      if (daysSince < this.cadence.overdueEvery) {
+        return skip('overdue-interval', `Prochaine relance dans ${this.cadence.overdueEvery - daysSince} jour(s)`);
+      }
+    }
+
+    const cooldown = this.checkCooldown(state, currentDate);
+    if (cooldown) return skip('cooldown', cooldown);
+
+    return {
+      shouldSend: true,
+      emailType: 'payment-overdue',
+      stage: `retard-${overdueCount + 1}`,
+      overdueIndex: overdueCount + 1,
+      daysDiff,
+      daysInfo
+    };
+  }
+
+  /**
+   * Vérifie le délai minimum depuis le dernier rappel
+   *
+   * @private
+   * @param {ReminderState|null} state - Dernier état connu
+   * @param {Date} currentDate - Date de référence
+   * @returns {string|null} Raison de suppression ou null
+   */
+  checkCooldown(state, currentDate) {
+    if (!state || !state.lastSentAt || !this.cadence.cooldownHours) return null;
+
+    const hoursSince = (currentDate.getTime() - new Date(state.lastSentAt).getTime()) / (1000 * 60 * 60);
+    return hoursSince < this.cadence.cooldownHours
+      ? `Dernier rappel envoyé il y a ${Math.floor(hoursSince)}h (délai minimum ${this.cadence.cooldownHours}h)`
+      : null;
+  }
+
+  /**
+   * Enregistre l'envoi d'un rappel (idempotent pour une même étape)
+   *
+   * Appelé par le handler send-reminder-email après un envoi réussi.
+   *
+   * @async
+   * @param {Object} reimbursement - Remboursement concerné
+   * @param {Object} policy - Étape envoyée ({ emailType, stage, milestone, overdueIndex })
+   * @param {Date} [sentAt=clock.date()] - Date d'envoi
+   * @returns {Promise<ReminderState>} Nouvel état
+   */
+  async recordSent(reimbursement, policy, sentAt = this.service.clock.date()) {
+    const state = (await this.getState(reimbursement)) || this.createState(reimbursement);
+
+    if (policy.milestone !== undefined && !state.beforeDueSent.includes(policy.milestone)) {
+      state.beforeDueSent.push(policy.milestone);
+    }
+
+    if (policy.overdueIndex !== undefined && policy.overdueIndex > state.overdueCount) {
+      state.overdueCount = policy.overdueIndex;
+      state.lastOverdueSentAt = sentAt;
+    }
+
+    state.lastSentAt = sentAt;
+    state.lastEmailType = policy.emailType;
+    state.lastStage = policy.stage;
+    state.sentCount = (state.sentCount || 0) + 1;
+
+    await this.saveState(state);
+    return state;
+  }
+
+  /**
+   * Récupère le dernier état d'un remboursement
+   *
+   * L'état est ignoré si l'échéance a changé depuis le dernier rappel
+   * (la cadence recommence alors depuis le début).
+   *
+   * @async
+   * @param {Object} reimbursement - Remboursement (id, dueDate)
+   * @returns {Promise<ReminderState|null>} État ou null
+   */
+  async getState(reimbursement) {
+    const reimbursementId = String(reimbursement.id);
+    let state;
+
+    if (this.service.mongoConnected) {
+      state = await this.getModel().findOne({ reimbursementId }).lean();
+    } else {
+      const memoryState = this.memoryStates.get(reimbursementId);
+      state = memoryState ? { ...memoryState, beforeDueSent: [...memoryState.beforeDueSent] } : null;
+    }
+
+    if (!state) return null;
+    return state.dueDate === new Date(reimbursement.dueDate).toISOString() ? state : null;
+  }
+
+  /**
+   * Persiste l'état d'un remboursement
+   *
+   * @async
+   * @private
+   * @param {ReminderState} state - État à sauvegarder
+   * @returns {Promise<void>}
+   */
+  async saveState(state) {
+    if (this.service.mongoConnected) {
+      await this.getModel().updateOne(
+        { reimbursementId: state.reimbursementId },
+        { $set: state },
+        { upsert: true }
+      );
+    } else {
+      this.memoryStates.set(state.reimbursementId, { ...state, beforeDueSent: [...state.beforeDueSent] });
+    }
+  }
+
+  /**
+   * Supprime l'état d'un remboursement (nouvelle cadence complète)
+   *
+   * @async
+   * @param {string} reimbursementId - ID du remboursement
+   * @returns {Promise<boolean>} true si un état a été supprimé
+   */
+  async reset(reimbursementId) {
+    if (this.service.mongoConnected) {
+      const { deletedCount } = await this.getModel().deleteOne({ reimbursementId: String(reimbursementId) });
+      return deletedCount > 0;
+    }
+    return this.memoryStates.delete(String(reimbursementId));
+  }
+
+  /**
+   * Crée un état vierge
+   *
+   * @private
+   * @param {Object} reimbursement - Remboursement concerné
+   * @returns {ReminderState} État initial
+   */
+  createState(reimbursement) {
+    return {
+      reimbursementId: String(reimbursement.id),
+      dueDate: new Date(reimbursement.dueDate).toISOString(),
+      beforeDueSent: [],
+      overdueCount: 0,
+      lastOverdueSentAt: null,
+      lastSentAt: null,
+      lastEmailType: null,
+      lastStage: null,
+      sentCount: 0
+    };
+  }
+
+  /**
+   * Modèle Mongoose du registre des rappels
+   *
+   * @private
+   * @returns {mongoose.Model} Modèle ReminderState
+   */
+  getModel() {
+    if (!this.model) {
+      this.model = mongoose.models.ReminderState || mongoose.model('ReminderState', new mongoose.Schema({
+        reimbursementId: { type: String, required: true, unique: true },
+        dueDate: String,
+        beforeDueSent: [Number],
+        overdueCount: Number,
+        lastOverdueSentAt: Date,
+        lastSentAt: Date,
+        lastEmailType: String,
+        lastStage: String,
+        sentCount: Number
+      }, { timestamps: true }), 'reminder_states');
+    }
+    return this.model;
+  }
+
+  /**
+   * Retourne la cadence et les métriques de la politique
+   *
+   * @returns {Object} Cadence, rappels évalués, autorisés et supprimés (par raison)
+   *
+   * @example
+   * const stats = policy.getStats();
+   * console.log(`${stats.suppressed} rappels évités sur ${stats.evaluated}`);
+   */
+  getStats() {
+    return {
+      cadence: { ...this.cadence },
+      ...this.metrics,
+      bySuppressionReason: { ...this.metrics.bySuppressionReason }
+    };
+  }
+}
+
+module.exports = ReminderPolicy;
@@ -1,9 +1,7 @@
 require('dotenv').config();
 const EmailService = require('./services/EmailService');
-const path = require('path');
-const fs = require('fs').promises;
 
-// Configuration du service email
+// Configuration du service email (EMAIL_TRANSPORT=json pour un essai sans envoi)
 const emailService = new EmailService({
     from: process.env.GMAIL_USER || 'yves.lionel.diomande@gmail.com',
     password: process.env.GMAIL_APP_PASSWORD, // À configurer dans .env
@@ -28,37 +26,20 @@ const mockDaysInfo = {
  */
 async function testBeforeDueReminder() {
     try {
-        // Lecture du template
-        const templatePath = path.join(__dirname, 'templates', 'reminder-before-due.ejs');
-        const template = await fs.readFile(templatePath, 'utf-8');
-
-        // Configuration de l'email
-        const emailOptions = {
-            to: 'yveslioneldiomande795@gmail.com',
-            subject: 'Test - Rappel de paiement',
-            html: template.replace(/<%=\s*([^%>]+)\s*%>/g, (match, p1) => {
-                if (p1.includes('reimbursement.')) {
-                    const prop = p1.split('.')[1].trim();
-                    return mockReimbursement[prop];
-                }
-                if (p1.includes('daysInfo.')) {
-                    const prop = p1.split('.')[1].trim();
-                    return mockDaysInfo[prop];
-                }
-                if (p1.includes('recipient.name')) {
-                    return 'Yves Lionel';
-                }
-                if (p1.includes('supportContact')) {
-                    return 'support@flexmo.com';
-                }
-                return '';
-            }),
-            text: `Rappel de paiement pour le remboursement ${mockReimbursement.id}`
+        // Rendu EJS complet (layout, partials, marque) et partie texte générée par le service
+        const templateData = {
+            recipient: { name: 'Yves Lionel' },
+            reimbursement: mockReimbursement,
+            daysInfo: mockDaysInfo,
+            supportContact: { email: 'support@flexmo.com' }
         };
 
         // Envoi de l'email
         console.log('📧 Envoi du mail de test...');
-        const result = await emailService.sendMail(emailOptions);
+        const result = await emailService.sendTemplated('reminder-before-due', templateData, {
+            to: 'yveslioneldiomande795@gmail.com',
+            subject: 'Test - Rappel de paiement'
+        });
         console.log('✅ Email envoyé avec succès:', result);
 
     } catch (error) {
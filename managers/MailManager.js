@@ -1,4 +1,10 @@
 const BullMQManager = require('../core/BullMQManager');
+const EmailServiceAdapter = require('../core/EmailServiceAdapter');
+const { createSuppressionList } = require('../core/suppression');
+const { createTemplateRegistry } = require('../core/templating');
+
+// Options BullMQ acceptées au premier niveau de sendEmail (hors données de l'email)
+const JOB_OPTION_KEYS = ['delay', 'jobId', 'attempts', 'backoff', 'removeOnComplete', 'removeOnFail'];
 
 /**
  * MailManager - Gestionnaire métier spécialisé pour les emails
@@ -18,8 +24,21 @@ class MailManager extends BullMQManager {
       ...config.emailConfig
     };
 
-    // Service email externe (à injecter)
-    this.emailService = config.emailService;
+    // Service email externe (à injecter), adapté au contrat EmailService
+    this.emailService = EmailServiceAdapter.wrap(config.emailService, {
+      renderTemplate: (templateName, data) => this.renderTemplate(templateName, data)
+    });
+
+    // Registre des templates partagé avec le service email (templates EJS) ; emailConfig.templates y sont déclarés
+    this.templates = createTemplateRegistry(config.templateRegistry || this.emailService?.templates || {});
+    Object.entries(this.emailConfig.templates).forEach(([name, template]) => this.templates.define(name, template));
+
+    // Liste de suppression (bounces définitifs, plaintes, désabonnements), alimentée par le suivi de délivrabilité
+    this.suppressionList = createSuppressionList(config.suppression);
+    const tracker = this.emailService?.tracker;
+    if (this.suppressionList && tracker && !tracker.suppression) {
+      tracker.useSuppressionList(this.suppressionList);
+    }
   }
 
   /**
@@ -33,19 +52,31 @@ class MailManager extends BullMQManager {
       defaultJobOptions: {
         ...this.config.defaultOptions,
         attempts: this.emailConfig.retryDelays.length,
-        backoff: {
-          type: 'custom',
-          delay: (attemptsMade) => {
-            return this.emailConfig.retryDelays[attemptsMade - 1] || 60000;
-          }
-        }
+        // Délais calculés par la stratégie du worker (une fonction n'est pas sérialisable dans le job)
+        backoff: { type: 'custom' }
+      }
+    });
+
+    // Validation des données d'email à l'ajout et au traitement
+    this.registerSchema(this.emailConfig.defaultQueue, 'send-email', MailManager.createSendEmailSchema());
+
+    // Journalisation des erreurs commune à tous les handlers email
+    this.use(this.emailConfig.defaultQueue, async (ctx, next) => {
+      try {
+        await next();
+      } catch (error) {
+        this.logError(`❌ Erreur job email "${ctx.jobName}" (ID: ${ctx.job.id}):`, error);
+        throw error;
       }
     });
 
     // Configuration des handlers par défaut
     const emailHandlers = this.createEmailHandlers();
     this.startWorker(this.emailConfig.defaultQueue, emailHandlers, { 
-      concurrency: this.emailConfig.concurrency || 3 
+      concurrency: this.emailConfig.concurrency || 3,
+      settings: {
+        backoffStrategy: (attemptsMade) => this.emailConfig.retryDelays[attemptsMade - 1] || 60000
+      }
     });
 
     this.log('✅ MailManager initialisé avec la queue emails');
@@ -55,15 +86,16 @@ class MailManager extends BullMQManager {
    * Envoie un email simple
    */
   async sendEmail(to, subject, content, options = {}) {
+    const { emailFields, jobOptions } = MailManager.splitEmailOptions(options);
     const emailData = {
       to: Array.isArray(to) ? to : [to],
       subject,
       content,
-      template: options.template,
-      templateData: options.templateData,
-      attachments: options.attachments,
-      priority: options.priority || 'normal',
-      ...options
+      template: emailFields.template,
+      templateData: emailFields.templateData,
+      attachments: emailFields.attachments,
+      priority: emailFields.priority || 'normal',
+      ...emailFields
     };
 
     return this.addJob(
@@ -71,9 +103,9 @@ class MailManager extends BullMQManager {
       'send-email',
       emailData,
       {
-        priority: this.getPriorityValue(options.priority),
-        delay: options.delay || 0,
-        ...options.jobOptions
+        priority: this.getPriorityValue(emailFields.priority),
+        delay: 0,
+        ...jobOptions
       }
     );
   }
@@ -164,6 +196,8 @@ class MailManager extends BullMQManager {
    * Planifie un email récurrent
    */
   async scheduleRecurringEmail(to, subject, content, cronPattern, options = {}) {
+    const { emailFields, jobOptions } = MailManager.splitEmailOptions(options);
+
     return this.scheduleJob(
       this.emailConfig.defaultQueue,
       'send-email',
@@ -171,12 +205,12 @@ class MailManager extends BullMQManager {
         to: Array.isArray(to) ? to : [to],
         subject,
         content,
-        ...options
+        ...emailFields
       },
       cronPattern,
       {
         jobId: `recurring-email-${Date.now()}`,
-        ...options.jobOptions
+        ...jobOptions
       }
     );
   }
@@ -187,60 +221,68 @@ class MailManager extends BullMQManager {
   createEmailHandlers() {
     return {
       'send-email': async (data, job) => {
-        this.log(`📧 Envoi email à ${data.to.join(', ')}: ${data.subject}`);
+        this.log(`📧 Envoi email à ${[].concat(data.to).map(to => to?.address || to).join(', ')}: ${data.subject}`);
         
-        try {
-          await job.updateProgress(10);
+        // Données validées par le schéma send-email (middleware de validation)
+        const { allowed, suppressed } = await this.filterSuppressed(data.to, data);
+        if (allowed.length === 0) {
+          this.log(`⏭️  Email "${data.subject}" non envoyé : tous les destinataires sont sur la liste de suppression`);
+          return { success: true, skipped: true, reason: 'suppressed', recipients: [], suppressed, subject: data.subject };
+        }
 
-          // Validation des données
-          if (!data.to || data.to.length === 0) {
-            throw new Error('Destinataire requis');
-          }
-          if (!data.subject) {
-            throw new Error('Sujet requis');
-          }
+        await job.updateProgress(30);
 
-          await job.updateProgress(30);
+        // Lien et en-têtes de désabonnement (un seul destinataire, hors envoi transactionnel)
+        const unsubscribe = this.getUnsubscribeInfo(allowed, data);
 
-          // Préparation du contenu
-          let emailContent = data.content;
-          if (data.template && this.emailConfig.templates[data.template]) {
-            emailContent = await this.renderTemplate(data.template, data.templateData);
-          }
-
-          await job.updateProgress(60);
+        // Préparation du contenu (version du template enregistrée avec l'email)
+        let emailContent = data.content;
+        let rendered = null;
+        if (data.template && await this.templates.has(data.template)) {
+          rendered = await this.templates.render(data.template, { ...data.templateData, ...unsubscribe.templateData });
+        }
 
-          // Envoi via le service email
-          if (!this.emailService) {
-            throw new Error('Service email non configuré');
-          }
+        await job.updateProgress(60);
 
-          const result = await this.emailService.sendEmail({
-            to: data.to,
-            subject: data.subject,
-            content: emailContent,
-            attachments: data.attachments,
-            priority: data.priority
-          });
+        // Envoi via le service email
+        if (!this.emailService) {
+          throw new Error('Service email non configuré');
+        }
 
-          await job.updateProgress(100);
+        const result = await this.emailService.sendEmail({
+          to: allowed,
+          subject: data.subject,
+          content: rendered ? rendered.html ?? rendered.text : emailContent,
+          html: rendered?.html,
+          text: rendered?.text,
+          attachments: data.attachments,
+          priority: data.priority,
+          headers: unsubscribe.headers,
+          context: {
+            jobId: job.id,
+            queueName: job.queueName,
+            ...(rendered && {
+              template: data.template,
+              templateVersion: { name: rendered.name, version: rendered.version, checksum: rendered.checksum }
+            })
+          }
+        });
 
-          const finalResult = {
-            success: true,
-            messageId: result.messageId,
-            recipients: data.to,
-            subject: data.subject,
-            sentAt: new Date(),
-            emailService: result
-          };
+        await job.updateProgress(100);
 
-          this.log(`✅ Email envoyé avec succès (ID: ${result.messageId})`);
-          return finalResult;
+        const finalResult = {
+          success: true,
+          messageId: result.messageId,
+          recipients: allowed,
+          suppressed,
+          subject: data.subject,
+          template: rendered ? { name: rendered.name, version: rendered.version } : undefined,
+          sentAt: new Date(),
+          emailService: result
+        };
 
-        } catch (error) {
-          this.logError(`❌ Erreur envoi email:`, error);
-          throw error;
-        }
+        this.log(`✅ Email envoyé avec succès (ID: ${result.messageId})`);
+        return finalResult;
       },
 
       'send-welcome': async (data, job) => {
@@ -358,9 +400,28 @@ class MailManager extends BullMQManager {
 
       'send-personalized-email': async (data, job) => {
         this.log(`📧 Envoi email personnalisé à ${data.recipient.email}`);
-        
-        // Simulation de personnalisation
-        const personalizedContent = data.template.replace('{{name}}', data.recipient.name || 'Cher client');
+
+        const { suppressed } = await this.filterSuppressed([data.recipient.email], data);
+        if (suppressed.length > 0) {
+          return {
+            success: true,
+            skipped: true,
+            reason: 'suppressed',
+            suppressionReason: suppressed[0].reason,
+            recipient: data.recipient.email,
+            campaignId: data.campaignId
+          };
+        }
+
+        const unsubscribe = this.getUnsubscribeInfo([data.recipient.email], data);
+
+        // Personnalisation (syntaxe Handlebars, partials du registre)
+        const rendered = await this.templates.renderContent(data.template, {
+          recipient: data.recipient,
+          name: data.recipient.name || 'Cher client',
+          unsubscribeUrl: unsubscribe.templateData.unsubscribeUrl || ''
+        }, { name: `campagne ${data.campaignId}` });
+        const personalizedContent = rendered.html ?? rendered.text;
         
         await new Promise(resolve => setTimeout(resolve, 600));
         
@@ -368,7 +429,8 @@ class MailManager extends BullMQManager {
           success: true,
           recipient: data.recipient.email,
           campaignId: data.campaignId,
-          personalizedContent
+          personalizedContent,
+          headers: unsubscribe.headers
         };
       },
 
@@ -387,25 +449,120 @@ class MailManager extends BullMQManager {
   }
 
   /**
-   * Rend un template d'email
+   * Rend un template d'email du registre (HTML, sinon texte)
+   * Syntaxe Handlebars : {{recipient.name}} échappé, {{#if}}, {{#each}}, {{> partial}}, layout ; mode strict par défaut
    */
   async renderTemplate(templateName, data) {
-    const template = this.emailConfig.templates[templateName];
-    if (!template) {
-      throw new Error(`Template "${templateName}" non trouvé`);
+    const rendered = await this.templates.render(templateName, data || {});
+    return rendered.html ?? rendered.text;
+  }
+
+  /**
+   * Templates disponibles avec leur version courante et leurs variables requises
+   */
+  async listTemplates() {
+    return this.templates.list();
+  }
+
+  /**
+   * Aperçu d'un template avec des données d'exemple ({ html, text, subject, missingVariables, report })
+   */
+  async previewTemplate(templateName, data = {}, options = {}) {
+    return this.templates.preview(templateName, data, options);
+  }
+
+  /**
+   * Historique des versions d'un template, la plus récente d'abord
+   */
+  async getTemplateVersions(templateName) {
+    return this.templates.history(templateName);
+  }
+
+  /**
+   * Ajoute ou modifie un template inline ({{variable}}) ; nouvelle version si le contenu change
+   */
+  async registerTemplate(templateName, template) {
+    const record = await this.templates.register(templateName, template);
+    this.log(`📝 Template "${templateName}" enregistré (version ${record.version})`);
+    return record;
+  }
+
+  /**
+   * Filtre les destinataires par la liste de suppression (sauf bypassSuppression : envoi transactionnel)
+   */
+  async filterSuppressed(recipients, data = {}) {
+    if (!this.suppressionList || data.bypassSuppression) {
+      return { allowed: recipients, suppressed: [] };
     }
 
-    // Rendu simple de template (à remplacer par un vrai moteur de template)
-    let content = template.content || template;
-    
-    if (data) {
-      Object.keys(data).forEach(key => {
-        const regex = new RegExp(`{{${key}}}`, 'g');
-        content = content.replace(regex, data[key]);
-      });
+    const result = await this.suppressionList.filter(recipients);
+    result.suppressed.forEach(({ email, reason }) => {
+      this.log(`🚫 ${email} ignoré (liste de suppression : ${reason})`);
+    });
+    return result;
+  }
+
+  /**
+   * Lien de désabonnement (templateData.unsubscribeUrl) et en-têtes List-Unsubscribe
+   * pour un envoi à un seul destinataire, hors envoi transactionnel
+   */
+  getUnsubscribeInfo(recipients, data = {}) {
+    if (!this.suppressionList || data.bypassSuppression || recipients.length !== 1) {
+      return { templateData: {}, headers: undefined };
     }
 
-    return content;
+    const unsubscribeUrl = this.suppressionList.unsubscribeUrl(recipients[0]);
+    const headers = this.suppressionList.listUnsubscribeHeaders(recipients[0]);
+
+    return {
+      templateData: unsubscribeUrl ? { unsubscribeUrl } : {},
+      headers: Object.keys(headers).length > 0 ? headers : undefined
+    };
+  }
+
+  /**
+   * Ajoute une adresse à la liste de suppression ('manual' par défaut)
+   */
+  async suppressEmail(email, reason = 'manual', meta = {}) {
+    return this.requireSuppressionList().add(email, reason, { source: 'api', ...meta });
+  }
+
+  /**
+   * Retire une adresse de la liste de suppression
+   */
+  async unsuppressEmail(email) {
+    return this.requireSuppressionList().remove(email);
+  }
+
+  /**
+   * Indique si une adresse est sur la liste de suppression
+   */
+  async isEmailSuppressed(email) {
+    return this.suppressionList ? this.suppressionList.isSuppressed(email) : false;
+  }
+
+  /**
+   * Entrées de la liste de suppression ({ reason, source })
+   */
+  async getSuppressionList(filter = {}) {
+    return this.suppressionList ? this.suppressionList.list(filter) : [];
+  }
+
+  /**
+   * Lien de désabonnement signé d'une adresse
+   */
+  getUnsubscribeUrl(email) {
+    return this.requireSuppressionList().unsubscribeUrl(email);
+  }
+
+  /**
+   * @private
+   */
+  requireSuppressionList() {
+    if (!this.suppressionList) {
+      throw new Error('Liste de suppression non configurée (config.suppression)');
+    }
+    return this.suppressionList;
   }
 
   /**
@@ -421,6 +578,58 @@ class MailManager extends BullMQManager {
     return priorities[priority] || 5;
   }
 
+  /**
+   * Sépare les options du job BullMQ (delay, jobId, attempts...) des champs de l'email :
+   * seuls les seconds font partie des données validées par le schéma
+   */
+  static splitEmailOptions(options = {}) {
+    const { jobOptions, ...emailFields } = options;
+    const queueOptions = {};
+
+    for (const key of JOB_OPTION_KEYS) {
+      if (emailFields[key] !== undefined) {
+        queueOptions[key] = emailFields[key];
+      }
+      delete emailFields[key];
+    }
+
+    return { emailFields, jobOptions: { ...queueOptions, ...jobOptions } };
+  }
+
+  /**
+   * Schéma des données du job send-email (contenu brut ou template requis)
+   */
+  static createSendEmailSchema() {
+    return {
+      type: 'object',
+      required: ['to', 'subject'],
+      properties: {
+        to: {
+          type: 'array',
+          minItems: 1,
+          // 'a@x.co', '"Nom" <a@x.co>', liste 'a@x.co, b@y.co' ou { name, address }
+          items: {
+            anyOf: [
+              { type: 'string', format: 'address' },
+              { type: 'object', required: ['address'], properties: { address: { type: 'string', format: 'email' } } }
+            ]
+          }
+        },
+        subject: { type: 'string', minLength: 1 },
+        content: { type: ['string', 'null'] },
+        template: { type: ['string', 'null'] },
+        templateData: { type: ['object', 'null'] },
+        attachments: { type: ['array', 'null'] },
+        priority: { enum: ['low', 'normal', 'high', 'urgent'] },
+        bypassSuppression: { type: 'boolean' }
+      },
+      anyOf: [
+        { required: ['content'], properties: { content: { type: 'string', minLength: 1 } } },
+        { required: ['template'], properties: { template: { type: 'string', minLength: 1 } } }
+      ]
+    };
+  }
+
   /**
    * Récupère les statistiques spécifiques aux emails
    */
@@ -431,7 +640,7 @@ class MailManager extends BullMQManager {
       ...baseStats,
       emailQueue: this.emailConfig.defaultQueue,
       retryDelaysCount: this.emailConfig.retryDelays.length,
-      templatesCount: Object.keys(this.emailConfig.templates).length,
+      templatesCount: (await this.templates.list()).length,
       hasEmailService: !!this.emailService
     };
   }
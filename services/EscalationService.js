@@ -0,0 +1,388 @@
+const { DatePolicy } = require('../core/datePolicy');
+
+/**
+ * Historique d'escalade en mémoire (développement, tests)
+ */
+class MemoryEscalationHistoryStore {
+    constructor() {
+        this.entries = [];
+    }
+
+    async add(entry) {
+        this.entries.push({ ...entry });
+    }
+
+    async list(reimbursementId) {
+        return this.entries
+            .filter(entry => !reimbursementId || entry.reimbursementId === reimbursementId)
+            .map(entry => ({ ...entry }));
+    }
+
+    async last(reimbursementId) {
+        const entries = await this.list(reimbursementId);
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+}
+
+/**
+ * Historique d'escalade MongoDB (collection escalation_logs)
+ */
+class MongoEscalationHistoryStore {
+    constructor(config = {}) {
+        this.mongoUri = config.mongo?.uri || null;
+        this.model = config.model || null;
+        this.connected = false;
+    }
+
+    async getModel() {
+        if (!this.model) {
+            this.model = require('../utils/models/EscalationLog');
+        }
+
+        if (!this.connected) {
+            const mongoose = require('mongoose');
+            if (mongoose.connection.readyState !== 1) {
+                if (!this.mongoUri) {
+                    throw new Error('URI MongoDB requise pour l\'historique d\'escalade');
+                }
+                await mongoose.connect(this.mongoUri);
+            }
+            this.connected = true;
+        }
+
+        return this.model;
+    }
+
+    async add(entry) {
+        const Model = await this.getModel();
+        await Model.create(entry);
+    }
+
+    async list(reimbursementId) {
+        const Model = await this.getModel();
+        return Model.find(reimbursementId ? { reimbursementId } : {}).sort({ escalatedAt: 1 }).lean();
+    }
+
+    async last(reimbursementId) {
+        const Model = await this.getModel();
+        return Model.findOne({ reimbursementId }).sort({ escalatedAt: -1 }).lean();
+    }
+}
+
+/**
+ * Service d'escalade des remboursements
+ * Sélectionne un niveau d'escalade selon l'ancienneté du retard et le niveau d'urgence
+ * (owner avant échéance, chef de département en retard, direction financière si critique),
+ * résout les destinataires du niveau et conserve l'historique des escalades pour audit.
+ */
+class EscalationService {
+    /**
+     * @param {Object} config - Configuration
+     * @param {Object} config.managerService - Service des managers (owner, chefs de département, direction)
+     * @param {Array<Object>} [config.levels] - Niveaux d'escalade (voir createDefaultLevels)
+     * @param {Object<string, Function>} [config.resolvers] - Résolveurs de destinataires additionnels
+     * @param {string|Object} [config.store='memory'] - 'memory', 'mongo' ou objet { add, list, last }
+     * @param {Object} [config.clock] - Horloge (now() et date())
+     * @param {DatePolicy} [config.datePolicy] - Décompte des jours (calendaires par défaut, voir core/datePolicy)
+     */
+    constructor(config = {}) {
+        this.config = {
+            isProduction: config.isProduction || process.env.NODE_ENV === 'production',
+            loggerService: config.loggerService,
+            store: 'memory',
+            ...config
+        };
+
+        this.managerService = config.managerService;
+        this.clock = config.clock || { now: () => Date.now(), date: () => new Date() };
+        this.datePolicy = config.datePolicy || new DatePolicy();
+
+        this.levels = (config.levels || EscalationService.createDefaultLevels())
+            .slice()
+            .sort((a, b) => b.level - a.level);
+
+        this.resolvers = {
+            owner: (reimbursement) => this.resolveOwner(reimbursement),
+            'department-head': (reimbursement, context) => this.resolveDepartmentHead(reimbursement, context),
+            'finance-leadership': (reimbursement, context) => this.resolveFinanceLeadership(reimbursement, context),
+            'oldest-managers': (reimbursement, context) => this.managerService.getOldestManagers(context.type, 3),
+            ...config.resolvers
+        };
+
+        this.validateLevels();
+        this.store = this.createStore(this.config.store);
+    }
+
+    /**
+     * Niveaux par défaut : owner avant échéance, chef de département en retard,
+     * direction financière au-delà de 7 jours de retard (critique)
+     * @returns {Array<Object>} Niveaux d'escalade
+     */
+    static createDefaultLevels() {
+        return [
+            {
+                level: 1,
+                name: 'owner',
+                label: 'Responsable du remboursement',
+                urgency: ['future', 'normal', 'warning', 'urgent'],
+                overdue: false,
+                template: 'reminder-before-due',
+                recipients: ['owner']
+            },
+            {
+                level: 2,
+                name: 'department-head',
+                label: 'Chef de département',
+                urgency: ['urgent'],
+                overdue: true,
+                template: 'reminder-overdue',
+                recipients: ['owner', 'department-head']
+            },
+            {
+                level: 3,
+                name: 'finance-leadership',
+                label: 'Direction financière',
+                urgency: ['critical'],
+                template: 'reminder-critical',
+                subjectKey: 'reminder-critical',
+                recipients: ['owner', 'department-head', 'finance-leadership']
+            }
+        ];
+    }
+
+    /**
+     * Niveau d'urgence selon l'écart à l'échéance (mêmes seuils que le monitoring)
+     * @param {number} daysDiff - Différence en jours (négatif si en retard)
+     * @returns {string} 'critical', 'urgent', 'warning', 'normal' ou 'future'
+     */
+    static calculateUrgencyLevel(daysDiff) {
+        if (daysDiff < -7) return 'critical';
+        if (daysDiff <= 2) return 'urgent';
+        if (daysDiff <= 10) return 'warning';
+        if (daysDiff <= 30) return 'normal';
+        return 'future';
+    }
+
+    /**
+     * Vérifie la configuration des niveaux
+     * @private
+     */
+    validateLevels() {
+        const errors = [];
+
+        this.levels.forEach((level, index) => {
+            const label = level.name || `#${index}`;
+            if (!Number.isInteger(level.level)) errors.push(`${label}: "level" entier requis`);
+            if (!level.name) errors.push(`${label}: "name" requis`);
+            if (!level.template) errors.push(`${label}: "template" requis`);
+            if (!Array.isArray(level.recipients) || level.recipients.length === 0) {
+                errors.push(`${label}: au moins un résolveur de destinataires requis`);
+            } else {
+                level.recipients
+                    .filter(resolver => typeof resolver !== 'function' && !this.resolvers[resolver])
+                    .forEach(resolver => errors.push(`${label}: résolveur "${resolver}" inconnu`));
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Niveaux d'escalade invalides : ${errors.join('; ')}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    createStore(store) {
+        if (store && typeof store === 'object') {
+            return store;
+        }
+
+        switch (store) {
+            case 'memory':
+                return new MemoryEscalationHistoryStore();
+            case 'mongo':
+                return new MongoEscalationHistoryStore({ mongo: this.config.mongo });
+            default:
+                throw new Error(`Historique d'escalade "${store}" inconnu (valeurs possibles : memory, mongo)`);
+        }
+    }
+
+    /**
+     * Détermine le niveau d'escalade applicable à un remboursement
+     * @param {Object} reimbursement - Remboursement (dueDate)
+     * @param {Date} [currentDate] - Date de référence
+     * @returns {Object|null} Niveau { level, name, label, template, urgency, daysDiff } ou null
+     */
+    getLevel(reimbursement, currentDate = this.clock.date()) {
+        const daysDiff = this.datePolicy.daysUntil(reimbursement.dueDate, currentDate);
+        const urgency = EscalationService.calculateUrgencyLevel(daysDiff);
+        const isOverdue = daysDiff <= 0;
+
+        const match = this.levels.find(level =>
+            (!level.urgency || level.urgency.includes(urgency)) &&
+            (level.overdue === undefined || level.overdue === isOverdue) &&
+            (level.minOverdueDays === undefined || -daysDiff >= level.minOverdueDays)
+        );
+
+        if (!match) return null;
+
+        return {
+            level: match.level,
+            name: match.name,
+            label: match.label || match.name,
+            template: match.template,
+            urgency,
+            daysDiff
+        };
+    }
+
+    /**
+     * Résout les destinataires d'un niveau (dédoublonnés par email)
+     * @param {Object} escalation - Niveau retourné par getLevel
+     * @param {Object} reimbursement - Remboursement concerné
+     * @param {Object} [context] - { type: 'corporate' | 'coverage' }
+     * @returns {Promise<Array>} Destinataires
+     */
+    async resolveRecipients(escalation, reimbursement, context = {}) {
+        const level = this.getLevelDefinition(escalation.name);
+        const recipients = [];
+
+        for (const resolver of level.recipients) {
+            const resolve = typeof resolver === 'function' ? resolver : this.resolvers[resolver];
+            const resolved = await resolve(reimbursement, { ...context, escalation });
+            recipients.push(...[].concat(resolved || []));
+        }
+
+        return recipients
+            .filter(Boolean)
+            .filter((recipient, index, self) => index === self.findIndex(r => r.email === recipient.email));
+    }
+
+    /**
+     * Sujet de l'email propre au niveau, non traduit (null : sujet par défaut du type d'email)
+     * @param {Object} escalation - Niveau retourné par getLevel
+     * @param {Object} daysInfo - Informations de jours
+     * @returns {string|null}
+     */
+    getSubject(escalation, daysInfo) {
+        const level = this.getLevelDefinition(escalation.name);
+        if (!level.subject) return null;
+        return typeof level.subject === 'function' ? level.subject(daysInfo) : level.subject;
+    }
+
+    /**
+     * Clé du catalogue de sujets traduits propre au niveau (core/i18n), null sinon
+     * @param {Object} escalation - Niveau retourné par getLevel
+     * @returns {string|null}
+     */
+    getSubjectKey(escalation) {
+        return this.getLevelDefinition(escalation.name).subjectKey || null;
+    }
+
+    /**
+     * @private
+     */
+    getLevelDefinition(name) {
+        const level = this.levels.find(candidate => candidate.name === name);
+        if (!level) {
+            throw new Error(`Niveau d'escalade "${name}" inconnu`);
+        }
+        return level;
+    }
+
+    /**
+     * Enregistre un envoi dans l'historique d'escalade (audit)
+     * @param {Object} reimbursement - Remboursement concerné
+     * @param {Object} escalation - Niveau utilisé
+     * @param {Object} details - { emailType, recipients, queueName, jobId }
+     * @returns {Promise<Object>} Entrée d'historique
+     */
+    async recordEscalation(reimbursement, escalation, details = {}) {
+        const previous = await this.store.last(String(reimbursement.id));
+
+        const entry = {
+            reimbursementId: String(reimbursement.id),
+            level: escalation.level,
+            name: escalation.name,
+            previousLevel: previous ? previous.level : null,
+            escalated: !previous || escalation.level > previous.level,
+            urgency: escalation.urgency,
+            daysDiff: escalation.daysDiff,
+            template: escalation.template,
+            emailType: details.emailType || null,
+            recipients: (details.recipients || []).map(recipient => recipient.email),
+            queueName: details.queueName || null,
+            jobId: details.jobId ? String(details.jobId) : null,
+            escalatedAt: this.clock.date()
+        };
+
+        await this.store.add(entry);
+
+        if (previous && escalation.level > previous.level) {
+            this.log(`⬆️  Remboursement ${entry.reimbursementId} escaladé : niveau ${previous.level} → ${escalation.level} (${escalation.name})`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Historique d'escalade d'un remboursement (ou de tous)
+     * @param {string} [reimbursementId] - ID du remboursement
+     * @returns {Promise<Array>} Entrées triées chronologiquement
+     */
+    async getHistory(reimbursementId = null) {
+        return this.store.list(reimbursementId ? String(reimbursementId) : null);
+    }
+
+    /**
+     * Owner du remboursement
+     * @private
+     */
+    async resolveOwner(reimbursement) {
+        return this.managerService.getReimbursementOwner(reimbursement.id);
+    }
+
+    /**
+     * Chef du département de l'owner (repli : manager le plus ancien)
+     * @private
+     */
+    async resolveDepartmentHead(reimbursement, context) {
+        const owner = await this.resolveOwner(reimbursement).catch(() => null);
+        const department = owner?.department || reimbursement.department;
+
+        if (typeof this.managerService.getDepartmentHead === 'function' && department) {
+            return this.managerService.getDepartmentHead(department);
+        }
+
+        return this.managerService.getOldestManagers(context.type, 1);
+    }
+
+    /**
+     * Direction financière (repli : les 3 managers les plus anciens)
+     * @private
+     */
+    async resolveFinanceLeadership(reimbursement, context) {
+        if (typeof this.managerService.getFinanceLeadership === 'function') {
+            return this.managerService.getFinanceLeadership();
+        }
+
+        return this.managerService.getOldestManagers(context.type, 3);
+    }
+
+    /**
+     * Logger intelligent selon l'environnement
+     * @param {string} message - Message à logger
+     * @param {*} data - Données additionnelles
+     */
+    log(message, data = null) {
+        if (!this.config.isProduction) {
+            console.log(message, data || '');
+        } else if (this.config.loggerService) {
+            this.config.loggerService.info(message, data);
+        }
+    }
+}
+
+module.exports = EscalationService;
+module.exports.MemoryEscalationHistoryStore = MemoryEscalationHistoryStore;
+module.exports.MongoEscalationHistoryStore = MongoEscalationHistoryStore;
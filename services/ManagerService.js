@@ -1,6 +1,8 @@
 /**
  * Service de gestion des managers
  * Fournit les fonctionnalités pour gérer les managers et leurs relations avec les remboursements
+ * La locale d'un manager (locale, ex: 'en-GB') fixe la langue de ses emails ; sans locale,
+ * celle de l'entreprise cliente du remboursement s'applique (voir core/i18n)
  */
 class ManagerService {
     constructor(config = {}) {
@@ -18,6 +20,7 @@ class ManagerService {
                 role: 'Senior Manager',
                 department: 'Finance',
                 joinDate: '2020-01-15',
+                locale: 'fr-CI',
                 isActive: true
             },
             {
@@ -27,6 +30,7 @@ class ManagerService {
                 role: 'Department Head',
                 department: 'Operations',
                 joinDate: '2020-03-20',
+                locale: 'fr-CI',
                 isActive: true
             },
             {
@@ -36,10 +40,42 @@ class ManagerService {
                 role: 'Team Lead',
                 department: 'IT',
                 joinDate: '2020-06-10',
+                locale: 'fr-CI',
                 isActive: true
             }
         ];
 
+        // Mock de la hiérarchie (niveaux d'escalade)
+        this.mockLeadership = [
+            {
+                id: 'MGR-010',
+                name: 'Yao Christelle',
+                email: 'christelle.y@company.com',
+                role: 'Department Head',
+                department: 'Finance',
+                joinDate: '2018-09-01',
+                locale: 'fr-CI',
+                isActive: true
+            },
+            {
+                id: 'MGR-020',
+                name: 'N\'Guessan Paul',
+                email: 'paul.n@company.com',
+                role: 'Chief Financial Officer',
+                department: 'Finance',
+                joinDate: '2017-02-01',
+                locale: 'fr-CI',
+                isActive: true,
+                isFinanceLeadership: true
+            }
+        ];
+
+        // Mock des managers responsables par couverture santé (synthèse Coverage)
+        this.mockHealthCoverageManagers = {
+            'HC-001': ['MGR-002', 'MGR-010'],
+            'HC-002': ['MGR-001']
+        };
+
         // Mock des relations remboursement-owner
         this.mockReimbursementOwners = {
             'RBT-2024-001': {
@@ -108,6 +144,24 @@ class ManagerService {
         }
     }
 
+    /**
+     * Récupère les managers responsables d'une couverture santé (destinataires de sa synthèse)
+     * @param {string} healthCoverageId - ID de la couverture santé
+     * @returns {Promise<Array>} Managers actifs responsables (vide si aucun n'est désigné)
+     */
+    async getHealthCoverageManagers(healthCoverageId) {
+        this.log(`🔍 Recherche des responsables de la couverture santé: ${healthCoverageId}`);
+
+        try {
+            const managerIds = this.mockHealthCoverageManagers[healthCoverageId] || [];
+            return [...this.mockManagers, ...this.mockLeadership]
+                .filter(m => managerIds.includes(m.id) && m.isActive);
+        } catch (error) {
+            this.logError(`❌ Erreur récupération responsables couverture ${healthCoverageId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Récupère un manager par son ID
      * @param {string} id - ID du manager
@@ -144,6 +198,38 @@ class ManagerService {
         }
     }
 
+    /**
+     * Récupère le chef d'un département (niveau 2 d'escalade)
+     * @param {string} department - Département
+     * @returns {Promise<Object|null>} Chef de département ou null
+     */
+    async getDepartmentHead(department) {
+        this.log(`🔍 Recherche chef du département: ${department}`);
+
+        try {
+            return [...this.mockManagers, ...this.mockLeadership]
+                .find(m => m.department === department && m.role === 'Department Head' && m.isActive) || null;
+        } catch (error) {
+            this.logError(`❌ Erreur récupération chef département ${department}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Récupère la direction financière (niveau 3 d'escalade)
+     * @returns {Promise<Array>} Membres de la direction financière
+     */
+    async getFinanceLeadership() {
+        this.log('📊 Récupération de la direction financière');
+
+        try {
+            return this.mockLeadership.filter(m => m.isFinanceLeadership && m.isActive);
+        } catch (error) {
+            this.logError('❌ Erreur récupération direction financière:', error);
+            throw error;
+        }
+    }
+
     /**
      * Logger intelligent selon l'environnement
      * @param {string} message - Message à logger
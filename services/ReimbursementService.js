@@ -38,7 +38,8 @@ class ReimbursementService {
                 company: {
                     name: 'Digital Services CI',
                     registrationNumber: 'CI-ABJ-2023-B-54321',
-                    address: 'Plateau, Abidjan'
+                    address: 'Plateau, Abidjan',
+                    locale: 'en-GB'
                 },
                 employee: {
                     name: 'Aka Sarah',
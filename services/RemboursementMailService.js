@@ -1,5 +1,17 @@
 const MailManager = require('../managers/MailManager');
 const JobLogger = require('../utils/JobLogger');
+const { SystemClock } = require('../core/Clock');
+const CronUtils = require('../core/CronUtils');
+const IdempotencyManager = require('../core/IdempotencyManager');
+const EmailServiceAdapter = require('../core/EmailServiceAdapter');
+const ReminderPolicyService = require('./ReminderPolicyService');
+const EscalationService = require('./EscalationService');
+const { DEFAULT_LOCALE, translateSubject, recipientLocale } = require('../core/i18n');
+const { createStatementGenerator } = require('../core/statements');
+const { resolveCalendarOptions, calendarAttachment } = require('../core/calendar');
+const { resolveDigestOptions, setPreference, summarizeDigest, DigestCollector } = require('../core/digest');
+const { buildCoverageSummary } = require('../core/coverageSummary');
+const { createDatePolicy } = require('../core/datePolicy');
 
 /**
  * RemboursementMailService - Service spécialisé pour les rappels de remboursements
@@ -24,13 +36,15 @@ class RemboursementMailService {
         removeOnComplete: config.defaultOptions?.removeOnComplete || 100,
         removeOnFail: config.defaultOptions?.removeOnFail || 20
       },
+      timezone: config.timezone || process.env.REMINDER_TZ || undefined, // Fuseau des crons (local par défaut)
       ...config
     };
 
     // Configuration spécifique aux remboursements
     this.corporateConfig = {
       queueName: 'corporate-reminders',
-      cronPattern: '0 9 1-10 * *', // Tous les jours de 1 à 10 du mois à 9h
+      // Tous les jours de 1 à 10 du mois à 9h ; en jours ouvrés, tous les jours (le handler filtre les 10 premiers jours ouvrés)
+      cronPattern: this.config.datePolicy?.businessDays ? '0 9 * * *' : '0 9 1-10 * *',
       reminderTypes: ['PENDING', 'OVERDUE'],
       reimbursementType: 'SALARY'
     };
@@ -40,21 +54,70 @@ class RemboursementMailService {
       cronPattern: '0 10 * * *', // Tous les jours à 10h
       reminderTypes: ['PENDING', 'OVERDUE'],
       reimbursementType: 'TREASURY',
-      warningDays: 10 // Envoyer rappel 10 jours avant échéance
+      warningDays: 10 // Premier rappel 10 jours avant échéance (puis J-3, J-1)
     };
 
     // Services externes (à injecter)
     this.reimbursementService = config.reimbursementService;
     this.managerService = config.managerService;
-    this.emailService = config.emailService;
+    this.emailService = EmailServiceAdapter.wrap(config.emailService);
     this.loggerService = config.loggerService;
 
+    // Horloge injectable (VirtualClock en test pour simuler une date donnée)
+    this.clock = config.clock || new SystemClock();
+
+    // Décompte des jours : calendaires par défaut, ouvrés avec week-ends et jours fériés (datePolicy: { businessDays: true, holidays: 'ci' })
+    this.datePolicy = createDatePolicy(this.config.datePolicy, { timezone: this.config.timezone });
+
+    // Cadence des rappels Coverage (J-10, J-3, J-1 puis relances espacées en retard)
+    this.reminderPolicy = config.reminderPolicy || new ReminderPolicyService({
+      beforeDue: [this.coverageConfig.warningDays, 3, 1].filter((day, index, days) => days.indexOf(day) === index),
+      store: this.config.isProduction && this.config.mongo.uri ? 'mongo' : 'memory',
+      mongo: this.config.mongo,
+      ...this.config.reminderCadence,
+      clock: this.clock,
+      datePolicy: this.datePolicy
+    });
+
+    // Escalade selon l'ancienneté du retard (owner → chef de département → direction financière)
+    this.escalationService = this.config.escalation?.enabled === false ? null : (config.escalationService || new EscalationService({
+      managerService: this.managerService,
+      isProduction: this.config.isProduction,
+      loggerService: this.loggerService,
+      store: this.config.isProduction && this.config.mongo.uri ? 'mongo' : 'memory',
+      mongo: this.config.mongo,
+      ...this.config.escalation,
+      clock: this.clock,
+      datePolicy: this.datePolicy
+    }));
+
+    // Relevés de paiement PDF joints aux rappels de retard (statements: false pour les désactiver)
+    this.statementGenerator = createStatementGenerator(this.config.statements, {
+      brand: this.config.brand,
+      brands: this.config.brands,
+      store: this.config.isProduction && this.config.mongo.uri ? 'mongo' : 'memory',
+      mongo: this.config.mongo,
+      clock: this.clock
+    });
+
+    // Invitation calendrier (.ics) de l'échéance jointe aux rappels avant échéance (calendar: true pour l'activer)
+    this.calendar = resolveCalendarOptions(this.config.calendar, { timezone: this.config.timezone });
+
+    // Récapitulatif : un email par destinataire et par exécution pour ceux qui l'ont choisi (digest: true pour l'activer)
+    this.digest = resolveDigestOptions(this.config.digest);
+
+    // Synthèse Coverage : un email par couverture santé à ses managers responsables (optionnelle : coverageSummary: true ou { enabled: true })
+    this.coverageSummary = this.config.coverageSummary === true || this.config.coverageSummary?.enabled === true;
+
     // MailManager avec configuration adaptée
     this.mailManager = new MailManager({
       redis: this.config.redis,
       defaultOptions: this.config.defaultOptions,
       isProduction: this.config.isProduction,
-      logger: this.config.logger
+      logger: this.config.logger,
+      backend: this.config.backend,
+      clock: this.clock,
+      idempotency: this.config.idempotency
     });
 
     // JobLogger pour métriques globales
@@ -85,6 +148,17 @@ class RemboursementMailService {
       defaultJobOptions: this.config.defaultOptions
     });
 
+    // Validation des jobs de rappel (un payload invalide échoue sans épuiser les retries)
+    const reminderEmailSchema = this.createReminderEmailSchema();
+    this.mailManager.registerSchema(this.corporateConfig.queueName, 'send-reminder-email', reminderEmailSchema);
+    this.mailManager.registerSchema(this.coverageConfig.queueName, 'send-reminder-email', reminderEmailSchema);
+    this.mailManager.registerSchema(this.corporateConfig.queueName, 'generate-statement', reminderEmailSchema);
+    this.mailManager.registerSchema(this.coverageConfig.queueName, 'generate-statement', reminderEmailSchema);
+    const digestEmailSchema = this.createDigestEmailSchema();
+    this.mailManager.registerSchema(this.corporateConfig.queueName, 'send-digest-email', digestEmailSchema);
+    this.mailManager.registerSchema(this.coverageConfig.queueName, 'send-digest-email', digestEmailSchema);
+    this.mailManager.registerSchema(this.coverageConfig.queueName, 'send-coverage-summary-email', this.createCoverageSummarySchema());
+
     // Configuration des handlers spécialisés
     const reminderHandlers = this.createReminderHandlers();
     
@@ -114,7 +188,7 @@ class RemboursementMailService {
       'process-corporate-reminders',
       { type: 'corporate-daily-check' },
       this.corporateConfig.cronPattern,
-      { jobId: 'corporate-reminders-daily' }
+      { jobId: 'corporate-reminders-daily', tz: this.config.timezone }
     );
 
     // Job Coverage : tous les jours à 10h
@@ -123,12 +197,12 @@ class RemboursementMailService {
       'process-coverage-reminders', 
       { type: 'coverage-daily-check' },
       this.coverageConfig.cronPattern,
-      { jobId: 'coverage-reminders-daily' }
+      { jobId: 'coverage-reminders-daily', tz: this.config.timezone }
     );
 
     this.log('📅 Jobs de rappels planifiés :');
-    this.log(`  - Corporate: ${this.corporateConfig.cronPattern}`);
-    this.log(`  - Coverage: ${this.coverageConfig.cronPattern}`);
+    this.log(`  - Corporate: ${this.corporateConfig.cronPattern} (prochaine: ${this.getNextCronExecution(this.corporateConfig.cronPattern)?.toISOString()})`);
+    this.log(`  - Coverage: ${this.coverageConfig.cronPattern} (prochaine: ${this.getNextCronExecution(this.coverageConfig.cronPattern)?.toISOString()})`);
   }
 
   /**
@@ -141,10 +215,16 @@ class RemboursementMailService {
         this.log('🏢 Traitement des rappels Corporate...');
         
         try {
-          const currentDate = new Date();
-          const dayOfMonth = currentDate.getDate();
-          
-          // Vérification que nous sommes dans les 10 premiers jours
+          const currentDate = this.clock.date();
+
+          // Pas de rappel un jour non ouvré (politique en jours ouvrés)
+          if (!this.datePolicy.isReminderDay(currentDate)) {
+            this.log(`⏭️  ${this.datePolicy.dayOf(currentDate)} non ouvré, pas de traitement Corporate aujourd'hui`);
+            return { skipped: true, reason: 'Jour non ouvré' };
+          }
+
+          // Vérification que nous sommes dans les 10 premiers jours (ouvrés si la politique l'indique)
+          const dayOfMonth = this.datePolicy.dayOfMonth(currentDate);
           if (dayOfMonth > 10) {
             this.log(`⏭️  Jour ${dayOfMonth} > 10, pas de traitement Corporate aujourd'hui`);
             return { skipped: true, reason: 'Hors période (> 10 jours)' };
@@ -163,10 +243,11 @@ class RemboursementMailService {
 
           let processedCount = 0;
           const results = [];
+          const digest = this.createDigestCollector('corporate');
 
           for (const reimbursement of reimbursements) {
             try {
-              const result = await this.processCorporateReimbursement(reimbursement, currentDate);
+              const result = await this.processCorporateReimbursement(reimbursement, currentDate, digest);
               results.push(result);
               processedCount++;
               
@@ -177,12 +258,14 @@ class RemboursementMailService {
             }
           }
 
+          const digests = await this.enqueueDigests(this.corporateConfig.queueName, digest, currentDate);
           await job.updateProgress(100);
 
           const finalResult = {
             totalProcessed: processedCount,
             totalReimbursements: reimbursements.length,
             results,
+            digests,
             executionDate: currentDate
           };
 
@@ -204,7 +287,14 @@ class RemboursementMailService {
         this.log('🏥 Traitement des rappels Coverage...');
         
         try {
-          const currentDate = new Date();
+          const currentDate = this.clock.date();
+
+          // Pas de rappel un jour non ouvré : les jalons sont comptés en jours ouvrés
+          if (!this.datePolicy.isReminderDay(currentDate)) {
+            this.log(`⏭️  ${this.datePolicy.dayOf(currentDate)} non ouvré, pas de traitement Coverage aujourd'hui`);
+            return { skipped: true, reason: 'Jour non ouvré' };
+          }
+
           await job.updateProgress(10);
 
           // Récupération des remboursements TREASURY en attente
@@ -222,13 +312,15 @@ class RemboursementMailService {
           let processedCount = 0;
           const results = [];
           const totalItems = Object.keys(reimbursementsByHealthCoverage).length;
+          const digest = this.createDigestCollector('coverage');
 
           for (const [healthCoverageId, coverageReimbursements] of Object.entries(reimbursementsByHealthCoverage)) {
             try {
               const result = await this.processCoverageReimbursements(
                 healthCoverageId, 
                 coverageReimbursements, 
-                currentDate
+                currentDate,
+                digest
               );
               results.push(result);
               processedCount++;
@@ -240,12 +332,14 @@ class RemboursementMailService {
             }
           }
 
+          const digests = await this.enqueueDigests(this.coverageConfig.queueName, digest, currentDate);
           await job.updateProgress(100);
 
           const finalResult = {
             totalHealthCoverages: totalItems,
             totalReimbursements: reimbursements.length,
             results,
+            digests,
             executionDate: currentDate
           };
 
@@ -262,27 +356,201 @@ class RemboursementMailService {
         }
       },
 
+      // Handler de génération du relevé PDF d'un rappel de retard, puis envoi du rappel avec le relevé joint
+      'generate-statement': async (data, job) => {
+        const { statement: scope = {}, ...reminder } = data;
+        const { reimbursement, recipients } = reminder;
+        let statement = null;
+
+        try {
+          const options = {
+            asOf: scope.asOf,
+            locale: recipientLocale(recipients[0], reimbursement, DEFAULT_LOCALE),
+            daysInfo: reminder.daysInfo
+          };
+          statement = scope.healthCoverageId
+            ? await this.statementGenerator.generateForCoverage(scope.healthCoverageId, scope.reimbursements, options)
+            : await this.statementGenerator.generateForReimbursement(reimbursement, options);
+
+          this.log(`📄 Relevé ${statement.filename} ${statement.cached ? 'repris du cache' : 'généré'} (${statement.size} octets)`);
+        } catch (error) {
+          // Le rappel part sans relevé après la dernière tentative
+          if (job.attemptsMade + 1 < (job.opts?.attempts || 1)) {
+            throw error;
+          }
+          this.logError(`❌ Relevé de ${reimbursement.id} non généré, rappel envoyé sans pièce jointe:`, error);
+        }
+
+        const emailJob = await this.mailManager.addJob(job.queueName, 'send-reminder-email', {
+          ...reminder,
+          attachments: [
+            ...(reminder.attachments || []),
+            ...(statement ? [this.statementGenerator.toAttachment(statement)] : [])
+          ]
+        });
+
+        return {
+          reimbursementId: reimbursement.id,
+          healthCoverageId: scope.healthCoverageId || null,
+          statement: statement && {
+            key: statement.key,
+            version: statement.version,
+            filename: statement.filename,
+            size: statement.size,
+            cached: statement.cached
+          },
+          emailJobId: emailJob.id
+        };
+      },
+
+      // Handler du récapitulatif : un email listant les remboursements à traiter d'un destinataire
+      'send-digest-email': async (data, job) => {
+        const { scope, recipient, items } = data;
+        const locale = recipientLocale(recipient, null, DEFAULT_LOCALE);
+        const summary = summarizeDigest(items);
+        const idempotencyKey = data.idempotencyKey ||
+          this.buildDigestIdempotencyKey(scope, recipient, new Date(job.timestamp));
+
+        const { skipped, result: emailResult } = await this.mailManager.runOnce(idempotencyKey, () => {
+          this.log(`📬 Envoi du récapitulatif ${scope} à ${recipient.email} (${items.length} remboursements)`);
+
+          return this.emailService.sendTemplated('reminder-digest', {
+            recipient,
+            locale,
+            digest: { scope, date: data.date, items, summary }
+          }, {
+            to: recipient.email,
+            subject: translateSubject('reminder-digest', locale, summary),
+            context: { jobId: job.id, queueName: job.queueName, emailType: 'reminder-digest' }
+          });
+        }, { scope: job.queueName });
+
+        const result = {
+          emailType: 'reminder-digest',
+          scope,
+          recipient: recipient.email,
+          reimbursementIds: items.map(item => item.reimbursement.id),
+          idempotencyKey,
+          skipped,
+          emailResult
+        };
+
+        // Rappels listés : cadence Coverage enregistrée comme pour un envoi individuel
+        for (const item of items.filter(item => item.policy)) {
+          await this.reminderPolicy.recordSent(item.reimbursement, item.policy);
+        }
+
+        if (skipped) {
+          return result;
+        }
+
+        if (this.escalationService) {
+          for (const item of items.filter(item => item.escalation)) {
+            await this.escalationService.recordEscalation(item.reimbursement, item.escalation, {
+              emailType: item.emailType,
+              recipients: [recipient],
+              queueName: job.queueName,
+              jobId: job.id
+            }).catch(error => this.logError(`❌ Erreur historique d'escalade ${item.reimbursement.id}:`, error));
+          }
+        }
+
+        if (this.config.isProduction && this.config.mongo.uri) {
+          await this.saveEmailLog(result);
+        }
+
+        return result;
+      },
+
+      // Handler de la synthèse Coverage : un email par manager responsable, dans sa langue
+      'send-coverage-summary-email': async (data, job) => {
+        const { healthCoverageId, recipients, summary } = data;
+        const sent = [];
+
+        for (const recipient of recipients) {
+          const locale = recipientLocale(recipient, null, DEFAULT_LOCALE);
+          const idempotencyKey = this.buildCoverageSummaryIdempotencyKey(healthCoverageId, recipient, new Date(summary.date));
+
+          const { skipped } = await this.mailManager.runOnce(idempotencyKey, () => {
+            this.log(`🏥 Envoi de la synthèse de la couverture ${healthCoverageId} à ${recipient.email}`);
+
+            return this.emailService.sendTemplated('coverage-summary', {
+              recipient,
+              locale,
+              coverage: summary
+            }, {
+              to: recipient.email,
+              subject: translateSubject('coverage-summary', locale, summary),
+              context: { jobId: job.id, queueName: job.queueName, emailType: 'coverage-summary' }
+            });
+          }, { scope: job.queueName });
+
+          sent.push({ email: recipient.email, skipped });
+        }
+
+        const result = {
+          emailType: 'coverage-summary',
+          healthCoverageId,
+          reimbursementIds: summary.reimbursements.map(item => item.id),
+          recipients: sent
+        };
+
+        if (this.config.isProduction && this.config.mongo.uri) {
+          await this.saveEmailLog(result);
+        }
+
+        return result;
+      },
+
       // Handler pour envoi d'email de rappel
       'send-reminder-email': async (data, job) => {
-        const { emailType, recipients, reimbursement, daysInfo } = data;
-        
-        this.log(`📧 Envoi email de rappel ${emailType} à ${recipients.length} destinataires`);
-        
-        const emailResult = await this.emailService.sendReminderEmail({
-          type: emailType,
-          recipients,
-          reimbursement,
-          daysInfo,
-          template: this.getEmailTemplate(emailType, daysInfo)
-        });
+        const { emailType, recipients, reimbursement, daysInfo, escalation } = data;
+        const idempotencyKey = data.idempotencyKey ||
+          this.buildReminderIdempotencyKey(reimbursement, emailType, new Date(job.timestamp));
+
+        // Un retry après un envoi réussi (ou un doublon du même jour) ne renvoie pas l'email
+        const { skipped, result: emailResult } = await this.mailManager.runOnce(idempotencyKey, () => {
+          this.log(`📧 Envoi email de rappel ${emailType} à ${recipients.length} destinataires`);
+
+          return this.emailService.sendReminderEmail({
+            type: emailType,
+            recipients,
+            reimbursement,
+            daysInfo,
+            template: this.getEmailTemplate(emailType, daysInfo, escalation),
+            attachments: data.attachments,
+            context: { jobId: job.id, queueName: job.queueName }
+          });
+        }, { scope: job.queueName });
 
         const result = {
           emailType,
           recipientCount: recipients.length,
           reimbursementId: reimbursement.id,
+          idempotencyKey,
+          skipped,
           emailResult
         };
 
+        // Dernier rappel envoyé (cadence Coverage) ; idempotent pour une même étape
+        if (data.policy) {
+          await this.reminderPolicy.recordSent(reimbursement, data.policy);
+        }
+
+        if (skipped) {
+          return result;
+        }
+
+        // Historique d'escalade (audit) ; l'email est déjà parti, une erreur ne doit pas le renvoyer
+        if (escalation && this.escalationService) {
+          await this.escalationService.recordEscalation(reimbursement, escalation, {
+            emailType,
+            recipients,
+            queueName: job.queueName,
+            jobId: job.id
+          }).catch(error => this.logError(`❌ Erreur historique d'escalade ${reimbursement.id}:`, error));
+        }
+
         // Sauvegarde de l'email en base si production
         if (this.config.isProduction && this.config.mongo.uri) {
           await this.saveEmailLog(result);
@@ -293,120 +561,407 @@ class RemboursementMailService {
     };
   }
 
+  /**
+   * Schéma des données du job send-digest-email
+   */
+  createDigestEmailSchema() {
+    return {
+      type: 'object',
+      required: ['scope', 'recipient', 'items'],
+      properties: {
+        scope: { enum: ['corporate', 'coverage'] },
+        recipient: {
+          type: 'object',
+          required: ['email'],
+          properties: { email: { type: 'string', format: 'email' } }
+        },
+        items: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['reimbursement', 'emailType', 'daysInfo'],
+            properties: {
+              reimbursement: {
+                type: 'object',
+                required: ['id', 'dueDate'],
+                properties: { id: { type: 'string', minLength: 1 } }
+              },
+              emailType: { enum: ['payment-reminder', 'payment-overdue'] }
+            }
+          }
+        },
+        date: { type: 'string', format: 'date-time' },
+        idempotencyKey: { type: 'string', minLength: 1 }
+      }
+    };
+  }
+
+  /**
+   * Schéma des données du job send-coverage-summary-email
+   */
+  createCoverageSummarySchema() {
+    return {
+      type: 'object',
+      required: ['healthCoverageId', 'recipients', 'summary'],
+      properties: {
+        healthCoverageId: { type: 'string', minLength: 1 },
+        recipients: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['email'],
+            properties: { email: { type: 'string', format: 'email' } }
+          }
+        },
+        summary: {
+          type: 'object',
+          required: ['date', 'count', 'reimbursements'],
+          properties: {
+            date: { type: 'string', format: 'date-time' },
+            count: { type: 'integer', minimum: 1 },
+            reimbursements: { type: 'array', minItems: 1 }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Schéma des données du job send-reminder-email
+   */
+  createReminderEmailSchema() {
+    return {
+      type: 'object',
+      required: ['emailType', 'recipients', 'reimbursement', 'daysInfo'],
+      properties: {
+        emailType: { enum: ['payment-reminder', 'payment-overdue'] },
+        recipients: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['email'],
+            properties: { email: { type: 'string', format: 'email' } }
+          }
+        },
+        reimbursement: {
+          type: 'object',
+          required: ['id', 'dueDate'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            amount: { type: 'number' }
+          }
+        },
+        daysInfo: {
+          type: 'object',
+          required: ['daysDiff'],
+          properties: { daysDiff: { type: 'integer' } }
+        },
+        idempotencyKey: { type: 'string', minLength: 1 },
+        attachments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['filename'],
+            properties: { filename: { type: 'string', minLength: 1 } }
+          }
+        },
+        statement: {
+          type: 'object',
+          properties: {
+            asOf: { type: 'string', format: 'date-time' },
+            healthCoverageId: { type: 'string', minLength: 1 },
+            reimbursements: { type: 'array', minItems: 1 }
+          }
+        },
+        escalation: {
+          type: 'object',
+          required: ['level', 'name', 'template'],
+          properties: {
+            level: { type: 'integer', minimum: 1 },
+            name: { type: 'string' },
+            template: { type: 'string' }
+          }
+        },
+        policy: {
+          type: 'object',
+          required: ['emailType', 'stage'],
+          properties: {
+            stage: { type: 'string' },
+            milestone: { type: 'integer', minimum: 1 },
+            overdueIndex: { type: 'integer', minimum: 1 }
+          }
+        }
+      }
+    };
+  }
+
   /**
    * Traite un remboursement Corporate
    */
-  async processCorporateReimbursement(reimbursement, currentDate) {
-    const dueDate = new Date(reimbursement.dueDate);
-    const timeDiff = dueDate.getTime() - currentDate.getTime();
-    const daysDiff = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
-
-    let emailType;
-    let daysInfo = { daysDiff, isOverdue: false };
-
-    // Logique de détermination du type d'email
-    if (daysDiff <= 0) {
-      // Date dépassée - paiement en retard
-      emailType = 'payment-overdue';
-      daysInfo.isOverdue = true;
-      daysInfo.overdueDays = Math.abs(daysDiff);
-    } else {
-      // Rappel normal avant échéance
-      emailType = 'payment-reminder';
-      daysInfo.remainingDays = daysDiff;
-    }
+  async processCorporateReimbursement(reimbursement, currentDate, digest = null) {
+    // Jours restants selon la politique de dates (échéance dépassée : paiement en retard)
+    const daysInfo = this.datePolicy.daysInfo(reimbursement.dueDate, currentDate);
+    const { daysDiff } = daysInfo;
+    const emailType = daysInfo.isOverdue ? 'payment-overdue' : 'payment-reminder';
 
-    // Récupération des destinataires (owner + 3 plus vieux managers)
-    const recipients = await this.getReimbursementRecipients(reimbursement, 'corporate');
+    // Niveau d'escalade et destinataires associés (owner, chef de département, direction)
+    const escalation = this.getEscalationLevel(reimbursement, currentDate);
+    const recipients = await this.getReimbursementRecipients(reimbursement, 'corporate', escalation);
 
     // Envoi de l'email via un job séparé pour meilleure gestion des erreurs
-    const emailJob = await this.mailManager.addJob(
-      this.corporateConfig.queueName,
-      'send-reminder-email',
-      {
-        emailType,
-        recipients,
-        reimbursement,
-        daysInfo
-      }
-    );
+    const jobs = await this.enqueueReminder(this.corporateConfig.queueName, {
+      emailType,
+      recipients,
+      reimbursement,
+      daysInfo,
+      escalation,
+      idempotencyKey: this.buildReminderIdempotencyKey(reimbursement, emailType, currentDate)
+    }, { asOf: currentDate.toISOString() }, digest);
 
     return {
       id: reimbursement.id,
       emailType,
+      escalationLevel: escalation ? escalation.level : null,
       daysDiff,
       recipientCount: recipients.length,
-      emailJobId: emailJob.id
+      ...jobs
     };
   }
 
   /**
    * Traite les remboursements d'une health-coverage
    */
-  async processCoverageReimbursements(healthCoverageId, reimbursements, currentDate) {
+  async processCoverageReimbursements(healthCoverageId, reimbursements, currentDate, digest = null) {
     const processedReimbursements = [];
 
     for (const reimbursement of reimbursements) {
-      const dueDate = new Date(reimbursement.dueDate);
-      const timeDiff = dueDate.getTime() - currentDate.getTime();
-      const daysDiff = Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
-
-      let shouldSendEmail = false;
-      let emailType;
-      let daysInfo = { daysDiff };
-
-      // Logique Coverage : rappel à 10 jours OU si négatif (en retard)
-      if (daysDiff <= 0) {
-        // Paiement en retard
-        shouldSendEmail = true;
-        emailType = 'payment-overdue';
-        daysInfo.isOverdue = true;
-        daysInfo.overdueDays = Math.abs(daysDiff);
-      } else if (daysDiff <= this.coverageConfig.warningDays) {
-        // Rappel 10 jours avant échéance
-        shouldSendEmail = true;
-        emailType = 'payment-reminder';
-        daysInfo.remainingDays = daysDiff;
-      }
+      // Cadence configurable : un rappel par jalon avant échéance, relances espacées en retard
+      const decision = await this.reminderPolicy.evaluate(reimbursement, currentDate);
 
-      if (shouldSendEmail) {
-        const recipients = await this.getReimbursementRecipients(reimbursement, 'coverage');
+      if (decision.shouldSend) {
+        const { emailType, daysInfo, daysDiff } = decision;
+        const escalation = this.getEscalationLevel(reimbursement, currentDate);
+        const recipients = await this.getReimbursementRecipients(reimbursement, 'coverage', escalation);
         
-        const emailJob = await this.mailManager.addJob(
-          this.coverageConfig.queueName,
-          'send-reminder-email',
-          {
+        // Relevé de la couverture : tous ses remboursements échus
+        const jobs = await this.enqueueReminder(this.coverageConfig.queueName, {
+          emailType,
+          recipients,
+          reimbursement,
+          daysInfo,
+          escalation,
+          idempotencyKey: this.buildReminderIdempotencyKey(reimbursement, emailType, currentDate),
+          policy: {
             emailType,
-            recipients,
-            reimbursement,
-            daysInfo
+            stage: decision.stage,
+            milestone: decision.milestone,
+            overdueIndex: decision.overdueIndex
           }
-        );
+        }, { asOf: currentDate.toISOString(), healthCoverageId, reimbursements }, digest);
 
         processedReimbursements.push({
           id: reimbursement.id,
           emailType,
+          stage: decision.stage,
+          escalationLevel: escalation ? escalation.level : null,
           daysDiff,
           recipientCount: recipients.length,
-          emailJobId: emailJob.id
+          ...jobs
         });
       } else {
         processedReimbursements.push({
           id: reimbursement.id,
           skipped: true,
-          reason: `${daysDiff} jours restants, pas d'alerte nécessaire`
+          daysDiff: decision.daysDiff,
+          reason: decision.reason
         });
       }
     }
 
+    const emailsSent = processedReimbursements.filter(r => !r.skipped).length;
+
+    // Synthèse de la couverture pour ses managers, les jours où au moins un rappel part
+    const summaryJob = emailsSent > 0 ? await this.enqueueCoverageSummary(healthCoverageId, reimbursements, currentDate) : null;
+
     return {
       healthCoverageId,
       totalReimbursements: reimbursements.length,
-      emailsSent: processedReimbursements.filter(r => !r.skipped).length,
-      processedReimbursements
+      emailsSent,
+      processedReimbursements,
+      ...(summaryJob && { summaryJobId: summaryJob.id })
     };
   }
 
+  /**
+   * Met en file la synthèse d'une couverture santé (null si désactivée ou sans responsable)
+   */
+  async enqueueCoverageSummary(healthCoverageId, reimbursements, currentDate) {
+    if (!this.coverageSummary || healthCoverageId === 'unknown') return null;
+
+    const recipients = await this.getCoverageSummaryRecipients(healthCoverageId);
+    if (recipients.length === 0) {
+      this.log(`⚠️ Aucun responsable pour la couverture ${healthCoverageId} : synthèse non envoyée`);
+      return null;
+    }
+
+    const summary = buildCoverageSummary(healthCoverageId, reimbursements, {
+      date: currentDate,
+      urgencyLevel: EscalationService.calculateUrgencyLevel,
+      datePolicy: this.datePolicy
+    });
+    return this.mailManager.addJob(this.coverageConfig.queueName, 'send-coverage-summary-email', {
+      healthCoverageId,
+      recipients,
+      summary
+    });
+  }
+
+  /**
+   * Met en file un rappel ; un rappel avant échéance reçoit l'invitation .ics (si activée),
+   * un rappel de retard passe d'abord par generate-statement (relevé PDF joint).
+   * Avec un récapitulatif en cours (digest), ses destinataires en mode digest sont collectés
+   * et seuls les autres reçoivent le rappel individuel.
+   */
+  async enqueueReminder(queueName, reminder, statement, digest = null) {
+    if (digest) {
+      const recipients = digest.collect(reminder);
+      const digestRecipients = reminder.recipients.length - recipients.length;
+      if (recipients.length === 0) {
+        return { digestRecipients };
+      }
+      if (digestRecipients > 0) {
+        const jobs = await this.enqueueReminder(queueName, { ...reminder, recipients }, statement);
+        return { ...jobs, digestRecipients };
+      }
+    }
+
+    if (reminder.emailType === 'payment-reminder' && this.calendar) {
+      reminder = { ...reminder, attachments: [...(reminder.attachments || []), this.buildCalendarAttachment(reminder)] };
+    }
+
+    if (reminder.emailType === 'payment-overdue' && this.statementGenerator) {
+      const job = await this.mailManager.addJob(queueName, 'generate-statement', { ...reminder, statement });
+      return { statementJobId: job.id };
+    }
+
+    const job = await this.mailManager.addJob(queueName, 'send-reminder-email', reminder);
+    return { emailJobId: job.id };
+  }
+
+  /**
+   * Invitation .ics de l'échéance d'un rappel (UID stable par remboursement, langue du premier destinataire)
+   */
+  buildCalendarAttachment({ reimbursement, recipients = [] }) {
+    return calendarAttachment(reimbursement, {
+      ...this.calendar,
+      locale: recipientLocale(recipients[0], reimbursement, DEFAULT_LOCALE),
+      now: this.clock.date()
+    });
+  }
+
+  /**
+   * Relevé de paiement PDF d'un remboursement en retard (ou de la couverture santé s'il est fourni)
+   */
+  async generateStatement(reimbursement, options = {}) {
+    if (!this.statementGenerator) {
+      throw new Error('Relevés de paiement désactivés (statements: false)');
+    }
+    return options.healthCoverageId
+      ? this.statementGenerator.generateForCoverage(options.healthCoverageId, options.reimbursements || [reimbursement], options)
+      : this.statementGenerator.generateForReimbursement(reimbursement, options);
+  }
+
+  /**
+   * Clé d'idempotence d'un rappel : un seul email par remboursement, type et jour
+   * (jour calculé dans le fuseau configuré)
+   */
+  buildReminderIdempotencyKey(reimbursement, emailType, date) {
+    return IdempotencyManager.buildKey('reminder', reimbursement.id, emailType, this.reminderDay(date));
+  }
+
+  /**
+   * Clé d'idempotence d'un récapitulatif : un seul par destinataire, périmètre et jour
+   */
+  buildDigestIdempotencyKey(scope, recipient, date) {
+    return IdempotencyManager.buildKey('digest', scope, recipient.email.toLowerCase(), this.reminderDay(date));
+  }
+
+  /**
+   * Clé d'idempotence d'une synthèse Coverage : une seule par couverture, destinataire et jour
+   */
+  buildCoverageSummaryIdempotencyKey(healthCoverageId, recipient, date) {
+    return IdempotencyManager.buildKey('coverage-summary', healthCoverageId, recipient.email.toLowerCase(), this.reminderDay(date));
+  }
+
+  /**
+   * Jour d'un rappel (AAAA-MM-JJ) dans le fuseau configuré
+   */
+  reminderDay(date) {
+    return this.datePolicy.dayOf(date);
+  }
+
+  /**
+   * Collecteur du récapitulatif d'une exécution (null si le mode récapitulatif est désactivé)
+   */
+  createDigestCollector(scope) {
+    return this.digest ? new DigestCollector(scope, this.digest) : null;
+  }
+
+  /**
+   * Met en file un send-digest-email par destinataire collecté, remboursements triés par priorité
+   */
+  async enqueueDigests(queueName, digest, currentDate) {
+    if (!digest || digest.size === 0) return [];
+
+    const jobs = [];
+    for (const { recipient, items } of digest.digests()) {
+      const byReimbursement = new Map(items.map(item => [item.reimbursement, item]));
+      const sorted = this.sortReimbursementsByPriority([...byReimbursement.keys()], currentDate)
+        .map(reimbursement => byReimbursement.get(reimbursement));
+
+      const job = await this.mailManager.addJob(queueName, 'send-digest-email', {
+        scope: digest.scope,
+        recipient,
+        items: sorted,
+        date: currentDate.toISOString(),
+        idempotencyKey: this.buildDigestIdempotencyKey(digest.scope, recipient, currentDate)
+      });
+      jobs.push({ recipient: recipient.email, reimbursementCount: sorted.length, emailJobId: job.id });
+    }
+
+    this.log(`📬 ${jobs.length} récapitulatif(s) ${digest.scope} mis en file`);
+    return jobs;
+  }
+
+  /**
+   * Préférence de réception d'un destinataire : 'digest', 'individual' ou null (mode par défaut)
+   */
+  setDigestPreference(email, mode) {
+    if (!this.digest) {
+      throw new Error('Mode récapitulatif désactivé (digest: false)');
+    }
+    return setPreference(this.digest, email, mode);
+  }
+
+  /**
+   * Trie les remboursements par priorité : en retard (les plus anciens d'abord), puis par échéance proche
+   */
+  sortReimbursementsByPriority(reimbursements, currentDate = this.clock.date()) {
+    const daysDiff = reimbursement => this.datePolicy.daysUntil(reimbursement.dueDate, currentDate);
+
+    return [...reimbursements].sort((a, b) => {
+      const daysDiffA = daysDiff(a);
+      const daysDiffB = daysDiff(b);
+
+      if (daysDiffA <= 0 && daysDiffB > 0) return -1;
+      if (daysDiffA > 0 && daysDiffB <= 0) return 1;
+      return daysDiffA - daysDiffB;
+    });
+  }
+
   /**
    * Groupe les remboursements par health-coverage
    */
@@ -421,11 +976,55 @@ class RemboursementMailService {
     }, {});
   }
 
+  /**
+   * Niveau d'escalade d'un remboursement (null si l'escalade est désactivée)
+   */
+  getEscalationLevel(reimbursement, currentDate) {
+    return this.escalationService ? this.escalationService.getLevel(reimbursement, currentDate) : null;
+  }
+
+  /**
+   * Historique d'escalade d'un remboursement (audit)
+   */
+  async getEscalationHistory(reimbursementId = null) {
+    if (!this.escalationService) return [];
+    return this.escalationService.getHistory(reimbursementId);
+  }
+
+  /**
+   * Suivi de délivrabilité (injecté ou celui du service email)
+   */
+  getDeliveryTracker() {
+    return this.config.deliveryTracker || this.emailService?.tracker || null;
+  }
+
+  /**
+   * Qui a ouvert / cliqué les rappels d'un remboursement (ex: emailType 'payment-overdue')
+   */
+  async getReadReceipts(reimbursementId, emailType = null) {
+    const tracker = this.getDeliveryTracker();
+    if (!tracker) return [];
+    return tracker.getReadReceipts({ reimbursementId, ...(emailType && { emailType }) });
+  }
+
+  /**
+   * Rapport de délivrabilité (bounces, plaintes, ouvertures, clics)
+   */
+  async getDeliveryReport(filter = {}) {
+    const tracker = this.getDeliveryTracker();
+    return tracker ? tracker.getReport(filter) : null;
+  }
+
   /**
    * Récupère les destinataires pour un remboursement
+   * (selon le niveau d'escalade, sinon owner + 3 plus vieux managers)
    */
-  async getReimbursementRecipients(reimbursement, type) {
+  async getReimbursementRecipients(reimbursement, type, escalation = null) {
     try {
+      if (escalation && this.escalationService) {
+        return await this.escalationService.resolveRecipients(escalation, reimbursement, { type });
+      }
+
       // Récupération de l'owner
       const owner = await this.managerService.getReimbursementOwner(reimbursement.id);
       
@@ -448,23 +1047,55 @@ class RemboursementMailService {
   }
 
   /**
-   * Retourne le template d'email approprié
+   * Destinataires de la synthèse d'une couverture santé : ses managers responsables
+   * (ManagerService.getHealthCoverageManagers), aucun sinon (les plus anciens managers
+   * Coverage reçoivent déjà chaque rappel)
    */
-  getEmailTemplate(emailType, daysInfo) {
-    const templates = {
-      'payment-reminder': {
-        subject: daysInfo.remainingDays === 1 
-          ? 'Rappel : Échéance de remboursement demain'
-          : `Rappel : Échéance de remboursement dans ${daysInfo.remainingDays} jours`,
-        template: 'reminder-before-due'
-      },
-      'payment-overdue': {
-        subject: 'URGENT : Paiement de remboursement en retard',
-        template: 'reminder-overdue'
-      }
+  async getCoverageSummaryRecipients(healthCoverageId) {
+    if (typeof this.managerService.getHealthCoverageManagers !== 'function') {
+      return [];
+    }
+
+    try {
+      const recipients = await this.managerService.getHealthCoverageManagers(healthCoverageId) || [];
+
+      // Dédoublonnage par email
+      return recipients.filter(Boolean).filter((recipient, index, self) =>
+        index === self.findIndex(r => r.email === recipient.email)
+      );
+    } catch (error) {
+      this.logError(`❌ Erreur récupération responsables de la couverture ${healthCoverageId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Retourne le template d'email approprié (template du niveau d'escalade s'il est fourni)
+   * subjectKey permet à l'EmailService de traduire le sujet dans la langue de chaque destinataire ;
+   * subject est la version française (services qui n'implémentent pas sendReminderEmail).
+   */
+  getEmailTemplate(emailType, daysInfo, escalation = null) {
+    const templateName = emailType === 'payment-overdue' ? 'reminder-overdue' : 'reminder-before-due';
+    const template = {
+      subject: translateSubject(templateName, DEFAULT_LOCALE, daysInfo),
+      subjectKey: templateName,
+      template: templateName
     };
 
-    return templates[emailType] || templates['payment-reminder'];
+    if (escalation && this.escalationService) {
+      // Sujet propre au niveau : texte fixe (non traduit) ou clé du catalogue
+      const subject = this.escalationService.getSubject(escalation, daysInfo);
+      const subjectKey = subject ? null : this.escalationService.getSubjectKey(escalation) || template.subjectKey;
+
+      return {
+        subject: subject || translateSubject(subjectKey, DEFAULT_LOCALE, daysInfo),
+        subjectKey,
+        template: escalation.template,
+        escalationLevel: escalation.level
+      };
+    }
+
+    return template;
   }
 
   /**
@@ -505,18 +1136,27 @@ class RemboursementMailService {
     return {
       corporate: {
         ...corporateStats,
-        nextExecution: this.getNextCronExecution(this.corporateConfig.cronPattern)
+        cronPattern: this.corporateConfig.cronPattern,
+        nextExecution: this.getNextCronExecution(this.corporateConfig.cronPattern),
+        nextExecutions: this.getNextCronExecutions(this.corporateConfig.cronPattern, 5),
+        scheduledJobs: await this.mailManager.getRepeatableJobs(this.corporateConfig.queueName)
       },
       coverage: {
         ...coverageStats,
-        nextExecution: this.getNextCronExecution(this.coverageConfig.cronPattern)
+        cronPattern: this.coverageConfig.cronPattern,
+        nextExecution: this.getNextCronExecution(this.coverageConfig.cronPattern),
+        nextExecutions: this.getNextCronExecutions(this.coverageConfig.cronPattern, 5),
+        scheduledJobs: await this.mailManager.getRepeatableJobs(this.coverageConfig.queueName)
       },
       summary: {
         totalWaiting: corporateStats.waiting + coverageStats.waiting,
         totalActive: corporateStats.active + coverageStats.active,
         totalCompleted: corporateStats.completed + coverageStats.completed,
-        totalFailed: corporateStats.failed + coverageStats.failed
+        totalFailed: corporateStats.failed + coverageStats.failed,
+        totalEmailsSent: corporateStats.idempotency.executed + coverageStats.idempotency.executed,
+        totalDuplicatesSkipped: corporateStats.idempotency.skipped + coverageStats.idempotency.skipped
       },
+      reminderPolicy: this.reminderPolicy.getStats(),
       globalMetrics: {
         ...globalMetrics,
         specificQueues: {
@@ -526,6 +1166,7 @@ class RemboursementMailService {
       },
       environment: {
         isProduction: this.config.isProduction,
+        timezone: this.config.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
         hasMongoUri: !!this.config.mongo.uri,
         redisUrl: this.config.redis.url.replace(/\/\/.*@/, '//***@') // Masquer les credentials
       }
@@ -533,12 +1174,24 @@ class RemboursementMailService {
   }
 
   /**
-   * Calcule la prochaine exécution d'un cron pattern
+   * Calcule la prochaine exécution d'un cron pattern (selon le fuseau configuré)
    */
   getNextCronExecution(cronPattern) {
-    // Implementation simplifiée - dans un vrai projet, utiliser une librairie comme node-cron
-    const now = new Date();
-    return `Prochaine exécution basée sur: ${cronPattern}`;
+    return CronUtils.getNextExecution(cronPattern, {
+      tz: this.config.timezone,
+      currentDate: this.clock.date()
+    });
+  }
+
+  /**
+   * Calcule les N prochaines exécutions d'un cron pattern
+   */
+  getNextCronExecutions(cronPattern, count = 5) {
+    return CronUtils.getNextExecutions(cronPattern, {
+      count,
+      tz: this.config.timezone,
+      currentDate: this.clock.date()
+    });
   }
 
   /**
@@ -639,6 +1292,7 @@ class RemboursementMailService {
   async shutdown() {
     this.log('🛑 Arrêt du RemboursementMailService...');
     await this.mailManager.shutdown();
+    await this.statementGenerator?.close();
     this.isInitialized = false;
     this.log('✅ RemboursementMailService arrêté proprement');
   }
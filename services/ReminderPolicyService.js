@@ -0,0 +1,340 @@
+const { DatePolicy } = require('../core/datePolicy');
+
+/**
+ * Registre en mémoire des derniers rappels envoyés (développement, tests)
+ */
+class MemoryReminderStateStore {
+    constructor() {
+        this.states = new Map();
+    }
+
+    async get(reimbursementId) {
+        const state = this.states.get(reimbursementId);
+        return state ? { ...state, beforeDueSent: [...state.beforeDueSent] } : null;
+    }
+
+    async set(reimbursementId, state) {
+        this.states.set(reimbursementId, { ...state, beforeDueSent: [...state.beforeDueSent] });
+    }
+
+    async delete(reimbursementId) {
+        return this.states.delete(reimbursementId);
+    }
+}
+
+/**
+ * Registre MongoDB des derniers rappels envoyés (collection reminder_states)
+ */
+class MongoReminderStateStore {
+    constructor(config = {}) {
+        this.mongoUri = config.mongo?.uri || null;
+        this.model = config.model || null;
+        this.connected = false;
+    }
+
+    async getModel() {
+        if (!this.model) {
+            this.model = require('../utils/models/ReminderState');
+        }
+
+        if (!this.connected) {
+            const mongoose = require('mongoose');
+            if (mongoose.connection.readyState !== 1) {
+                if (!this.mongoUri) {
+                    throw new Error('URI MongoDB requise pour le registre des rappels');
+                }
+                await mongoose.connect(this.mongoUri);
+            }
+            this.connected = true;
+        }
+
+        return this.model;
+    }
+
+    async get(reimbursementId) {
+        const Model = await this.getModel();
+        return Model.findOne({ reimbursementId }).lean();
+    }
+
+    async set(reimbursementId, state) {
+        const Model = await this.getModel();
+        await Model.updateOne({ reimbursementId }, { $set: state }, { upsert: true });
+    }
+
+    async delete(reimbursementId) {
+        const Model = await this.getModel();
+        const { deletedCount } = await Model.deleteOne({ reimbursementId });
+        return deletedCount > 0;
+    }
+}
+
+/**
+ * Service de politique de relance des remboursements
+ * Détermine si un rappel doit être envoyé selon une cadence configurable
+ * (ex: J-10, J-3, J-1 puis tous les 3 jours en retard, N relances max)
+ * et conserve le dernier rappel envoyé par remboursement.
+ */
+class ReminderPolicyService {
+    /**
+     * @param {Object} config - Configuration de la cadence
+     * @param {number[]} [config.beforeDue=[10, 3, 1]] - Jalons avant échéance (en jours, ouvrés si la politique de dates l'indique)
+     * @param {number} [config.overdueEvery=3] - Intervalle entre deux relances en retard (jours)
+     * @param {number} [config.maxOverdue=5] - Nombre max de relances en retard
+     * @param {number} [config.cooldownHours=20] - Délai minimum entre deux rappels
+     * @param {string|Object} [config.store='memory'] - 'memory', 'mongo' ou objet { get, set, delete }
+     * @param {Object} [config.clock] - Horloge (now() et date())
+     * @param {DatePolicy} [config.datePolicy] - Décompte des jours (calendaires par défaut, voir core/datePolicy)
+     */
+    constructor(config = {}) {
+        this.config = {
+            beforeDue: [10, 3, 1],
+            overdueEvery: 3,
+            maxOverdue: 5,
+            cooldownHours: 20,
+            store: 'memory',
+            ...config
+        };
+
+        this.validateCadence();
+        this.config.beforeDue = [...this.config.beforeDue].sort((a, b) => b - a);
+
+        this.clock = config.clock || { now: () => Date.now(), date: () => new Date() };
+        this.datePolicy = config.datePolicy || new DatePolicy();
+        this.store = this.createStore(this.config.store);
+
+        this.metrics = {
+            evaluated: 0,
+            allowed: 0,
+            suppressed: 0,
+            bySuppressionReason: {
+                'not-due': 0,
+                'milestone-sent': 0,
+                cooldown: 0,
+                'overdue-interval': 0,
+                'max-overdue': 0
+            }
+        };
+    }
+
+    /**
+     * Vérifie la cohérence de la cadence configurée
+     * @private
+     */
+    validateCadence() {
+        const { beforeDue, overdueEvery, maxOverdue, cooldownHours } = this.config;
+
+        if (!Array.isArray(beforeDue) || beforeDue.some(day => !Number.isInteger(day) || day < 1)) {
+            throw new Error('beforeDue doit être une liste de jours entiers >= 1 (ex: [10, 3, 1])');
+        }
+        if (!Number.isInteger(overdueEvery) || overdueEvery < 1) {
+            throw new Error('overdueEvery doit être un nombre entier de jours >= 1');
+        }
+        if (!Number.isInteger(maxOverdue) || maxOverdue < 0) {
+            throw new Error('maxOverdue doit être un entier >= 0');
+        }
+        if (typeof cooldownHours !== 'number' || cooldownHours < 0) {
+            throw new Error('cooldownHours doit être un nombre >= 0');
+        }
+    }
+
+    /**
+     * Crée le registre des derniers rappels
+     * @private
+     */
+    createStore(store) {
+        if (store && typeof store === 'object') {
+            return store;
+        }
+
+        switch (store) {
+            case 'memory':
+                return new MemoryReminderStateStore();
+            case 'mongo':
+                return new MongoReminderStateStore({ mongo: this.config.mongo });
+            default:
+                throw new Error(`Registre de rappels "${store}" inconnu (valeurs possibles : memory, mongo)`);
+        }
+    }
+
+    /**
+     * Détermine si un rappel doit être envoyé pour un remboursement
+     * @param {Object} reimbursement - Remboursement (id, dueDate)
+     * @param {Date} [currentDate] - Date de référence
+     * @returns {Promise<Object>} Décision { shouldSend, emailType, stage, daysInfo, reason }
+     */
+    async evaluate(reimbursement, currentDate = this.clock.date()) {
+        const daysInfo = this.datePolicy.daysInfo(reimbursement.dueDate, currentDate);
+        const state = await this.getState(reimbursement);
+        const decision = this.decide(daysInfo, state, currentDate);
+
+        this.metrics.evaluated++;
+        if (decision.shouldSend) {
+            this.metrics.allowed++;
+        } else {
+            this.metrics.suppressed++;
+            this.metrics.bySuppressionReason[decision.code]++;
+        }
+
+        return decision;
+    }
+
+    /**
+     * Applique la cadence à partir du dernier état connu
+     * @private
+     */
+    decide(daysInfo, state, currentDate) {
+        const { daysDiff } = daysInfo;
+        const skip = (code, reason) => ({ shouldSend: false, code, reason, daysDiff });
+
+        if (daysDiff > 0) {
+            const milestone = this.config.beforeDue.filter(day => daysDiff <= day).pop();
+
+            if (milestone === undefined) {
+                return skip('not-due', `${daysDiff} jours restants, pas d'alerte nécessaire`);
+            }
+            if (state && state.beforeDueSent.includes(milestone)) {
+                return skip('milestone-sent', `Rappel J-${milestone} déjà envoyé`);
+            }
+
+            const cooldown = this.checkCooldown(state, currentDate);
+            if (cooldown) return skip('cooldown', cooldown);
+
+            return {
+                shouldSend: true,
+                emailType: 'payment-reminder',
+                stage: `J-${milestone}`,
+                milestone,
+                daysDiff,
+                daysInfo
+            };
+        }
+
+        const overdueCount = state ? state.overdueCount : 0;
+
+        if (overdueCount >= this.config.maxOverdue) {
+            return skip('max-overdue', `Nombre max de relances en retard atteint (${this.config.maxOverdue})`);
+        }
+
+        if (state && state.lastOverdueSentAt) {
+            const daysSince = this.datePolicy.daysBetween(state.lastOverdueSentAt, currentDate);
+            if (daysSince < this.config.overdueEvery) {
+                return skip('overdue-interval', `Prochaine relance dans ${this.config.overdueEvery - daysSince} jour(s)`);
+            }
+        }
+
+        const cooldown = this.checkCooldown(state, currentDate);
+        if (cooldown) return skip('cooldown', cooldown);
+
+        return {
+            shouldSend: true,
+            emailType: 'payment-overdue',
+            stage: `retard-${overdueCount + 1}`,
+            overdueIndex: overdueCount + 1,
+            daysDiff,
+            daysInfo
+        };
+    }
+
+    /**
+     * Vérifie le délai minimum depuis le dernier rappel
+     * @private
+     */
+    checkCooldown(state, currentDate) {
+        if (!state || !state.lastSentAt || !this.config.cooldownHours) return null;
+
+        const hoursSince = (currentDate.getTime() - new Date(state.lastSentAt).getTime()) / (1000 * 60 * 60);
+        return hoursSince < this.config.cooldownHours
+            ? `Dernier rappel envoyé il y a ${Math.floor(hoursSince)}h (délai minimum ${this.config.cooldownHours}h)`
+            : null;
+    }
+
+    /**
+     * Enregistre l'envoi d'un rappel (idempotent pour une même étape)
+     * @param {Object} reimbursement - Remboursement concerné
+     * @param {Object} policy - Étape envoyée ({ emailType, stage, milestone, overdueIndex })
+     * @param {Date} [sentAt] - Date d'envoi
+     * @returns {Promise<Object>} Nouvel état
+     */
+    async recordSent(reimbursement, policy, sentAt = this.clock.date()) {
+        const current = await this.getState(reimbursement);
+        const state = current || this.createState(reimbursement);
+
+        if (policy.milestone !== undefined && !state.beforeDueSent.includes(policy.milestone)) {
+            state.beforeDueSent.push(policy.milestone);
+        }
+
+        if (policy.overdueIndex !== undefined && policy.overdueIndex > state.overdueCount) {
+            state.overdueCount = policy.overdueIndex;
+            state.lastOverdueSentAt = sentAt;
+        }
+
+        state.lastSentAt = sentAt;
+        state.lastEmailType = policy.emailType;
+        state.lastStage = policy.stage;
+        state.sentCount = (state.sentCount || 0) + 1;
+
+        await this.store.set(String(reimbursement.id), state);
+        return state;
+    }
+
+    /**
+     * Récupère le dernier état d'un remboursement
+     * (réinitialisé si l'échéance a changé depuis le dernier rappel)
+     * @param {Object} reimbursement - Remboursement (id, dueDate)
+     * @returns {Promise<Object|null>} État ou null
+     */
+    async getState(reimbursement) {
+        const state = await this.store.get(String(reimbursement.id));
+        if (!state) return null;
+
+        const dueDate = new Date(reimbursement.dueDate).toISOString();
+        return state.dueDate === dueDate ? state : null;
+    }
+
+    /**
+     * Supprime l'état d'un remboursement (nouvelle cadence complète)
+     * @param {string} reimbursementId - ID du remboursement
+     * @returns {Promise<boolean>}
+     */
+    async reset(reimbursementId) {
+        return this.store.delete(String(reimbursementId));
+    }
+
+    /**
+     * @private
+     */
+    createState(reimbursement) {
+        return {
+            reimbursementId: String(reimbursement.id),
+            dueDate: new Date(reimbursement.dueDate).toISOString(),
+            beforeDueSent: [],
+            overdueCount: 0,
+            lastOverdueSentAt: null,
+            lastSentAt: null,
+            lastEmailType: null,
+            lastStage: null,
+            sentCount: 0
+        };
+    }
+
+    /**
+     * Retourne la cadence et les métriques de la politique
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            cadence: {
+                beforeDue: this.config.beforeDue,
+                overdueEvery: this.config.overdueEvery,
+                maxOverdue: this.config.maxOverdue,
+                cooldownHours: this.config.cooldownHours
+            },
+            ...this.metrics,
+            bySuppressionReason: { ...this.metrics.bySuppressionReason }
+        };
+    }
+}
+
+module.exports = ReminderPolicyService;
+module.exports.MemoryReminderStateStore = MemoryReminderStateStore;
+module.exports.MongoReminderStateStore = MongoReminderStateStore;
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const { resolveCalendarOptions, buildDueDateCalendar, calendarAttachment, calendarUid } = require('./core/calendar');
+const { createMemoryBackend } = require('./core/backends');
+const { VirtualClock } = require('./core/Clock');
+const ReminderService = require('./lite');
+const LiteEmailService = require('./lite/services/EmailService');
+
+/**
+ * Test des invitations calendrier (.ics) : format RFC 5545, UID stable et SEQUENCE
+ * croissante, tâche ou événement, et pièce jointe des rappels avant échéance (lite).
+ */
+
+const reimbursement = {
+    id: 'RBT-001',
+    amount: 1500.5,
+    currency: 'XOF',
+    dueDate: '2026-03-10T23:30:00Z',
+    company: { name: 'Tech Solutions, SARL; Abidjan' },
+    employee: { name: 'Konan Marc' }
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+function testOptions() {
+    console.log('\n📝 Test des options...');
+
+    assert.strictEqual(resolveCalendarOptions(undefined), null);
+    assert.strictEqual(resolveCalendarOptions({ enabled: false }), null);
+    assert.deepStrictEqual(resolveCalendarOptions(true, { timezone: 'Africa/Abidjan' }).alarms, ['-P3D', '-P1D']);
+    assert.strictEqual(resolveCalendarOptions({ type: 'task' }, { timezone: 'Europe/Paris' }).timezone, 'Europe/Paris');
+    assert.throws(() => resolveCalendarOptions({ type: 'meeting' }), /Type d'invitation calendrier "meeting"/);
+    assert.throws(() => resolveCalendarOptions({ alarms: ['-P1D', '1 jour'] }), /Alarmes calendrier invalides.*1 jour/);
+
+    console.log('✅ Désactivé par défaut, type et alarmes validés');
+}
+
+function testEvent() {
+    console.log('\n📝 Test de l\'événement d\'échéance...');
+    const ics = buildDueDateCalendar(reimbursement, { ...resolveCalendarOptions(true), now: '2026-03-05T08:00:00Z', timezone: 'Europe/Paris' });
+    const lines = unfold(ics).split('\r\n');
+
+    // Lignes CRLF repliées à 75 octets
+    assert.ok(ics.endsWith('\r\n'));
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.deepStrictEqual([lines[0], lines[1]], ['BEGIN:VCALENDAR', 'VERSION:2.0']);
+
+    assert.ok(lines.includes(`UID:${calendarUid(reimbursement)}`));
+    assert.ok(lines.includes('DTSTAMP:20260305T080000Z'));
+    // 23h30 UTC le 10 mars : 11 mars à Paris, événement sur la journée
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20260311'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20260312'));
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:VALARM').length, 2);
+    assert.ok(lines.includes('TRIGGER:-P3D'));
+    // Virgules et points-virgules échappés
+    assert.ok(lines.some(line => line.startsWith('DESCRIPTION:') && line.includes('Tech Solutions\\, SARL\\; Abidjan')));
+
+    console.log('✅ Événement sur la journée d\'échéance, lignes repliées, texte échappé');
+}
+
+function testUpdatesAndTasks() {
+    console.log('\n📝 Test des mises à jour et des tâches...');
+    const options = resolveCalendarOptions({ type: 'task', alarms: ['-P1D'] });
+    const first = unfold(buildDueDateCalendar({ ...reimbursement, dueDate: '2026-03-10' }, { ...options, now: '2026-03-05T08:00:00Z' }));
+    const second = unfold(buildDueDateCalendar({ ...reimbursement, dueDate: '2026-03-10' }, { ...options, now: '2026-03-08T08:00:00Z' }));
+
+    // Même UID, SEQUENCE croissante : le calendrier remplace l'entrée existante
+    const sequence = (ics) => Number(/SEQUENCE:(\d+)/.exec(ics)[1]);
+    assert.strictEqual(/UID:(.+)/.exec(first)[1], /UID:(.+)/.exec(second)[1]);
+    assert.ok(sequence(second) > sequence(first));
+
+    assert.match(first, /BEGIN:VTODO/);
+    assert.match(first, /DUE;VALUE=DATE:20260310/);
+    assert.match(first, /TRIGGER;RELATED=END:-P1D/);
+
+    const attachment = calendarAttachment(reimbursement, { locale: 'en-GB' });
+    assert.strictEqual(attachment.filename, 'due-date-RBT-001.ics');
+    assert.strictEqual(attachment.contentType, 'text/calendar; charset=utf-8; method=PUBLISH');
+    assert.match(unfold(attachment.content), /SUMMARY:Reimbursement RBT-001 due/);
+
+    assert.throws(() => buildDueDateCalendar({ id: 'RBT-002' }), /sans id ou date d'échéance/);
+
+    console.log('✅ UID stable, SEQUENCE croissante, tâche à échéance');
+}
+
+async function testLiteAttachment() {
+    console.log('\n📝 Test de l\'invitation jointe aux rappels (lite)...');
+    const clock = new VirtualClock('2026-03-05T08:00:00Z');
+    const emailService = new LiteEmailService({ transport: 'json', isProduction: true });
+    const service = new ReminderService({
+        backend: createMemoryBackend({ clock }),
+        clock,
+        isProduction: true,
+        escalation: false,
+        statements: false,
+        calendar: true,
+        reimbursementService: {
+            getReimbursements: async ({ type }) => (type === 'TREASURY' ? [
+                { id: 'T1', healthCoverageId: 'HC-001', amount: 900, currency: 'XOF', dueDate: '2026-02-20T00:00:00Z' },
+                { id: 'T2', healthCoverageId: 'HC-001', amount: 2500, currency: 'XOF', dueDate: '2026-03-08T00:00:00Z' }
+            ] : [])
+        },
+        managerService: {
+            getReimbursementOwner: async () => ({ email: 'owner@x.co', name: 'Owner' }),
+            getOldestManagers: async () => [{ email: 'ancien@x.co', name: 'Ancien' }]
+        },
+        emailService
+    });
+
+    await service.initialize();
+    await service.forceReminderExecution('coverage');
+    await clock.advance(10 * 60 * 1000);
+    await service.shutdown();
+
+    const invites = emailService.transporter.getMessages().map(message => ({
+        subject: message.subject,
+        ics: (message.attachments || []).filter(attachment => attachment.filename.endsWith('.ics'))
+    }));
+    // Seul le rappel avant échéance (T2) porte l'invitation
+    const withInvite = invites.filter(invite => invite.ics.length > 0);
+    assert.strictEqual(withInvite.length, 1);
+    assert.strictEqual(withInvite[0].ics[0].filename, 'echeance-T2.ics');
+    assert.match(unfold(withInvite[0].ics[0].content), /UID:reimbursement-T2@flexmo\.app/);
+    assert.ok(invites.some(invite => invite.ics.length === 0 && invite.subject.includes('retard')));
+
+    console.log('✅ Invitation .ics jointe au rappel avant échéance uniquement');
+}
+
+async function testCalendar() {
+    console.log('🚀 Test des invitations calendrier...');
+
+    try {
+        testOptions();
+        testEvent();
+        testUpdatesAndTasks();
+        await testLiteAttachment();
+
+        console.log('\n✅ Tous les tests des invitations calendrier sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testCalendar();
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const { buildCoverageSummary } = require('./core/coverageSummary');
+const { createMemoryBackend } = require('./core/backends');
+const { VirtualClock } = require('./core/Clock');
+const RemboursementMailService = require('./services/RemboursementMailService');
+const ReminderService = require('./lite');
+const LiteEmailService = require('./lite/services/EmailService');
+
+/**
+ * Test de la synthèse Coverage : contenu, activation explicite, destinataires
+ * et isolement des envois par destinataire (lite).
+ */
+
+const reimbursements = () => [
+    { id: 'T1', type: 'TREASURY', healthCoverageId: 'HC-001', amount: 2500, currency: 'XOF', dueDate: '2026-03-15T00:00:00Z' },
+    { id: 'T2', type: 'TREASURY', healthCoverageId: 'HC-001', amount: 900, currency: 'XOF', dueDate: '2026-02-20T00:00:00Z' },
+    { id: 'T3', type: 'TREASURY', healthCoverageId: 'HC-001', amount: 100, currency: 'EUR', dueDate: '2026-03-08T00:00:00Z' }
+];
+
+const managerService = (withCoverageManagers = true) => ({
+    getReimbursementOwner: async (reimbursement) => ({ email: `owner-${reimbursement.id}@x.co`, name: 'Owner' }),
+    getOldestManagers: async () => [{ email: 'ancien@x.co', name: 'Ancien' }],
+    ...(withCoverageManagers && {
+        getHealthCoverageManagers: async () => [{ email: 'resp@x.co', name: 'Resp' }, { email: 'resp2@x.co', name: 'Resp2' }]
+    })
+});
+
+function testSummaryContent() {
+    console.log('\n📝 Test du contenu de la synthèse...');
+    const summary = buildCoverageSummary('HC-001', reimbursements(), {
+        date: new Date('2026-03-05T08:00:00Z'),
+        urgencyLevel: daysDiff => (daysDiff < 0 ? 'critical' : 'normal')
+    });
+
+    assert.strictEqual(summary.count, 3);
+    assert.deepStrictEqual(summary.totals, [{ currency: 'XOF', amount: 3400 }, { currency: 'EUR', amount: 100 }]);
+    assert.deepStrictEqual(summary.overdue, { count: 1, totals: [{ currency: 'XOF', amount: 900 }] });
+    assert.deepStrictEqual(summary.reimbursements.map(item => item.id), ['T2', 'T3', 'T1']);
+
+    console.log('✅ Totaux par devise, retards et tri par échéance');
+}
+
+async function runLiteCoverage(config, emailService = new LiteEmailService({ transport: 'json', isProduction: true })) {
+    const clock = new VirtualClock('2026-03-05T08:00:00Z');
+    const service = new ReminderService({
+        backend: createMemoryBackend({ clock }),
+        clock,
+        isProduction: true,
+        statements: false,
+        escalation: false,
+        reimbursementService: { getReimbursements: async ({ type }) => (type === 'TREASURY' ? reimbursements() : []) },
+        emailService,
+        ...config
+    });
+
+    await service.initialize();
+    await service.forceReminderExecution('coverage');
+    await clock.advance(10 * 60 * 1000);
+    await service.shutdown();
+
+    return emailService.transporter.getMessages()
+        .filter(message => message.subject.includes('Synthèse'))
+        .flatMap(message => [].concat(message.to).map(to => to.address || to));
+}
+
+async function testOptIn() {
+    console.log('\n📝 Test de l\'activation explicite...');
+
+    // Désactivée par défaut : les plus anciens managers reçoivent déjà chaque rappel
+    assert.deepStrictEqual(await runLiteCoverage({ managerService: managerService() }), []);
+
+    // Activée sans responsable désigné : aucun repli sur les plus anciens managers
+    assert.deepStrictEqual(await runLiteCoverage({ managerService: managerService(false), coverageSummary: true }), []);
+
+    const service = new RemboursementMailService({ backend: 'memory', isProduction: true, managerService: managerService(false), emailService: {} });
+    assert.strictEqual(service.coverageSummary, false);
+    assert.deepStrictEqual(await service.getCoverageSummaryRecipients('HC-001'), []);
+    const enabled = new RemboursementMailService({ backend: 'memory', isProduction: true, coverageSummary: { enabled: true }, managerService: managerService(), emailService: {} });
+    assert.strictEqual(enabled.coverageSummary, true);
+    assert.deepStrictEqual((await enabled.getCoverageSummaryRecipients('HC-001')).map(recipient => recipient.email), ['resp@x.co', 'resp2@x.co']);
+
+    console.log('✅ Synthèse envoyée uniquement sur activation, aux responsables désignés');
+}
+
+async function testPerRecipientRetry() {
+    console.log('\n📝 Test des nouvelles tentatives par destinataire...');
+    const emailService = new LiteEmailService({ transport: 'json', isProduction: true });
+    const sendTemplated = emailService.sendTemplated.bind(emailService);
+    let failures = 0;
+    emailService.sendTemplated = async (template, data, options) => {
+        if (options.to === 'resp2@x.co' && failures++ === 0) {
+            throw new Error('SMTP indisponible');
+        }
+        return sendTemplated(template, data, options);
+    };
+
+    const recipients = await runLiteCoverage({ managerService: managerService(), coverageSummary: true }, emailService);
+
+    // L'échec de resp2 n'a pas renvoyé la synthèse à resp
+    assert.deepStrictEqual(recipients.sort(), ['resp2@x.co', 'resp@x.co']);
+    assert.strictEqual(failures, 2);
+
+    console.log('✅ Un job par destinataire, aucun doublon après un échec');
+}
+
+async function testCoverageSummary() {
+    console.log('🚀 Test de la synthèse Coverage...');
+
+    try {
+        testSummaryContent();
+        await testOptIn();
+        await testPerRecipientRetry();
+
+        console.log('\n✅ Tous les tests de la synthèse Coverage sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testCoverageSummary();
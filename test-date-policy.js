@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { DatePolicy, createDatePolicy } = require('./core/datePolicy');
+
+/**
+ * Test de la politique de dates : jours fériés, jours ouvrés, fuseau horaire et erreurs de configuration
+ */
+
+function testHolidays() {
+    console.log('\n📝 Test du calendrier des jours fériés (Côte d\'Ivoire)...');
+    const policy = new DatePolicy({ businessDays: true, holidays: 'ci' });
+
+    // Fêtes mobiles calculées depuis Pâques
+    assert.strictEqual(policy.holidayName('2025-04-21'), 'Lundi de Pâques');
+    assert.strictEqual(policy.holidayName('2026-04-06'), 'Lundi de Pâques');
+    assert.strictEqual(policy.holidayName('2026-05-14'), 'Ascension');
+    assert.strictEqual(policy.holidayName('2026-05-25'), 'Lundi de Pentecôte');
+    assert.strictEqual(policy.holidayName('2026-08-07'), 'Fête de l\'Indépendance');
+    assert.strictEqual(policy.holidayName('2026-08-08'), null);
+
+    const mixed = new DatePolicy({ holidays: ['ci', '12-24', { date: '2026-03-10', name: 'Inventaire' }] });
+    assert.strictEqual(mixed.holidayName('2026-12-24'), 'Jour férié');
+    assert.strictEqual(mixed.holidayName('2026-03-10'), 'Inventaire');
+    assert.strictEqual(mixed.holidayName('2026-01-01'), 'Jour de l\'An');
+
+    console.log('✅ Jours fériés fixes, mobiles et personnalisés reconnus');
+}
+
+function testBusinessDays() {
+    console.log('\n📝 Test du calcul en jours ouvrés...');
+    const policy = new DatePolicy({ businessDays: true, holidays: 'ci', timezone: 'Africa/Abidjan' });
+
+    // Vendredi -> lundi : 1 jour ouvré, affiché "dans 3 jours"
+    assert.strictEqual(policy.daysUntil('2026-03-09', new Date('2026-03-06T10:00:00Z')), 1);
+    assert.deepStrictEqual(policy.daysInfo('2026-03-09', new Date('2026-03-06T10:00:00Z')), { daysDiff: 1, isOverdue: false, remainingDays: 3 });
+
+    // Échéance un samedi reportée au lundi
+    assert.strictEqual(policy.effectiveDueDay('2026-03-07'), '2026-03-09');
+    assert.deepStrictEqual(policy.daysInfo('2026-03-07', new Date('2026-03-05T10:00:00Z')), { daysDiff: 2, isOverdue: false, remainingDays: 4 });
+    assert.deepStrictEqual(policy.daysInfo('2026-03-06', new Date('2026-03-10T10:00:00Z')), { daysDiff: -2, isOverdue: true, overdueDays: 4 });
+
+    assert.strictEqual(policy.isReminderDay(new Date('2026-03-07T10:00:00Z')), false);
+    assert.strictEqual(policy.nextBusinessDay('2026-03-14'), '2026-03-16');
+    assert.strictEqual(policy.dayOfMonth('2026-03-13'), 10);
+    assert.strictEqual(policy.dayOfMonth('2026-03-16'), 11);
+
+    const fridaySaturday = new DatePolicy({ businessDays: true, weekend: [5, 6] });
+    assert.strictEqual(fridaySaturday.isBusinessDay('2026-03-08'), true);
+    assert.strictEqual(fridaySaturday.isBusinessDay('2026-03-06'), false);
+
+    console.log('✅ Week-ends et jours fériés exclus du décompte');
+}
+
+function testCalendarDays() {
+    console.log('\n📝 Test du calcul en jours calendaires...');
+    const policy = new DatePolicy({ timezone: 'UTC' });
+    const now = new Date('2026-03-05T08:00:00Z');
+
+    assert.strictEqual(policy.daysUntil('2026-03-09T00:00:00Z', now), 4);
+    assert.strictEqual(policy.daysUntil('2026-03-05T00:00:00Z', now), 0);
+    assert.strictEqual(policy.daysUntil('2026-02-20T00:00:00Z', now), -13);
+    assert.strictEqual(policy.dayOfMonth('2026-03-16'), 16);
+    assert.strictEqual(policy.isReminderDay('2026-03-07'), true);
+
+    // Limites de jour dans le fuseau configuré
+    const lateEvening = new Date('2026-03-05T23:30:00Z');
+    assert.strictEqual(new DatePolicy({ timezone: 'Europe/Paris' }).dayOf(lateEvening), '2026-03-06');
+    assert.strictEqual(new DatePolicy({ timezone: 'Africa/Abidjan' }).dayOf(lateEvening), '2026-03-05');
+
+    console.log('✅ Jours calendaires comptés dans le fuseau configuré');
+}
+
+function testConfigurationErrors() {
+    console.log('\n📝 Test des erreurs de configuration...');
+
+    assert.throws(() => new DatePolicy({ weekend: [7] }), /week-end invalides/);
+    assert.throws(() => new DatePolicy({ holidays: 'xx' }), /introuvable/);
+    assert.throws(() => new DatePolicy({ timezone: 'Mars/Olympus' }), /Fuseau horaire/);
+    assert.throws(() => new DatePolicy({ holidays: [{ date: '2026-13' }] }), /Date de jour férié invalide/);
+    assert.throws(() => new DatePolicy().dayOf('pas une date'), /Date invalide/);
+
+    const policy = new DatePolicy();
+    assert.strictEqual(createDatePolicy(policy), policy);
+    assert.strictEqual(createDatePolicy({ businessDays: true }, { timezone: 'Africa/Abidjan' }).timezone, 'Africa/Abidjan');
+
+    console.log('✅ Configurations invalides rejetées');
+}
+
+function testDatePolicy() {
+    console.log('🚀 Test de la politique de dates...');
+
+    try {
+        testHolidays();
+        testBusinessDays();
+        testCalendarDays();
+        testConfigurationErrors();
+
+        console.log('\n✅ Tous les tests de la politique de dates sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testDatePolicy();
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const { resolveDigestOptions, recipientMode, setPreference, summarizeDigest, DigestCollector } = require('./core/digest');
+const { createMemoryBackend } = require('./core/backends');
+const { VirtualClock } = require('./core/Clock');
+const ReminderService = require('./lite');
+const LiteEmailService = require('./lite/services/EmailService');
+
+/**
+ * Test du mode récapitulatif : préférences des destinataires, collecte d'une exécution,
+ * synthèse par devise et email unique par destinataire (lite).
+ */
+
+const item = (id, amount, emailType, currency = 'XOF') => ({
+    reimbursement: { id, amount, currency },
+    emailType,
+    daysInfo: emailType === 'payment-overdue' ? { overdueDays: 3 } : { remainingDays: 3 }
+});
+
+function testPreferences() {
+    console.log('\n📝 Test des préférences...');
+
+    assert.strictEqual(resolveDigestOptions(undefined), null);
+    assert.strictEqual(resolveDigestOptions({ enabled: false }), null);
+    assert.throws(() => resolveDigestOptions({ defaultMode: 'hebdomadaire' }), /Mode de rappel "hebdomadaire" inconnu/);
+
+    const options = resolveDigestOptions({ preferences: { ' Alice@X.co ': 'digest' } });
+    assert.strictEqual(options.defaultMode, 'individual');
+    assert.strictEqual(recipientMode({ email: 'alice@x.co' }, options), 'digest');
+    assert.strictEqual(recipientMode({ email: 'bob@x.co' }, options), 'individual');
+    // reminderMode du destinataire prioritaire sur la préférence
+    assert.strictEqual(recipientMode({ email: 'alice@x.co', reminderMode: 'individual' }, options), 'individual');
+
+    setPreference(options, 'BOB@x.co', 'digest');
+    assert.strictEqual(recipientMode({ email: 'bob@x.co' }, options), 'digest');
+    setPreference(options, 'bob@x.co', null);
+    assert.strictEqual(recipientMode({ email: 'bob@x.co' }, options), 'individual');
+    assert.throws(() => setPreference(options, 'bob@x.co', 'jamais'), /inconnu/);
+
+    console.log('✅ Individuel par défaut, préférences normalisées, reminderMode prioritaire');
+}
+
+function testCollector() {
+    console.log('\n📝 Test de la collecte...');
+    const collector = new DigestCollector('coverage', resolveDigestOptions({ preferences: { 'alice@x.co': 'digest' } }));
+    const alice = { email: 'Alice@x.co', name: 'Alice' };
+    const bob = { email: 'bob@x.co', name: 'Bob' };
+
+    const individual = collector.collect({ recipients: [alice, bob], ...item('T1', 900, 'payment-overdue') });
+    collector.collect({ recipients: [alice], ...item('T2', 2500, 'payment-reminder') });
+
+    assert.deepStrictEqual(individual, [bob]);
+    assert.strictEqual(collector.size, 1);
+    const [digest] = collector.digests();
+    assert.strictEqual(digest.recipient, alice);
+    assert.deepStrictEqual(digest.items.map(entry => entry.reimbursement.id), ['T1', 'T2']);
+
+    assert.deepStrictEqual(summarizeDigest([...digest.items, item('T3', 100, 'payment-reminder', 'EUR')]), {
+        count: 3,
+        overdue: 1,
+        upcoming: 2,
+        totals: [{ currency: 'XOF', amount: 3400 }, { currency: 'EUR', amount: 100 }]
+    });
+
+    console.log('✅ Destinataires en digest collectés, les autres restent en envoi individuel');
+}
+
+async function testLiteDigest() {
+    console.log('\n📝 Test du récapitulatif envoyé (lite)...');
+    const clock = new VirtualClock('2026-03-05T08:00:00Z');
+    const emailService = new LiteEmailService({ transport: 'json', isProduction: true });
+    const service = new ReminderService({
+        backend: createMemoryBackend({ clock }),
+        clock,
+        isProduction: true,
+        escalation: false,
+        statements: false,
+        digest: { preferences: { 'Owner@x.co': 'digest' } },
+        reimbursementService: {
+            getReimbursements: async ({ type }) => (type === 'TREASURY' ? [
+                { id: 'T1', healthCoverageId: 'HC-001', amount: 900, currency: 'XOF', dueDate: '2026-02-20T00:00:00Z' },
+                { id: 'T2', healthCoverageId: 'HC-001', amount: 2500, currency: 'XOF', dueDate: '2026-03-08T00:00:00Z' }
+            ] : [])
+        },
+        managerService: {
+            getReimbursementOwner: async () => ({ email: 'owner@x.co', name: 'Owner' }),
+            getOldestManagers: async () => [{ email: 'ancien@x.co', name: 'Ancien' }]
+        },
+        emailService
+    });
+
+    await service.initialize();
+    await service.forceReminderExecution('coverage');
+    await clock.advance(10 * 60 * 1000);
+    await service.shutdown();
+
+    const received = (email) => emailService.transporter.getMessages()
+        .filter(message => [].concat(message.to).some(to => (to.address || to) === email));
+
+    // Un seul email récapitulatif pour owner, deux rappels individuels pour ancien
+    const [digest, ...others] = received('owner@x.co');
+    assert.strictEqual(others.length, 0);
+    assert.match(digest.subject, /2 remboursements/);
+    assert.match(digest.html, /T1/);
+    assert.match(digest.html, /T2/);
+    assert.strictEqual(received('ancien@x.co').length, 2);
+
+    console.log('✅ Un récapitulatif par destinataire en digest, rappels individuels pour les autres');
+}
+
+async function testDigest() {
+    console.log('🚀 Test du mode récapitulatif...');
+
+    try {
+        testPreferences();
+        testCollector();
+        await testLiteDigest();
+
+        console.log('\n✅ Tous les tests du mode récapitulatif sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testDigest();
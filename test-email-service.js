@@ -1,9 +1,7 @@
 require('dotenv').config();
 const EmailService = require('./core/EmailService');
-const path = require('path');
-const fs = require('fs').promises;
 
-// Configuration du service email
+// Configuration du service email (EMAIL_TRANSPORT=json pour un essai sans envoi)
 const emailService = new EmailService({
     from: process.env.GMAIL_USER || 'contact@flexmo.app',
     password: process.env.GMAIL_APP_PASSWORD,
@@ -63,41 +61,20 @@ const mockCompanyInfo = {
  */
 async function testBeforeDueReminder() {
     try {
-        // Lecture du template
-        const templatePath = path.join(__dirname, 'lite', 'templates', 'reminder-before-due.ejs');
-        const template = await fs.readFile(templatePath, 'utf-8');
-
-        // Configuration de l'email
-        const emailOptions = {
-            to: ['yveslioneldiomande795@gmail.com', 'yves.lionel.diomande@gmail.com'],
-            subject: `Rappel de paiement - ${mockReimbursement.company.name} - Échéance dans ${mockDaysInfo.remainingDays} jours`,
-            html: template.replace(/<%=\s*([^%>]+)\s*%>/g, (match, p1) => {
-                if (p1.includes('reimbursement.')) {
-                    const props = p1.split('.').slice(1);
-                    return props.reduce((obj, prop) => obj?.[prop], mockReimbursement) || '';
-                }
-                if (p1.includes('daysInfo.')) {
-                    const prop = p1.split('.')[1].trim();
-                    return mockDaysInfo[prop];
-                }
-                if (p1.includes('company.')) {
-                    const prop = p1.split('.')[1].trim();
-                    return mockCompanyInfo[prop];
-                }
-                if (p1.includes('recipient.name')) {
-                    return mockReimbursement.employee.name;
-                }
-                if (p1.includes('supportContact')) {
-                    return mockCompanyInfo.supportContact.email;
-                }
-                return '';
-            }),
-            text: `Rappel de paiement pour le remboursement ${mockReimbursement.id} - ${mockReimbursement.company.name} - Montant: ${mockReimbursement.amount} EUR - Échéance: ${mockDaysInfo.dueDate}`
+        // Rendu EJS complet (layout, partials, marque) et partie texte générée par le service
+        const templateData = {
+            recipient: { name: mockReimbursement.employee.name },
+            reimbursement: mockReimbursement,
+            daysInfo: mockDaysInfo,
+            supportContact: mockCompanyInfo.supportContact
         };
 
         // Envoi de l'email
         console.log('📧 Envoi du mail de test...');
-        const result = await emailService.sendMail(emailOptions);
+        const result = await emailService.sendTemplated('reminder-before-due', templateData, {
+            to: ['yveslioneldiomande795@gmail.com', 'yves.lionel.diomande@gmail.com'],
+            subject: `Rappel de paiement - ${mockReimbursement.company.name} - Échéance dans ${mockDaysInfo.remainingDays} jours`
+        });
         console.log('✅ Email envoyé avec succès:', result);
 
     } catch (error) {
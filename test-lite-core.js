@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const EmailService = require('./core/EmailService');
+const LiteEmailService = require('./lite/services/EmailService');
+
+/**
+ * Test du câblage lite -> core : le lite réutilise les modules du core (aucune copie),
+ * et lite/ + core/ copiés seuls se chargent (aucun require hors de ces dossiers).
+ */
+
+const ROOT = __dirname;
+
+function listSources(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name === 'node_modules' ? [] : listSources(fullPath);
+        }
+        return entry.name.endsWith('.js') ? [fullPath] : [];
+    });
+}
+
+function relativeRequires(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    return [...source.matchAll(/require\(['"](\.{1,2}\/[^'"]+)['"]\)/g)].map(match => match[1]);
+}
+
+function testSelfContained() {
+    console.log('\n📝 Test de l\'autonomie de lite/ et core/...');
+    const allowed = [path.join(ROOT, 'lite'), path.join(ROOT, 'core')];
+    const outside = [];
+
+    for (const file of allowed.flatMap(listSources)) {
+        for (const request of relativeRequires(file)) {
+            const target = require.resolve(path.resolve(path.dirname(file), request));
+            if (!allowed.some(directory => target.startsWith(directory + path.sep))) {
+                outside.push(`${path.relative(ROOT, file)} -> ${request}`);
+            }
+        }
+    }
+
+    assert.deepStrictEqual(outside, []);
+
+    // Dépendances npm du core déclarées par le lite
+    const { dependencies } = JSON.parse(fs.readFileSync(path.join(ROOT, 'lite', 'package.json'), 'utf8'));
+    const packages = new Set(listSources(path.join(ROOT, 'core'))
+        .flatMap(file => [...fs.readFileSync(file, 'utf8').matchAll(/require\(['"]([a-z@][^'"/]*)/g)].map(match => match[1]))
+        .filter(name => !require('module').builtinModules.includes(name)));
+    assert.deepStrictEqual([...packages].filter(name => !dependencies[name]), []);
+
+    console.log('✅ Aucun require hors de lite/ et core/, dépendances déclarées');
+}
+
+function testNoCopies() {
+    console.log('\n📝 Test de la réutilisation des modules du core...');
+
+    // Seul le point d'import de l'EmailService reste dans lite/services
+    assert.deepStrictEqual(listSources(path.join(ROOT, 'lite', 'services')).map(file => path.relative(ROOT, file)), [
+        path.join('lite', 'services', 'EmailService.js')
+    ]);
+
+    const service = new LiteEmailService({ transport: 'json', isProduction: true });
+    assert.ok(service instanceof EmailService);
+    assert.strictEqual(service.config.templatesDir, path.join(ROOT, 'lite', 'templates'));
+    assert.strictEqual(new LiteEmailService({ transport: 'json', templatesDir: '/tmp/templates' }).config.templatesDir, '/tmp/templates');
+
+    const coreModules = ['i18n', 'digest', 'calendar', 'coverageSummary', 'datePolicy', 'htmlToText', 'templating', 'suppression', 'statements', 'MiddlewarePipeline', 'EmailServiceAdapter'];
+    const liteRequires = listSources(path.join(ROOT, 'lite')).flatMap(relativeRequires);
+    for (const name of coreModules) {
+        assert.ok(liteRequires.some(request => request.startsWith(`../core/${name}`)), `lite doit importer core/${name}`);
+    }
+
+    console.log('✅ Le lite importe les modules du core');
+}
+
+async function testLiteCore() {
+    console.log('🚀 Test du câblage lite -> core...');
+
+    try {
+        testSelfContained();
+        testNoCopies();
+
+        console.log('\n✅ Tous les tests du câblage lite -> core sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testLiteCore();
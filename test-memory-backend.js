@@ -0,0 +1,218 @@
+const assert = require('assert');
+const path = require('path');
+const BullMQManager = require('./core/BullMQManager');
+const { VirtualClock } = require('./core/Clock');
+
+/**
+ * Test du backend mémoire piloté par une VirtualClock (sans Redis) :
+ * tentatives et backoff, jobs récurrents, rejets non-Error, dead-letter, idempotence et options de topologie.
+ */
+
+async function createManager(config = {}) {
+    const clock = new VirtualClock('2026-03-02T08:00:00Z');
+    const manager = new BullMQManager({ backend: 'memory', clock, isProduction: true, ...config });
+    await manager.initialize();
+    return { manager, clock };
+}
+
+async function testRetriesAndBackoff() {
+    console.log('\n📝 Test des tentatives et du backoff...');
+    const { manager, clock } = await createManager();
+    manager.createQueue('retries');
+
+    const attempts = { fixed: [], exponential: [] };
+    manager.startWorker('retries', {
+        fixed: async () => { attempts.fixed.push(clock.now()); throw new Error('SMTP indisponible'); },
+        exponential: async () => {
+            attempts.exponential.push(clock.now());
+            if (attempts.exponential.length < 4) throw new Error('API indisponible');
+            return 'envoyé';
+        }
+    });
+
+    const start = clock.now();
+    const fixed = await manager.addJob('retries', 'fixed', {}, { attempts: 3, backoff: { type: 'fixed', delay: 1000 } });
+    const exponential = await manager.addJob('retries', 'exponential', {}, { attempts: 5, backoff: { type: 'exponential', delay: 1000 } });
+    await clock.advance(60 * 1000);
+
+    assert.deepStrictEqual(attempts.fixed.map(at => at - start), [0, 1000, 2000]);
+    assert.strictEqual(await fixed.getState(), 'failed');
+    assert.strictEqual(fixed.attemptsMade, 3);
+    assert.strictEqual(fixed.failedReason, 'SMTP indisponible');
+
+    // 1s, 2s puis 4s entre les tentatives
+    assert.deepStrictEqual(attempts.exponential.map(at => at - start), [0, 1000, 3000, 7000]);
+    assert.strictEqual(await exponential.getState(), 'completed');
+    assert.strictEqual(exponential.returnvalue, 'envoyé');
+
+    await manager.shutdown();
+    console.log('✅ Tentatives et backoff respectés');
+}
+
+async function testNonErrorRejections() {
+    console.log('\n📝 Test des rejets sans Error...');
+    const { manager, clock } = await createManager();
+    manager.createQueue('rejections');
+    manager.startWorker('rejections', {
+        throwNull: async () => { throw null; },
+        rejectEmpty: () => Promise.reject()
+    });
+
+    const thrown = await manager.addJob('rejections', 'throwNull', {}, { attempts: 1 });
+    const rejected = await manager.addJob('rejections', 'rejectEmpty', {}, { attempts: 1 });
+    await clock.advance(1000);
+
+    assert.strictEqual(await thrown.getState(), 'failed');
+    assert.strictEqual(thrown.failedReason, 'null');
+    assert.strictEqual(await rejected.getState(), 'failed');
+    assert.strictEqual(rejected.failedReason, 'undefined');
+    assert.strictEqual((await manager.getQueueStats('rejections')).active, 0);
+
+    await manager.shutdown();
+    console.log('✅ Rejets sans Error marqués en échec');
+}
+
+async function testRepeatableJobs() {
+    console.log('\n📝 Test des jobs récurrents...');
+    const { manager, clock } = await createManager();
+    manager.createQueue('crons');
+
+    const runs = [];
+    manager.startWorker('crons', { daily: async () => runs.push(clock.date().toISOString()) });
+    await manager.scheduleJob('crons', 'daily', {}, '0 9 * * *', { jobId: 'daily-check', tz: 'Europe/Paris' });
+
+    const [repeatable] = await manager.getRepeatableJobs('crons');
+    assert.strictEqual(repeatable.id, 'daily-check');
+    // L'horloge démarre à 9h pile (Paris) : première exécution le lendemain
+    assert.strictEqual(repeatable.nextExecutions[0].toISOString(), '2026-03-03T08:00:00.000Z');
+
+    await clock.advanceTo('2026-03-04T12:00:00Z');
+    assert.deepStrictEqual(runs, [
+        '2026-03-03T08:00:00.000Z',
+        '2026-03-04T08:00:00.000Z'
+    ]);
+
+    await manager.shutdown();
+    console.log('✅ Jobs récurrents déclenchés à 9h (Europe/Paris)');
+}
+
+async function testDeadLetterReplay() {
+    console.log('\n📝 Test du rejeu dead-letter...');
+    const { manager, clock } = await createManager({ defaultOptions: { attempts: 2, backoff: { type: 'fixed', delay: 1000 } } });
+    manager.createQueue('mails');
+    manager.startWorker('mails', {
+        send: async (data) => {
+            if (!data.email) throw new Error('Destinataire manquant');
+            return `envoyé à ${data.email}`;
+        }
+    });
+
+    await manager.addJob('mails', 'send', { id: 'R1' });
+    await clock.advance(10 * 1000);
+
+    const [entry] = await manager.getDeadLetters('mails');
+    assert.ok(entry, 'entrée dead-letter attendue');
+    assert.strictEqual(entry.failedReason, 'Destinataire manquant');
+
+    await manager.updateDeadLetterPayload('mails', entry.id, { id: 'R1', email: 'ops@flexmo.app' }, { editedBy: 'test' });
+    const replayed = await manager.replayDeadLetter('mails', entry.id);
+    await clock.advance(1000);
+
+    assert.strictEqual(await replayed.getState(), 'completed');
+    assert.strictEqual(replayed.returnvalue, 'envoyé à ops@flexmo.app');
+    assert.strictEqual((await manager.getDeadLetters('mails')).length, 0);
+
+    await manager.shutdown();
+    console.log('✅ Entrée corrigée puis rejouée');
+}
+
+async function testIdempotency() {
+    console.log('\n📝 Test de l\'idempotence...');
+    const { manager, clock } = await createManager();
+
+    let sent = 0;
+    const send = async () => ({ messageId: `msg-${++sent}` });
+
+    const first = await manager.runOnce('reminder:R1:2026-03-02', send, { scope: 'mails' });
+    const second = await manager.runOnce('reminder:R1:2026-03-02', send, { scope: 'mails' });
+
+    assert.strictEqual(sent, 1);
+    assert.strictEqual(first.skipped, false);
+    assert.strictEqual(second.skipped, true);
+    assert.deepStrictEqual(second.result, { messageId: 'msg-1' });
+
+    // Un échec libère la clé : la tentative suivante s'exécute
+    await assert.rejects(manager.runOnce('reminder:R2', async () => { throw new Error('SMTP'); }, { scope: 'mails' }));
+    await manager.runOnce('reminder:R2', send, { scope: 'mails' });
+    assert.strictEqual(sent, 2);
+
+    // Réservation expirée pendant l'exécution : la clé reprise par un autre worker n'est pas écrasée
+    const slow = await manager.runOnce('reminder:R3', async () => {
+        await clock.advance(2000);
+        await manager.runOnce('reminder:R3', send, { scope: 'mails' });
+        return { messageId: 'lent' };
+    }, { scope: 'mails', lockTtl: 1000 });
+    assert.deepStrictEqual(slow.result, { messageId: 'lent' });
+    const stored = await manager.idempotencyManager.get('reminder:R3');
+    assert.deepStrictEqual(stored.result, { messageId: 'msg-3' });
+
+    assert.deepStrictEqual(manager.getIdempotencyStats('mails'), { executed: 4, skipped: 1, conflicts: 1, failed: 1 });
+
+    await manager.shutdown();
+    console.log('✅ Effet de bord exécuté une seule fois');
+}
+
+async function testTopologyJobOptions() {
+    console.log('\n📝 Test des options de jobs d\'une topologie...');
+    const { manager } = await createManager();
+    await manager.loadTopology(path.join(__dirname, 'examples/topology/reminders.yaml'), {
+        reimbursementService: { getReimbursements: async () => [] },
+        emailService: { sendMail: async () => ({}) }
+    });
+    manager.createQueue('plain');
+
+    // defaults.jobOptions de la topologie
+    const corporate = await manager.addJob('corporate-reminders', 'process-corporate-reminders', { type: 'manual-execution' });
+    assert.strictEqual(corporate.opts.attempts, 5);
+    assert.deepStrictEqual(corporate.opts.backoff, { type: 'exponential', delay: 5000 });
+
+    // defaultJobOptions de la queue, puis options du job
+    const report = await manager.addJob('emails', 'send-report', { template: 'monthly-report' });
+    assert.strictEqual(report.opts.attempts, 3);
+    assert.deepStrictEqual(report.opts.backoff, { type: 'exponential', delay: 5000 });
+    const urgent = await manager.addJob('emails', 'send-report', { template: 'monthly-report' }, { attempts: 1 });
+    assert.strictEqual(urgent.opts.attempts, 1);
+
+    const [schedule] = await manager.getRepeatableJobs('corporate-reminders');
+    const scheduled = (await manager.queueManager.getQueue('corporate-reminders').getDelayed())
+        .find(job => job.name === schedule.name);
+    assert.strictEqual(scheduled.opts.attempts, 5);
+
+    // Queue hors topologie : défauts du manager
+    const plain = await manager.addJob('plain', 'noop', {});
+    assert.strictEqual(plain.opts.attempts, 3);
+    assert.deepStrictEqual(plain.opts.backoff, { type: 'fixed', delay: 5000 });
+
+    await manager.shutdown();
+    console.log('✅ Politique de tentatives de la topologie appliquée aux jobs');
+}
+
+async function testMemoryBackend() {
+    console.log('🚀 Test du backend mémoire...');
+
+    try {
+        await testRetriesAndBackoff();
+        await testNonErrorRejections();
+        await testRepeatableJobs();
+        await testDeadLetterReplay();
+        await testIdempotency();
+        await testTopologyJobOptions();
+
+        console.log('\n✅ Tous les tests du backend mémoire sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testMemoryBackend();
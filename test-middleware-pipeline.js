@@ -0,0 +1,139 @@
+const assert = require('assert');
+const MiddlewarePipeline = require('./core/MiddlewarePipeline');
+const { SchemaValidator, JobValidationError } = require('./core/SchemaValidator');
+const { createMemoryBackend } = require('./core/backends');
+const { VirtualClock } = require('./core/Clock');
+const ReminderService = require('./lite');
+const LiteEmailService = require('./lite/services/EmailService');
+
+/**
+ * Test de la chaîne de middlewares : ordre global/queue/job, contexte, middlewares
+ * fournis, et métriques du lite tenues par ses middlewares intégrés.
+ */
+
+async function testOrderAndContext() {
+    console.log('\n📝 Test de l\'ordre et du contexte...');
+    const pipeline = new MiddlewarePipeline();
+    const calls = [];
+    const trace = (name) => async (ctx, next) => {
+        calls.push(`${name}:avant`);
+        await next();
+        calls.push(`${name}:après`);
+    };
+
+    pipeline.use('emails', 'send-email', trace('job'));
+    pipeline.use('emails', trace('queue'));
+    pipeline.use(trace('global'));
+    pipeline.use('reports', trace('autre-queue'));
+    pipeline.use('emails', 'send-email', async (ctx, next) => {
+        ctx.data = { ...ctx.data, tenant: 'flexmo' };
+        await next();
+        ctx.result = { ...ctx.result, wrapped: true };
+    });
+
+    const result = await pipeline.run('emails', { id: '1', name: 'send-email', data: { to: 'a@x.co' } }, async (data) => {
+        calls.push('handler');
+        return { tenant: data.tenant };
+    });
+
+    assert.deepStrictEqual(calls, ['global:avant', 'queue:avant', 'job:avant', 'handler', 'job:après', 'queue:après', 'global:après']);
+    assert.deepStrictEqual(result, { tenant: 'flexmo', wrapped: true });
+    assert.deepStrictEqual(pipeline.getStats(), { global: 1, queues: { emails: 1, reports: 1 }, jobs: { 'emails::send-email': 2 } });
+
+    // next() appelé deux fois
+    const twice = new MiddlewarePipeline().use(async (ctx, next) => { await next(); await next(); });
+    await assert.rejects(twice.run('emails', { id: '2', name: 'x', data: {} }, async () => null), /plusieurs fois/);
+
+    assert.throws(() => pipeline.use('emails', 'pas une fonction'), /doit être une fonction/);
+
+    console.log('✅ Global, puis queue, puis job ; data et result modifiables');
+}
+
+async function testBuiltInMiddlewares() {
+    console.log('\n📝 Test des middlewares fournis...');
+    const collected = [];
+    const validator = new SchemaValidator().register('emails', 'send-email', { type: 'object', required: ['to'] });
+    const pipeline = new MiddlewarePipeline()
+        .use(MiddlewarePipeline.metrics(entry => collected.push(entry)))
+        .use(MiddlewarePipeline.errorMapping(error => new Error(`SMTP: ${error.message}`)))
+        .use(MiddlewarePipeline.validation(validator));
+
+    await pipeline.run('emails', { id: '1', name: 'send-email', data: { to: 'a@x.co' } }, async () => 'ok');
+    await assert.rejects(
+        pipeline.run('emails', { id: '2', name: 'send-email', data: { to: 'a@x.co' } }, async () => { throw new Error('timeout'); }),
+        /SMTP: timeout/
+    );
+    await assert.rejects(pipeline.run('emails', { id: '3', name: 'send-email', data: {} }, async () => 'ok'), (error) => {
+        // errorMapping retourne une nouvelle erreur, mais la validation a bien eu lieu avant le handler
+        assert.match(error.message, /SMTP: Données invalides/);
+        return true;
+    });
+    assert.throws(() => validator.assertValid('emails', 'send-email', {}, 'process'), JobValidationError);
+
+    assert.deepStrictEqual(collected.map(entry => entry.success), [true, false, false]);
+
+    console.log('✅ Métriques, conversion d\'erreurs et revalidation');
+}
+
+async function testLiteMetrics() {
+    console.log('\n📝 Test des métriques du lite...');
+    const clock = new VirtualClock('2026-03-05T08:00:00Z');
+    const emailService = new LiteEmailService({ transport: 'json', isProduction: true });
+    const service = new ReminderService({
+        backend: createMemoryBackend({ clock }),
+        clock,
+        isProduction: true,
+        escalation: false,
+        coverageSummary: true,
+        reimbursementService: {
+            getReimbursements: async ({ type }) => (type === 'TREASURY' ? [
+                { id: 'T1', healthCoverageId: 'HC-001', amount: 900, currency: 'XOF', dueDate: '2026-02-20T00:00:00Z' },
+                { id: 'T2', healthCoverageId: 'HC-001', amount: 2500, currency: 'XOF', dueDate: '2026-03-08T00:00:00Z' }
+            ] : [])
+        },
+        managerService: {
+            getReimbursementOwner: async () => ({ email: 'owner@x.co', name: 'Owner' }),
+            getOldestManagers: async () => [{ email: 'ancien@x.co', name: 'Ancien' }],
+            getHealthCoverageManagers: async () => [{ email: 'resp@x.co', name: 'Resp' }]
+        },
+        emailService
+    });
+
+    const jobs = [];
+    service.use('email-reminders', async (ctx, next) => {
+        jobs.push(ctx.jobName);
+        await next();
+    });
+
+    await service.initialize();
+    await service.forceReminderExecution('coverage');
+    await clock.advance(10 * 60 * 1000);
+
+    // Relevé PDF (generate-statement) puis rappel, et synthèse : chaque email compté une fois
+    assert.ok(jobs.includes('generate-statement'), 'relevé attendu pour le rappel en retard');
+    assert.ok(jobs.includes('send-coverage-summary-email'), 'synthèse attendue');
+    const { metrics } = service;
+    assert.strictEqual(metrics.emails.sent, emailService.transporter.getMessages().length);
+    assert.deepStrictEqual([metrics.emails.failed, metrics.emails.processing, metrics.jobs.active], [0, 0, 0]);
+    assert.strictEqual(metrics.jobs.completed, 1);
+
+    await service.shutdown();
+    console.log('✅ Emails envoyés comptés une fois, middlewares applicatifs appelés');
+}
+
+async function testMiddlewarePipeline() {
+    console.log('🚀 Test de la chaîne de middlewares...');
+
+    try {
+        await testOrderAndContext();
+        await testBuiltInMiddlewares();
+        await testLiteMetrics();
+
+        console.log('\n✅ Tous les tests de middlewares sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testMiddlewarePipeline();
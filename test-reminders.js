@@ -0,0 +1,136 @@
+const assert = require('assert');
+const RemboursementMailService = require('./services/RemboursementMailService');
+const ManagerService = require('./services/ManagerService');
+const { VirtualClock } = require('./core/Clock');
+
+/**
+ * Test d'une campagne de rappels en temps virtuel (backend mémoire, sans Redis ni SMTP) :
+ * cadence des rappels, escalade, idempotence et jours ouvrés.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createService(clock, reimbursementsByType, config = {}) {
+    const sent = [];
+    const service = new RemboursementMailService({
+        backend: 'memory',
+        clock,
+        timezone: 'Africa/Abidjan',
+        isProduction: true,
+        reimbursementService: {
+            getReimbursements: async ({ type }) => reimbursementsByType[type] || []
+        },
+        managerService: new ManagerService({ isProduction: true }),
+        emailService: {
+            sendReminderEmail: async (payload) => {
+                sent.push({
+                    day: clock.date().toISOString().slice(0, 10),
+                    type: payload.type,
+                    daysInfo: payload.daysInfo,
+                    recipients: payload.recipients.map(recipient => recipient.email)
+                });
+                return { messageId: `msg-${sent.length}` };
+            }
+        },
+        ...config
+    });
+    return { service, sent };
+}
+
+async function testCadenceAndEscalation() {
+    console.log('\n📝 Test de la cadence et de l\'escalade sur 40 jours...');
+    const clock = new VirtualClock('2026-03-01T08:00:00Z');
+    const { service, sent } = createService(clock, {
+        TREASURY: [{ id: 'RBT-2024-001', dueDate: '2026-03-15T00:00:00Z', healthCoverageId: 'HC-001', amount: 250000 }]
+    });
+
+    await service.initialize();
+    await clock.advance(40 * DAY_MS);
+
+    // J-10, J-3, J-1, échéance puis tous les 3 jours, 5 relances de retard au maximum
+    assert.deepStrictEqual(sent.map(email => `${email.day} ${email.type}`), [
+        '2026-03-05 payment-reminder',
+        '2026-03-12 payment-reminder',
+        '2026-03-14 payment-reminder',
+        '2026-03-15 payment-overdue',
+        '2026-03-18 payment-overdue',
+        '2026-03-21 payment-overdue',
+        '2026-03-24 payment-overdue',
+        '2026-03-27 payment-overdue'
+    ]);
+
+    const history = await service.getEscalationHistory('RBT-2024-001');
+    assert.deepStrictEqual(history.map(entry => [entry.level, entry.daysDiff]), [
+        [1, 10], [1, 3], [1, 1], [2, 0], [2, -3], [2, -6], [3, -9], [3, -12]
+    ]);
+    // Chaque palier élargit la liste des destinataires
+    const [first] = sent;
+    const last = sent[sent.length - 1];
+    assert.ok(last.recipients.length > first.recipients.length, 'destinataires escaladés attendus');
+
+    const stats = await service.getReminderStats();
+    assert.strictEqual(stats.reminderPolicy.allowed, 8);
+
+    await service.shutdown();
+    console.log('✅ Cadence et escalade respectées');
+}
+
+async function testIdempotentForcedRuns() {
+    console.log('\n📝 Test des exécutions forcées en double...');
+    const clock = new VirtualClock('2026-03-05T08:00:00Z');
+    const { service, sent } = createService(clock, {
+        SALARY: [{ id: 'RBT-2024-002', dueDate: '2026-03-01T00:00:00Z', amount: 10 }]
+    });
+
+    await service.initialize();
+    await service.forceReminderExecution('corporate');
+    await service.forceReminderExecution('corporate');
+    await clock.advance(60 * 1000);
+
+    assert.strictEqual(sent.length, 1);
+    const stats = await service.getReminderStats();
+    assert.strictEqual(stats.corporate.idempotency.executed, 1);
+    assert.strictEqual(stats.corporate.idempotency.skipped, 1);
+
+    await service.shutdown();
+    console.log('✅ Un seul email pour deux exécutions le même jour');
+}
+
+async function testBusinessDays() {
+    console.log('\n📝 Test des rappels en jours ouvrés...');
+    // Vendredi 6 mars 2026, échéance le lundi 9
+    const clock = new VirtualClock('2026-03-06T08:00:00Z');
+    const { service, sent } = createService(clock, {
+        TREASURY: [{ id: 'RBT-2024-001', dueDate: '2026-03-09', healthCoverageId: 'HC-001', amount: 2500 }]
+    }, {
+        datePolicy: { businessDays: true, holidays: 'ci' }
+    });
+
+    await service.initialize();
+    await clock.advanceTo('2026-03-08T23:00:00Z');
+
+    // J-1 envoyé le vendredi (texte en jours calendaires), rien pendant le week-end
+    assert.deepStrictEqual(sent.map(email => [email.day, email.daysInfo.daysDiff, email.daysInfo.remainingDays]), [
+        ['2026-03-06', 1, 3]
+    ]);
+
+    await service.shutdown();
+    console.log('✅ Rappel J-1 le vendredi, aucun envoi le week-end');
+}
+
+async function testReminders() {
+    console.log('🚀 Test des rappels en temps virtuel...');
+
+    try {
+        await testCadenceAndEscalation();
+        await testIdempotentForcedRuns();
+        await testBusinessDays();
+
+        console.log('\n✅ Tous les tests de rappels sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testReminders();
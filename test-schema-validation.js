@@ -0,0 +1,122 @@
+const assert = require('assert');
+const { SchemaValidator, JobValidationError } = require('./core/SchemaValidator');
+const MailManager = require('./managers/MailManager');
+const { VirtualClock } = require('./core/Clock');
+
+/**
+ * Test de la validation des données de jobs : mots-clés du SchemaValidator,
+ * schéma send-email de MailManager et séparation des options BullMQ.
+ */
+
+function testKeywords() {
+    console.log('\n📝 Test des mots-clés JSON-Schema...');
+    const validator = new SchemaValidator();
+    validator.register('reports', 'build', {
+        type: 'object',
+        required: ['id', 'period'],
+        additionalProperties: false,
+        properties: {
+            id: { type: 'string', pattern: '^RPT-\\d+$' },
+            period: { type: 'string', format: 'date' },
+            amount: { type: 'number', minimum: 0 },
+            tags: { type: 'array', uniqueItems: true, maxItems: 2, items: { enum: ['monthly', 'audit'] } }
+        }
+    });
+
+    assert.strictEqual(validator.validate('reports', 'build', { id: 'RPT-1', period: '2026-03-01', tags: ['audit'] }).valid, true);
+
+    const { valid, errors } = validator.validate('reports', 'build', { id: 'X', period: '2026-13-45', amount: -1, tags: ['audit', 'audit', 'x'], extra: true });
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors.map(error => `${error.path} ${error.keyword}`).sort(), [
+        '$.amount minimum',
+        '$.extra additionalProperties',
+        '$.id pattern',
+        '$.period format',
+        '$.tags maxItems',
+        '$.tags uniqueItems',
+        '$.tags[2] enum'
+    ]);
+
+    // Schéma '*' appliqué à tous les jobs de la queue, aucun schéma : valide
+    validator.register('reports', '*', { type: 'object', required: ['id'] });
+    assert.strictEqual(validator.validate('reports', 'other', {}).valid, false);
+    assert.strictEqual(validator.validate('emails', 'other', {}).valid, true);
+
+    assert.throws(() => validator.assertValid('reports', 'other', {}, 'process'), (error) => {
+        assert.ok(error instanceof JobValidationError);
+        assert.strictEqual(error.stage, 'process');
+        assert.match(error.message, /traitement/);
+        return true;
+    });
+
+    console.log('✅ Mots-clés, schéma par défaut et erreurs structurées');
+}
+
+function testSendEmailSchema() {
+    console.log('\n📝 Test du schéma send-email...');
+    const validator = new SchemaValidator().register('emails', 'send-email', MailManager.createSendEmailSchema());
+    const isValid = (data) => validator.validate('emails', 'send-email', data).valid;
+
+    // Formats de destinataires acceptés par nodemailer
+    assert.strictEqual(isValid({ to: ['alice@x.co'], subject: 'Test', content: 'Bonjour' }), true);
+    assert.strictEqual(isValid({ to: ['"Alice Martin" <alice@x.co>'], subject: 'Test', content: 'Bonjour' }), true);
+    assert.strictEqual(isValid({ to: ['alice@x.co, Bob <bob@y.co>'], subject: 'Test', template: 'welcome' }), true);
+    assert.strictEqual(isValid({ to: [{ name: 'Alice', address: 'alice@x.co' }], subject: 'Test', content: 'Bonjour' }), true);
+
+    assert.strictEqual(isValid({ to: ['pas-une-adresse'], subject: 'Test', content: 'Bonjour' }), false);
+    assert.strictEqual(isValid({ to: ['alice@x.co, pas-une-adresse'], subject: 'Test', content: 'Bonjour' }), false);
+    assert.strictEqual(isValid({ to: [], subject: 'Test', content: 'Bonjour' }), false);
+    // Contenu ou template requis
+    assert.strictEqual(isValid({ to: ['alice@x.co'], subject: 'Test' }), false);
+
+    console.log('✅ Adresses nommées et listes acceptées, adresses invalides rejetées');
+}
+
+async function testJobOptionsSplit() {
+    console.log('\n📝 Test de la séparation des options BullMQ...');
+    const { emailFields, jobOptions } = MailManager.splitEmailOptions({
+        template: 'welcome',
+        priority: 'high',
+        delay: 1000,
+        jobId: 'welcome-42',
+        jobOptions: { attempts: 2 }
+    });
+    assert.deepStrictEqual(emailFields, { template: 'welcome', priority: 'high' });
+    assert.deepStrictEqual(jobOptions, { delay: 1000, jobId: 'welcome-42', attempts: 2 });
+
+    const clock = new VirtualClock('2026-03-02T08:00:00Z');
+    const manager = new MailManager({ backend: 'memory', clock, isProduction: true, emailService: { sendEmail: async () => ({ messageId: 'msg-1' }) } });
+    await manager.initialize();
+
+    const job = await manager.sendEmail('"Alice" <alice@x.co>', 'Bienvenue', 'Bonjour', { delay: 1000, jobId: 'welcome-42', cc: 'bob@y.co' });
+    assert.strictEqual(job.id, 'welcome-42');
+    assert.strictEqual(job.opts.delay, 1000);
+    assert.strictEqual(job.data.cc, 'bob@y.co');
+    assert.strictEqual(job.data.delay, undefined);
+    assert.strictEqual(job.data.jobId, undefined);
+
+    await clock.advance(5000);
+    assert.strictEqual(await job.getState(), 'completed');
+
+    await assert.rejects(manager.sendEmail('pas-une-adresse', 'Test', 'Bonjour'), JobValidationError);
+
+    await manager.shutdown();
+    console.log('✅ delay et jobId transmis à BullMQ, absents des données de l\'email');
+}
+
+async function testSchemaValidation() {
+    console.log('🚀 Test de la validation des jobs...');
+
+    try {
+        testKeywords();
+        testSendEmailSchema();
+        await testJobOptionsSplit();
+
+        console.log('\n✅ Tous les tests de validation sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testSchemaValidation();
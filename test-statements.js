@@ -0,0 +1,154 @@
+const assert = require('assert');
+const { createStatementGenerator, StatementGenerator } = require('./core/statements');
+const { createMemoryBackend } = require('./core/backends');
+const { VirtualClock } = require('./core/Clock');
+const ReminderService = require('./lite');
+const LiteEmailService = require('./lite/services/EmailService');
+
+/**
+ * Test des relevés de paiement PDF : solde en retard, cache par version,
+ * relevé de couverture et pièce jointe des rappels de retard (lite).
+ */
+
+const NOW = '2026-03-05T08:00:00Z';
+
+const reimbursement = (overrides = {}) => ({
+    id: 'RBT-001',
+    type: 'SALARY',
+    amount: 1000,
+    currency: 'XOF',
+    dueDate: '2026-02-23T00:00:00Z',
+    company: { name: 'Tech Solutions SARL' },
+    ...overrides
+});
+
+function assertPdf(content) {
+    assert.ok(Buffer.isBuffer(content));
+    assert.strictEqual(content.subarray(0, 5).toString(), '%PDF-');
+    assert.match(content.subarray(-8).toString(), /%%EOF\s*$/);
+}
+
+function testOverdueBalance() {
+    console.log('\n📝 Test du solde en retard...');
+
+    // Pénalité de 5 %, intérêts de 10 % l'an plafonnés à 14 jours
+    const balance = StatementGenerator.overdueBalance(1000, 30);
+    assert.strictEqual(balance.interestDays, 14);
+    assert.strictEqual(balance.penalty, 50);
+    assert.strictEqual(balance.total.toFixed(4), (1050 + 1000 * 0.10 * 14 / 365).toFixed(4));
+
+    assert.strictEqual(StatementGenerator.overdueDays(reimbursement(), NOW), 10);
+    assert.strictEqual(StatementGenerator.overdueDays(reimbursement({ dueDate: '2026-03-10T00:00:00Z' }), NOW), null);
+
+    console.log('✅ Pénalité, intérêts plafonnés et jours de retard');
+}
+
+async function testGenerationAndCache() {
+    console.log('\n📝 Test de la génération et du cache...');
+    const generator = createStatementGenerator({ store: 'memory' }, { clock: new VirtualClock(NOW) });
+
+    const statement = await generator.generateForReimbursement(reimbursement());
+    assertPdf(statement.content);
+    assert.strictEqual(statement.filename, 'releve-RBT-001.pdf');
+    assert.strictEqual(statement.cached, false);
+
+    // Retry : relevé réutilisé ; montant modifié : nouvelle version
+    assert.strictEqual((await generator.generateForReimbursement(reimbursement())).cached, true);
+    const updated = await generator.generateForReimbursement(reimbursement({ amount: 1200 }));
+    assert.strictEqual(updated.cached, false);
+    assert.notStrictEqual(updated.version, statement.version);
+    assert.strictEqual((await generator.history('reimbursement:RBT-001')).length, 2);
+
+    const english = await generator.generateForReimbursement(reimbursement({ id: 'RBT-002' }), { locale: 'en-GB' });
+    assert.strictEqual(english.filename, 'statement-RBT-002.pdf');
+
+    const attachment = generator.toAttachment(statement);
+    assert.deepStrictEqual(Buffer.from(attachment.content, 'base64'), statement.content);
+    assert.strictEqual(attachment.contentType, 'application/pdf');
+
+    await assert.rejects(generator.generateForReimbursement({}), /Remboursement requis/);
+
+    console.log('✅ PDF valide, mis en cache par version, nom de fichier localisé');
+}
+
+async function testCoverageStatement() {
+    console.log('\n📝 Test du relevé de couverture...');
+    const generator = createStatementGenerator({ store: 'memory' }, { clock: new VirtualClock(NOW) });
+
+    const statement = await generator.generateForCoverage('HC-001', [
+        reimbursement({ id: 'T2' }),
+        reimbursement({ id: 'T1', dueDate: '2026-02-20T00:00:00Z' }),
+        reimbursement({ id: 'T3', dueDate: '2026-03-20T00:00:00Z' })
+    ]);
+    assertPdf(statement.content);
+    assert.strictEqual(statement.filename, 'releve-couverture-HC-001.pdf');
+
+    // Ordre des remboursements sans effet sur la version ; aucun retard : pas de relevé
+    const reordered = await generator.generateForCoverage('HC-001', [
+        reimbursement({ id: 'T1', dueDate: '2026-02-20T00:00:00Z' }),
+        reimbursement({ id: 'T2' })
+    ]);
+    assert.strictEqual(reordered.cached, true);
+    await assert.rejects(generator.generateForCoverage('HC-002', [reimbursement({ dueDate: '2026-03-20T00:00:00Z' })]), /Aucun remboursement en retard/);
+
+    console.log('✅ Seuls les remboursements échus, version indépendante de l\'ordre');
+}
+
+async function testLiteAttachment() {
+    console.log('\n📝 Test du relevé joint aux rappels de retard (lite)...');
+    const clock = new VirtualClock(NOW);
+    const emailService = new LiteEmailService({ transport: 'json', isProduction: true });
+    const service = new ReminderService({
+        backend: createMemoryBackend({ clock }),
+        clock,
+        isProduction: true,
+        escalation: false,
+        reimbursementService: {
+            getReimbursements: async ({ type }) => (type === 'TREASURY' ? [
+                { id: 'T1', healthCoverageId: 'HC-001', amount: 900, currency: 'XOF', dueDate: '2026-02-20T00:00:00Z' },
+                { id: 'T2', healthCoverageId: 'HC-001', amount: 2500, currency: 'XOF', dueDate: '2026-03-08T00:00:00Z' }
+            ] : [])
+        },
+        managerService: {
+            getReimbursementOwner: async () => ({ email: 'owner@x.co', name: 'Owner' }),
+            getOldestManagers: async () => [{ email: 'ancien@x.co', name: 'Ancien' }]
+        },
+        emailService
+    });
+
+    await service.initialize();
+    await service.forceReminderExecution('coverage');
+    await clock.advance(10 * 60 * 1000);
+    await service.shutdown();
+
+    const messages = emailService.transporter.getMessages();
+    const overdue = messages.find(message => message.subject.includes('retard'));
+    const pdfs = overdue.attachments.filter(attachment => attachment.contentType === 'application/pdf');
+    assert.deepStrictEqual(pdfs.map(attachment => attachment.filename), ['releve-couverture-HC-001.pdf']);
+    assertPdf(Buffer.from(pdfs[0].content, 'base64'));
+
+    // Rappel avant échéance : aucun relevé
+    const upcoming = messages.filter(message => message !== overdue);
+    assert.ok(upcoming.length > 0);
+    assert.ok(upcoming.every(message => !(message.attachments || []).some(attachment => attachment.contentType === 'application/pdf')));
+
+    console.log('✅ Relevé PDF joint au seul rappel de retard');
+}
+
+async function testStatements() {
+    console.log('🚀 Test des relevés de paiement...');
+
+    try {
+        testOverdueBalance();
+        await testGenerationAndCache();
+        await testCoverageStatement();
+        await testLiteAttachment();
+
+        console.log('\n✅ Tous les tests des relevés de paiement sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testStatements();
@@ -0,0 +1,168 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const { createSuppressionList, SuppressionList } = require('./core/suppression');
+const MailManager = require('./managers/MailManager');
+const { VirtualClock } = require('./core/Clock');
+
+/**
+ * Test de la liste de suppression : secret et jetons de désabonnement, filtrage des
+ * destinataires, bounces/plaintes remontés par le suivi, route de désabonnement.
+ */
+
+const BASE_URL = 'https://api.flexmo.app/email';
+
+function testSecret() {
+    console.log('\n📝 Test du secret des jetons...');
+    const previous = process.env.EMAIL_UNSUBSCRIBE_SECRET;
+    delete process.env.EMAIL_UNSUBSCRIBE_SECRET;
+
+    try {
+        // Liens de désabonnement sans secret partagé : refus au démarrage
+        assert.throws(() => createSuppressionList({ store: 'memory', baseUrl: BASE_URL }), /Secret de signature des jetons/);
+
+        // Sans baseUrl, la liste filtre les envois mais ne signe aucun jeton
+        const list = createSuppressionList({ store: 'memory' });
+        assert.throws(() => list.createUnsubscribeToken('alice@x.co'), /Secret de signature des jetons/);
+        assert.strictEqual(list.verifyUnsubscribeToken('YQ.abc'), null);
+        assert.strictEqual(list.unsubscribeUrl('alice@x.co'), null);
+
+        process.env.EMAIL_UNSUBSCRIBE_SECRET = 'secret-env';
+        assert.strictEqual(createSuppressionList({ store: 'memory', baseUrl: BASE_URL }).secret, 'secret-env');
+    } finally {
+        if (previous === undefined) delete process.env.EMAIL_UNSUBSCRIBE_SECRET;
+        else process.env.EMAIL_UNSUBSCRIBE_SECRET = previous;
+    }
+
+    console.log('✅ Secret requis dès que des liens de désabonnement sont émis');
+}
+
+async function testTokens() {
+    console.log('\n📝 Test des jetons de désabonnement...');
+    const first = createSuppressionList({ store: 'memory', baseUrl: BASE_URL, secret: 'partagé', mailto: 'desabonnement@flexmo.app' });
+    const second = createSuppressionList({ store: 'memory', baseUrl: BASE_URL, secret: 'partagé' });
+
+    const token = first.createUnsubscribeToken('"Alice" <Alice@X.co>');
+    // Jeton valable sur une autre instance (même secret), refusé si modifié ou signé autrement
+    assert.strictEqual(second.verifyUnsubscribeToken(token), 'alice@x.co');
+    assert.strictEqual(second.verifyUnsubscribeToken(`${Buffer.from('eve@x.co').toString('base64url')}.${token.split('.')[1]}`), null);
+    assert.strictEqual(createSuppressionList({ store: 'memory', baseUrl: BASE_URL, secret: 'autre' }).verifyUnsubscribeToken(token), null);
+
+    assert.deepStrictEqual(first.listUnsubscribeHeaders('alice@x.co'), {
+        'List-Unsubscribe': `<${BASE_URL}/unsubscribe/${token}>, <mailto:desabonnement@flexmo.app?subject=unsubscribe>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+
+    const entry = await second.unsubscribe(token);
+    assert.strictEqual(entry.reason, 'unsubscribed');
+    assert.strictEqual(await second.unsubscribe('invalide.jeton'), null);
+
+    console.log('✅ Jetons signés, vérifiés entre instances et en-têtes List-Unsubscribe');
+}
+
+async function testFilterAndDeliveryEvents() {
+    console.log('\n📝 Test du filtrage et des événements de délivrabilité...');
+    const list = createSuppressionList({ store: 'memory', clock: new VirtualClock('2026-03-05T08:00:00Z') });
+
+    await list.recordDeliveryEvent({ type: 'bounce', bounceType: 'hard', recipient: 'Bob@x.co', reason: '550' }, 'mailgun');
+    await list.recordDeliveryEvent({ type: 'complaint', recipient: 'carol@x.co' }, 'sendgrid');
+    // Bounce temporaire et événement sans destinataire : ignorés
+    assert.strictEqual(await list.recordDeliveryEvent({ type: 'bounce', bounceType: 'soft', recipient: 'dan@x.co' }), null);
+    assert.strictEqual(await list.recordDeliveryEvent({ type: 'complaint' }), null);
+
+    const { allowed, suppressed } = await list.filter(['alice@x.co', 'Bob <bob@x.co>', { name: 'Carol', address: 'carol@x.co' }, 'dan@x.co']);
+    assert.deepStrictEqual(allowed, ['alice@x.co', 'dan@x.co']);
+    assert.deepStrictEqual(suppressed, [
+        { email: 'bob@x.co', reason: 'hard-bounce' },
+        { email: 'carol@x.co', reason: 'complaint' }
+    ]);
+
+    // Une liste dans une seule chaîne est filtrée adresse par adresse
+    assert.deepStrictEqual((await list.filter('"Alice" <alice@x.co>, Bob <bob@x.co>, dan@x.co')).allowed, [{ name: 'Alice', address: 'alice@x.co' }, 'dan@x.co']);
+
+    assert.deepStrictEqual((await list.list({ reason: 'hard-bounce' })).map(entry => [entry.email, entry.source]), [['bob@x.co', 'mailgun']]);
+    assert.strictEqual(await list.remove('bob@x.co'), true);
+    assert.strictEqual(await list.isSuppressed('bob@x.co'), false);
+    await assert.rejects(list.add('eve@x.co', 'inconnue'), /Raison de suppression/);
+
+    console.log('✅ Bounces définitifs et plaintes bloqués, autres adresses conservées');
+}
+
+async function testMiddleware() {
+    console.log('\n📝 Test de la route de désabonnement...');
+    const list = createSuppressionList({ store: 'memory', baseUrl: BASE_URL, secret: 'partagé' });
+    const handler = list.middleware({ basePath: '/email' });
+    const token = list.createUnsubscribeToken('alice@x.co');
+
+    const request = async (method, url) => {
+        const req = Object.assign(Readable.from([]), { method, url, headers: {} });
+        const res = { writeHead(status) { this.status = status; }, end(body) { this.body = body; } };
+        await handler(req, res);
+        return res;
+    };
+
+    // GET : simple confirmation (les prévisualisations suivent les liens)
+    const confirmation = await request('GET', `/email/unsubscribe/${token}`);
+    assert.strictEqual(confirmation.status, 200);
+    assert.match(confirmation.body, /<form method="post">/);
+    assert.strictEqual(await list.isSuppressed('alice@x.co'), false);
+
+    assert.strictEqual((await request('POST', `/email/unsubscribe/${token}`)).status, 200);
+    assert.strictEqual((await list.get('alice@x.co')).reason, 'unsubscribed');
+    assert.strictEqual((await request('POST', '/email/unsubscribe/YQ.faux')).status, 400);
+
+    console.log('✅ Confirmation en GET, désabonnement en POST, jeton invalide refusé');
+}
+
+async function testMailManager() {
+    console.log('\n📝 Test du filtrage par MailManager...');
+    const sent = [];
+    const clock = new VirtualClock('2026-03-05T08:00:00Z');
+    const manager = new MailManager({
+        backend: 'memory',
+        clock,
+        isProduction: true,
+        suppression: { store: 'memory', baseUrl: BASE_URL, secret: 'partagé' },
+        emailService: { sendEmail: async (email) => { sent.push(email); return { messageId: `msg-${sent.length}` }; } }
+    });
+    await manager.initialize();
+    assert.ok(manager.suppressionList instanceof SuppressionList);
+
+    await manager.suppressEmail('bob@x.co', 'manual');
+    const skipped = await manager.sendEmail('bob@x.co', 'Newsletter', 'Bonjour');
+    const single = await manager.sendEmail('alice@x.co', 'Newsletter', 'Bonjour');
+    const transactional = await manager.sendEmail('bob@x.co', 'Remboursement en retard', 'Bonjour', { bypassSuppression: true });
+    await clock.advance(5000);
+
+    assert.strictEqual(await skipped.getState(), 'completed');
+    assert.strictEqual(skipped.returnvalue.reason, 'suppressed');
+    assert.strictEqual(single.returnvalue.recipients[0], 'alice@x.co');
+    assert.deepStrictEqual(sent.map(email => email.to).sort(), [['alice@x.co'], ['bob@x.co']]);
+
+    // Lien de désabonnement pour la newsletter, aucun pour l'envoi transactionnel
+    const sentTo = (email) => sent.find(message => message.to[0] === email);
+    assert.match(sentTo('alice@x.co').headers['List-Unsubscribe'], /^<https:\/\/api\.flexmo\.app\/email\/unsubscribe\//);
+    assert.strictEqual(sentTo('bob@x.co').headers, undefined);
+    assert.strictEqual(transactional.returnvalue.recipients[0], 'bob@x.co');
+
+    await manager.shutdown();
+    console.log('✅ Adresses bloquées ignorées, bypassSuppression pour les envois transactionnels');
+}
+
+async function testSuppression() {
+    console.log('🚀 Test de la liste de suppression...');
+
+    try {
+        testSecret();
+        await testTokens();
+        await testFilterAndDeliveryEvents();
+        await testMiddleware();
+        await testMailManager();
+
+        console.log('\n✅ Tous les tests de la liste de suppression sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testSuppression();
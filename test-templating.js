@@ -0,0 +1,109 @@
+const assert = require('assert');
+const EmailUtils = require('./lite/email-utils');
+const ReminderService = require('./lite');
+const LiteEmailService = require('./lite/services/EmailService');
+const { TemplateRegistry } = require('./core/templating');
+const { createMemoryBackend } = require('./core/backends');
+const { VirtualClock } = require('./core/Clock');
+
+/**
+ * Test des templates : layouts et partials EJS, variantes par langue,
+ * et configuration (registre, post-traitement, marque) propre à chaque service.
+ */
+
+const SAMPLE = TemplateRegistry.DEFAULT_FIXTURES;
+
+function createService(config = {}) {
+    const clock = new VirtualClock('2026-03-05T08:00:00Z');
+    return new ReminderService({
+        backend: createMemoryBackend({ clock }),
+        clock,
+        isProduction: true,
+        emailService: new LiteEmailService({ transport: 'json', isProduction: true }),
+        ...config
+    });
+}
+
+async function testLayoutAndPartials() {
+    console.log('\n📝 Test des layouts et partials...');
+    const emailUtils = new EmailUtils();
+
+    const html = await emailUtils.renderTemplate('reminder-overdue', SAMPLE);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.doesNotMatch(html, /<%|%>|layout\(|include\(/);
+    // Layout (en-tête de marque), partial payment-details et corps du template
+    assert.match(html, /class="header"/);
+    assert.match(html, /class="payment-details"/);
+    assert.match(html, /Alice Martin/);
+    assert.match(html, /RBT-2025-001/);
+
+    // Données manquantes : erreur explicite plutôt qu'un email incomplet
+    await assert.rejects(emailUtils.renderTemplate('reminder-overdue', { recipient: SAMPLE.recipient }), /Erreur rendu template reminder-overdue/);
+
+    const text = await emailUtils.renderTextTemplate('reminder-overdue', SAMPLE, html);
+    assert.match(text, /RBT-2025-001/);
+    assert.doesNotMatch(text, /<[a-z]/i);
+
+    console.log('✅ Layout et partials rendus, aucun EJS brut dans le HTML ni le texte');
+}
+
+async function testLocaleFallback() {
+    console.log('\n📝 Test des variantes par langue...');
+    const emailUtils = new EmailUtils();
+
+    assert.strictEqual(await emailUtils.resolveTemplateName('reminder-overdue', 'en-GB'), 'reminder-overdue.en');
+    assert.strictEqual(await emailUtils.resolveTemplateName('reminder-overdue', 'de-DE'), 'reminder-overdue');
+    assert.strictEqual(await emailUtils.resolveTemplateName('newsletter', 'en-GB'), 'newsletter');
+
+    const english = await emailUtils.renderTemplate('reminder-overdue.en', { ...SAMPLE, locale: 'en-GB' });
+    assert.match(english, /<html lang="en">/);
+    // Template français rendu pour un destinataire allemand : formats français conservés
+    const french = await emailUtils.renderTemplate('reminder-overdue', { ...SAMPLE, locale: 'de-DE' });
+    assert.match(french, /<html lang="fr">/);
+
+    const { subject } = EmailUtils.getEmailTemplate('payment-overdue', { overdueDays: 3 }, 'en-GB');
+    assert.doesNotMatch(subject, /retard/i);
+
+    console.log('✅ Locale complète, puis langue, puis template français');
+}
+
+async function testPerServiceConfiguration() {
+    console.log('\n📝 Test de la configuration par service...');
+    const acme = createService({ brand: { name: 'Acme Santé' }, htmlPipeline: { maxSize: 1024 } });
+    const globex = createService({ brands: { 'company-42': { name: 'Globex' } } });
+
+    // La marque et le post-traitement de l'un ne s'appliquent pas à l'autre
+    await assert.rejects(acme.renderTemplate('reminder-overdue', SAMPLE), /max-size|Ko/);
+    const globexHtml = await globex.renderTemplate('reminder-overdue', { ...SAMPLE, reimbursement: { ...SAMPLE.reimbursement, companyId: 'company-42' } });
+    assert.match(globexHtml, /Globex/);
+    assert.doesNotMatch(globexHtml, /Acme Santé/);
+
+    acme.emailUtils.configureHtmlPipeline({});
+    assert.match(await acme.renderTemplate('reminder-overdue', SAMPLE), /Acme Santé/);
+    assert.doesNotMatch(await new EmailUtils().renderTemplate('reminder-overdue', SAMPLE), /Acme Santé|Globex/);
+
+    // Registre remplacé sur un service seulement
+    globex.emailUtils.useTemplateRegistry({ templates: { bienvenue: { subject: 'Bienvenue', content: 'Bonjour {{name}}' } } });
+    assert.strictEqual((await globex.listTemplates()).some(template => template.name === 'bienvenue'), true);
+    assert.strictEqual((await acme.listTemplates()).some(template => template.name === 'bienvenue'), false);
+    assert.strictEqual(globex.emailUtils.getTemplateRegistry().brands['company-42'].name, 'Globex');
+
+    console.log('✅ Registre, post-traitement et marque isolés par instance');
+}
+
+async function testTemplating() {
+    console.log('🚀 Test des templates...');
+
+    try {
+        await testLayoutAndPartials();
+        await testLocaleFallback();
+        await testPerServiceConfiguration();
+
+        console.log('\n✅ Tous les tests des templates sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testTemplating();
@@ -0,0 +1,180 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createDeliveryTracker, WebhookSignatureError } = require('./core/tracking');
+const { VirtualClock } = require('./core/Clock');
+
+/**
+ * Test du suivi de délivrabilité : secret des liens signés et authentification
+ * des notifications fournisseurs avant ingestion (SendGrid, Mailgun, Postmark, generic).
+ */
+
+const NOW = '2026-03-05T08:00:00Z';
+const TIMESTAMP = String(Date.parse(NOW) / 1000);
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+function createTracker(options = {}) {
+    const suppressed = [];
+    const tracker = createDeliveryTracker({
+        store: 'memory',
+        clock: new VirtualClock(NOW),
+        suppression: { recordDeliveryEvent: async (event) => suppressed.push(event.recipient) },
+        webhooks: {
+            sendgrid: { publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('base64') },
+            mailgun: { signingKey: 'mailgun-key' },
+            postmark: { username: 'postmark', password: 'motdepasse' },
+            generic: { token: 'jeton-partagé' }
+        },
+        ...options
+    });
+    return { tracker, suppressed };
+}
+
+async function sentEmail(tracker, recipient) {
+    const { trackingId } = await tracker.prepare('<p>Rappel</p>', { recipients: [recipient] });
+    await tracker.markSent(trackingId, `<${trackingId}@flexmo.app>`);
+    return trackingId;
+}
+
+function mailgunPayload(trackingId, { key = 'mailgun-key', timestamp = TIMESTAMP } = {}) {
+    const token = crypto.randomBytes(16).toString('hex');
+    return {
+        signature: { timestamp, token, signature: crypto.createHmac('sha256', key).update(`${timestamp}${token}`).digest('hex') },
+        'event-data': { event: 'failed', severity: 'permanent', recipient: 'alice@x.co', timestamp: Number(timestamp), 'user-variables': { trackingId } }
+    };
+}
+
+function sendgridRequest(trackingId, body = JSON.stringify([{ event: 'bounce', email: 'bob@x.co', tracking_id: trackingId, timestamp: Number(TIMESTAMP) }])) {
+    const signature = crypto.sign('sha256', Buffer.from(TIMESTAMP + body), privateKey).toString('base64');
+    return {
+        rawBody: body,
+        headers: { 'X-Twilio-Email-Event-Webhook-Signature': signature, 'X-Twilio-Email-Event-Webhook-Timestamp': TIMESTAMP }
+    };
+}
+
+function testSecret() {
+    console.log('\n📝 Test du secret des liens signés...');
+    const previous = process.env.EMAIL_TRACKING_SECRET;
+    delete process.env.EMAIL_TRACKING_SECRET;
+
+    try {
+        // Liens suivis sans secret partagé : refus au démarrage
+        assert.throws(() => createTracker({ baseUrl: 'https://api.flexmo.app/t' }), /Secret de signature des liens requis/);
+        // Sans liens réécrits, aucun secret n'est nécessaire
+        assert.ok(createTracker().tracker);
+        assert.ok(createTracker({ baseUrl: 'https://api.flexmo.app/t', rewriteLinks: false }).tracker);
+
+        process.env.EMAIL_TRACKING_SECRET = 'secret-env';
+        assert.strictEqual(createTracker({ baseUrl: 'https://api.flexmo.app/t' }).tracker.secret, 'secret-env');
+    } finally {
+        if (previous === undefined) delete process.env.EMAIL_TRACKING_SECRET;
+        else process.env.EMAIL_TRACKING_SECRET = previous;
+    }
+
+    console.log('✅ Secret requis dès que les liens sont réécrits');
+}
+
+async function testSignedLinks() {
+    console.log('\n📝 Test des liens signés...');
+    const first = createTracker({ baseUrl: 'https://api.flexmo.app/t', secret: 'partagé' }).tracker;
+    const second = createTracker({ baseUrl: 'https://api.flexmo.app/t', secret: 'partagé' }).tracker;
+
+    const { trackingId, html } = await first.prepare('<a href="https://flexmo.app/r?id=1&amp;x=2">Voir</a>', { recipients: ['alice@x.co'] });
+    const link = new URL(/href="([^"]+)"/.exec(html)[1].replace(/&amp;/g, '&'));
+    assert.strictEqual(link.searchParams.get('u'), 'https://flexmo.app/r?id=1&x=2');
+
+    // Une autre instance avec le même secret accepte le lien, une URL modifiée est refusée
+    await second.store.create({ ...(await first.getDelivery(trackingId)) });
+    assert.strictEqual(await second.recordClick(trackingId, link.searchParams.get('u'), link.searchParams.get('s')), 'https://flexmo.app/r?id=1&x=2');
+    assert.strictEqual(await second.recordClick(trackingId, 'https://evil.example', link.searchParams.get('s')), null);
+    assert.strictEqual(await createTracker().tracker.recordClick(trackingId, 'https://flexmo.app', 'x'), null);
+
+    console.log('✅ Liens valables entre instances, URL modifiée refusée');
+}
+
+async function testProviderSignatures() {
+    console.log('\n📝 Test des signatures fournisseurs...');
+    const { tracker, suppressed } = createTracker();
+
+    // Mailgun : HMAC sur timestamp + token
+    const mailgunId = await sentEmail(tracker, 'alice@x.co');
+    await assert.rejects(tracker.ingest('mailgun', mailgunPayload(mailgunId, { key: 'autre-clé' })), WebhookSignatureError);
+    await assert.rejects(tracker.ingest('mailgun', mailgunPayload(mailgunId, { timestamp: String(Number(TIMESTAMP) - 3600) })), /expiré/);
+    await assert.rejects(tracker.ingest('mailgun', { 'event-data': mailgunPayload(mailgunId)['event-data'] }), /signature absente/);
+    assert.deepStrictEqual(await tracker.ingest('mailgun', mailgunPayload(mailgunId)), { received: 1, matched: 1, unmatched: 0 });
+    assert.strictEqual((await tracker.getDelivery(mailgunId)).status, 'bounced');
+
+    // SendGrid : ECDSA sur timestamp + corps brut
+    const sendgridId = await sentEmail(tracker, 'bob@x.co');
+    const request = sendgridRequest(sendgridId);
+    await assert.rejects(tracker.ingest('sendgrid', JSON.parse(request.rawBody), { ...request, rawBody: request.rawBody.replace('bob', 'eve') }), /signature invalide/);
+    await assert.rejects(tracker.ingest('sendgrid', JSON.parse(request.rawBody), { headers: request.headers }), /corps brut/);
+    assert.strictEqual((await tracker.ingest('sendgrid', JSON.parse(request.rawBody), request)).matched, 1);
+
+    // Postmark : authentification Basic, generic : jeton d'en-tête
+    const postmarkId = await sentEmail(tracker, 'carol@x.co');
+    const bounce = { RecordType: 'Bounce', Type: 'HardBounce', Email: 'carol@x.co', Metadata: { trackingId: postmarkId } };
+    const basic = (credentials) => ({ headers: { authorization: `Basic ${Buffer.from(credentials).toString('base64')}` } });
+    await assert.rejects(tracker.ingest('postmark', bounce, basic('postmark:faux')), /Basic invalide/);
+    assert.strictEqual((await tracker.ingest('postmark', bounce, basic('postmark:motdepasse'))).matched, 1);
+
+    const genericId = await sentEmail(tracker, 'dan@x.co');
+    await assert.rejects(tracker.ingest('generic', { trackingId: genericId, type: 'complaint' }), /jeton invalide/);
+    assert.strictEqual((await tracker.ingest('generic', { trackingId: genericId, type: 'complaint' }, { headers: { 'x-webhook-token': 'jeton-partagé' } })).matched, 1);
+
+    assert.deepStrictEqual(suppressed, ['alice@x.co', 'bob@x.co', 'carol@x.co', 'dan@x.co']);
+
+    // Fournisseur sans secret configuré : refusé, sauf vérification désactivée explicitement
+    const unconfigured = createTracker({ webhooks: {} }).tracker;
+    await assert.rejects(unconfigured.ingest('generic', []), /non configurée/);
+    assert.strictEqual((await createTracker({ webhooks: {}, verifyWebhooks: false }).tracker.ingest('generic', [])).received, 0);
+
+    console.log('✅ Notifications non authentifiées rejetées avant la liste de suppression');
+}
+
+async function testMiddleware() {
+    console.log('\n📝 Test de la route des notifications...');
+    const { tracker, suppressed } = createTracker();
+    const trackingId = await sentEmail(tracker, 'bob@x.co');
+    const handler = tracker.middleware({ basePath: '/email-tracking' });
+
+    const post = async (request) => {
+        const req = Object.assign(Readable.from([Buffer.from(request.rawBody)]), {
+            method: 'POST',
+            url: '/email-tracking/webhooks/sendgrid',
+            headers: Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), value]))
+        });
+        const res = { writeHead(status) { this.status = status; }, end(body) { this.body = body; } };
+        await handler(req, res);
+        return res;
+    };
+
+    const forged = await post({ ...sendgridRequest(trackingId), headers: {} });
+    assert.strictEqual(forged.status, 401);
+    assert.deepStrictEqual(suppressed, []);
+
+    const signed = await post(sendgridRequest(trackingId));
+    assert.strictEqual(signed.status, 200);
+    assert.strictEqual(JSON.parse(signed.body).matched, 1);
+    assert.deepStrictEqual(suppressed, ['bob@x.co']);
+
+    console.log('✅ 401 sans signature, corps brut vérifié puis ingéré');
+}
+
+async function testTracking() {
+    console.log('🚀 Test du suivi de délivrabilité...');
+
+    try {
+        testSecret();
+        await testSignedLinks();
+        await testProviderSignatures();
+        await testMiddleware();
+
+        console.log('\n✅ Tous les tests du suivi de délivrabilité sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testTracking();
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const { resolveTransport, HttpTransport } = require('./core/transports');
+const EmailService = require('./core/EmailService');
+
+/**
+ * Test des transports HTTP (SendGrid, Mailgun, Postmark) avec un fetch simulé :
+ * requêtes envoyées, identifiant du message, erreurs et métadonnées de suivi.
+ */
+
+const MESSAGE = {
+    from: 'Flexmo <contact@flexmo.app>',
+    to: ['"Alice Martin" <alice@x.co>', { name: 'Bob', address: 'bob@x.co' }],
+    cc: 'carol@x.co',
+    replyTo: 'support@flexmo.app',
+    subject: 'Rappel de paiement',
+    text: 'Bonjour',
+    html: '<p>Bonjour</p>',
+    headers: { 'List-Unsubscribe': '<https://api.flexmo.app/email/unsubscribe/abc>', 'X-Tracking-Id': 'trk-1' },
+    attachments: [{ filename: 'releve.pdf', content: Buffer.from('%PDF-1.4'), contentType: 'application/pdf' }]
+};
+
+/**
+ * fetch simulé : enregistre les requêtes et renvoie la réponse fournie
+ */
+function stubFetch(respond = () => ({ status: 200, body: {} })) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, ...init });
+        const { status, body, headers } = respond(url, init);
+        return new Response(body === undefined ? '' : JSON.stringify(body), { status, headers });
+    };
+    return { fetch, requests };
+}
+
+async function testSendgrid() {
+    console.log('\n📝 Test du transport SendGrid...');
+    const { fetch, requests } = stubFetch(() => ({ status: 202, headers: { 'x-message-id': 'sg-123' } }));
+    const transport = resolveTransport({ type: 'sendgrid', apiKey: 'SG.cle', fetch });
+
+    const result = await transport.sendMail(MESSAGE);
+    assert.strictEqual(result.messageId, 'sg-123');
+    assert.deepStrictEqual(result.accepted, ['alice@x.co', 'bob@x.co', 'carol@x.co']);
+
+    const [request] = requests;
+    assert.strictEqual(request.url, 'https://api.sendgrid.com/v3/mail/send');
+    assert.strictEqual(request.headers.Authorization, 'Bearer SG.cle');
+    const payload = JSON.parse(request.body);
+    assert.deepStrictEqual(payload.personalizations, [{
+        to: [{ email: 'alice@x.co', name: 'Alice Martin' }, { email: 'bob@x.co', name: 'Bob' }],
+        cc: [{ email: 'carol@x.co' }]
+    }]);
+    assert.deepStrictEqual(payload.from, { email: 'contact@flexmo.app', name: 'Flexmo' });
+    assert.deepStrictEqual(payload.content.map(part => part.type), ['text/plain', 'text/html']);
+    assert.strictEqual(payload.headers['List-Unsubscribe'], MESSAGE.headers['List-Unsubscribe']);
+    assert.deepStrictEqual(payload.custom_args, { tracking_id: 'trk-1' });
+    assert.deepStrictEqual(payload.attachments, [{ filename: 'releve.pdf', type: 'application/pdf', content: Buffer.from('%PDF-1.4').toString('base64') }]);
+
+    console.log('✅ Destinataires nommés, en-têtes, pièce jointe et tracking_id');
+}
+
+async function testMailgun() {
+    console.log('\n📝 Test du transport Mailgun...');
+    const { fetch, requests } = stubFetch(() => ({ status: 200, body: { id: '<mg-123@flexmo.app>', message: 'Queued' } }));
+    const transport = resolveTransport({ type: 'mailgun', apiKey: 'key-1', domain: 'mg.flexmo.app', fetch });
+
+    const result = await transport.sendMail(MESSAGE);
+    assert.strictEqual(result.messageId, '<mg-123@flexmo.app>');
+
+    const [request] = requests;
+    assert.strictEqual(request.url, 'https://api.mailgun.net/v3/mg.flexmo.app/messages');
+    assert.strictEqual(request.headers.Authorization, `Basic ${Buffer.from('api:key-1').toString('base64')}`);
+    assert.deepStrictEqual(request.body.getAll('to'), ['"Alice Martin" <alice@x.co>', '"Bob" <bob@x.co>']);
+    assert.strictEqual(request.body.get('h:Reply-To'), 'support@flexmo.app');
+    assert.strictEqual(request.body.get('h:List-Unsubscribe'), MESSAGE.headers['List-Unsubscribe']);
+    assert.strictEqual(request.body.get('v:trackingId'), 'trk-1');
+    const attachment = request.body.get('attachment');
+    assert.strictEqual(attachment.name, 'releve.pdf');
+    assert.strictEqual(Buffer.from(await attachment.arrayBuffer()).toString(), '%PDF-1.4');
+
+    assert.throws(() => HttpTransport.PROVIDERS.mailgun.send({}, {}), /"domain" requis/);
+
+    console.log('✅ Formulaire multipart, en-têtes h: et variable v:trackingId');
+}
+
+async function testPostmark() {
+    console.log('\n📝 Test du transport Postmark...');
+    const { fetch, requests } = stubFetch((url) => (url.endsWith('/server')
+        ? { status: 401, body: { ErrorCode: 10, Message: 'Bad or missing API token' } }
+        : { status: 200, body: { MessageID: 'pm-123', ErrorCode: 0 } }));
+    const transport = resolveTransport({ type: 'postmark', apiKey: 'pm-cle', messageStream: 'rappels', fetch });
+
+    const result = await transport.sendMail({ ...MESSAGE, headers: [{ key: 'X-Tracking-Id', value: 'trk-2' }] });
+    assert.strictEqual(result.messageId, 'pm-123');
+
+    const payload = JSON.parse(requests[0].body);
+    assert.strictEqual(requests[0].headers['X-Postmark-Server-Token'], 'pm-cle');
+    assert.strictEqual(payload.To, '"Alice Martin" <alice@x.co>, "Bob" <bob@x.co>');
+    assert.strictEqual(payload.Cc, 'carol@x.co');
+    assert.strictEqual(payload.MessageStream, 'rappels');
+    assert.deepStrictEqual(payload.Headers, [{ Name: 'X-Tracking-Id', Value: 'trk-2' }]);
+    assert.deepStrictEqual(payload.Metadata, { trackingId: 'trk-2' });
+    assert.strictEqual(payload.Attachments[0].Name, 'releve.pdf');
+
+    // Réponse en erreur : statut et détail du fournisseur dans le message
+    await assert.rejects(transport.verify(), /Requête postmark échouée \(401\).*Bad or missing API token/);
+    await assert.rejects(transport.sendMail({ ...MESSAGE, to: [] }), /au moins un destinataire/);
+
+    console.log('✅ En-têtes, Metadata et erreurs du fournisseur');
+}
+
+async function testTrackingRoundTrip() {
+    console.log('\n📝 Test du suivi via un fournisseur HTTP...');
+    const { fetch, requests } = stubFetch(() => ({ status: 200, body: { MessageID: 'pm-456' } }));
+    const emailService = new EmailService({
+        isProduction: true,
+        transport: { type: 'postmark', apiKey: 'pm-cle', fetch },
+        tracking: { store: 'memory', webhooks: { postmark: { token: 'jeton' } } }
+    });
+
+    const result = await emailService.sendEmail({ to: 'alice@x.co', subject: 'Rappel', html: '<p>Bonjour</p>' });
+    const { Metadata } = JSON.parse(requests[0].body);
+    assert.strictEqual(Metadata.trackingId, result.trackingId);
+
+    // Le bounce Postmark renvoie la métadonnée : rapprochement sans dépendre du Message-ID
+    await emailService.tracker.ingest('postmark', { RecordType: 'Bounce', Type: 'HardBounce', Email: 'alice@x.co', Metadata }, { headers: { 'x-webhook-token': 'jeton' } });
+    assert.strictEqual((await emailService.tracker.getDelivery(result.trackingId)).status, 'bounced');
+
+    await emailService.close();
+    console.log('✅ trackingId transmis au fournisseur et retrouvé dans la notification');
+}
+
+async function testTransports() {
+    console.log('🚀 Test des transports HTTP...');
+
+    try {
+        await testSendgrid();
+        await testMailgun();
+        await testPostmark();
+        await testTrackingRoundTrip();
+
+        console.log('\n✅ Tous les tests des transports sont passés');
+    } catch (error) {
+        console.error('❌ Erreur lors du test:', error);
+        process.exit(1);
+    }
+}
+
+testTransports();
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schéma de l'historique d'escalade des remboursements (audit)
+ */
+const escalationLogSchema = new mongoose.Schema({
+  reimbursementId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  level: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  previousLevel: Number,
+  escalated: Boolean,
+  urgency: {
+    type: String,
+    enum: ['critical', 'urgent', 'warning', 'normal', 'future']
+  },
+  daysDiff: Number,
+  template: String,
+  emailType: String,
+  recipients: [String],
+  queueName: String,
+  jobId: String,
+  escalatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'escalation_logs'
+});
+
+escalationLogSchema.index({ reimbursementId: 1, escalatedAt: -1 });
+
+module.exports = mongoose.model('EscalationLog', escalationLogSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schéma du dernier rappel envoyé par remboursement (politique de relance)
+ */
+const reminderStateSchema = new mongoose.Schema({
+  reimbursementId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  dueDate: {
+    type: String,
+    required: true
+  },
+  beforeDueSent: {
+    type: [Number],
+    default: []
+  },
+  overdueCount: {
+    type: Number,
+    default: 0
+  },
+  lastOverdueSentAt: Date,
+  lastSentAt: Date,
+  lastEmailType: String,
+  lastStage: String,
+  sentCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'reminder_states'
+});
+
+reminderStateSchema.index({ lastSentAt: -1 });
+
+module.exports = mongoose.model('ReminderState', reminderStateSchema);
@@ -3,7 +3,21 @@
  */
 
 const JobLog = require('./JobLog');
+const IdempotencyRecord = require('../../core/models/IdempotencyRecord');
+const ReminderState = require('./ReminderState');
+const EscalationLog = require('./EscalationLog');
+const EmailDelivery = require('../../core/models/EmailDelivery');
+const EmailSuppression = require('../../core/models/EmailSuppression');
+const EmailTemplateVersion = require('../../core/models/EmailTemplateVersion');
+const PaymentStatement = require('../../core/models/PaymentStatement');
 
 module.exports = {
-  JobLog
+  JobLog,
+  IdempotencyRecord,
+  ReminderState,
+  EscalationLog,
+  EmailDelivery,
+  EmailSuppression,
+  EmailTemplateVersion,
+  PaymentStatement
 }; 
\ No newline at end of file